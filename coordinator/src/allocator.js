@@ -1,14 +1,17 @@
 'use strict';
 
 const db = require('./db');
+const scoring = require('./scoring');
 
 let intervalId = null;
 let lastNotifyTs = 0;
+let assignHandler = null;
 
 const NOTIFY_DEDUP_MS = 10000; // Only notify allocator agent once per 10s
 
-function start(projectDir) {
+function start(projectDir, handlers = {}) {
   const intervalMs = parseInt(db.getConfig('allocator_interval_ms')) || 2000;
+  assignHandler = handlers.onAssignTask || null;
 
   intervalId = setInterval(() => {
     try {
@@ -18,15 +21,23 @@ function start(projectDir) {
     }
   }, intervalMs);
 
-  db.log('coordinator', 'allocator_started', { interval_ms: intervalMs });
+  db.log('coordinator', 'allocator_started', { interval_ms: intervalMs, mode: getMode() });
 }
 
 function stop() {
   if (intervalId) { clearInterval(intervalId); intervalId = null; }
   lastNotifyTs = 0;
+  assignHandler = null;
+}
+
+function getMode() {
+  return db.getConfig('allocator_mode') === 'agent' ? 'agent' : 'coordinator';
 }
 
 function tick() {
+  // Paused: hold everything where it is (per-request pauses are filtered in db)
+  if (db.isPaused()) return;
+
   // 1. Promote pending tasks whose dependencies are met
   db.checkAndPromoteTasks();
 
@@ -37,7 +48,13 @@ function tick() {
   const idleWorkers = db.getIdleWorkers().filter(w => !w.claimed_by);
   if (idleWorkers.length === 0) return;
 
-  // 3. Notify the allocator agent (Master-3) — with dedup
+  // 3a. Coordinator mode: score and assign directly
+  if (getMode() === 'coordinator') {
+    allocate(readyTasks, idleWorkers);
+    return;
+  }
+
+  // 3b. Agent mode: notify the allocator agent (Master-3) — with dedup
   const now = Date.now();
   if (now - lastNotifyTs < NOTIFY_DEDUP_MS) return;
   lastNotifyTs = now;
@@ -48,4 +65,107 @@ function tick() {
   });
 }
 
-module.exports = { start, stop, tick };
+function getSchedulingMode() {
+  return db.getConfig('scheduling_mode') === 'fair_share' ? 'fair_share' : 'priority';
+}
+
+function getFairShareWeights() {
+  try {
+    return { ...scoring.DEFAULT_FAIR_SHARE_WEIGHTS, ...JSON.parse(db.getConfig('fair_share_weights') || '{}') };
+  } catch {
+    return { ...scoring.DEFAULT_FAIR_SHARE_WEIGHTS };
+  }
+}
+
+// Ready tasks in the order they should be handed out. Priority mode keeps
+// getReadyTasks order (request priority, then task priority); fair-share mode
+// interleaves requests by weight. `slots` caps how many are returned.
+function orderReadyTasks(readyTasks, slots = readyTasks.length) {
+  if (getSchedulingMode() === 'fair_share') {
+    return scoring.fairShareOrder(readyTasks, db.getActiveTaskCounts(), getFairShareWeights(), slots);
+  }
+  return readyTasks.slice(0, slots);
+}
+
+function allocate(readyTasks, idleWorkers) {
+  const policy = db.getConfig('allocator_policy') || 'default';
+  // Fair share decides which tasks run; scoring only matches them to workers
+  if (getSchedulingMode() === 'fair_share') {
+    readyTasks = orderReadyTasks(readyTasks, idleWorkers.length);
+  }
+  const lastTasks = new Map();
+  for (const w of idleWorkers) {
+    const last = db.getLastTaskForWorker(w.id);
+    if (last) lastTasks.set(w.id, last);
+  }
+
+  const plan = scoring.planAssignments(readyTasks, idleWorkers, lastTasks, policy);
+  const assigned = [];
+  for (const { task, worker, score, reasons } of plan) {
+    const result = assignTaskToWorker(task.id, worker.id, assignHandler, 'coordinator');
+    if (result.ok) {
+      db.log('coordinator', 'allocation_scored', { task_id: task.id, worker_id: worker.id, policy, score, reasons });
+      assigned.push({ task_id: task.id, worker_id: worker.id });
+    }
+  }
+  return assigned;
+}
+
+// Atomic task → worker assignment shared by the allocator loop and the
+// assign-task CLI command. Returns { ok, reason?, error?, task? }.
+function assignTaskToWorker(taskId, workerId, onAssignTask, actor = 'allocator') {
+  const assignResult = db.getDb().transaction(() => {
+    const freshTask = db.getTask(taskId);
+    const freshWorker = db.getWorker(workerId);
+    if (!freshTask || freshTask.status !== 'ready' || freshTask.assigned_to) return { ok: false, reason: 'task_not_ready' };
+    if (db.isPaused(freshTask.request_id)) return { ok: false, reason: 'paused' };
+    if (db.isOverBudget(freshTask.request_id)) return { ok: false, reason: 'over_budget' };
+    const limitBlock = db.getLimitBlock(freshTask);
+    if (limitBlock) return { ok: false, reason: limitBlock };
+    if (!freshWorker || freshWorker.status !== 'idle') return { ok: false, reason: 'worker_not_idle' };
+
+    db.updateTask(taskId, { status: 'assigned', assigned_to: workerId, attempts: freshTask.attempts + 1, retry_after: null });
+    db.markRequestStarted(freshTask.request_id);
+    db.updateWorker(workerId, {
+      status: 'assigned',
+      current_task_id: taskId,
+      domain: freshTask.domain || freshWorker.domain,
+      claimed_by: null,
+      launched_at: new Date().toISOString(),
+    });
+    return { ok: true };
+  })();
+
+  if (!assignResult.ok) return assignResult;
+
+  // Send mail to worker (mail-before-boot: sentinel is waiting on the inbox)
+  const assignedTask = db.getTask(taskId);
+  db.sendMail(`worker-${workerId}`, 'task_assigned', {
+    task_id: taskId,
+    subject: assignedTask.subject,
+    description: assignedTask.description,
+    domain: assignedTask.domain,
+    files: assignedTask.files,
+    tier: assignedTask.tier,
+    request_id: assignedTask.request_id,
+    validation: assignedTask.validation,
+    target_branch: db.getMergeSettings(assignedTask.request_id).target_branch,
+  });
+  db.log(actor, 'task_assigned', { task_id: taskId, worker_id: workerId, domain: assignedTask.domain });
+
+  // Trigger tmux spawn via handler — revert assignment on failure
+  if (onAssignTask) {
+    try {
+      onAssignTask(assignedTask, db.getWorker(workerId));
+    } catch (spawnErr) {
+      db.updateTask(taskId, { status: 'ready', assigned_to: null, attempts: assignedTask.attempts - 1 });
+      db.updateWorker(workerId, { status: 'idle', current_task_id: null, launched_at: null });
+      db.log('coordinator', 'assign_handler_failed', { task_id: taskId, worker_id: workerId, error: spawnErr.message });
+      return { ok: false, error: `Failed to spawn worker: ${spawnErr.message}` };
+    }
+  }
+
+  return { ok: true, task: assignedTask };
+}
+
+module.exports = { start, stop, tick, allocate, assignTaskToWorker, getMode, getSchedulingMode, orderReadyTasks };
@@ -0,0 +1,154 @@
+'use strict';
+
+// Database backups: on-demand copies, hourly snapshots with retention, and
+// offline restore. Copies use SQLite's online backup API, so they are
+// consistent even while the coordinator is writing.
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const Database = require('better-sqlite3');
+const db = require('./db');
+const instanceRegistry = require('./instance-registry');
+
+const SNAPSHOT_PREFIX = 'mac10-snapshot-';
+const DEFAULT_RETENTION = 24;
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function defaultBackupPath(projectDir) {
+  return path.join(db.getBackupDir(projectDir), `mac10-backup-${timestamp()}.db`);
+}
+
+/** Copy the open database to destPath. Resolves to { path, bytes }. */
+async function backupTo(destPath) {
+  if (fs.existsSync(destPath)) throw new Error(`Refusing to overwrite existing file: ${destPath}`);
+  fs.mkdirSync(path.dirname(destPath), { recursive: true });
+  await db.getDb().backup(destPath);
+  return { path: destPath, bytes: fs.statSync(destPath).size };
+}
+
+/** Hourly snapshot from the watchdog; keeps the newest `snapshot_retention` files. */
+async function snapshot(projectDir) {
+  const dir = db.getBackupDir(projectDir);
+  const result = await backupTo(path.join(dir, `${SNAPSHOT_PREFIX}${timestamp()}.db`));
+  const keep = parseInt(db.getConfig('snapshot_retention'), 10);
+  const pruned = pruneSnapshots(dir, Number.isNaN(keep) ? DEFAULT_RETENTION : keep);
+  db.log('coordinator', 'snapshot_created', { path: result.path, bytes: result.bytes, pruned: pruned.length });
+  return { ...result, pruned };
+}
+
+// Only scheduled snapshots rotate; manual backups and pre-migrate copies are kept
+function pruneSnapshots(dir, keep) {
+  if (!fs.existsSync(dir)) return [];
+  const snapshots = fs.readdirSync(dir)
+    .filter(f => f.startsWith(SNAPSHOT_PREFIX) && f.endsWith('.db'))
+    .sort()
+    .reverse();
+  const doomed = snapshots.slice(Math.max(keep, 1));
+  for (const f of doomed) fs.rmSync(path.join(dir, f), { force: true });
+  return doomed;
+}
+
+function listBackups(projectDir) {
+  const dir = db.getBackupDir(projectDir);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.db'))
+    .map(f => {
+      const stat = fs.statSync(path.join(dir, f));
+      return { name: f, path: path.join(dir, f), bytes: stat.size, modified_at: stat.mtime.toISOString() };
+    })
+    .sort((a, b) => b.modified_at.localeCompare(a.modified_at) || b.name.localeCompare(a.name));
+}
+
+/** Accepts a path, or a file name inside the backups directory. */
+function resolveSnapshot(projectDir, snapshot) {
+  if (fs.existsSync(snapshot)) return path.resolve(snapshot);
+  const inBackups = path.join(db.getBackupDir(projectDir), snapshot);
+  if (fs.existsSync(inBackups)) return inBackups;
+  throw new Error(`Snapshot not found: ${snapshot}`);
+}
+
+function verifySnapshot(file) {
+  let conn;
+  try {
+    conn = new Database(file, { readonly: true, fileMustExist: true });
+    const check = conn.pragma('integrity_check', { simple: true });
+    if (check !== 'ok') throw new Error(`integrity check failed: ${check}`);
+    if (!conn.prepare("SELECT 1 FROM sqlite_master WHERE type='table' AND name='requests'").get()) {
+      throw new Error('not a mac10 database (no requests table)');
+    }
+  } catch (e) {
+    throw new Error(`Invalid snapshot ${file}: ${e.message}`);
+  } finally {
+    if (conn) conn.close();
+  }
+}
+
+function canConnect(target) {
+  return new Promise((resolve) => {
+    const conn = net.createConnection(target, () => { conn.end(); resolve(true); });
+    conn.on('error', () => resolve(false));
+    conn.setTimeout(2000, () => { conn.destroy(); resolve(false); });
+  });
+}
+
+/** True if a coordinator is serving this project (socket answers, or registered PID alive). */
+async function isCoordinatorLive(projectDir) {
+  if (instanceRegistry.findByProject(projectDir)) return true;
+  const stateDir = path.join(projectDir, '.claude', 'state');
+  const targets = [];
+  for (const pointer of ['mac10.sock.path', 'mac10.pipe']) {
+    try { targets.push(fs.readFileSync(path.join(stateDir, pointer), 'utf8').trim()); } catch {}
+  }
+  targets.push(path.join(stateDir, 'mac10.sock'));
+  for (const target of targets) {
+    if (target && await canConnect(target)) return true;
+  }
+  return false;
+}
+
+/**
+ * Replace the project database with a snapshot. Refuses while the coordinator
+ * is running. The current file is copied aside first so a restore can be undone.
+ */
+async function restore(projectDir, snapshot) {
+  if (await isCoordinatorLive(projectDir)) {
+    throw new Error('Coordinator is running — stop it first (mac10 stop)');
+  }
+  const source = resolveSnapshot(projectDir, snapshot);
+  const dbPath = db.getDbPath(projectDir);
+  if (source === path.resolve(dbPath)) throw new Error('Snapshot is the live database file');
+  verifySnapshot(source);
+
+  let previous = null;
+  if (fs.existsSync(dbPath)) {
+    const dir = db.getBackupDir(projectDir);
+    fs.mkdirSync(dir, { recursive: true });
+    previous = path.join(dir, `mac10-pre-restore-${timestamp()}.db`);
+    try {
+      const current = new Database(dbPath, { fileMustExist: true });
+      try { current.prepare('VACUUM INTO ?').run(previous); } finally { current.close(); }
+    } catch {
+      // Likely the corruption being recovered from — keep the raw files instead
+      fs.rmSync(previous, { force: true });
+      fs.copyFileSync(dbPath, previous);
+      for (const suffix of ['-wal', '-shm']) {
+        if (fs.existsSync(dbPath + suffix)) fs.copyFileSync(dbPath + suffix, previous + suffix);
+      }
+    }
+  }
+
+  for (const suffix of ['-wal', '-shm']) fs.rmSync(dbPath + suffix, { force: true });
+  fs.copyFileSync(source, dbPath);
+  return { restored_from: source, db_path: dbPath, previous_copy: previous };
+}
+
+module.exports = {
+  SNAPSHOT_PREFIX,
+  defaultBackupPath, backupTo, snapshot, pruneSnapshots, listBackups,
+  isCoordinatorLive, restore,
+};
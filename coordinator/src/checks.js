@@ -0,0 +1,49 @@
+'use strict';
+
+// The project's own build, test, and lint commands (config build_cmd,
+// test_cmd, lint_cmd), run against a checkout of merged work. Commands are split on whitespace and
+// run without a shell, like task validation commands. They run as async
+// children: a check can take minutes, and the coordinator must keep serving
+// heartbeats, the CLI socket, and the dashboard meanwhile.
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const db = require('./db');
+
+const execFileAsync = promisify(execFile);
+
+const CHECK_KEYS = ['build_cmd', 'test_cmd', 'lint_cmd'];
+const DEFAULT_TIMEOUT_MS = 600000;
+// Keep the end of the output, where failures are reported
+const MAX_OUTPUT = 4000;
+
+/** Configured checks in run order: [{ name, cmd }]. Empty commands are skipped. */
+function configuredChecks() {
+  return CHECK_KEYS
+    .map(key => ({ name: key.replace(/_cmd$/, ''), cmd: (db.getConfig(key) || '').trim() }))
+    .filter(c => c.cmd);
+}
+
+function tail(text) {
+  return text.length > MAX_OUTPUT ? `...${text.slice(-MAX_OUTPUT)}` : text;
+}
+
+/**
+ * Run `checks` in `dir`, stopping at the first failure.
+ * Resolves { passed, failed, command, output } where `failed` names the failing check.
+ */
+async function runChecks(dir, checks = configuredChecks()) {
+  const timeout = parseInt(db.getConfig('check_timeout_ms'), 10) || DEFAULT_TIMEOUT_MS;
+  for (const check of checks) {
+    const [file, ...args] = check.cmd.split(/\s+/);
+    try {
+      await execFileAsync(file, args, { cwd: dir, encoding: 'utf8', timeout, maxBuffer: 64 * 1024 * 1024 });
+    } catch (e) {
+      const output = [e.stdout, e.stderr].filter(Boolean).join('\n').trim() || e.message;
+      return { passed: false, failed: check.name, command: check.cmd, output: tail(output) };
+    }
+  }
+  return { passed: true, failed: null, command: null, output: '' };
+}
+
+module.exports = { CHECK_KEYS, configuredChecks, runChecks };
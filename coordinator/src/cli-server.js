@@ -6,6 +6,13 @@ const path = require('path');
 const crypto = require('crypto');
 const { execFileSync } = require('child_process');
 const db = require('./db');
+const allocator = require('./allocator');
+const merger = require('./merger');
+const mergeBackends = require('./merge-backends');
+const backup = require('./backup');
+const scheduler = require('./scheduler');
+const webhooks = require('./webhooks');
+const requestTemplates = require('./request-templates');
 
 let server = null;
 let tcpServer = null;
@@ -13,25 +20,54 @@ let tcpServer = null;
 const MAX_PAYLOAD_SIZE = 1024 * 1024; // 1MB
 
 const COMMAND_SCHEMAS = {
-  'request':           { required: ['description'], types: { description: 'string' } },
+  'request':           { required: ['description'], types: { description: 'string', priority: 'string', target_branch: 'string', merge_strategy: 'string' } },
+  'request-template':  { required: ['template'], types: { template: 'string', params: 'object', priority: 'string', target_branch: 'string', merge_strategy: 'string' } },
+  'list-templates':    { required: [], types: {} },
+  'set-priority':      { required: ['request_id', 'priority'], types: { request_id: 'string', priority: 'string' } },
   'fix':               { required: ['description'], types: { description: 'string' } },
   'status':            { required: [], types: {} },
+  'cancel':            { required: ['request_id'], types: { request_id: 'string', reason: 'string', close_prs: 'boolean' } },
+  'pause':             { required: [], types: { request_id: 'string' } },
+  'resume':            { required: [], types: { request_id: 'string' } },
   'clarify':           { required: ['request_id', 'message'], types: { request_id: 'string', message: 'string' } },
+  'clarifications':    { required: ['request_id'], types: { request_id: 'string', mark_read: 'boolean' } },
   'log':               { required: [], types: { limit: 'number', actor: 'string' } },
+  'schedule-add':      { required: ['cron', 'description'], types: { cron: 'string', description: 'string', name: 'string', priority: 'string' } },
+  'schedule-list':     { required: [], types: {} },
+  'schedule-remove':   { required: ['schedule_id'], types: { schedule_id: 'number' } },
+  'watch':             { required: [], types: { since_id: 'number', events: 'string', timeout: 'number' } },
+  'webhook-add':       { required: ['url'], types: { url: 'string', events: 'string', secret: 'string' } },
+  'webhook-list':      { required: [], types: {} },
+  'webhook-remove':    { required: ['webhook_id'], types: { webhook_id: 'number' } },
+  'webhook-deliveries': { required: [], types: { webhook_id: 'number', status: 'string', limit: 'number' } },
+  'webhook-redeliver': { required: ['delivery_id'], types: { delivery_id: 'number' } },
+  'search':            { required: ['query'], types: { query: 'string', kind: 'string', limit: 'number', days: 'number' } },
   'triage':            { required: ['request_id', 'tier'], types: { request_id: 'string', tier: 'number', reasoning: 'string' } },
   'create-task':       {
     required: ['request_id', 'subject', 'description'],
-    types: { request_id: 'string', subject: 'string', description: 'string', domain: 'string', priority: 'string', tier: 'number' },
-    allowed: ['request_id', 'subject', 'description', 'domain', 'files', 'priority', 'tier', 'depends_on', 'validation'],
+    types: { request_id: 'string', subject: 'string', description: 'string', domain: 'string', priority: 'string', tier: 'number', max_attempts: 'number' },
+    allowed: ['request_id', 'subject', 'description', 'domain', 'files', 'priority', 'tier', 'depends_on', 'validation', 'max_attempts'],
   },
+  'create-plan':       { required: ['request_id', 'tasks'], types: { request_id: 'string', tasks: 'object' } },
+  'validate-plan':     { required: ['request_id'], types: { request_id: 'string' } },
   'tier1-complete':    { required: ['request_id', 'result'], types: { request_id: 'string', result: 'string' } },
   'ask-clarification': { required: ['request_id', 'question'], types: { request_id: 'string', question: 'string' } },
   'my-task':           { required: ['worker_id'], types: { worker_id: 'string' } },
   'start-task':        { required: ['worker_id', 'task_id'], types: { worker_id: 'string' } },
   'heartbeat':         { required: ['worker_id'], types: { worker_id: 'string' } },
   'complete-task':     { required: ['worker_id', 'task_id'], types: { worker_id: 'string' } },
-  'fail-task':         { required: ['worker_id', 'task_id', 'error'], types: { worker_id: 'string', error: 'string' } },
+  'fail-task':         { required: ['worker_id', 'task_id', 'error'], types: { worker_id: 'string', error: 'string', kind: 'string' } },
   'distill':           { required: ['worker_id'], types: { worker_id: 'string' } },
+  'report-usage':      {
+    required: [],
+    types: {
+      task_id: 'number', request_id: 'string', worker_id: 'string', actor: 'string', model: 'string',
+      input_tokens: 'number', output_tokens: 'number', cache_read_tokens: 'number', cache_write_tokens: 'number',
+      cost_usd: 'number', duration_ms: 'number',
+    },
+  },
+  'set-budget':        { required: ['request_id'], types: { request_id: 'string' } },
+  'set-limits':        { required: ['request_id'], types: { request_id: 'string' } },
   'inbox':             { required: ['recipient'], types: { recipient: 'string' } },
   'inbox-block':       { required: ['recipient'], types: { recipient: 'string', timeout: 'number' } },
   'ready-tasks':       { required: [], types: {} },
@@ -43,6 +79,7 @@ const COMMAND_SCHEMAS = {
   'register-worker':   { required: ['worker_id'], types: { worker_id: 'string', worktree_path: 'string', branch: 'string' } },
   'repair':            { required: [], types: {} },
   'ping':              { required: [], types: {} },
+  'backup':            { required: [], types: { path: 'string' } },
   'add-worker':        { required: [], types: {} },
   'merge-status':      { required: [], types: { request_id: 'string' } },
   'reset-worker':      { required: ['worker_id'], types: { worker_id: 'string' } },
@@ -58,15 +95,6 @@ const COMMAND_SCHEMAS = {
   'reset-merges':      { required: [], types: { request_id: 'string' } },
 };
 
-/** Parse a files field into an array. Handles arrays, JSON strings, and comma-separated strings. */
-function parseFilesField(files) {
-  if (Array.isArray(files)) return files;
-  if (typeof files === 'string') {
-    try { return JSON.parse(files); } catch { return files.split(',').map(f => f.trim()); }
-  }
-  return null;
-}
-
 function validateCommand(cmd) {
   const { command, args } = cmd;
   if (typeof command !== 'string') {
@@ -207,13 +235,38 @@ function handleCommand(cmd, conn, handlers) {
     switch (command) {
       // === USER commands ===
       case 'request': {
-        const id = db.createRequest(args.description);
+        const id = db.createRequest(args.description, {
+          priority: args.priority || 'normal',
+          targetBranch: args.target_branch,
+          mergeStrategy: args.merge_strategy,
+        });
         respond(conn, { ok: true, request_id: id });
         break;
       }
+      case 'request-template': {
+        const projectDir = db.getConfig('project_dir') || process.cwd();
+        const created = requestTemplates.createFromTemplate(projectDir, args.template, args.params || {}, {
+          priority: args.priority,
+          actor: 'user',
+          targetBranch: args.target_branch,
+          mergeStrategy: args.merge_strategy,
+        });
+        respond(conn, { ok: true, ...created });
+        break;
+      }
+      case 'list-templates': {
+        const projectDir = db.getConfig('project_dir') || process.cwd();
+        respond(conn, { ok: true, dir: requestTemplates.getTemplateDir(projectDir), templates: requestTemplates.listTemplates(projectDir) });
+        break;
+      }
+      case 'set-priority': {
+        const updated = db.setRequestPriority(args.request_id, args.priority, 'user');
+        respond(conn, { ok: true, request_id: updated.id, priority: updated.priority });
+        break;
+      }
       case 'fix': {
         const fixResult = db.getDb().transaction(() => {
-          const id = db.createRequest(args.description);
+          const id = db.createRequest(args.description, { priority: 'urgent' });
           db.updateRequest(id, { tier: 2, status: 'decomposed' });
           const taskId = db.createTask({
             request_id: id,
@@ -236,15 +289,38 @@ function handleCommand(cmd, conn, handlers) {
         const merges = db.getDb().prepare(
           "SELECT * FROM merge_queue WHERE status != 'merged' ORDER BY id DESC"
         ).all();
-        respond(conn, { ok: true, requests, workers, tasks, project_dir, merges });
+        respond(conn, { ok: true, requests, workers, tasks, project_dir, merges, ...db.getPauseState() });
+        break;
+      }
+      case 'pause':
+      case 'resume': {
+        const pauseTarget = (args && args.request_id) || null;
+        const state = db.setPaused(pauseTarget, command === 'pause', 'user');
+        respond(conn, { ok: true, request_id: pauseTarget, ...state });
+        break;
+      }
+      case 'cancel': {
+        const summary = db.cancelRequest(args.request_id, { reason: args.reason, actor: 'user' });
+        if (!args.close_prs || summary.pr_urls.length === 0) {
+          respond(conn, { ok: true, ...summary, closed_prs: [] });
+          break;
+        }
+        // Closing goes through the forge APIs — respond when they answer
+        merger.closePullRequests(summary.pr_urls, db.getConfig('project_dir') || process.cwd(), summary.request_id)
+          .then((closedPrs) => respond(conn, { ok: true, ...summary, closed_prs: closedPrs }))
+          .catch((e) => respond(conn, { ok: true, ...summary, closed_prs: [], error: e.message }));
         break;
       }
       case 'clarify': {
-        db.sendMail('architect', 'clarification_reply', {
-          request_id: args.request_id,
-          message: args.message,
-        });
-        respond(conn, { ok: true });
+        const reply = db.replyClarification(args.request_id, args.message, 'user');
+        respond(conn, { ok: true, request_id: args.request_id, status: reply.status });
+        break;
+      }
+      case 'clarifications': {
+        if (!db.getRequest(args.request_id)) throw new Error(`Request not found: ${args.request_id}`);
+        const thread = db.getClarifications(args.request_id);
+        if (args.mark_read) db.markClarificationsRead(args.request_id);
+        respond(conn, { ok: true, request_id: args.request_id, clarifications: thread });
         break;
       }
       case 'log': {
@@ -253,10 +329,95 @@ function handleCommand(cmd, conn, handlers) {
         break;
       }
 
+      case 'search': {
+        const results = db.search(args.query, {
+          kinds: args.kind ? [args.kind] : undefined,
+          limit: args.limit,
+          days: args.days,
+        });
+        respond(conn, { ok: true, query: args.query, results });
+        break;
+      }
+
+      case 'schedule-add': {
+        const schedule = scheduler.addSchedule(args, 'user');
+        respond(conn, { ok: true, schedule });
+        break;
+      }
+      case 'schedule-list': {
+        respond(conn, { ok: true, schedules: scheduler.listSchedules() });
+        break;
+      }
+      case 'schedule-remove': {
+        const removed = scheduler.removeSchedule(args.schedule_id, 'user');
+        respond(conn, { ok: true, schedule_id: removed.id, name: removed.name });
+        break;
+      }
+
+      case 'watch': {
+        // Long-poll for lifecycle events after since_id. Without since_id,
+        // answer at once with the current position so callers skip history.
+        const events = args.events ? args.events.split(',').map(e => e.trim()).filter(Boolean) : null;
+        const unknown = (events || []).filter(e => !db.LIFECYCLE_EVENTS.includes(e));
+        if (unknown.length > 0) throw new Error(`Unknown event(s): ${unknown.join(', ')} (valid: ${db.LIFECYCLE_EVENTS.join(', ')})`);
+        if (args.since_id === undefined) {
+          respond(conn, { ok: true, events: [], last_id: db.getLastEventId() });
+          break;
+        }
+        const deadline = Date.now() + (args.timeout || 20000);
+        let cancelled = false;
+        conn.on('close', () => { cancelled = true; });
+        conn.on('error', () => { cancelled = true; });
+
+        const poll = () => {
+          if (cancelled) return;
+          try {
+            const found = db.getEvents(args.since_id, { events });
+            if (found.length > 0 || Date.now() >= deadline) {
+              // On timeout, skip past filtered-out events so they aren't rescanned
+              const lastId = found.length > 0 ? found[found.length - 1].id : Math.max(args.since_id, db.getLastEventId());
+              respond(conn, { ok: true, events: found, last_id: lastId });
+              return;
+            }
+            setTimeout(poll, 1000);
+          } catch (e) {
+            respond(conn, { error: e.message });
+          }
+        };
+        poll();
+        break;
+      }
+
+      case 'webhook-add': {
+        const webhook = webhooks.addWebhook(args, 'user');
+        respond(conn, { ok: true, webhook });
+        break;
+      }
+      case 'webhook-list': {
+        respond(conn, { ok: true, webhooks: db.listWebhooks() });
+        break;
+      }
+      case 'webhook-remove': {
+        const removed = webhooks.removeWebhook(args.webhook_id, 'user');
+        respond(conn, { ok: true, webhook_id: removed.id, url: removed.url });
+        break;
+      }
+      case 'webhook-deliveries': {
+        respond(conn, { ok: true, deliveries: db.listDeliveries(args) });
+        break;
+      }
+      case 'webhook-redeliver': {
+        if (!db.redeliver(args.delivery_id)) throw new Error(`No undelivered delivery: ${args.delivery_id}`);
+        db.log('user', 'webhook_redeliver', { delivery_id: args.delivery_id });
+        respond(conn, { ok: true, delivery_id: args.delivery_id });
+        break;
+      }
+
       // === ARCHITECT commands ===
       case 'triage': {
         const { request_id, tier, reasoning } = args;
         db.updateRequest(request_id, { tier, status: tier === 1 ? 'executing_tier1' : 'decomposed' });
+        if (tier === 1) db.markRequestStarted(request_id);
         db.log('architect', 'triage', { request_id, tier, reasoning });
         if (tier === 3) {
           db.sendMail('allocator', 'tasks_ready', { request_id });
@@ -265,57 +426,43 @@ function handleCommand(cmd, conn, handlers) {
         break;
       }
       case 'create-task': {
+        // Rejects dangling, cross-request, and cyclic depends_on
         const taskId = db.createTask(args);
         // If no dependencies, mark ready immediately
-        if (!args.depends_on || args.depends_on.length === 0) {
+        if (db.normalizeDependsOn(args.depends_on).length === 0) {
           db.updateTask(taskId, { status: 'ready' });
         }
         // Detect file overlaps with other tasks in the same request
-        let overlaps = [];
-        const taskFiles = parseFilesField(args.files);
-        if (taskFiles && taskFiles.length > 0) {
-          overlaps = db.findOverlappingTasks(args.request_id, taskFiles);
-          if (overlaps.length > 0) {
-            // Set overlap_with on the new task
-            const overlapIds = overlaps.map(o => o.task_id);
-            db.updateTask(taskId, { overlap_with: JSON.stringify(overlapIds) });
-            // Update existing overlapping tasks to include the new task
-            for (const o of overlaps) {
-              const existing = db.getTask(o.task_id);
-              let existingOverlaps = [];
-              if (existing && existing.overlap_with) {
-                try { existingOverlaps = JSON.parse(existing.overlap_with); } catch {}
-              }
-              if (!existingOverlaps.includes(taskId)) {
-                existingOverlaps.push(taskId);
-                db.updateTask(o.task_id, { overlap_with: JSON.stringify(existingOverlaps) });
-              }
-            }
-            db.log('coordinator', 'overlap_detected', {
-              task_id: taskId,
-              request_id: args.request_id,
-              overlaps: overlaps.map(o => ({ task_id: o.task_id, shared_files: o.shared_files })),
-            });
-          }
-        }
+        const overlaps = db.recordOverlaps(taskId, args.request_id, db.parseFilesField(args.files));
         respond(conn, { ok: true, task_id: taskId, overlaps });
         break;
       }
+      case 'create-plan': {
+        // All-or-nothing: every task is inserted in one transaction or none are
+        const plan = db.createPlan(args.request_id, args.tasks);
+        db.log('architect', 'plan_created', { request_id: args.request_id, task_ids: plan.task_ids });
+        respond(conn, { ok: true, request_id: args.request_id, ...plan });
+        break;
+      }
+      case 'validate-plan': {
+        if (!db.getRequest(args.request_id)) {
+          respond(conn, { ok: false, error: `Request not found: ${args.request_id}` });
+          break;
+        }
+        const report = db.validatePlan(args.request_id);
+        respond(conn, { ok: true, ...report });
+        break;
+      }
       case 'tier1-complete': {
         const { request_id, result } = args;
-        db.updateRequest(request_id, { status: 'completed', result, completed_at: new Date().toISOString() });
-        db.sendMail('master-1', 'request_completed', { request_id, result });
+        merger.completeRequest(request_id, result);
         db.log('architect', 'tier1_complete', { request_id, result });
         respond(conn, { ok: true });
         break;
       }
       case 'ask-clarification': {
-        db.sendMail('master-1', 'clarification_ask', {
-          request_id: args.request_id,
-          question: args.question,
-        });
-        db.log('architect', 'clarification_ask', { request_id: args.request_id, question: args.question });
-        respond(conn, { ok: true });
+        const clarificationId = db.askClarification(args.request_id, args.question, 'architect');
+        respond(conn, { ok: true, clarification_id: clarificationId });
         break;
       }
 
@@ -327,11 +474,17 @@ function handleCommand(cmd, conn, handlers) {
           break;
         }
         const task = db.getTask(worker.current_task_id);
-        respond(conn, { ok: true, task });
+        const { target_branch } = db.getMergeSettings(task.request_id);
+        respond(conn, { ok: true, task: { ...task, target_branch } });
         break;
       }
       case 'start-task': {
         const { worker_id, task_id } = args;
+        const startTask = db.getTask(task_id);
+        if (startTask && startTask.status === 'cancelled') {
+          respond(conn, { ok: false, error: `Task ${task_id} was cancelled` });
+          break;
+        }
         db.updateTask(task_id, { status: 'in_progress', started_at: new Date().toISOString() });
         db.updateWorker(worker_id, { status: 'busy', last_heartbeat: new Date().toISOString() });
         db.log(`worker-${worker_id}`, 'task_started', { task_id });
@@ -340,11 +493,28 @@ function handleCommand(cmd, conn, handlers) {
       }
       case 'heartbeat': {
         db.updateWorker(args.worker_id, { last_heartbeat: new Date().toISOString() });
-        respond(conn, { ok: true });
+        // Tell the worker if its task was cancelled underneath it
+        const hbWorker = db.getWorker(args.worker_id);
+        const hbTask = hbWorker && hbWorker.current_task_id ? db.getTask(hbWorker.current_task_id) : null;
+        respond(conn, { ok: true, cancelled: !!(hbTask && hbTask.status === 'cancelled') });
         break;
       }
       case 'complete-task': {
         const { worker_id, task_id, pr_url, result, branch } = args;
+        const priorTask = db.getTask(task_id);
+        if (priorTask && priorTask.status === 'cancelled') {
+          // Request was cancelled while the worker was busy — don't resurrect it
+          db.updateWorker(worker_id, { status: 'completed_task', current_task_id: null });
+          db.log(`worker-${worker_id}`, 'cancelled_task_completion_ignored', { task_id, pr_url });
+          respond(conn, { ok: false, error: `Task ${task_id} was cancelled` });
+          break;
+        }
+        // A PR/MR URL must belong to a merge backend (GitHub, or the configured GitLab/Gitea host)
+        const isPrUrl = pr_url && /^https?:\/\//.test(pr_url);
+        if (isPrUrl && !mergeBackends.backendForUrl(pr_url)) {
+          respond(conn, { ok: false, error: `Unrecognized PR URL: ${pr_url} (set gitlab_url or gitea_url for self-hosted services)` });
+          break;
+        }
         db.updateTask(task_id, {
           status: 'completed',
           pr_url: pr_url || null,
@@ -360,14 +530,15 @@ function handleCommand(cmd, conn, handlers) {
           current_task_id: null,
           tasks_completed: tasksCompleted,
         });
-        // Enqueue merge if PR exists (must be a valid URL, not a status string like "already_merged")
+        // Enqueue merge if PR exists (must be a URL, not a status string like "already_merged").
+        // The local merge backend needs no PR: the branch alone is merged.
         const completedTask = db.getTask(task_id);
-        const isValidPrUrl = pr_url && /^https:\/\//.test(pr_url);
-        if (isValidPrUrl) {
+        const isLocalBranch = !pr_url && branch && db.getConfig('merge_backend') === 'local';
+        if (isPrUrl || isLocalBranch) {
           db.enqueueMerge({
             request_id: completedTask.request_id,
             task_id,
-            pr_url,
+            pr_url: isPrUrl ? pr_url : '',
             branch: branch || '',
             priority: completedTask.priority === 'urgent' ? 10 : 0,
           });
@@ -393,24 +564,15 @@ function handleCommand(cmd, conn, handlers) {
       }
       case 'fail-task': {
         const { worker_id: wid, task_id: tid, error } = args;
-        const failedTask = db.getTask(tid);
-        db.updateTask(tid, { status: 'failed', result: error, completed_at: new Date().toISOString() });
+        const kind = args.kind || 'agent_error';
+        if (!db.FAILURE_KINDS.includes(kind)) {
+          respond(conn, { ok: false, error: `Invalid kind "${kind}". Must be one of: ${db.FAILURE_KINDS.join(', ')}` });
+          break;
+        }
+        // Retries with backoff until max_attempts, then fails and escalates to the architect
+        const outcome = db.recordTaskFailure(tid, { kind, error, actor: `worker-${wid}` });
         db.updateWorker(wid, { status: 'idle', current_task_id: null });
-        db.sendMail('allocator', 'task_failed', {
-          worker_id: wid,
-          task_id: tid,
-          request_id: failedTask ? failedTask.request_id : null,
-          error,
-        });
-        // Also notify architect so it has visibility into failures
-        db.sendMail('architect', 'task_failed', {
-          worker_id: wid,
-          task_id: tid,
-          request_id: failedTask ? failedTask.request_id : null,
-          error,
-        });
-        db.log(`worker-${wid}`, 'task_failed', { task_id: tid, error });
-        respond(conn, { ok: true });
+        respond(conn, { ok: true, ...(outcome || { task_id: tid, ignored: true }) });
         break;
       }
       case 'distill': {
@@ -420,6 +582,28 @@ function handleCommand(cmd, conn, handlers) {
       }
 
       // === SHARED commands ===
+      case 'report-usage': {
+        const actor = args.actor || (args.worker_id ? `worker-${args.worker_id}` : null);
+        const recorded = db.recordUsage({ ...args, actor });
+        respond(conn, { ok: true, ...recorded });
+        break;
+      }
+      case 'set-budget': {
+        // null clears a budget; a missing field is left unchanged
+        const budget = db.setBudget(args.request_id, {
+          budget_usd: args.budget_usd,
+          budget_tokens: args.budget_tokens,
+        }, 'user');
+        respond(conn, { ok: true, request_id: args.request_id, ...budget });
+        break;
+      }
+      case 'set-limits': {
+        const limits = {};
+        for (const f of db.LIMIT_FIELDS) limits[f] = args[f];
+        const state = db.setLimits(args.request_id, limits, 'user');
+        respond(conn, { ok: true, request_id: args.request_id, ...state });
+        break;
+      }
       case 'inbox': {
         const msgs = db.checkMail(args.recipient, !args.peek);
         respond(conn, { ok: true, messages: msgs });
@@ -460,62 +644,17 @@ function handleCommand(cmd, conn, handlers) {
 
       // === ALLOCATOR commands ===
       case 'ready-tasks': {
-        const tasks = db.getReadyTasks();
-        respond(conn, { ok: true, tasks });
+        const tasks = allocator.orderReadyTasks(db.getReadyTasks());
+        respond(conn, { ok: true, tasks, scheduling_mode: allocator.getSchedulingMode() });
         break;
       }
       case 'assign-task': {
         const { task_id: assignTaskId, worker_id: assignWorkerId } = args;
-        // Atomic assignment: same pattern as allocator.js assignTaskToWorker
-        const assignResult = db.getDb().transaction(() => {
-          const freshTask = db.getTask(assignTaskId);
-          const freshWorker = db.getWorker(assignWorkerId);
-          if (!freshTask || freshTask.status !== 'ready' || freshTask.assigned_to) return { ok: false, reason: 'task_not_ready' };
-          if (!freshWorker || freshWorker.status !== 'idle') return { ok: false, reason: 'worker_not_idle' };
-
-          db.updateTask(assignTaskId, { status: 'assigned', assigned_to: assignWorkerId });
-          db.updateWorker(assignWorkerId, {
-            status: 'assigned',
-            current_task_id: assignTaskId,
-            domain: freshTask.domain || freshWorker.domain,
-            claimed_by: null,
-            launched_at: new Date().toISOString(),
-          });
-          return { ok: true, task: freshTask, worker: freshWorker };
-        })();
-
+        const assignResult = allocator.assignTaskToWorker(assignTaskId, assignWorkerId, handlers.onAssignTask);
         if (!assignResult.ok) {
-          respond(conn, { ok: false, error: assignResult.reason });
+          respond(conn, { ok: false, error: assignResult.error || assignResult.reason });
           break;
         }
-
-        // Send mail to worker
-        const assignedTask = db.getTask(assignTaskId);
-        db.sendMail(`worker-${assignWorkerId}`, 'task_assigned', {
-          task_id: assignTaskId,
-          subject: assignedTask.subject,
-          description: assignedTask.description,
-          domain: assignedTask.domain,
-          files: assignedTask.files,
-          tier: assignedTask.tier,
-          request_id: assignedTask.request_id,
-          validation: assignedTask.validation,
-        });
-        db.log('allocator', 'task_assigned', { task_id: assignTaskId, worker_id: assignWorkerId, domain: assignedTask.domain });
-
-        // Trigger tmux spawn via handler — revert assignment on failure
-        if (handlers.onAssignTask) {
-          try {
-            handlers.onAssignTask(assignedTask, db.getWorker(assignWorkerId));
-          } catch (spawnErr) {
-            db.updateTask(assignTaskId, { status: 'ready', assigned_to: null });
-            db.updateWorker(assignWorkerId, { status: 'idle', current_task_id: null, launched_at: null });
-            db.log('coordinator', 'assign_handler_failed', { task_id: assignTaskId, worker_id: assignWorkerId, error: spawnErr.message });
-            respond(conn, { ok: false, error: `Failed to spawn worker: ${spawnErr.message}` });
-            break;
-          }
-        }
-
         respond(conn, { ok: true, task_id: assignTaskId, worker_id: assignWorkerId });
         break;
       }
@@ -556,15 +695,16 @@ function handleCommand(cmd, conn, handlers) {
         }
         // Queue merges for each completed task's branch/PR
         const tasks = db.listTasks({ request_id: reqId, status: 'completed' });
+        const localMerges = db.getConfig('merge_backend') === 'local';
         let queued = 0;
         for (const task of tasks) {
-          if (task.pr_url && task.branch) {
+          if (task.branch && (task.pr_url || localMerges)) {
             try {
               db.enqueueMerge({
                 request_id: reqId,
                 task_id: task.id,
                 branch: task.branch,
-                pr_url: task.pr_url,
+                pr_url: task.pr_url || '',
               });
               queued++;
             } catch (e) {
@@ -604,6 +744,19 @@ function handleCommand(cmd, conn, handlers) {
         break;
       }
 
+      case 'backup': {
+        // Online backup API is async — respond when the copy finishes
+        const projectDir = db.getConfig('project_dir') || process.cwd();
+        const dest = args && args.path ? path.resolve(args.path) : backup.defaultBackupPath(projectDir);
+        backup.backupTo(dest).then((result) => {
+          db.log('user', 'backup_created', result);
+          respond(conn, { ok: true, ...result });
+        }).catch((e) => {
+          respond(conn, { ok: false, error: e.message });
+        });
+        break;
+      }
+
       case 'add-worker': {
         const maxWorkers = parseInt(db.getConfig('max_workers')) || 8;
         const allWorkers = db.getAllWorkers();
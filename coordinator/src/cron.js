@@ -0,0 +1,136 @@
+'use strict';
+
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// evaluated in the coordinator's local time. Supports *, lists, ranges,
+// steps, month/day names, 7 as Sunday, and the @hourly/@daily/... macros.
+// Like Vixie cron, when both day fields are restricted a day matches if
+// either does.
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+// Give up looking for a match this far ahead (e.g. "0 0 30 2 *" never fires)
+const MAX_YEARS_AHEAD = 5;
+
+function parseValue(raw, field, expr) {
+  const lower = raw.toLowerCase();
+  if (field.names && field.names.includes(lower)) return field.names.indexOf(lower) + field.offset;
+  if (!/^\d+$/.test(raw)) throw new Error(`Invalid cron expression "${expr}": bad ${field.name} value "${raw}"`);
+  const n = parseInt(raw, 10);
+  if (n < field.min || n > field.max) {
+    throw new Error(`Invalid cron expression "${expr}": ${field.name} ${n} out of range ${field.min}-${field.max}`);
+  }
+  return n;
+}
+
+function parseField(text, field, expr) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || range === '') throw new Error(`Invalid cron expression "${expr}": bad ${field.name} "${part}"`);
+    let step = 1;
+    if (stepText !== undefined) {
+      if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) === 0) {
+        throw new Error(`Invalid cron expression "${expr}": bad step "${stepText}"`);
+      }
+      step = parseInt(stepText, 10);
+    }
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field, expr);
+      hi = parseValue(b, field, expr);
+      if (lo > hi) throw new Error(`Invalid cron expression "${expr}": empty ${field.name} range "${range}"`);
+    } else {
+      lo = parseValue(range, field, expr);
+      // "5/15" means every 15 starting at 5
+      hi = stepText !== undefined ? field.max : lo;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws with a readable message when invalid.
+ * Returns { source, minute, hour, dom, month, dow, domAny, dowAny } where
+ * each field is a Set of allowed values (dow 0-6, Sunday = 0).
+ */
+function parse(expr) {
+  if (typeof expr !== 'string' || expr.trim() === '') throw new Error('Cron expression is required');
+  const source = expr.trim();
+  const expanded = MACROS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${source}": expected 5 fields (minute hour day month weekday)`);
+  }
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i], source));
+  if (dow.has(7)) { dow.delete(7); dow.add(0); }
+  return {
+    source,
+    minute, hour, dom, month, dow,
+    domAny: parts[2] === '*',
+    dowAny: parts[4] === '*',
+  };
+}
+
+function dayMatches(c, d) {
+  const domOk = c.dom.has(d.getDate());
+  const dowOk = c.dow.has(d.getDay());
+  if (c.domAny || c.dowAny) return domOk && dowOk;
+  return domOk || dowOk;
+}
+
+/**
+ * The first matching minute strictly after `after` (a Date), or null if the
+ * expression never matches within MAX_YEARS_AHEAD. Accepts an expression or
+ * the result of parse().
+ */
+function next(cron, after = new Date()) {
+  const c = typeof cron === 'string' ? parse(cron) : cron;
+  const d = new Date(after.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limitYear = d.getFullYear() + MAX_YEARS_AHEAD;
+
+  while (d.getFullYear() <= limitYear) {
+    if (!c.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(c, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!c.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!c.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
+
+module.exports = { MACROS, parse, next };
@@ -4,15 +4,18 @@ const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const migrator = require('./migrator');
 
 let db = null;
 
 const VALID_COLUMNS = Object.freeze({
-  requests: new Set(['description', 'tier', 'status', 'result', 'completed_at']),
-  tasks: new Set(['request_id', 'subject', 'description', 'domain', 'files', 'priority', 'tier', 'depends_on', 'assigned_to', 'status', 'pr_url', 'branch', 'validation', 'overlap_with', 'started_at', 'completed_at', 'result']),
+  requests: new Set(['description', 'tier', 'status', 'priority', 'result', 'completed_at', 'paused_at', 'budget_usd', 'budget_tokens', 'max_tasks', 'max_workers', 'max_wall_clock_min', 'max_retries', 'max_usage_units', 'paused_s', 'target_branch', 'merge_strategy']),
+  tasks: new Set(['request_id', 'subject', 'description', 'domain', 'files', 'priority', 'tier', 'depends_on', 'assigned_to', 'status', 'pr_url', 'branch', 'validation', 'overlap_with', 'attempts', 'max_attempts', 'retry_after', 'last_failure', 'started_at', 'completed_at', 'result']),
   workers: new Set(['status', 'domain', 'worktree_path', 'branch', 'tmux_session', 'tmux_window', 'pid', 'current_task_id', 'claimed_by', 'last_heartbeat', 'launched_at', 'tasks_completed']),
-  merge_queue: new Set(['status', 'priority', 'merged_at', 'error']),
+  merge_queue: new Set(['status', 'priority', 'merged_at', 'merge_commit', 'error']),
   changes: new Set(['description', 'domain', 'file_path', 'function_name', 'tooltip', 'enabled', 'status']),
+  schedules: new Set(['name', 'cron', 'description', 'priority', 'next_run_at', 'last_run_at', 'last_request_id']),
 });
 
 function validateColumns(table, fields) {
@@ -31,6 +34,10 @@ function getDbPath(projectDir) {
   return path.join(stateDir, 'mac10.db');
 }
 
+function getBackupDir(projectDir) {
+  return path.join(projectDir, '.claude', 'state', 'backups');
+}
+
 function init(projectDir) {
   if (db) return db;
   const dbPath = getDbPath(projectDir);
@@ -42,19 +49,7 @@ function init(projectDir) {
 
   // Run migrations BEFORE schema (schema creates indexes on columns that
   // may not exist in older databases; migrations must add them first).
-  const existingTables = db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all().map(t => t.name);
-  if (existingTables.includes('workers')) {
-    const cols = db.prepare("PRAGMA table_info(workers)").all().map(c => c.name);
-    if (!cols.includes('claimed_by')) {
-      db.exec("ALTER TABLE workers ADD COLUMN claimed_by TEXT");
-    }
-  }
-  if (existingTables.includes('tasks')) {
-    const taskCols = db.prepare("PRAGMA table_info(tasks)").all().map(c => c.name);
-    if (!taskCols.includes('overlap_with')) {
-      db.exec("ALTER TABLE tasks ADD COLUMN overlap_with TEXT");
-    }
-  }
+  const migration = migrator.migrate(db, { backupDir: getBackupDir(projectDir) });
 
   // Now safe to run full schema (CREATE TABLE IF NOT EXISTS + indexes)
   const schema = fs.readFileSync(path.join(__dirname, 'schema.sql'), 'utf8');
@@ -62,6 +57,9 @@ function init(projectDir) {
 
   // Store project dir in config
   db.prepare('UPDATE config SET value = ? WHERE key = ?').run(projectDir, 'project_dir');
+  if (migration.applied.length > 0) {
+    log('coordinator', 'schema_migrated', migration);
+  }
   return db;
 }
 
@@ -76,15 +74,54 @@ function getDb() {
 
 // --- Request helpers ---
 
-function createRequest(description) {
+const PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+const priorityOrderSql = (col) =>
+  `CASE ${col} WHEN 'urgent' THEN 0 WHEN 'high' THEN 1 WHEN 'normal' THEN 2 WHEN 'low' THEN 3 END`;
+
+const MERGE_STRATEGIES = ['merge', 'squash', 'rebase'];
+const TARGET_BRANCH_RE = /^(?!-)[a-zA-Z0-9._\/-]+$/;
+
+// A safe character set, and a name git itself accepts for a branch
+function isValidBranchName(name) {
+  if (!TARGET_BRANCH_RE.test(name)) return false;
+  try {
+    execFileSync('git', ['check-ref-format', '--branch', name], { stdio: 'pipe', timeout: 10000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function validateMergeOverrides(targetBranch, mergeStrategy) {
+  if (targetBranch != null && !isValidBranchName(targetBranch)) throw new Error(`Invalid target branch: ${targetBranch}`);
+  if (mergeStrategy != null && !MERGE_STRATEGIES.includes(mergeStrategy)) {
+    throw new Error(`merge strategy must be one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+}
+
+// `triage: false` skips the architect (the caller supplies tier and tasks);
+// `suggestedTier` is passed along to the architect as a hint.
+// `targetBranch` / `mergeStrategy` override the project's merge config for this request.
+function createRequest(description, {
+  priority = 'normal', actor = 'user', triage = true, suggestedTier = null, targetBranch = null, mergeStrategy = null,
+} = {}) {
+  if (!PRIORITIES.includes(priority)) throw new Error(`priority must be one of: ${PRIORITIES.join(', ')}`);
+  validateMergeOverrides(targetBranch, mergeStrategy);
   const id = 'req-' + crypto.randomBytes(4).toString('hex');
+  const defaults = LIMIT_FIELDS.map(f => configLimit(`default_${f}`));
   const txn = getDb().transaction(() => {
     getDb().prepare(`
-      INSERT INTO requests (id, description) VALUES (?, ?)
-    `).run(id, description);
-    sendMail('architect', 'new_request', { request_id: id, description });
+      INSERT INTO requests (id, description, priority, target_branch, merge_strategy, ${LIMIT_FIELDS.join(', ')})
+      VALUES (?, ?, ?, ?, ?, ${LIMIT_FIELDS.map(() => '?').join(', ')})
+    `).run(id, description, priority, targetBranch, mergeStrategy, ...defaults);
+    if (triage) {
+      const mail = { request_id: id, description, priority };
+      if (suggestedTier) mail.suggested_tier = suggestedTier;
+      sendMail('architect', 'new_request', mail);
+    }
     sendMail('master-1', 'request_acknowledged', { request_id: id, description });
-    log('user', 'request_created', { request_id: id, description });
+    log(actor, 'request_created', { request_id: id, description, priority });
+    emitEvent('request_created', { request_id: id, description, priority });
   });
   txn();
   return id;
@@ -94,8 +131,32 @@ function getRequest(id) {
   return getDb().prepare('SELECT * FROM requests WHERE id = ?').get(id);
 }
 
+/** Where and how a request's work lands: its own overrides, else the project config. */
+function getMergeSettings(requestId) {
+  const req = requestId ? getRequest(requestId) : null;
+  return {
+    target_branch: (req && req.target_branch) || getConfig('target_branch') || 'main',
+    merge_strategy: (req && req.merge_strategy) || getConfig('merge_strategy') || 'merge',
+    commit_template: getConfig('merge_commit_template') || '{{subject}} ({{request_id}}, task #{{task_id}})',
+  };
+}
+
+function setRequestPriority(requestId, priority, actor = 'user') {
+  if (!PRIORITIES.includes(priority)) throw new Error(`priority must be one of: ${PRIORITIES.join(', ')}`);
+  const req = getRequest(requestId);
+  if (!req) throw new Error(`Request not found: ${requestId}`);
+  updateRequest(requestId, { priority });
+  log(actor, 'request_priority_set', { request_id: requestId, from: req.priority, to: priority });
+  return getRequest(requestId);
+}
+
 function updateRequest(id, fields) {
   validateColumns('requests', fields);
+  if (fields.status && !['awaiting_clarification', 'completed', 'failed', 'cancelled'].includes(fields.status)
+      && deferToClarification(id, fields.status)) {
+    fields = { ...fields };
+    delete fields.status;
+  }
   const sets = [];
   const vals = [];
   for (const [k, v] of Object.entries(fields)) {
@@ -107,25 +168,42 @@ function updateRequest(id, fields) {
   getDb().prepare(`UPDATE requests SET ${sets.join(', ')} WHERE id = ?`).run(...vals);
 }
 
+// Requests carry their reported usage totals (cost_usd, total_tokens)
 function listRequests(status) {
-  if (status) return getDb().prepare('SELECT * FROM requests WHERE status = ? ORDER BY created_at DESC').all(status);
-  return getDb().prepare('SELECT * FROM requests ORDER BY created_at DESC').all();
+  const sql = `
+    SELECT r.*, COALESCE(u.cost_usd, 0) AS cost_usd, COALESCE(u.total_tokens, 0) AS total_tokens,
+      (SELECT COUNT(*) FROM clarifications c
+        WHERE c.request_id = r.id AND c.author = 'architect' AND c.read_at IS NULL) AS unread_clarifications
+    FROM requests r LEFT JOIN (${USAGE_BY_REQUEST_SQL}) u ON u.request_id = r.id
+    ${status ? 'WHERE r.status = ?' : ''}
+    ORDER BY r.created_at DESC`;
+  return status ? getDb().prepare(sql).all(status) : getDb().prepare(sql).all();
 }
 
 // --- Task helpers ---
 
-function createTask({ request_id, subject, description, domain, files, priority, tier, depends_on, validation }) {
+function createTask({ request_id, subject, description, domain, files, priority, tier, depends_on, validation, max_attempts }) {
+  const deps = normalizeDependsOn(depends_on);
+  if (deps.length > 0) {
+    const errors = validateDependencies(request_id, deps);
+    if (errors.length > 0) throw new Error(`Invalid depends_on: ${errors.join('; ')}`);
+  }
+  if (max_attempts !== undefined && max_attempts !== null && !(Number.isInteger(max_attempts) && max_attempts >= 1)) {
+    throw new Error('max_attempts must be a positive integer');
+  }
+  assertTaskLimit(request_id, 1);
   const result = getDb().prepare(`
-    INSERT INTO tasks (request_id, subject, description, domain, files, priority, tier, depends_on, validation)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO tasks (request_id, subject, description, domain, files, priority, tier, depends_on, validation, max_attempts)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     request_id, subject, description,
     domain || null,
     files ? JSON.stringify(files) : null,
     priority || 'normal',
     tier || 3,
-    depends_on ? JSON.stringify(depends_on) : null,
-    validation ? JSON.stringify(validation) : null
+    deps.length > 0 ? JSON.stringify(deps) : null,
+    validation ? JSON.stringify(validation) : null,
+    max_attempts || null
   );
   log('coordinator', 'task_created', { task_id: result.lastInsertRowid, request_id, subject });
   return result.lastInsertRowid;
@@ -154,31 +232,46 @@ function listTasks(filters = {}) {
   if (filters.status) { sql += ' AND status = ?'; vals.push(filters.status); }
   if (filters.request_id) { sql += ' AND request_id = ?'; vals.push(filters.request_id); }
   if (filters.assigned_to) { sql += ' AND assigned_to = ?'; vals.push(filters.assigned_to); }
-  sql += ' ORDER BY CASE priority WHEN \'urgent\' THEN 0 WHEN \'high\' THEN 1 WHEN \'normal\' THEN 2 WHEN \'low\' THEN 3 END, id';
+  sql += ` ORDER BY ${priorityOrderSql('priority')}, id`;
   return getDb().prepare(sql).all(...vals);
 }
 
 function getReadyTasks() {
-  // Tasks that are ready and have no unfinished dependencies
+  // Tasks that are ready and have no unfinished dependencies. Excluded: paused
+  // and over-budget requests, requests at their worker or wall-clock limit, and
+  // retries of requests that have used up max_retries.
+  // Ordered by request priority, then task priority; rows carry request_priority
+  // and request_created_at for the scheduler.
   return getDb().prepare(`
-    SELECT * FROM tasks
-    WHERE status = 'ready' AND assigned_to IS NULL
-    ORDER BY CASE priority WHEN 'urgent' THEN 0 WHEN 'high' THEN 1 WHEN 'normal' THEN 2 WHEN 'low' THEN 3 END, id
+    SELECT t.*, req.priority AS request_priority, req.created_at AS request_created_at
+    FROM tasks t JOIN requests req ON req.id = t.request_id
+    WHERE t.status = 'ready' AND t.assigned_to IS NULL
+      AND req.paused_at IS NULL
+      AND t.request_id NOT IN (${OVER_BUDGET_SQL})
+      AND t.request_id NOT IN (${AT_LIMIT_SQL})
+      AND NOT (t.attempts > 0 AND t.request_id IN (${RETRIES_EXHAUSTED_SQL}))
+    ORDER BY ${priorityOrderSql('req.priority')}, ${priorityOrderSql('t.priority')}, t.id
   `).all();
 }
 
 function checkAndPromoteTasks() {
   const d = getDb();
   // Batch promote pending tasks with no dependencies in a single SQL statement
+  // (tasks waiting out a retry backoff stay pending until retry_after passes)
   d.prepare(`
     UPDATE tasks SET status = 'ready', updated_at = datetime('now')
     WHERE status = 'pending' AND (depends_on IS NULL OR depends_on = '[]')
+      AND (retry_after IS NULL OR retry_after <= datetime('now'))
+      AND request_id NOT IN (SELECT id FROM requests WHERE paused_at IS NOT NULL)
   `).run();
 
   // For tasks with dependencies, check each one
-  const pending = d.prepare(
-    "SELECT id, depends_on FROM tasks WHERE status = 'pending' AND depends_on IS NOT NULL AND depends_on != '[]'"
-  ).all();
+  const pending = d.prepare(`
+    SELECT id, request_id, depends_on FROM tasks
+    WHERE status = 'pending' AND depends_on IS NOT NULL AND depends_on != '[]'
+      AND (retry_after IS NULL OR retry_after <= datetime('now'))
+      AND request_id NOT IN (SELECT id FROM requests WHERE paused_at IS NOT NULL)
+  `).all();
   for (const task of pending) {
     let deps;
     try {
@@ -191,15 +284,287 @@ function checkAndPromoteTasks() {
       updateTask(task.id, { status: 'ready' });
       continue;
     }
-    const unfinished = d.prepare(
-      `SELECT COUNT(*) as cnt FROM tasks WHERE id IN (${deps.map(() => '?').join(',')}) AND status != 'completed'`
-    ).get(...deps);
-    if (unfinished.cnt === 0) {
+    const upstream = d.prepare(
+      `SELECT id, status FROM tasks WHERE id IN (${deps.map(() => '?').join(',')})`
+    ).all(...deps);
+    const missing = deps.filter(id => !upstream.some(u => u.id === id));
+    const failed = upstream.filter(u => u.status === 'failed' || u.status === 'blocked');
+    if (missing.length > 0 || failed.length > 0) {
+      const reason = missing.length > 0
+        ? `Blocked: upstream task(s) ${missing.map(id => '#' + id).join(', ')} do not exist`
+        : `Blocked: upstream task(s) ${failed.map(u => `#${u.id} (${u.status})`).join(', ')}`;
+      blockTask(task, reason);
+      continue;
+    }
+    if (upstream.every(u => u.status === 'completed')) {
       updateTask(task.id, { status: 'ready' });
     }
   }
 }
 
+function blockTask(task, reason) {
+  updateTask(task.id, { status: 'blocked', result: reason });
+  sendMail('architect', 'task_blocked', { task_id: task.id, request_id: task.request_id, reason });
+  log('coordinator', 'task_blocked', { task_id: task.id, request_id: task.request_id, reason });
+}
+
+// --- Retry / failure classification ---
+
+const FAILURE_KINDS = ['worker_crash', 'heartbeat_timeout', 'validation_failure', 'agent_error'];
+
+function configInt(key, fallback) {
+  const n = parseInt(getConfig(key), 10);
+  return Number.isNaN(n) ? fallback : n;
+}
+
+/** Backoff before retry number `attempt` (1-based): base * 2^(attempt-1), capped. */
+function getRetryDelaySec(attempt) {
+  const base = configInt('retry_backoff_base_s', 30);
+  const max = configInt('retry_backoff_max_s', 600);
+  return Math.min(base * 2 ** Math.max(attempt - 1, 0), max);
+}
+
+/**
+ * Record a failed attempt. The task goes back to pending behind a backoff
+ * until its attempts run out; then it fails for good and the architect is told.
+ * Returns null if the task already reached a terminal state.
+ */
+function recordTaskFailure(taskId, { kind, error, actor } = {}) {
+  if (!FAILURE_KINDS.includes(kind)) {
+    throw new Error(`Unknown failure kind "${kind}" (expected one of: ${FAILURE_KINDS.join(', ')})`);
+  }
+  const d = getDb();
+  const who = actor || 'coordinator';
+  const txn = d.transaction(() => {
+    const task = getTask(taskId);
+    if (!task || ['completed', 'failed', 'cancelled'].includes(task.status)) return null;
+    const attempts = Math.max(task.attempts, 1);
+    const maxAttempts = task.max_attempts || configInt('task_max_attempts', 3);
+    const detail = error || kind;
+    const outcome = { task_id: task.id, request_id: task.request_id, kind, attempts, max_attempts: maxAttempts };
+
+    if (attempts < maxAttempts) {
+      const delay = getRetryDelaySec(attempts);
+      d.prepare(`
+        UPDATE tasks SET status = 'pending', assigned_to = NULL, started_at = NULL,
+          last_failure = ?, result = ?, retry_after = datetime('now', '+' || ? || ' seconds'),
+          updated_at = datetime('now')
+        WHERE id = ?
+      `).run(kind, detail, delay, task.id);
+      log(who, 'task_retry_scheduled', { ...outcome, retry_in_sec: delay, error: detail });
+      return { ...outcome, retrying: true, retry_in_sec: delay };
+    }
+
+    updateTask(task.id, {
+      status: 'failed',
+      last_failure: kind,
+      result: detail,
+      completed_at: new Date().toISOString(),
+    });
+    sendMail('allocator', 'task_failed', { ...outcome, worker_id: task.assigned_to, error: detail });
+    sendMail('architect', 'task_escalated', { ...outcome, worker_id: task.assigned_to, subject: task.subject, error: detail });
+    log(who, 'task_failed', { ...outcome, error: detail, escalated: true });
+    return { ...outcome, retrying: false };
+  });
+  return txn();
+}
+
+// --- Dependency graph helpers ---
+
+/** Coerce a depends_on field (array, JSON string, or comma-separated string) into task IDs. */
+function normalizeDependsOn(dependsOn) {
+  if (dependsOn === undefined || dependsOn === null || dependsOn === '') return [];
+  let list = dependsOn;
+  if (typeof dependsOn === 'string') {
+    try { list = JSON.parse(dependsOn); } catch { list = dependsOn.split(','); }
+  }
+  if (!Array.isArray(list)) list = [list];
+  return [...new Set(list.map(dep => {
+    const id = typeof dep === 'number' ? dep : parseInt(String(dep).trim().replace(/^#/, ''), 10);
+    if (!Number.isInteger(id) || id <= 0) throw new Error(`Invalid depends_on entry: ${JSON.stringify(dep)}`);
+    return id;
+  }))];
+}
+
+/**
+ * Find a cycle in a dependency graph (Map of task ID -> dependency IDs).
+ * Returns the cycle as an ID path (first ID repeated at the end), or null.
+ * When `roots` is given, only cycles reachable from those IDs are reported.
+ */
+function findDependencyCycle(graph, roots) {
+  const WHITE = 0, GRAY = 1, BLACK = 2;
+  const color = new Map();
+  const starts = roots || [...graph.keys()];
+
+  for (const start of starts) {
+    if (color.get(start) === BLACK) continue;
+    // Iterative DFS: stack of [node, remaining deps]
+    const path = [];
+    const stack = [[start, (graph.get(start) || []).slice()]];
+    color.set(start, GRAY);
+    path.push(start);
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      if (top[1].length === 0) {
+        color.set(top[0], BLACK);
+        stack.pop();
+        path.pop();
+        continue;
+      }
+      const next = top[1].shift();
+      const c = color.get(next) || WHITE;
+      if (c === GRAY) {
+        return path.slice(path.indexOf(next)).concat(next);
+      }
+      if (c === WHITE) {
+        color.set(next, GRAY);
+        path.push(next);
+        stack.push([next, (graph.get(next) || []).slice()]);
+      }
+    }
+  }
+  return null;
+}
+
+function getDependencyGraph(requestId) {
+  const graph = new Map();
+  const rows = getDb().prepare('SELECT id, depends_on FROM tasks WHERE request_id = ?').all(requestId);
+  for (const row of rows) {
+    let deps = [];
+    try { deps = normalizeDependsOn(row.depends_on); } catch {}
+    graph.set(row.id, deps);
+  }
+  return graph;
+}
+
+/** Check that every dependency exists, belongs to the request, and doesn't lead into a cycle. */
+function validateDependencies(requestId, deps) {
+  const errors = [];
+  const lookup = getDb().prepare('SELECT id, request_id FROM tasks WHERE id = ?');
+  for (const dep of deps) {
+    const row = lookup.get(dep);
+    if (!row) errors.push(`task #${dep} does not exist`);
+    else if (row.request_id !== requestId) errors.push(`task #${dep} belongs to another request (${row.request_id})`);
+  }
+  if (errors.length === 0) {
+    const cycle = findDependencyCycle(getDependencyGraph(requestId), deps);
+    if (cycle) errors.push(`dependency cycle ${cycle.map(id => '#' + id).join(' -> ')}`);
+  }
+  return errors;
+}
+
+/** Validate the whole task graph of a request: dangling/foreign refs, cycles, and failed upstreams. */
+function validatePlan(requestId) {
+  const tasks = getDb().prepare('SELECT id, request_id, subject, status, depends_on FROM tasks WHERE request_id = ? ORDER BY id').all(requestId);
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const graph = new Map();
+  const errors = [];
+  const blocked = [];
+  const lookup = getDb().prepare('SELECT id, request_id, status FROM tasks WHERE id = ?');
+
+  for (const task of tasks) {
+    let deps;
+    try {
+      deps = normalizeDependsOn(task.depends_on);
+    } catch (e) {
+      errors.push({ task_id: task.id, error: e.message });
+      graph.set(task.id, []);
+      continue;
+    }
+    graph.set(task.id, deps.filter(dep => byId.has(dep)));
+    for (const dep of deps) {
+      const upstream = byId.get(dep) || lookup.get(dep);
+      if (!upstream) {
+        errors.push({ task_id: task.id, error: `depends on task #${dep}, which does not exist` });
+      } else if (upstream.request_id !== requestId) {
+        errors.push({ task_id: task.id, error: `depends on task #${dep} from another request (${upstream.request_id})` });
+      } else if (upstream.status === 'failed' && task.status !== 'completed') {
+        blocked.push({ task_id: task.id, upstream_id: dep });
+      }
+    }
+  }
+
+  const cycle = findDependencyCycle(graph);
+  if (cycle) {
+    errors.push({ task_id: cycle[0], error: `dependency cycle ${cycle.map(id => '#' + id).join(' -> ')}` });
+  }
+
+  return { request_id: requestId, valid: errors.length === 0, task_count: tasks.length, errors, blocked };
+}
+
+// --- Plan helpers ---
+
+/**
+ * Insert a whole task plan atomically. Each task carries a local `key`;
+ * depends_on entries may name keys from the same plan or existing task IDs.
+ * Returns { task_ids: { key: id }, overlaps: [...] } or throws with nothing inserted.
+ */
+function createPlan(requestId, tasks) {
+  if (!getRequest(requestId)) throw new Error(`Request not found: ${requestId}`);
+  if (!Array.isArray(tasks) || tasks.length === 0) throw new Error('Plan must contain a non-empty "tasks" array');
+  assertTaskLimit(requestId, tasks.length);
+
+  const byKey = new Map();
+  tasks.forEach((t, i) => {
+    if (!t || typeof t !== 'object') throw new Error(`Plan task ${i} must be an object`);
+    const key = t.key === undefined || t.key === null ? '' : String(t.key);
+    if (!key) throw new Error(`Plan task ${i} is missing "key"`);
+    if (byKey.has(key)) throw new Error(`Duplicate plan key "${key}"`);
+    if (typeof t.subject !== 'string' || typeof t.description !== 'string') {
+      throw new Error(`Plan task "${key}" requires string "subject" and "description"`);
+    }
+    byKey.set(key, t);
+  });
+
+  // Key-level graph: only edges between plan keys matter for ordering/cycles
+  const localDeps = (t) => (Array.isArray(t.depends_on) ? t.depends_on : t.depends_on ? [t.depends_on] : [])
+    .filter(d => typeof d === 'string' && byKey.has(d));
+  const graph = new Map([...byKey].map(([key, t]) => [key, localDeps(t)]));
+  const cycle = findDependencyCycle(graph);
+  if (cycle) throw new Error(`Plan has a dependency cycle: ${cycle.join(' -> ')}`);
+
+  // Topological order so every key is inserted after its dependencies
+  const ordered = [];
+  const placed = new Set();
+  const place = (key) => {
+    if (placed.has(key)) return;
+    for (const dep of graph.get(key)) place(dep);
+    placed.add(key);
+    ordered.push(key);
+  };
+  for (const key of byKey.keys()) place(key);
+
+  const txn = getDb().transaction(() => {
+    const ids = {};
+    const overlaps = [];
+    for (const key of ordered) {
+      const t = byKey.get(key);
+      const rawDeps = Array.isArray(t.depends_on) ? t.depends_on : t.depends_on ? [t.depends_on] : [];
+      const deps = rawDeps.map(d => (typeof d === 'string' && byKey.has(d) ? ids[d] : d));
+      const files = parseFilesField(t.files);
+      const taskId = createTask({
+        request_id: requestId,
+        subject: t.subject,
+        description: t.description,
+        domain: t.domain,
+        files,
+        priority: t.priority,
+        tier: t.tier,
+        depends_on: deps,
+        validation: t.validation,
+        max_attempts: t.max_attempts,
+      });
+      ids[key] = taskId;
+      if (deps.length === 0) updateTask(taskId, { status: 'ready' });
+      for (const o of recordOverlaps(taskId, requestId, files)) {
+        overlaps.push({ task_id: taskId, key, overlaps_with: o.task_id, shared_files: o.shared_files });
+      }
+    }
+    return { task_ids: ids, overlaps };
+  });
+  return txn();
+}
+
 // --- Worker helpers ---
 
 function registerWorker(id, worktreePath, branch) {
@@ -225,6 +590,15 @@ function updateWorker(id, fields) {
   getDb().prepare(`UPDATE workers SET ${sets.join(', ')} WHERE id = ?`).run(...vals);
 }
 
+/** request_id -> number of its tasks currently held by workers */
+function getActiveTaskCounts() {
+  const rows = getDb().prepare(`
+    SELECT request_id, COUNT(*) AS n FROM tasks
+    WHERE status IN ${ACTIVE_TASK_STATUSES_SQL} GROUP BY request_id
+  `).all();
+  return new Map(rows.map(r => [r.request_id, r.n]));
+}
+
 function getIdleWorkers() {
   return getDb().prepare("SELECT * FROM workers WHERE status = 'idle' ORDER BY id").all();
 }
@@ -233,6 +607,12 @@ function getAllWorkers() {
   return getDb().prepare('SELECT * FROM workers ORDER BY id').all();
 }
 
+function getLastTaskForWorker(workerId) {
+  return getDb().prepare(
+    'SELECT * FROM tasks WHERE assigned_to = ? ORDER BY COALESCE(completed_at, updated_at) DESC, id DESC LIMIT 1'
+  ).get(workerId);
+}
+
 function claimWorker(workerId, claimer) {
   const result = getDb().prepare(
     "UPDATE workers SET claimed_by = ? WHERE id = ? AND status = 'idle' AND claimed_by IS NULL"
@@ -261,6 +641,466 @@ function checkRequestCompletion(requestId) {
   };
 }
 
+// --- Cancellation ---
+
+/**
+ * Cancel a request and everything hanging off it in one transaction.
+ * Workers holding in-progress tasks get a `terminate` mail; killing their
+ * windows and closing PRs is left to the caller/watchdog.
+ */
+function cancelRequest(requestId, { reason, actor } = {}) {
+  return stopRequest(requestId, 'cancelled', reason || 'Cancelled by user', actor || 'user');
+}
+
+/** Fail a request outright (e.g. a limit was hit); unfinished tasks are cancelled. */
+function failRequest(requestId, { reason, actor } = {}) {
+  return stopRequest(requestId, 'failed', reason || 'Failed', actor || 'coordinator');
+}
+
+// Shared by cancel and fail: stop unfinished tasks (telling their workers to
+// terminate), drop queued merges, and close out the request with `status`.
+function stopRequest(requestId, status, why, who) {
+  const d = getDb();
+  const txn = d.transaction(() => {
+    const req = getRequest(requestId);
+    if (!req) throw new Error(`Request not found: ${requestId}`);
+    if (['completed', 'failed', 'cancelled'].includes(req.status)) {
+      throw new Error(`Request ${requestId} is already ${req.status}`);
+    }
+    const now = new Date().toISOString();
+
+    const cancelledTasks = [];
+    const terminatedWorkers = [];
+    const tasks = d.prepare('SELECT * FROM tasks WHERE request_id = ? ORDER BY id').all(requestId);
+    for (const t of tasks) {
+      if (['pending', 'ready', 'blocked', 'assigned', 'in_progress'].includes(t.status)) {
+        updateTask(t.id, { status: 'cancelled', result: why, completed_at: now });
+        cancelledTasks.push(t.id);
+        if (t.assigned_to && (t.status === 'assigned' || t.status === 'in_progress')) {
+          sendMail(`worker-${t.assigned_to}`, 'terminate', { task_id: t.id, request_id: requestId, reason: why });
+          terminatedWorkers.push(t.assigned_to);
+        }
+      }
+    }
+
+    // PRs that never landed — candidates for closing
+    const prUrls = d.prepare(`
+      SELECT DISTINCT t.pr_url FROM tasks t
+      WHERE t.request_id = ? AND t.pr_url IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM merge_queue mq WHERE mq.task_id = t.id AND mq.status = 'merged')
+    `).all(requestId).map(r => r.pr_url);
+    const removed = d.prepare(
+      "DELETE FROM merge_queue WHERE request_id = ? AND status IN ('pending','ready','conflict')"
+    ).run(requestId);
+    const inFlight = d.prepare(
+      "SELECT COUNT(*) as cnt FROM merge_queue WHERE request_id = ? AND status = 'merging'"
+    ).get(requestId).cnt;
+
+    updateRequest(requestId, { status, result: why, completed_at: now });
+    const summary = {
+      request_id: requestId,
+      previous_status: req.status,
+      cancelled_tasks: cancelledTasks,
+      terminated_workers: terminatedWorkers,
+      removed_merges: removed.changes,
+      in_flight_merges: inFlight,
+      pr_urls: prUrls,
+    };
+    sendMail('master-1', `request_${status}`, { request_id: requestId, reason: why });
+    sendMail('architect', `request_${status}`, { request_id: requestId, reason: why });
+    log(who, `request_${status}`, { ...summary, reason: why });
+    if (status === 'failed') emitEvent('request_failed', { request_id: requestId, reason: why });
+    return summary;
+  });
+  return txn();
+}
+
+// --- Pause / resume ---
+
+/** True if the coordinator is paused, or (given a request ID) that request is. */
+function isPaused(requestId) {
+  if (getConfig('paused') === 'true') return true;
+  if (!requestId) return false;
+  const row = getDb().prepare('SELECT paused_at FROM requests WHERE id = ?').get(requestId);
+  return !!(row && row.paused_at);
+}
+
+function getPauseState() {
+  const pausedRequests = getDb().prepare(
+    'SELECT id FROM requests WHERE paused_at IS NOT NULL ORDER BY id'
+  ).all().map(r => r.id);
+  return { paused: getConfig('paused') === 'true', paused_requests: pausedRequests };
+}
+
+// Seconds of [from, until] after the request's work started: only that part
+// of a pause is taken off its wall-clock limit
+function pausedSeconds(req, from, until) {
+  if (!req.work_started_at) return 0;
+  const start = Math.max(from, Date.parse(req.work_started_at));
+  return Math.max(0, Math.round((until - start) / 1000));
+}
+
+// Credit a finished global pause to every request still in flight. A request
+// that is also paused on its own credits the overlap when it is resumed.
+function creditGlobalPause(since, now) {
+  const rows = getDb().prepare(`
+    SELECT * FROM requests
+    WHERE status NOT IN ('completed', 'failed', 'cancelled') AND work_started_at IS NOT NULL
+  `).all();
+  for (const req of rows) {
+    const until = req.paused_at ? Math.min(now, Date.parse(req.paused_at)) : now;
+    const pausedS = pausedSeconds(req, since, until);
+    if (pausedS > 0) updateRequest(req.id, { paused_s: req.paused_s + pausedS });
+  }
+}
+
+/**
+ * Pause or resume the whole coordinator (requestId null) or a single request.
+ * Paused work keeps its status; in-flight workers are left running.
+ */
+function setPaused(requestId, paused, actor = 'user') {
+  if (requestId) {
+    const req = getRequest(requestId);
+    if (!req) throw new Error(`Request not found: ${requestId}`);
+    if (paused && ['completed', 'failed', 'cancelled'].includes(req.status)) {
+      throw new Error(`Request ${requestId} is already ${req.status}`);
+    }
+    const now = new Date();
+    if (paused) {
+      if (!req.paused_at) updateRequest(requestId, { paused_at: now.toISOString() });
+    } else if (req.paused_at) {
+      // A global pause still running credits its own span when it ends
+      const until = getConfig('paused') === 'true' ? Math.min(now, Date.parse(getConfig('paused_since')) || now) : now;
+      updateRequest(requestId, { paused_at: null, paused_s: req.paused_s + pausedSeconds(req, Date.parse(req.paused_at), until) });
+    }
+    log(actor, paused ? 'request_paused' : 'request_resumed', { request_id: requestId });
+  } else {
+    const wasPaused = getConfig('paused') === 'true';
+    const now = new Date();
+    getDb().transaction(() => {
+      if (paused && !wasPaused) setConfig('paused_since', now.toISOString());
+      if (!paused && wasPaused) {
+        const since = Date.parse(getConfig('paused_since'));
+        if (Number.isFinite(since)) creditGlobalPause(since, now);
+        setConfig('paused_since', '');
+      }
+      setConfig('paused', paused ? 'true' : 'false');
+    })();
+    log(actor, paused ? 'coordinator_paused' : 'coordinator_resumed', {});
+  }
+  if (!paused) {
+    // Fresh heartbeat window so the watchdog doesn't kill workers that waited out the pause
+    getDb().prepare(`
+      UPDATE workers SET last_heartbeat = ?
+      WHERE status IN ('running', 'busy')
+        AND (? IS NULL OR current_task_id IN (SELECT id FROM tasks WHERE request_id = ?))
+    `).run(new Date().toISOString(), requestId || null, requestId || null);
+  }
+  return getPauseState();
+}
+
+// --- Usage accounting and budgets ---
+
+const USAGE_FIELDS = ['input_tokens', 'output_tokens', 'cache_read_tokens', 'cache_write_tokens', 'cost_usd', 'duration_ms'];
+const TOTAL_TOKENS_SQL = 'input_tokens + output_tokens + cache_read_tokens + cache_write_tokens';
+
+const USAGE_BY_REQUEST_SQL = `
+  SELECT request_id, SUM(cost_usd) AS cost_usd, SUM(${TOTAL_TOKENS_SQL}) AS total_tokens
+  FROM usage WHERE request_id IS NOT NULL GROUP BY request_id`;
+
+// IDs of requests whose reported usage has reached one of their budgets
+const OVER_BUDGET_SQL = `
+  SELECT r.id FROM requests r JOIN (${USAGE_BY_REQUEST_SQL}) u ON u.request_id = r.id
+  WHERE (r.budget_usd IS NOT NULL AND u.cost_usd >= r.budget_usd)
+     OR (r.budget_tokens IS NOT NULL AND u.total_tokens >= r.budget_tokens)`;
+
+const USAGE_TOTALS_SELECT = `
+  COUNT(*) AS reports,
+  ${USAGE_FIELDS.map(f => `COALESCE(SUM(${f}), 0) AS ${f}`).join(', ')},
+  COALESCE(SUM(${TOTAL_TOKENS_SQL}), 0) AS total_tokens`;
+
+/** Usage totals, optionally filtered by request_id, task_id, or actor. */
+function getUsageTotals(filters = {}) {
+  let sql = `SELECT ${USAGE_TOTALS_SELECT} FROM usage WHERE 1=1`;
+  const vals = [];
+  if (filters.request_id) { sql += ' AND request_id = ?'; vals.push(filters.request_id); }
+  if (filters.task_id) { sql += ' AND task_id = ?'; vals.push(filters.task_id); }
+  if (filters.actor) { sql += ' AND actor = ?'; vals.push(filters.actor); }
+  return getDb().prepare(sql).get(...vals);
+}
+
+/** Per-task and per-actor usage breakdown for one request. */
+function getUsageBreakdown(requestId) {
+  const d = getDb();
+  const byTask = {};
+  for (const row of d.prepare(`
+    SELECT task_id, ${USAGE_TOTALS_SELECT} FROM usage
+    WHERE request_id = ? AND task_id IS NOT NULL GROUP BY task_id
+  `).all(requestId)) {
+    const { task_id, ...totals } = row;
+    byTask[task_id] = totals;
+  }
+  const byActor = d.prepare(`
+    SELECT actor, ${USAGE_TOTALS_SELECT} FROM usage
+    WHERE request_id = ? GROUP BY actor ORDER BY actor
+  `).all(requestId);
+  return { by_task: byTask, by_actor: byActor };
+}
+
+function getBudgetState(requestId) {
+  const req = getRequest(requestId);
+  if (!req) return null;
+  const { cost_usd, total_tokens } = getUsageTotals({ request_id: requestId });
+  const exceeded = [];
+  if (req.budget_usd !== null && cost_usd >= req.budget_usd) exceeded.push('cost');
+  if (req.budget_tokens !== null && total_tokens >= req.budget_tokens) exceeded.push('tokens');
+  return {
+    budget_usd: req.budget_usd,
+    budget_tokens: req.budget_tokens,
+    cost_usd,
+    total_tokens,
+    exceeded: exceeded.length > 0,
+    exceeded_by: exceeded,
+  };
+}
+
+function isOverBudget(requestId) {
+  const state = getBudgetState(requestId);
+  return !!(state && state.exceeded);
+}
+
+/**
+ * Set or clear (null) a request's budgets; omitted fields are left as they are.
+ * Raising a budget past current usage lets allocation continue.
+ */
+function setBudget(requestId, { budget_usd, budget_tokens } = {}, actor = 'user') {
+  const req = getRequest(requestId);
+  if (!req) throw new Error(`Request not found: ${requestId}`);
+  const fields = {};
+  if (budget_usd !== undefined) {
+    if (budget_usd !== null && !(typeof budget_usd === 'number' && budget_usd > 0)) {
+      throw new Error('budget_usd must be a positive number or null');
+    }
+    fields.budget_usd = budget_usd;
+  }
+  if (budget_tokens !== undefined) {
+    if (budget_tokens !== null && !(Number.isInteger(budget_tokens) && budget_tokens > 0)) {
+      throw new Error('budget_tokens must be a positive integer or null');
+    }
+    fields.budget_tokens = budget_tokens;
+  }
+  if (Object.keys(fields).length === 0) throw new Error('Nothing to set: give budget_usd and/or budget_tokens');
+  updateRequest(requestId, fields);
+  log(actor, 'budget_set', { request_id: requestId, ...fields });
+  return getBudgetState(requestId);
+}
+
+/**
+ * Record token/cost usage for a task (request derived) or directly for a
+ * request (agents working outside a task). When this report pushes the
+ * request over a budget, master-1 is mailed once and allocation stops.
+ */
+function recordUsage(report) {
+  const { task_id, actor, model } = report;
+  let requestId = report.request_id || null;
+  if (!actor) throw new Error('actor is required');
+  if (task_id !== undefined && task_id !== null) {
+    const task = getTask(task_id);
+    if (!task) throw new Error(`Task not found: ${task_id}`);
+    if (requestId && requestId !== task.request_id) {
+      throw new Error(`Task ${task_id} belongs to ${task.request_id}, not ${requestId}`);
+    }
+    requestId = task.request_id;
+  } else if (!requestId) {
+    throw new Error('task_id or request_id is required');
+  } else if (!getRequest(requestId)) {
+    throw new Error(`Request not found: ${requestId}`);
+  }
+  const values = {};
+  for (const f of USAGE_FIELDS) {
+    const v = report[f] === undefined || report[f] === null ? 0 : report[f];
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < 0) throw new Error(`${f} must be a non-negative number`);
+    values[f] = f === 'cost_usd' ? v : Math.round(v);
+  }
+
+  return getDb().transaction(() => {
+    const before = getBudgetState(requestId);
+    const result = getDb().prepare(`
+      INSERT INTO usage (request_id, task_id, actor, model, ${USAGE_FIELDS.join(', ')})
+      VALUES (?, ?, ?, ?, ${USAGE_FIELDS.map(() => '?').join(', ')})
+    `).run(requestId, task_id ?? null, actor, model || null, ...USAGE_FIELDS.map(f => values[f]));
+    const budget = getBudgetState(requestId);
+    if (budget.exceeded && !before.exceeded) {
+      const payload = { request_id: requestId, ...budget };
+      log('coordinator', 'budget_exceeded', payload);
+      sendMail('master-1', 'budget_exceeded', payload);
+    }
+    return { id: result.lastInsertRowid, request_id: requestId, task_id: task_id ?? null, budget };
+  })();
+}
+
+// --- Request limits ---
+
+const LIMIT_FIELDS = ['max_tasks', 'max_workers', 'max_wall_clock_min', 'max_retries', 'max_usage_units'];
+
+const ACTIVE_TASK_STATUSES_SQL = "('assigned', 'in_progress')";
+const RETRIES_USED_SQL = 'SELECT COALESCE(SUM(MAX(attempts - 1, 0)), 0) FROM tasks WHERE request_id = r.id';
+// Usage units are total reported tokens
+const USAGE_UNITS_SQL = `SELECT COALESCE(SUM(${TOTAL_TOKENS_SQL}), 0) FROM usage WHERE request_id = r.id`;
+// Minutes of work since the first assignment, not counting time paused.
+// Rounded to whole seconds first so julianday's float error can't drop a minute.
+const ELAPSED_MIN_SQL = `
+  CASE WHEN r.work_started_at IS NULL THEN 0
+  ELSE MAX(CAST((ROUND((julianday(COALESCE(r.paused_at, 'now')) - julianday(r.work_started_at)) * 86400) - r.paused_s) / 60 AS INTEGER), 0)
+  END`;
+
+// Requests that may not take another worker right now
+const AT_LIMIT_SQL = `
+  SELECT r.id FROM requests r
+  WHERE (r.max_workers IS NOT NULL
+         AND (SELECT COUNT(*) FROM tasks WHERE request_id = r.id AND status IN ${ACTIVE_TASK_STATUSES_SQL}) >= r.max_workers)
+     OR (r.max_wall_clock_min IS NOT NULL AND (${ELAPSED_MIN_SQL}) >= r.max_wall_clock_min)
+     OR (r.max_usage_units IS NOT NULL AND (${USAGE_UNITS_SQL}) >= r.max_usage_units)`;
+
+const RETRIES_EXHAUSTED_SQL = `
+  SELECT r.id FROM requests r
+  WHERE r.max_retries IS NOT NULL AND (${RETRIES_USED_SQL}) >= r.max_retries`;
+
+// Empty config value = no default limit
+function configLimit(key) {
+  const n = parseInt(getConfig(key), 10);
+  return Number.isNaN(n) ? null : n;
+}
+
+function assertTaskLimit(requestId, adding) {
+  const req = getDb().prepare('SELECT max_tasks FROM requests WHERE id = ?').get(requestId);
+  if (!req || req.max_tasks === null) return;
+  const { n } = getDb().prepare('SELECT COUNT(*) AS n FROM tasks WHERE request_id = ?').get(requestId);
+  if (n + adding > req.max_tasks) {
+    log('coordinator', 'task_limit_rejected', { request_id: requestId, existing: n, adding, max_tasks: req.max_tasks });
+    throw new Error(`Request ${requestId} is limited to ${req.max_tasks} tasks (has ${n}, adding ${adding})`);
+  }
+}
+
+/** Each limit with its current value, plus which ones are reached. */
+function getLimitState(requestId) {
+  const row = getDb().prepare(`
+    SELECT r.*,
+      (SELECT COUNT(*) FROM tasks WHERE request_id = r.id) AS tasks,
+      (SELECT COUNT(*) FROM tasks WHERE request_id = r.id AND status IN ${ACTIVE_TASK_STATUSES_SQL}) AS active_workers,
+      (${ELAPSED_MIN_SQL}) AS elapsed_min,
+      (${RETRIES_USED_SQL}) AS retries,
+      (${USAGE_UNITS_SQL}) AS usage_units
+    FROM requests r WHERE r.id = ?
+  `).get(requestId);
+  if (!row) return null;
+  const reached = [];
+  if (row.max_tasks !== null && row.tasks >= row.max_tasks) reached.push('max_tasks');
+  if (row.max_workers !== null && row.active_workers >= row.max_workers) reached.push('max_workers');
+  if (row.max_wall_clock_min !== null && row.elapsed_min >= row.max_wall_clock_min) reached.push('max_wall_clock_min');
+  if (row.max_retries !== null && row.retries >= row.max_retries) reached.push('max_retries');
+  if (row.max_usage_units !== null && row.usage_units >= row.max_usage_units) reached.push('max_usage_units');
+  return {
+    max_tasks: row.max_tasks, tasks: row.tasks,
+    max_workers: row.max_workers, active_workers: row.active_workers,
+    max_wall_clock_min: row.max_wall_clock_min, elapsed_min: row.elapsed_min,
+    max_retries: row.max_retries, retries: row.retries,
+    max_usage_units: row.max_usage_units, usage_units: row.usage_units,
+    reached,
+  };
+}
+
+/** Why `task` may not be handed to a worker under its request's limits, or null. */
+function getLimitBlock(task) {
+  const state = getLimitState(task.request_id);
+  if (!state) return null;
+  if (state.reached.includes('max_workers')) return 'worker_limit';
+  if (state.reached.includes('max_wall_clock_min')) return 'wall_clock_limit';
+  if (state.reached.includes('max_usage_units')) return 'usage_limit';
+  if (task.attempts > 0 && state.reached.includes('max_retries')) return 'retry_limit';
+  return null;
+}
+
+/**
+ * Set or clear (null) request limits; omitted fields are left as they are.
+ * max_retries may be 0 (no retries at all); the others must be positive.
+ */
+function setLimits(requestId, limits = {}, actor = 'user') {
+  const req = getRequest(requestId);
+  if (!req) throw new Error(`Request not found: ${requestId}`);
+  const fields = {};
+  for (const f of LIMIT_FIELDS) {
+    const v = limits[f];
+    if (v === undefined) continue;
+    const min = f === 'max_retries' ? 0 : 1;
+    if (v !== null && !(Number.isInteger(v) && v >= min)) {
+      throw new Error(`${f} must be an integer >= ${min} or null`);
+    }
+    fields[f] = v;
+  }
+  if (Object.keys(fields).length === 0) throw new Error(`Nothing to set: give any of ${LIMIT_FIELDS.join(', ')}`);
+  updateRequest(requestId, fields);
+  log(actor, 'limits_set', { request_id: requestId, ...fields });
+  return getLimitState(requestId);
+}
+
+/** Record that work on a request began; the wall-clock limit counts from the first call. */
+function markRequestStarted(requestId) {
+  getDb().prepare('UPDATE requests SET work_started_at = ? WHERE id = ? AND work_started_at IS NULL')
+    .run(new Date().toISOString(), requestId);
+}
+
+/**
+ * Active requests that have hit a ceiling the watchdog fails them for:
+ * wall-clock (unless paused), reported usage units, or retries used up while
+ * a task still waits for another attempt.
+ * Returns [{ request_id, limit, value, max, reason }].
+ */
+function findLimitBreaches() {
+  const d = getDb();
+  const breaches = [];
+  for (const r of d.prepare(`
+    SELECT * FROM (
+      SELECT r.id, r.max_wall_clock_min, (${ELAPSED_MIN_SQL}) AS elapsed_min
+      FROM requests r
+      WHERE r.status NOT IN ('completed', 'failed', 'cancelled') AND r.paused_at IS NULL
+        AND r.max_wall_clock_min IS NOT NULL
+    ) WHERE elapsed_min >= max_wall_clock_min
+  `).all()) {
+    breaches.push({
+      request_id: r.id, limit: 'max_wall_clock_min', value: r.elapsed_min, max: r.max_wall_clock_min,
+      reason: `Wall-clock limit reached: running ${r.elapsed_min} min (max ${r.max_wall_clock_min})`,
+    });
+  }
+  for (const r of d.prepare(`
+    SELECT * FROM (
+      SELECT r.id, r.max_usage_units, (${USAGE_UNITS_SQL}) AS usage_units
+      FROM requests r
+      WHERE r.status NOT IN ('completed', 'failed', 'cancelled') AND r.max_usage_units IS NOT NULL
+    ) WHERE usage_units >= max_usage_units
+  `).all()) {
+    if (breaches.some(b => b.request_id === r.id)) continue;
+    breaches.push({
+      request_id: r.id, limit: 'max_usage_units', value: r.usage_units, max: r.max_usage_units,
+      reason: `Usage limit reached: ${r.usage_units} usage units (tokens) reported (max ${r.max_usage_units})`,
+    });
+  }
+  for (const r of d.prepare(`
+    SELECT r.id, r.max_retries, (${RETRIES_USED_SQL}) AS retries
+    FROM requests r
+    WHERE r.status NOT IN ('completed', 'failed', 'cancelled')
+      AND r.id IN (${RETRIES_EXHAUSTED_SQL})
+      AND EXISTS (SELECT 1 FROM tasks WHERE request_id = r.id AND attempts > 0 AND status IN ('pending', 'ready'))
+  `).all()) {
+    if (breaches.some(b => b.request_id === r.id)) continue;
+    breaches.push({
+      request_id: r.id, limit: 'max_retries', value: r.retries, max: r.max_retries,
+      reason: `Retry limit reached: ${r.retries} retries used (max ${r.max_retries}) and a task failed again`,
+    });
+  }
+  return breaches;
+}
+
 // --- Mail helpers ---
 
 function sendMail(recipient, type, payload = {}) {
@@ -325,19 +1165,28 @@ function checkMailBlocking(recipient, timeoutMs = 300000, pollMs = 1000) {
 // --- Merge queue helpers ---
 
 function enqueueMerge({ request_id, task_id, pr_url, branch, priority }) {
-  // Atomic dedup+insert: prevents TOCTOU race between SELECT and INSERT
+  // Atomic dedup+insert: prevents TOCTOU race between SELECT and INSERT.
+  // Branch-only entries (local merge backend) have no URL and dedup on task + branch.
   getDb().prepare(`
     INSERT INTO merge_queue (request_id, task_id, pr_url, branch, priority)
     SELECT ?, ?, ?, ?, ?
-    WHERE NOT EXISTS (SELECT 1 FROM merge_queue WHERE pr_url = ?)
-  `).run(request_id, task_id, pr_url, branch, priority || 0, pr_url);
+    WHERE NOT EXISTS (
+      SELECT 1 FROM merge_queue WHERE pr_url = ? AND (pr_url != '' OR (task_id = ? AND branch = ?))
+    )
+  `).run(request_id, task_id, pr_url, branch, priority || 0, pr_url, task_id, branch);
 }
 
 function getNextMerge() {
+  return getPendingMerges(1)[0];
+}
+
+/** Pending merges in the order the merger takes them, skipping paused requests. */
+function getPendingMerges(limit = -1) {
   return getDb().prepare(`
     SELECT * FROM merge_queue WHERE status = 'pending'
-    ORDER BY priority DESC, id ASC LIMIT 1
-  `).get();
+      AND request_id NOT IN (SELECT id FROM requests WHERE paused_at IS NOT NULL)
+    ORDER BY priority DESC, id ASC LIMIT ?
+  `).all(limit);
 }
 
 function updateMerge(id, fields) {
@@ -352,6 +1201,23 @@ function updateMerge(id, fields) {
   getDb().prepare(`UPDATE merge_queue SET ${sets.join(', ')} WHERE id = ?`).run(...vals);
 }
 
+function getMergesForRequest(requestId) {
+  return getDb().prepare('SELECT * FROM merge_queue WHERE request_id = ? ORDER BY id').all(requestId);
+}
+
+// --- Post-merge verifications ---
+
+function recordVerification({ request_id, target_branch, commit, passed, check = null }) {
+  getDb().prepare(`
+    INSERT INTO verifications (request_id, target_branch, commit_sha, passed, check_name) VALUES (?, ?, ?, ?, ?)
+  `).run(request_id, target_branch, commit, passed ? 1 : 0, passed ? null : check);
+}
+
+/** The most recent verification run on `targetBranch`, or undefined. */
+function getLastVerification(targetBranch) {
+  return getDb().prepare('SELECT * FROM verifications WHERE target_branch = ? ORDER BY id DESC LIMIT 1').get(targetBranch);
+}
+
 // --- Activity log ---
 
 function log(actor, action, details = {}) {
@@ -367,6 +1233,22 @@ function getLog(limit = 50, actor) {
   return getDb().prepare('SELECT * FROM activity_log ORDER BY id DESC LIMIT ?').all(limit);
 }
 
+/**
+ * Activity log entries that mention a request directly or through one of its
+ * tasks or merges, oldest first (the newest `limit` of them).
+ */
+function getRequestTimeline(requestId, limit = 200) {
+  return getDb().prepare(`
+    SELECT * FROM activity_log
+    WHERE json_valid(details) AND (
+      json_extract(details, '$.request_id') = ?
+      OR json_extract(details, '$.task_id') IN (SELECT id FROM tasks WHERE request_id = ?)
+      OR json_extract(details, '$.merge_id') IN (SELECT id FROM merge_queue WHERE request_id = ?)
+    )
+    ORDER BY id DESC LIMIT ?
+  `).all(requestId, requestId, requestId, limit).reverse();
+}
+
 // --- Config helpers ---
 
 function getConfig(key) {
@@ -375,6 +1257,9 @@ function getConfig(key) {
 }
 
 function setConfig(key, value) {
+  // Merge settings are checked here, so getMergeSettings can trust them
+  if (key === 'target_branch' && value !== '') validateMergeOverrides(String(value), null);
+  if (key === 'merge_strategy' && value !== '') validateMergeOverrides(null, String(value));
   getDb().prepare('INSERT OR REPLACE INTO config (key, value) VALUES (?, ?)').run(key, String(value));
 }
 
@@ -405,8 +1290,342 @@ function deletePreset(id) {
   return result.changes > 0;
 }
 
+// --- Schedule helpers (cron evaluation lives in scheduler.js) ---
+
+function createSchedule({ name, cron, description, priority, next_run_at }) {
+  const result = getDb().prepare(`
+    INSERT INTO schedules (name, cron, description, priority, next_run_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(name, cron, description, priority || 'normal', next_run_at);
+  return Number(result.lastInsertRowid);
+}
+
+function getSchedule(id) {
+  return getDb().prepare('SELECT * FROM schedules WHERE id = ?').get(id);
+}
+
+function listSchedules() {
+  return getDb().prepare(`
+    SELECT s.*,
+      (SELECT COALESCE(SUM(runs), 0) FROM schedule_runs WHERE schedule_id = s.id AND status = 'missed') AS missed_runs
+    FROM schedules s ORDER BY s.next_run_at IS NULL, s.next_run_at, s.id
+  `).all();
+}
+
+// Schedules whose next run is at or before `now` (a datetime('now')-style string)
+function getDueSchedules(now) {
+  return getDb().prepare(
+    'SELECT * FROM schedules WHERE next_run_at IS NOT NULL AND next_run_at <= ? ORDER BY next_run_at, id'
+  ).all(now);
+}
+
+function updateSchedule(id, fields) {
+  validateColumns('schedules', fields);
+  const sets = [];
+  const vals = [];
+  for (const [k, v] of Object.entries(fields)) {
+    sets.push(`${k} = ?`);
+    vals.push(v);
+  }
+  vals.push(id);
+  getDb().prepare(`UPDATE schedules SET ${sets.join(', ')} WHERE id = ?`).run(...vals);
+}
+
+function deleteSchedule(id) {
+  return getDb().transaction(() => {
+    getDb().prepare('DELETE FROM schedule_runs WHERE schedule_id = ?').run(id);
+    return getDb().prepare('DELETE FROM schedules WHERE id = ?').run(id).changes > 0;
+  })();
+}
+
+function recordScheduleRun({ schedule_id, status, scheduled_for, scheduled_until, runs, request_id, error }) {
+  const result = getDb().prepare(`
+    INSERT INTO schedule_runs (schedule_id, status, scheduled_for, scheduled_until, runs, request_id, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(schedule_id, status, scheduled_for, scheduled_until || null, runs || 1, request_id || null, error || null);
+  return Number(result.lastInsertRowid);
+}
+
+function getScheduleRuns(scheduleId, limit = 20) {
+  return getDb().prepare(
+    'SELECT * FROM schedule_runs WHERE schedule_id = ? ORDER BY id DESC LIMIT ?'
+  ).all(scheduleId, limit);
+}
+
+/** Delete run history older than `days`. */
+function purgeOldScheduleRuns(days) {
+  return getDb().prepare(
+    "DELETE FROM schedule_runs WHERE created_at < datetime('now', '-' || ? || ' days')"
+  ).run(days).changes;
+}
+
+// --- Clarification threads ---
+
+// While the architect's latest question is unanswered the request stays in
+// awaiting_clarification: a working status set meanwhile (triage, integration,
+// verification) becomes the one the reply resumes. Returns whether it deferred.
+function deferToClarification(requestId, status) {
+  const d = getDb();
+  const req = d.prepare('SELECT status FROM requests WHERE id = ?').get(requestId);
+  if (!req || req.status !== 'awaiting_clarification') return false;
+  const latest = d.prepare('SELECT author FROM clarifications WHERE request_id = ? ORDER BY id DESC LIMIT 1').get(requestId);
+  if (!latest || latest.author !== 'architect') return false;
+  d.prepare(`
+    UPDATE clarifications SET resume_status = ?
+    WHERE id = (SELECT MAX(id) FROM clarifications WHERE request_id = ? AND resume_status IS NOT NULL)
+  `).run(status, requestId);
+  return true;
+}
+
+/**
+ * Record an architect question, park the request in awaiting_clarification
+ * (remembering its status for the reply), and notify Master-1.
+ */
+function askClarification(requestId, question, actor = 'architect') {
+  return getDb().transaction(() => {
+    const req = getRequest(requestId);
+    if (!req) throw new Error(`Request not found: ${requestId}`);
+    if (['completed', 'failed', 'cancelled'].includes(req.status)) throw new Error(`Request ${requestId} is already ${req.status}`);
+    const parking = req.status !== 'awaiting_clarification';
+    const id = Number(getDb().prepare(
+      "INSERT INTO clarifications (request_id, author, message, resume_status) VALUES (?, 'architect', ?, ?)"
+    ).run(requestId, question, parking ? req.status : null).lastInsertRowid);
+    if (parking) updateRequest(requestId, { status: 'awaiting_clarification' });
+    sendMail('master-1', 'clarification_ask', { request_id: requestId, question, clarification_id: id });
+    log(actor, 'clarification_ask', { request_id: requestId, question });
+    emitEvent('clarification_asked', { request_id: requestId, question });
+    return id;
+  })();
+}
+
+/**
+ * Record the user's answer, mark the thread read, hand the answer to the
+ * architect, and put the request back in the status it had when asked.
+ */
+function replyClarification(requestId, message, actor = 'user') {
+  return getDb().transaction(() => {
+    const req = getRequest(requestId);
+    if (!req) throw new Error(`Request not found: ${requestId}`);
+    const id = Number(getDb().prepare(
+      "INSERT INTO clarifications (request_id, author, message) VALUES (?, 'user', ?)"
+    ).run(requestId, message).lastInsertRowid);
+    markClarificationsRead(requestId);
+    let status = req.status;
+    if (req.status === 'awaiting_clarification') {
+      const parked = getDb().prepare(
+        'SELECT resume_status FROM clarifications WHERE request_id = ? AND resume_status IS NOT NULL ORDER BY id DESC LIMIT 1'
+      ).get(requestId);
+      status = parked ? parked.resume_status : 'pending';
+      updateRequest(requestId, { status });
+    }
+    sendMail('architect', 'clarification_reply', { request_id: requestId, message, clarification_id: id });
+    log(actor, 'clarification_reply', { request_id: requestId, message, status });
+    return { id, status };
+  })();
+}
+
+function getClarifications(requestId) {
+  return getDb().prepare('SELECT * FROM clarifications WHERE request_id = ? ORDER BY id').all(requestId);
+}
+
+function markClarificationsRead(requestId) {
+  return getDb().prepare(
+    "UPDATE clarifications SET read_at = datetime('now') WHERE request_id = ? AND author = 'architect' AND read_at IS NULL"
+  ).run(requestId).changes;
+}
+
+// --- Lifecycle events and webhooks (HTTP delivery lives in webhooks.js) ---
+
+const LIFECYCLE_EVENTS = [
+  'request_created', 'request_completed', 'request_failed', 'clarification_asked',
+  'merge_failed', 'functional_conflict', 'worker_death',
+];
+
+function normalizeWebhookEvents(events) {
+  if (events === undefined || events === null || events === '*') return '*';
+  const list = Array.isArray(events) ? events : String(events).split(',');
+  const names = [...new Set(list.map(e => String(e).trim()).filter(Boolean))];
+  if (names.length === 0 || names.includes('*')) return '*';
+  const unknown = names.filter(e => !LIFECYCLE_EVENTS.includes(e));
+  if (unknown.length > 0) throw new Error(`Unknown webhook event(s): ${unknown.join(', ')} (valid: ${LIFECYCLE_EVENTS.join(', ')})`);
+  return JSON.stringify(names);
+}
+
+function webhookMatches(hook, event) {
+  return hook.events === '*' || JSON.parse(hook.events).includes(event);
+}
+
+function createWebhook({ url, events, secret }) {
+  let parsed;
+  try { parsed = new URL(url); } catch { parsed = null; }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) throw new Error(`Webhook URL must be http(s): ${url}`);
+  const result = getDb().prepare('INSERT INTO webhooks (url, events, secret) VALUES (?, ?, ?)')
+    .run(parsed.toString(), normalizeWebhookEvents(events), secret || null);
+  return Number(result.lastInsertRowid);
+}
+
+function getWebhook(id) {
+  return getDb().prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+}
+
+// Secrets never leave the coordinator: listings only say whether one is set
+function listWebhooks() {
+  return getDb().prepare(`
+    SELECT w.id, w.url, w.events, w.secret IS NOT NULL AS has_secret, w.enabled, w.created_at,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending') AS pending,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') AS failed,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'delivered') AS delivered
+    FROM webhooks w ORDER BY w.id
+  `).all().map(w => ({
+    ...w,
+    events: w.events === '*' ? '*' : JSON.parse(w.events),
+    has_secret: !!w.has_secret,
+    enabled: !!w.enabled,
+  }));
+}
+
+function setWebhookEnabled(id, enabled) {
+  return getDb().prepare('UPDATE webhooks SET enabled = ? WHERE id = ?').run(enabled ? 1 : 0, id).changes > 0;
+}
+
+function deleteWebhook(id) {
+  return getDb().transaction(() => {
+    getDb().prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+    return getDb().prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+  })();
+}
+
+/**
+ * Record a lifecycle event (tailed by `mac10 watch` and the dashboard) and
+ * queue it for every enabled webhook subscribed to it. Called inside the same
+ * transaction as the state change, so a rolled-back change emits nothing.
+ * Returns the event id.
+ */
+function emitEvent(event, data = {}) {
+  if (!LIFECYCLE_EVENTS.includes(event)) throw new Error(`Unknown lifecycle event: ${event}`);
+  const payload = { ...data };
+  if (payload.request_id && payload.description === undefined) {
+    const req = getRequest(payload.request_id);
+    if (req) payload.description = req.description;
+  }
+  const id = Number(getDb().prepare('INSERT INTO events (event, request_id, data) VALUES (?, ?, ?)')
+    .run(event, payload.request_id || null, JSON.stringify(payload)).lastInsertRowid);
+
+  const hooks = getDb().prepare('SELECT id, events FROM webhooks WHERE enabled = 1').all()
+    .filter(h => webhookMatches(h, event));
+  if (hooks.length === 0) return id;
+  const projectDir = getConfig('project_dir') || '';
+  const body = JSON.stringify({
+    id,
+    event,
+    project: projectDir ? path.basename(projectDir) : '',
+    emitted_at: new Date().toISOString(),
+    data: payload,
+  });
+  const insert = getDb().prepare('INSERT INTO webhook_deliveries (webhook_id, event, payload) VALUES (?, ?, ?)');
+  for (const h of hooks) insert.run(h.id, event, body);
+  return id;
+}
+
+/** Events after `sinceId`, oldest first, optionally limited to some event names. */
+function getEvents(sinceId = 0, { events, limit = 100 } = {}) {
+  let sql = 'SELECT * FROM events WHERE id > ?';
+  const vals = [sinceId];
+  if (events && events.length > 0) {
+    sql += ` AND event IN (${events.map(() => '?').join(',')})`;
+    vals.push(...events);
+  }
+  sql += ' ORDER BY id LIMIT ?';
+  vals.push(limit);
+  return getDb().prepare(sql).all(...vals).map(e => ({ ...e, data: JSON.parse(e.data) }));
+}
+
+function getLastEventId() {
+  return getDb().prepare('SELECT COALESCE(MAX(id), 0) AS id FROM events').get().id;
+}
+
+function getDueDeliveries(limit = 20) {
+  return getDb().prepare(`
+    SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status = 'pending' AND w.enabled = 1 AND d.next_attempt_at <= datetime('now')
+    ORDER BY d.id LIMIT ?
+  `).all(limit);
+}
+
+/** Backoff before retry number `attempt` (1-based), same shape as task retries. */
+function getWebhookRetryDelaySec(attempt) {
+  const base = configInt('webhook_backoff_base_s', 30);
+  const max = configInt('webhook_backoff_max_s', 3600);
+  return Math.min(base * Math.pow(2, Math.max(attempt - 1, 0)), max);
+}
+
+/**
+ * Record one delivery attempt. Success marks it delivered; a failure is
+ * rescheduled with backoff until webhook_max_attempts, then marked failed.
+ */
+function recordDeliveryAttempt(id, { ok, response_status, error } = {}) {
+  const d = getDb();
+  const delivery = d.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+  if (!delivery) throw new Error(`Delivery not found: ${id}`);
+  const attempts = delivery.attempts + 1;
+  if (ok) {
+    d.prepare(`
+      UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, last_error = NULL,
+        delivered_at = datetime('now') WHERE id = ?
+    `).run(attempts, response_status ?? null, id);
+    return 'delivered';
+  }
+  if (attempts >= configInt('webhook_max_attempts', 8)) {
+    d.prepare("UPDATE webhook_deliveries SET status = 'failed', attempts = ?, response_status = ?, last_error = ? WHERE id = ?")
+      .run(attempts, response_status ?? null, error || null, id);
+    log('coordinator', 'webhook_delivery_failed', { delivery_id: id, webhook_id: delivery.webhook_id, event: delivery.event, attempts, error });
+    return 'failed';
+  }
+  d.prepare(`
+    UPDATE webhook_deliveries SET attempts = ?, response_status = ?, last_error = ?,
+      next_attempt_at = datetime('now', ?) WHERE id = ?
+  `).run(attempts, response_status ?? null, error || null, `+${getWebhookRetryDelaySec(attempts)} seconds`, id);
+  return 'retrying';
+}
+
+/** Put a failed (or still pending) delivery back at the front of the queue. */
+function redeliver(id) {
+  const result = getDb().prepare(`
+    UPDATE webhook_deliveries SET status = 'pending', next_attempt_at = datetime('now')
+    WHERE id = ? AND status != 'delivered'
+  `).run(id);
+  return result.changes > 0;
+}
+
+function listDeliveries({ webhook_id, status, limit = 50 } = {}) {
+  let sql = 'SELECT id, webhook_id, event, status, attempts, next_attempt_at, response_status, last_error, created_at, delivered_at FROM webhook_deliveries WHERE 1=1';
+  const vals = [];
+  if (webhook_id) { sql += ' AND webhook_id = ?'; vals.push(webhook_id); }
+  if (status) { sql += ' AND status = ?'; vals.push(status); }
+  sql += ' ORDER BY id DESC LIMIT ?';
+  vals.push(limit);
+  return getDb().prepare(sql).all(...vals);
+}
+
+/** Delete delivered and failed deliveries older than `days`; pending ones are kept. */
+function purgeOldDeliveries(days) {
+  return getDb().prepare(
+    "DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < datetime('now', '-' || ? || ' days')"
+  ).run(days).changes;
+}
+
 // --- Overlap detection helpers ---
 
+/** Parse a files field into an array. Handles arrays, JSON strings, and comma-separated strings. */
+function parseFilesField(files) {
+  if (Array.isArray(files)) return files;
+  if (typeof files === 'string') {
+    try { return JSON.parse(files); } catch { return files.split(',').map(f => f.trim()); }
+  }
+  return null;
+}
+
 function findOverlappingTasks(requestId, files) {
   if (!files || files.length === 0) return [];
   // Normalize paths: strip leading './'
@@ -430,6 +1649,34 @@ function findOverlappingTasks(requestId, files) {
   return overlaps;
 }
 
+// Record file overlaps for a newly created task on both sides of each pair.
+function recordOverlaps(taskId, requestId, files) {
+  if (!files || files.length === 0) return [];
+  const overlaps = findOverlappingTasks(requestId, files).filter(o => o.task_id !== taskId);
+  if (overlaps.length === 0) return [];
+
+  // Set overlap_with on the new task
+  updateTask(taskId, { overlap_with: JSON.stringify(overlaps.map(o => o.task_id)) });
+  // Update existing overlapping tasks to include the new task
+  for (const o of overlaps) {
+    const existing = getTask(o.task_id);
+    let existingOverlaps = [];
+    if (existing && existing.overlap_with) {
+      try { existingOverlaps = JSON.parse(existing.overlap_with); } catch {}
+    }
+    if (!existingOverlaps.includes(taskId)) {
+      existingOverlaps.push(taskId);
+      updateTask(o.task_id, { overlap_with: JSON.stringify(existingOverlaps) });
+    }
+  }
+  log('coordinator', 'overlap_detected', {
+    task_id: taskId,
+    request_id: requestId,
+    overlaps: overlaps.map(o => ({ task_id: o.task_id, shared_files: o.shared_files })),
+  });
+  return overlaps;
+}
+
 function getOverlapsForRequest(requestId) {
   const tasks = getDb().prepare(
     "SELECT id, subject, files, overlap_with FROM tasks WHERE request_id = ? AND overlap_with IS NOT NULL"
@@ -531,16 +1778,121 @@ function updateChange(id, fields) {
   getDb().prepare(`UPDATE changes SET ${sets.join(', ')} WHERE id = ?`).run(...vals);
 }
 
+// --- Full-text search ---
+
+const SEARCH_KINDS = ['request', 'task', 'log', 'change', 'mail'];
+
+// Per-kind query over the FTS index joined back to its source table.
+// Each yields { id, request_id, title, snippet, created_at, rank }.
+const SEARCH_SQL = {
+  request: `
+    SELECT r.id AS id, r.id AS request_id, r.description AS title,
+      snippet(requests_fts, -1, '[', ']', '…', 12) AS snippet, r.created_at, bm25(requests_fts) AS rank
+    FROM requests_fts JOIN requests r ON r.id = requests_fts.id
+    WHERE requests_fts MATCH ?`,
+  task: `
+    SELECT t.id AS id, t.request_id, t.subject AS title,
+      snippet(tasks_fts, -1, '[', ']', '…', 12) AS snippet, t.created_at, bm25(tasks_fts) AS rank
+    FROM tasks_fts JOIN tasks t ON t.id = tasks_fts.rowid
+    WHERE tasks_fts MATCH ?`,
+  log: `
+    SELECT a.id AS id,
+      CASE WHEN json_valid(a.details) THEN json_extract(a.details, '$.request_id') END AS request_id,
+      a.actor || ': ' || a.action AS title,
+      snippet(activity_log_fts, -1, '[', ']', '…', 12) AS snippet, a.created_at, bm25(activity_log_fts) AS rank
+    FROM activity_log_fts JOIN activity_log a ON a.id = activity_log_fts.rowid
+    WHERE activity_log_fts MATCH ?`,
+  change: `
+    SELECT c.id AS id, NULL AS request_id, c.description AS title,
+      snippet(changes_fts, -1, '[', ']', '…', 12) AS snippet, c.created_at, bm25(changes_fts) AS rank
+    FROM changes_fts JOIN changes c ON c.id = changes_fts.rowid
+    WHERE changes_fts MATCH ?`,
+  mail: `
+    SELECT m.id AS id,
+      CASE WHEN json_valid(m.payload) THEN json_extract(m.payload, '$.request_id') END AS request_id,
+      m.type || ' → ' || m.recipient AS title,
+      snippet(mail_fts, -1, '[', ']', '…', 12) AS snippet, m.created_at, bm25(mail_fts) AS rank
+    FROM mail_fts JOIN mail m ON m.id = mail_fts.rowid
+    WHERE mail_fts MATCH ?`,
+};
+
+const SEARCH_DATE_COLUMN = { request: 'r', task: 't', log: 'a', change: 'c', mail: 'm' };
+
+// Turn free text into a safe FTS5 query: every term is quoted so punctuation
+// (file paths, "auth.js", colons) is never parsed as query syntax. A trailing
+// '*' on a term keeps prefix matching. Returns null when nothing searchable remains.
+function toFtsQuery(text) {
+  const terms = [];
+  for (const raw of String(text || '').split(/\s+/)) {
+    const prefix = raw.length > 1 && raw.endsWith('*');
+    const term = prefix ? raw.slice(0, -1) : raw;
+    if (!/[\p{L}\p{N}]/u.test(term)) continue;
+    terms.push(`"${term.replace(/"/g, '""')}"${prefix ? '*' : ''}`);
+  }
+  return terms.length > 0 ? terms.join(' ') : null;
+}
+
+/**
+ * Search requests, tasks, activity log, changes, and mail.
+ * Options: kinds (subset of SEARCH_KINDS), limit (default 50), days (recency window).
+ * Results are ordered best match first (lower bm25 rank is better).
+ */
+function search(query, { kinds, limit = 50, days } = {}) {
+  const match = toFtsQuery(query);
+  if (!match) return [];
+  const selected = kinds && kinds.length > 0 ? kinds : SEARCH_KINDS;
+  for (const kind of selected) {
+    if (!SEARCH_KINDS.includes(kind)) throw new Error(`Unknown search kind: ${kind}`);
+  }
+  const max = Math.max(1, Math.min(parseInt(limit, 10) || 50, 500));
+  const windowDays = days != null ? parseInt(days, 10) : null;
+  if (windowDays != null && (!Number.isInteger(windowDays) || windowDays < 1)) {
+    throw new Error('days must be a positive integer');
+  }
+
+  const results = [];
+  for (const kind of selected) {
+    let sql = SEARCH_SQL[kind];
+    const vals = [match];
+    if (windowDays != null) {
+      sql += ` AND ${SEARCH_DATE_COLUMN[kind]}.created_at >= datetime('now', ?)`;
+      vals.push(`-${windowDays} days`);
+    }
+    sql += ' ORDER BY rank LIMIT ?';
+    vals.push(max);
+    for (const row of getDb().prepare(sql).all(...vals)) {
+      results.push({ kind, ...row });
+    }
+  }
+  results.sort((a, b) => (a.rank - b.rank) || b.created_at.localeCompare(a.created_at));
+  return results.slice(0, max);
+}
+
 module.exports = {
-  init, close, getDb,
-  createRequest, getRequest, updateRequest, listRequests,
-  createTask, getTask, updateTask, listTasks, getReadyTasks, checkAndPromoteTasks,
-  registerWorker, getWorker, updateWorker, getIdleWorkers, getAllWorkers, claimWorker, releaseWorker, checkRequestCompletion,
+  init, close, getDb, getDbPath, getBackupDir,
+  PRIORITIES, createRequest, getRequest, updateRequest, listRequests, setRequestPriority,
+  MERGE_STRATEGIES, getMergeSettings,
+  createTask, getTask, updateTask, listTasks, getReadyTasks, getActiveTaskCounts, checkAndPromoteTasks,
+  normalizeDependsOn, findDependencyCycle, validateDependencies, validatePlan,
+  cancelRequest, failRequest,
+  LIMIT_FIELDS, getLimitState, getLimitBlock, setLimits, findLimitBreaches, markRequestStarted,
+  isPaused, getPauseState, setPaused,
+  recordUsage, getUsageTotals, getUsageBreakdown, getBudgetState, isOverBudget, setBudget,
+  FAILURE_KINDS, getRetryDelaySec, recordTaskFailure,
+  registerWorker, getWorker, updateWorker, getIdleWorkers, getAllWorkers, getLastTaskForWorker, claimWorker, releaseWorker, checkRequestCompletion,
   sendMail, checkMail, checkMailBlocking, purgeOldMail,
-  enqueueMerge, getNextMerge, updateMerge,
-  log, getLog,
+  enqueueMerge, getNextMerge, getPendingMerges, updateMerge, getMergesForRequest,
+  recordVerification, getLastVerification,
+  log, getLog, getRequestTimeline,
   getConfig, setConfig,
   savePreset, listPresets, getPreset, deletePreset,
-  findOverlappingTasks, getOverlapsForRequest, hasOverlappingMergedTasks,
+  askClarification, replyClarification, getClarifications, markClarificationsRead,
+  LIFECYCLE_EVENTS, emitEvent, getEvents, getLastEventId,
+  createWebhook, getWebhook, listWebhooks, setWebhookEnabled, deleteWebhook,
+  getDueDeliveries, getWebhookRetryDelaySec, recordDeliveryAttempt, redeliver, listDeliveries, purgeOldDeliveries,
+  createSchedule, getSchedule, listSchedules, getDueSchedules, updateSchedule, deleteSchedule, recordScheduleRun, getScheduleRuns, purgeOldScheduleRuns,
+  createPlan,
+  parseFilesField, findOverlappingTasks, recordOverlaps, getOverlapsForRequest, hasOverlappingMergedTasks,
   createChange, getChange, listChanges, updateChange,
+  SEARCH_KINDS, toFtsQuery, search,
 };
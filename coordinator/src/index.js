@@ -6,6 +6,8 @@ const cliServer = require('./cli-server');
 const allocator = require('./allocator');
 const watchdog = require('./watchdog');
 const merger = require('./merger');
+const scheduler = require('./scheduler');
+const webhooks = require('./webhooks');
 const webServer = require('./web-server');
 const tmux = require('./tmux');
 const overlay = require('./overlay');
@@ -92,8 +94,8 @@ const handlers = {
 cliServer.start(projectDir, handlers);
 console.log('CLI server listening.');
 
-// Start allocator loop (every 2s)
-allocator.start(projectDir);
+// Start allocator loop (every 2s) — shares the spawn handler with assign-task
+allocator.start(projectDir, handlers);
 console.log('Allocator running.');
 
 // Start watchdog loop (every 10s)
@@ -104,6 +106,18 @@ console.log('Watchdog running.');
 merger.start(projectDir);
 console.log('Merger running.');
 
+// Start scheduler (every 30s) — files requests for due cron schedules
+scheduler.start({
+  onScheduleRun: (result) => webServer.broadcast({ type: 'schedule_changed', schedule_id: result.schedule_id }),
+});
+console.log('Scheduler running.');
+
+// Start webhook delivery (every 5s) — POSTs queued events, retrying with backoff
+webhooks.start({
+  onDelivery: (result) => webServer.broadcast({ type: 'webhook_delivery', ...result }),
+});
+console.log('Webhook delivery running.');
+
 // Start web dashboard — single dashboard at port 3100 (or next free port)
 // All project coordinators register in the shared instance registry so the
 // dashboard at /api/instances can manage them all from one place.
@@ -129,6 +143,8 @@ console.log('Merger running.');
     allocator.stop();
     watchdog.stop();
     merger.stop();
+    scheduler.stop();
+    webhooks.stop();
     cliServer.stop();
     webServer.stop();
     db.log('coordinator', 'stopped');
@@ -0,0 +1,69 @@
+'use strict';
+
+// git helpers shared by the merge backends and the merge train.
+
+const path = require('path');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+function safeExec(file, args, cwd) {
+  return execFileSync(file, args, { encoding: 'utf8', cwd, timeout: 60000, stdio: 'pipe' }).trim();
+}
+
+// Worktree that has `branch` checked out, if any
+function worktreeForBranch(branch, projectDir) {
+  const output = safeExec('git', ['worktree', 'list', '--porcelain'], projectDir);
+  for (const block of output.split(/\n\n+/)) {
+    const lines = block.split('\n');
+    if (lines.includes(`branch refs/heads/${branch}`)) return lines[0].replace(/^worktree /, '');
+  }
+  return null;
+}
+
+// A branch checked out in a worktree can't be deleted after its PR merges
+function isBranchInWorktree(branch, projectDir) {
+  try {
+    return worktreeForBranch(branch, projectDir) !== null;
+  } catch {
+    return false;
+  }
+}
+
+function hasCommit(sha, cwd) {
+  try {
+    safeExec('git', ['cat-file', '-e', `${sha}^{commit}`], cwd);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isAncestor(ancestor, commit, cwd) {
+  try {
+    safeExec('git', ['merge-base', '--is-ancestor', ancestor, commit], cwd);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function abortInProgress(wtPath) {
+  try { safeExec('git', ['merge', '--abort'], wtPath); } catch {}
+  try { safeExec('git', ['rebase', '--abort'], wtPath); } catch {}
+}
+
+// Detached checkout of `ref` in .worktrees/<name>, cleaned of any earlier use
+function scratchWorktree(projectDir, name, ref) {
+  const wtPath = path.join(projectDir, '.worktrees', name);
+  if (!fs.existsSync(wtPath)) {
+    safeExec('git', ['worktree', 'prune'], projectDir);
+    safeExec('git', ['worktree', 'add', '--detach', wtPath, ref], projectDir);
+  } else {
+    abortInProgress(wtPath);
+    safeExec('git', ['checkout', '--force', '--detach', ref], wtPath);
+    safeExec('git', ['clean', '-fd'], wtPath);
+  }
+  return wtPath;
+}
+
+module.exports = { safeExec, worktreeForBranch, isBranchInWorktree, hasCommit, isAncestor, abortInProgress, scratchWorktree };
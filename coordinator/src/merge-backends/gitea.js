@@ -0,0 +1,76 @@
+'use strict';
+
+// Gitea (and Forgejo) pull requests, through the REST API.
+//   config gitea_url    https://git.example.com (required: Gitea is always self-hosted)
+//   config gitea_token  access token with repository write access
+
+const db = require('../db');
+const rest = require('./rest');
+const { isBranchInWorktree } = require('./git');
+
+function baseUrl() {
+  return rest.normalizeBaseUrl(db.getConfig('gitea_url'));
+}
+
+// https://<host>/<owner>/<repo>/pulls/<index>
+function parseUrl(url) {
+  const base = baseUrl();
+  if (!base || typeof url !== 'string') return null;
+  const match = url.match(new RegExp(`^${rest.escapeRegex(base)}/([a-zA-Z0-9._-]+)/([a-zA-Z0-9._-]+)/pulls/(\\d+)$`));
+  return match ? { base, owner: match[1], repo: match[2], index: match[3] } : null;
+}
+
+function matchesUrl(url) {
+  return parseUrl(url) !== null;
+}
+
+async function api(pr, method, path, body) {
+  const token = db.getConfig('gitea_token');
+  if (!token) throw new Error('gitea_token is not set');
+  const url = `${pr.base}/api/v1/repos/${encodeURIComponent(pr.owner)}/${encodeURIComponent(pr.repo)}${path}`;
+  return (await rest.request(method, url, { headers: { Authorization: `token ${token}` }, body })).data;
+}
+
+async function isMerged(entry) {
+  try {
+    const pr = parseUrl(entry.pr_url);
+    return (await api(pr, 'GET', `/pulls/${pr.index}`)).merged === true;
+  } catch {
+    return false;
+  }
+}
+
+// The merge call answers with no body; the PR has the commit
+async function mergeCommit(pr) {
+  try {
+    return (await api(pr, 'GET', `/pulls/${pr.index}`)).merge_commit_sha || null;
+  } catch {
+    return null;
+  }
+}
+
+async function merge(entry, projectDir, { strategy, message }) {
+  const pr = parseUrl(entry.pr_url);
+  try {
+    await api(pr, 'POST', `/pulls/${pr.index}/merge`, {
+      Do: strategy,
+      MergeTitleField: message,
+      delete_branch_after_merge: !(entry.branch && isBranchInWorktree(entry.branch, projectDir)),
+    });
+    return { success: true, commit: await mergeCommit(pr) };
+  } catch (e) {
+    if (await isMerged(entry)) {
+      db.log('coordinator', 'merge_post_cleanup_warning', { merge_id: entry.id, branch: entry.branch, warning: e.message });
+      return { success: true, commit: await mergeCommit(pr) };
+    }
+    return { success: false, error: e.message };
+  }
+}
+
+async function close(url, projectDir, comment) {
+  const pr = parseUrl(url);
+  await api(pr, 'POST', `/issues/${pr.index}/comments`, { body: comment });
+  await api(pr, 'PATCH', `/pulls/${pr.index}`, { state: 'closed' });
+}
+
+module.exports = { name: 'gitea', remote: 'origin', matchesUrl, merge, isMerged, close, parseUrl };
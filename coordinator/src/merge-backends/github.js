@@ -0,0 +1,63 @@
+'use strict';
+
+// GitHub pull requests, merged with the gh CLI.
+
+const db = require('../db');
+const { safeExec, isBranchInWorktree } = require('./git');
+
+const PR_URL_RE = /^https:\/\/github\.com\/[a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+\/pull\/\d+$/;
+
+function matchesUrl(url) {
+  return PR_URL_RE.test(url);
+}
+
+function isMerged(entry, projectDir) {
+  try {
+    const state = safeExec('gh', ['pr', 'view', entry.pr_url, '--json', 'state', '--jq', '.state'], projectDir);
+    return state === 'MERGED';
+  } catch {
+    return false;
+  }
+}
+
+function mergeCommit(entry, projectDir) {
+  try {
+    return safeExec('gh', ['pr', 'view', entry.pr_url, '--json', 'mergeCommit', '--jq', '.mergeCommit.oid'], projectDir) || null;
+  } catch {
+    return null;
+  }
+}
+
+function merge(entry, projectDir, { strategy, message }) {
+  // Skip --delete-branch if the branch is checked out in a worktree
+  const skipDeleteBranch = entry.branch && isBranchInWorktree(entry.branch, projectDir);
+  const mergeArgs = ['pr', 'merge', entry.pr_url, `--${strategy}`];
+  // Rebase merges keep the PR's own commits, so there is no commit to title
+  if (strategy !== 'rebase') mergeArgs.push('--subject', message);
+  if (!skipDeleteBranch) {
+    mergeArgs.push('--delete-branch');
+  }
+
+  try {
+    safeExec('gh', mergeArgs, projectDir);
+    return { success: true, commit: mergeCommit(entry, projectDir) };
+  } catch (e) {
+    // gh pr merge can fail on post-merge cleanup (e.g. branch deletion)
+    // even though the PR was actually merged. Check the real state.
+    if (isMerged(entry, projectDir)) {
+      db.log('coordinator', 'merge_post_cleanup_warning', {
+        merge_id: entry.id,
+        branch: entry.branch,
+        warning: e.message,
+      });
+      return { success: true, commit: mergeCommit(entry, projectDir) };
+    }
+    return { success: false, error: e.message };
+  }
+}
+
+function close(url, projectDir, comment) {
+  safeExec('gh', ['pr', 'close', url, '--comment', comment], projectDir);
+}
+
+module.exports = { name: 'github', remote: 'origin', matchesUrl, merge, isMerged, close };
@@ -0,0 +1,81 @@
+'use strict';
+
+// GitLab merge requests (gitlab.com or self-managed), through the REST API.
+//   config gitlab_url    https://gitlab.example.com ('' = https://gitlab.com)
+//   config gitlab_token  personal/project access token with the api scope
+
+const db = require('../db');
+const rest = require('./rest');
+const { isBranchInWorktree } = require('./git');
+
+function baseUrl() {
+  return rest.normalizeBaseUrl(db.getConfig('gitlab_url') || 'https://gitlab.com');
+}
+
+// https://<host>/<group>[/<subgroup>...]/<project>/-/merge_requests/<iid>
+function parseUrl(url) {
+  const base = baseUrl();
+  if (!base || typeof url !== 'string') return null;
+  const match = url.match(new RegExp(`^${rest.escapeRegex(base)}/([a-zA-Z0-9._-]+(?:/[a-zA-Z0-9._-]+)+)/-/merge_requests/(\\d+)$`));
+  return match ? { base, project: match[1], iid: match[2] } : null;
+}
+
+function matchesUrl(url) {
+  return parseUrl(url) !== null;
+}
+
+async function api(mr, method, suffix = '', body) {
+  const token = db.getConfig('gitlab_token');
+  if (!token) throw new Error('gitlab_token is not set');
+  const url = `${mr.base}/api/v4/projects/${encodeURIComponent(mr.project)}/merge_requests/${mr.iid}${suffix}`;
+  return (await rest.request(method, url, { headers: { 'PRIVATE-TOKEN': token }, body })).data;
+}
+
+async function isMerged(entry) {
+  try {
+    return (await api(parseUrl(entry.pr_url), 'GET')).state === 'merged';
+  } catch {
+    return false;
+  }
+}
+
+function landedCommit(mr) {
+  return mr.merge_commit_sha || mr.squash_commit_sha || null;
+}
+
+async function mergeCommit(mr) {
+  try {
+    return landedCommit(await api(mr, 'GET'));
+  } catch {
+    return null;
+  }
+}
+
+// GitLab chooses merge commit vs fast-forward per project, not per MR: the
+// 'rebase' strategy needs the project's merge method set to fast-forward.
+async function merge(entry, projectDir, { strategy, message }) {
+  const mr = parseUrl(entry.pr_url);
+  try {
+    const merged = await api(mr, 'PUT', '/merge', {
+      should_remove_source_branch: !(entry.branch && isBranchInWorktree(entry.branch, projectDir)),
+      squash: strategy === 'squash',
+      [strategy === 'squash' ? 'squash_commit_message' : 'merge_commit_message']: message,
+    });
+    return { success: true, commit: landedCommit(merged) };
+  } catch (e) {
+    // Lost a race with another merge, or merged by hand: check the real state
+    if (await isMerged(entry)) {
+      db.log('coordinator', 'merge_post_cleanup_warning', { merge_id: entry.id, branch: entry.branch, warning: e.message });
+      return { success: true, commit: await mergeCommit(mr) };
+    }
+    return { success: false, error: e.message };
+  }
+}
+
+async function close(url, projectDir, comment) {
+  const mr = parseUrl(url);
+  await api(mr, 'POST', '/notes', { body: comment });
+  await api(mr, 'PUT', '', { state_event: 'close' });
+}
+
+module.exports = { name: 'gitlab', remote: 'origin', matchesUrl, merge, isMerged, close, parseUrl };
@@ -0,0 +1,73 @@
+'use strict';
+
+// Merge backends carry out the merger's branch/PR operations. Each exports:
+//
+//   name          backend id, as used in the merge_backend config
+//   remote        remote to fetch before and push after a rebase (null: work on local branches)
+//   matchesUrl    (url) => whether this backend owns a PR/MR URL (omitted: branch-only)
+//   merge         (entry, projectDir, settings) => { success, error, commit }, where settings
+//                 is mergeSettings(entry): { target, strategy, message } and commit is the
+//                 target commit the entry landed as (null when the backend can't tell)
+//   isMerged      (entry, projectDir, settings) => whether the entry has already landed
+//   close         (url, projectDir, comment) — optional; closes an unmerged PR
+//
+// The REST backends (GitLab, Gitea) return promises from all three; callers await.
+//
+// Entries with a PR URL go to the backend that owns the URL (GitLab and Gitea
+// only claim URLs under their configured gitlab_url / gitea_url); entries with
+// only a branch go to the local backend.
+
+const db = require('../db');
+
+const BACKENDS = {
+  github: require('./github'),
+  gitlab: require('./gitlab'),
+  gitea: require('./gitea'),
+  local: require('./local'),
+};
+
+function getBackend(name) {
+  const backend = BACKENDS[name];
+  if (!backend) throw new Error(`Unknown merge backend "${name}". Must be one of: ${Object.keys(BACKENDS).join(', ')}`);
+  return backend;
+}
+
+/** The backend named by the merge_backend config (github by default). */
+function configuredBackend() {
+  return getBackend(db.getConfig('merge_backend') || 'github');
+}
+
+function backendForUrl(url) {
+  return Object.values(BACKENDS).find(b => b.matchesUrl && b.matchesUrl(url)) || null;
+}
+
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (whole, key) => (values[key] !== undefined ? String(values[key]) : whole));
+}
+
+/**
+ * Target branch, strategy, and commit message for a queue entry, from its
+ * request's overrides or the project config (see db.getMergeSettings).
+ */
+function mergeSettings(entry) {
+  const settings = db.getMergeSettings(entry.request_id);
+  const task = db.getTask(entry.task_id);
+  const message = renderTemplate(settings.commit_template, {
+    request_id: entry.request_id,
+    task_id: entry.task_id,
+    subject: task ? task.subject : '',
+    branch: entry.branch,
+    pr_url: entry.pr_url,
+  });
+  return { target: settings.target_branch, strategy: settings.merge_strategy, message };
+}
+
+/** The backend that merges a queue entry. Throws on a PR URL no backend accepts. */
+function backendForEntry(entry) {
+  if (!entry.pr_url) return BACKENDS.local;
+  const backend = backendForUrl(entry.pr_url);
+  if (!backend) throw new Error(`Invalid PR URL: ${entry.pr_url}`);
+  return backend;
+}
+
+module.exports = { BACKENDS, getBackend, configuredBackend, backendForUrl, backendForEntry, mergeSettings };
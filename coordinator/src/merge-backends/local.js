@@ -0,0 +1,81 @@
+'use strict';
+
+// Plain git, no hosting service: worker branches are merged into the target
+// branch inside a dedicated integration worktree (.worktrees/integration), so
+// the user's own checkout is never switched. Nothing is fetched or pushed.
+//   merge   git merge --no-ff, titled with the commit template
+//   squash  one commit with the branch's changes, titled with the template
+//   rebase  the branch's commits replayed onto the target, no merge commit
+
+const path = require('path');
+const db = require('../db');
+const { safeExec, worktreeForBranch, isAncestor, abortInProgress, scratchWorktree } = require('./git');
+
+function integrationPath(projectDir) {
+  return path.join(projectDir, '.worktrees', 'integration');
+}
+
+function prepareIntegrationWorktree(projectDir, ref) {
+  return scratchWorktree(projectDir, 'integration', ref);
+}
+
+// Move the target branch to `commit`. A checkout that holds the branch is
+// fast-forwarded so its files follow; otherwise the ref is moved only if it
+// still points where the merge started.
+function advanceTarget(target, commit, expected, projectDir) {
+  const holder = worktreeForBranch(target, projectDir);
+  if (holder) {
+    safeExec('git', ['merge', '--ff-only', commit], holder);
+  } else {
+    safeExec('git', ['update-ref', `refs/heads/${target}`, commit, expected], projectDir);
+  }
+}
+
+// Squash and rebase landings never make the branch an ancestor of the target,
+// so the entry counts as landed once the commit it was recorded as is on the
+// target, or once every branch commit has an equivalent there
+function isMerged(entry, projectDir, { target }) {
+  if (entry.merge_commit && isAncestor(entry.merge_commit, target, projectDir)) return true;
+  try {
+    return !safeExec('git', ['cherry', target, entry.branch], projectDir).split('\n').some(l => l.startsWith('+'));
+  } catch {
+    return false;
+  }
+}
+
+function merge(entry, projectDir, settings) {
+  const { target, strategy, message } = settings;
+  if (!entry.branch) return { success: false, error: 'Local merges need a branch' };
+  let wtPath = null;
+  try {
+    safeExec('git', ['rev-parse', '--verify', `refs/heads/${entry.branch}`], projectDir);
+    safeExec('git', ['rev-parse', '--verify', `refs/heads/${target}`], projectDir);
+    if (isMerged(entry, projectDir, settings)) return { success: true, commit: entry.merge_commit || null };
+    const before = safeExec('git', ['rev-parse', target], projectDir);
+
+    if (strategy === 'rebase') {
+      // Replay a detached copy of the branch; the worker's branch is left alone
+      wtPath = prepareIntegrationWorktree(projectDir, entry.branch);
+      safeExec('git', ['rebase', target], wtPath);
+    } else {
+      wtPath = prepareIntegrationWorktree(projectDir, target);
+      if (strategy === 'squash') {
+        safeExec('git', ['merge', '--squash', entry.branch], wtPath);
+        safeExec('git', ['commit', '-m', message], wtPath);
+      } else {
+        safeExec('git', ['merge', '--no-ff', '-m', message, entry.branch], wtPath);
+      }
+    }
+    const after = safeExec('git', ['rev-parse', 'HEAD'], wtPath);
+    // Recorded first, so a retry after a crash here still finds it landed
+    db.updateMerge(entry.id, { merge_commit: after });
+    advanceTarget(target, after, before, projectDir);
+    return { success: true, commit: after };
+  } catch (e) {
+    if (wtPath) abortInProgress(wtPath);
+    // git reports conflicts on stdout
+    return { success: false, error: [e.stdout, e.stderr].filter(Boolean).join('\n').trim() || e.message };
+  }
+}
+
+module.exports = { name: 'local', remote: null, merge, isMerged, integrationPath };
@@ -0,0 +1,51 @@
+'use strict';
+
+// JSON-over-HTTPS for the hosted merge backends, on the event loop so a slow
+// forge doesn't stall heartbeats, the CLI socket, or the dashboard.
+
+const db = require('../db');
+
+// The token goes with every call, so plain http is only allowed to this machine
+const BASE_URL_RE = /^(?:https:\/\/[a-zA-Z0-9.-]+|http:\/\/(?:localhost|127\.0\.0\.1|\[::1\]))(?::\d+)?(?:\/[a-zA-Z0-9._-]+)*$/;
+
+/** A configured forge URL without trailing slashes, or null if calls may not go to it. */
+function normalizeBaseUrl(url) {
+  const base = (url || '').replace(/\/+$/, '');
+  return BASE_URL_RE.test(base) ? base : null;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Make one request. Resolves { status, data } where data is the parsed JSON
+ * body (or raw text). Rejects on network errors, timeouts, and non-2xx
+ * responses, with the service's own message when it sends one.
+ */
+async function request(method, url, { headers = {}, body } = {}) {
+  const timeout = parseInt(db.getConfig('forge_timeout_ms')) || 30000;
+  let res;
+  let text;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: { Accept: 'application/json', ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeout),
+    });
+    text = await res.text();
+  } catch (e) {
+    const error = e.name === 'TimeoutError' ? `timed out after ${timeout}ms` : (e.cause && e.cause.message) || e.message;
+    throw new Error(`${method} ${url} failed: ${error}`);
+  }
+  let data = text;
+  try { data = JSON.parse(text); } catch {}
+  if (res.status < 200 || res.status >= 300) {
+    const detail = data && typeof data === 'object' ? (data.message || data.error || JSON.stringify(data)) : data;
+    throw new Error(`${method} ${url} returned ${res.status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+  }
+  return { status: res.status, data };
+}
+
+module.exports = { request, normalizeBaseUrl, escapeRegex };
@@ -4,17 +4,19 @@ const { execFileSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const db = require('./db');
+const metrics = require('./metrics');
+const checks = require('./checks');
+const mergeBackends = require('./merge-backends');
+const git = require('./merge-backends/git');
 
 const BRANCH_RE = /^[a-zA-Z0-9._\/-]+$/;
-const PR_URL_RE = /^https:\/\/github\.com\/[a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+\/pull\/\d+$/;
 
+// Returns the backend that will merge the entry
 function validateEntry(entry) {
   if (entry.branch && !BRANCH_RE.test(entry.branch)) {
     throw new Error(`Invalid branch name: ${entry.branch}`);
   }
-  if (entry.pr_url && !PR_URL_RE.test(entry.pr_url)) {
-    throw new Error(`Invalid PR URL: ${entry.pr_url}`);
-  }
+  return mergeBackends.backendForEntry(entry);
 }
 
 function safeExec(file, args, cwd) {
@@ -23,17 +25,18 @@ function safeExec(file, args, cwd) {
 
 let processing = false;
 let processingStartedAt = 0;
-const PROCESSING_TIMEOUT_MS = 300000; // 5 minutes — reset flag if stuck
+let passId = 0;
+const PROCESSING_SLOW_MS = 300000; // 5 minutes — report a slow pass once
+const DEFAULT_PASS_TIMEOUT_MS = 3600000;
+let slowPassReported = false;
 let mergerIntervalId = null;
 
 function start(projectDir) {
   // Merger is triggered by task completions, but also runs periodic checks
   mergerIntervalId = setInterval(() => {
-    try {
-      processQueue(projectDir);
-    } catch (e) {
+    processQueue(projectDir).catch((e) => {
       db.log('coordinator', 'merger_error', { error: e.message });
-    }
+    });
   }, 5000);
   db.log('coordinator', 'merger_started');
 }
@@ -58,93 +61,257 @@ function onTaskCompleted(taskId) {
       db.log('coordinator', 'request_ready_for_merge', { request_id: task.request_id });
     } else {
       // No PRs to merge — complete immediately (e.g. verification tasks, already-merged)
-      const result = `All ${allTasks.length} task(s) completed (no PRs to merge)`;
-      db.updateRequest(task.request_id, {
-        status: 'completed',
-        completed_at: new Date().toISOString(),
-        result,
-      });
-      db.sendMail('master-1', 'request_completed', { request_id: task.request_id, result });
-      db.log('coordinator', 'request_completed', { request_id: task.request_id });
+      completeRequest(task.request_id, `All ${allTasks.length} task(s) completed (no PRs to merge)`);
     }
   }
 }
 
-function processQueue(projectDir) {
-  // Reset processing flag if stuck beyond timeout
-  if (processing && processingStartedAt > 0 && (Date.now() - processingStartedAt) > PROCESSING_TIMEOUT_MS) {
-    db.log('coordinator', 'merger_processing_timeout', { stuck_ms: Date.now() - processingStartedAt });
+async function processQueue(projectDir) {
+  // A pass awaiting checks can legitimately run long, and a second pass would
+  // share its scratch worktrees, so a slow pass is reported, not overlapped.
+  // Every command in a pass has its own timeout; one still running after
+  // merger_pass_timeout_ms is hung, and the flag is reset so merging resumes.
+  if (processing) {
+    const elapsed = Date.now() - processingStartedAt;
+    const passTimeout = parseInt(db.getConfig('merger_pass_timeout_ms'), 10) || DEFAULT_PASS_TIMEOUT_MS;
+    if (elapsed <= passTimeout) {
+      if (!slowPassReported && elapsed > PROCESSING_SLOW_MS) {
+        slowPassReported = true;
+        db.log('coordinator', 'merger_processing_slow', { running_ms: elapsed });
+      }
+      return;
+    }
+    db.log('coordinator', 'merger_processing_timeout', { stuck_ms: elapsed });
     processing = false;
   }
-  if (processing) return;
+  if (db.isPaused()) return;
   processing = true;
   processingStartedAt = Date.now();
+  slowPassReported = false;
+  const pass = ++passId;
 
   try {
-    const entry = db.getNextMerge();
-    if (!entry) { processing = false; return; }
-
-    db.updateMerge(entry.id, { status: 'merging' });
-    db.log('coordinator', 'merge_start', { merge_id: entry.id, branch: entry.branch, pr: entry.pr_url });
-
-    const result = attemptMerge(entry, projectDir);
-
-    if (result.success) {
-      db.updateMerge(entry.id, { status: 'merged', merged_at: new Date().toISOString() });
-      db.log('coordinator', 'merge_success', { merge_id: entry.id, branch: entry.branch });
-
-      // Check if entire request is now complete
-      checkRequestCompletion(entry.request_id);
-    } else if (result.functional_conflict) {
-      db.updateMerge(entry.id, { status: 'failed', error: `functional_conflict: ${result.error}` });
-      db.log('coordinator', 'functional_conflict', {
-        merge_id: entry.id,
-        branch: entry.branch,
-        error: result.error,
-      });
+    // Verifications first: a request waiting on one has nothing left to merge
+    const verifying = db.getDb().prepare(
+      "SELECT * FROM requests WHERE status = 'verifying' AND paused_at IS NULL ORDER BY updated_at, id LIMIT 1"
+    ).get();
+    const trainSize = parseInt(db.getConfig('merge_train_size'), 10) || 0;
+    if (verifying) {
+      await verifyRequest(verifying, projectDir);
+    } else if (trainSize >= 2) {
+      await runTrain(projectDir, trainSize);
     } else {
-      db.updateMerge(entry.id, {
-        status: result.conflict ? 'conflict' : 'failed',
-        error: result.error,
-      });
-      db.log('coordinator', 'merge_failed', {
-        merge_id: entry.id,
-        branch: entry.branch,
-        error: result.error,
-        tier: result.tier,
-      });
+      const entry = db.getNextMerge();
+      if (entry) await processEntry(entry, projectDir);
     }
   } finally {
-    processing = false;
+    // A pass given up on must not clear the flag of the one that replaced it
+    if (pass === passId) processing = false;
   }
 }
 
-function attemptMerge(entry, projectDir) {
-  validateEntry(entry);
+async function processEntry(entry, projectDir) {
+  db.updateMerge(entry.id, { status: 'merging' });
+  db.log('coordinator', 'merge_start', { merge_id: entry.id, branch: entry.branch, pr: entry.pr_url });
+  recordResult(entry, await attemptMerge(entry, projectDir));
+}
+
+function recordResult(entry, result) {
+  const outcome = result.success ? 'merged'
+    : result.functional_conflict ? 'functional_conflict'
+      : result.conflict ? 'conflict' : 'failed';
+  metrics.inc('mac10_merge_attempts_total', { tier: result.tier, outcome });
+
+  if (result.success) {
+    db.updateMerge(entry.id, { status: 'merged', merged_at: new Date().toISOString(), merge_commit: result.commit || null });
+    db.log('coordinator', 'merge_success', { merge_id: entry.id, branch: entry.branch });
+
+    // Check if entire request is now complete
+    checkRequestCompletion(entry.request_id);
+  } else if (result.functional_conflict) {
+    db.updateMerge(entry.id, { status: 'failed', error: `functional_conflict: ${result.error}` });
+    db.log('coordinator', 'functional_conflict', {
+      merge_id: entry.id,
+      branch: entry.branch,
+      error: result.error,
+    });
+    db.emitEvent('functional_conflict', {
+      request_id: entry.request_id,
+      task_id: entry.task_id,
+      merge_id: entry.id,
+      branch: entry.branch,
+      pr_url: entry.pr_url,
+      error: result.error,
+    });
+  } else {
+    db.updateMerge(entry.id, {
+      status: result.conflict ? 'conflict' : 'failed',
+      error: result.error,
+    });
+    db.log('coordinator', 'merge_failed', {
+      merge_id: entry.id,
+      branch: entry.branch,
+      error: result.error,
+      tier: result.tier,
+    });
+    db.emitEvent('merge_failed', {
+      request_id: entry.request_id,
+      task_id: entry.task_id,
+      merge_id: entry.id,
+      branch: entry.branch,
+      pr_url: entry.pr_url,
+      conflict: !!result.conflict,
+      error: result.error,
+    });
+  }
+}
+
+// Merge train: stack the next entries that share a backend and target branch
+// on that branch in .worktrees/train, run the project's checks once, and land
+// them all if green. On red, bisect the stack for the first entry whose
+// addition breaks the checks (the target branch itself is assumed green): the
+// entries before it land, it fails, and the ones after it wait for the next
+// train. Entries that don't stack cleanly are merged on their own afterwards.
+// The stack always uses merge commits; the backend lands each entry with its
+// own strategy.
+async function runTrain(projectDir, size) {
+  const pending = db.getPendingMerges();
+  if (pending.length === 0) return;
+  const head = pending[0];
+  let backend;
+  try {
+    backend = validateEntry(head);
+  } catch {
+    return processEntry(head, projectDir);
+  }
+  const target = mergeBackends.mergeSettings(head).target;
+  const cars = [];
+  for (const entry of pending) {
+    if (cars.length >= size) break;
+    try {
+      if (validateEntry(entry) !== backend) continue;
+    } catch { continue; }
+    const settings = mergeBackends.mergeSettings(entry);
+    if (settings.target === target) cars.push({ entry, settings });
+  }
+  // Nothing to batch, or no checks to batch them for
+  const trainChecks = checks.configuredChecks();
+  if (cars.length < 2 || trainChecks.length === 0) return processEntry(head, projectDir);
+
+  for (const { entry } of cars) db.updateMerge(entry.id, { status: 'merging' });
+  db.log('coordinator', 'merge_train_start', { merge_ids: cars.map(c => c.entry.id), target });
+  try {
+    await driveTrain(cars, backend, target, trainChecks, projectDir);
+  } catch (e) {
+    // Cars the error left mid-flight go back in the queue instead of staying
+    // 'merging'; the head then merges on its own so a broken train can't stall it
+    db.log('coordinator', 'merge_train_error', { error: e.message });
+    const requeue = db.getDb().prepare("UPDATE merge_queue SET status = 'pending' WHERE id = ? AND status = 'merging'");
+    let headRequeued = false;
+    for (const { entry } of cars) {
+      if (requeue.run(entry.id).changes > 0 && entry === head) headRequeued = true;
+    }
+    if (headRequeued) await processEntry(head, projectDir);
+  }
+}
+
+async function driveTrain(cars, backend, target, trainChecks, projectDir) {
+  const { remote } = backend;
+  const ref = branch => (remote ? `${remote}/${branch}` : branch);
+  if (remote) git.safeExec('git', ['fetch', remote], projectDir);
+  const wtPath = git.scratchWorktree(projectDir, 'train', ref(target));
+
+  const stacked = [];
+  const skipped = [];
+  for (const car of cars) {
+    try {
+      git.safeExec('git', ['merge', '--no-ff', '-m', car.settings.message, ref(car.entry.branch)], wtPath);
+      stacked.push({ ...car, commit: git.safeExec('git', ['rev-parse', 'HEAD'], wtPath) });
+    } catch {
+      git.abortInProgress(wtPath);
+      skipped.push(car);
+    }
+  }
+
+  let landing = stacked;
+  let waiting = [];
+  let culprit = null;
+  let failure = null;
+  if (stacked.length > 0) {
+    const result = await checks.runChecks(wtPath, trainChecks);
+    if (!result.passed) {
+      // The first `good` entries are known green, the first `bad` known red
+      let good = 0;
+      let bad = stacked.length;
+      failure = result;
+      while (bad - good > 1) {
+        const mid = Math.floor((good + bad) / 2);
+        git.safeExec('git', ['checkout', '--force', '--detach', stacked[mid - 1].commit], wtPath);
+        git.safeExec('git', ['clean', '-fd'], wtPath);
+        const probe = await checks.runChecks(wtPath, trainChecks);
+        if (probe.passed) {
+          good = mid;
+        } else {
+          bad = mid;
+          failure = probe;
+        }
+      }
+      culprit = stacked[bad - 1];
+      landing = stacked.slice(0, bad - 1);
+      waiting = stacked.slice(bad);
+    }
+  }
+
+  for (const car of landing) {
+    const landed = await backend.merge(car.entry, projectDir, car.settings);
+    recordResult(car.entry, landed.success ? { success: true, tier: 'train', commit: landed.commit || null } : await attemptMerge(car.entry, projectDir));
+  }
+  if (culprit) {
+    const error = `Merge train: ${failure.failed} failed once this was stacked on ${target}`
+      + `${landing.length > 0 ? ` after ${landing.length} other entr${landing.length === 1 ? 'y' : 'ies'}` : ''}\n${failure.output}`;
+    escalateToAllocator(culprit.entry, error, true);
+    recordResult(culprit.entry, { success: false, functional_conflict: true, error, tier: 'train' });
+  }
+  for (const { entry } of waiting) db.updateMerge(entry.id, { status: 'pending' });
+  db.log('coordinator', 'merge_train_done', {
+    target,
+    landed: landing.map(c => c.entry.id),
+    failed: culprit ? culprit.entry.id : null,
+    requeued: waiting.map(c => c.entry.id),
+    unstacked: skipped.map(c => c.entry.id),
+  });
+
+  // Conflicts with the target or an earlier entry: the usual rebase tier may still land them
+  for (const { entry } of skipped) await processEntry(entry, projectDir);
+}
+
+async function attemptMerge(entry, projectDir) {
+  const backend = validateEntry(entry);
+  const settings = mergeBackends.mergeSettings(entry);
 
   // Pre-merge: check if overlapping tasks were already merged → run validation
-  const preValidation = runOverlapValidation(entry, projectDir);
+  const preValidation = await runOverlapValidation(entry, projectDir, backend, settings);
   if (preValidation && !preValidation.passed) {
     escalateToAllocator(entry, preValidation.error, true);
     return { success: false, functional_conflict: true, error: preValidation.error, tier: 'validation' };
   }
 
-  // Tier 1: Clean merge via gh CLI
-  const tier1 = tryCleanMerge(entry, projectDir);
-  if (tier1.success) return { success: true, tier: 1 };
+  // Tier 1: Clean merge through the backend
+  const tier1 = await backend.merge(entry, projectDir, settings);
+  if (tier1.success) return { success: true, tier: 1, commit: tier1.commit || null };
 
   // Tier 2: Auto-resolve (rebase and retry)
-  const tier2 = tryRebase(entry, projectDir);
+  const tier2 = tryRebase(entry, projectDir, backend, settings);
   if (tier2.success) {
     // Post-rebase validation if overlapping tasks exist
-    const postValidation = runOverlapValidation(entry, projectDir);
+    const postValidation = await runOverlapValidation(entry, projectDir, backend, settings);
     if (postValidation && !postValidation.passed) {
       escalateToAllocator(entry, postValidation.error, true);
       return { success: false, functional_conflict: true, error: postValidation.error, tier: 'validation' };
     }
     // Rebase succeeded, try clean merge again
-    const retry = tryCleanMerge(entry, projectDir);
-    if (retry.success) return { success: true, tier: 2 };
+    const retry = await backend.merge(entry, projectDir, settings);
+    if (retry.success) return { success: true, tier: 2, commit: retry.commit || null };
   }
 
   // Tiers 1 & 2 failed — escalate to allocator
@@ -177,44 +344,70 @@ function findWorktreePath(entry, projectDir) {
   return null;
 }
 
-function tryRebase(entry, projectDir) {
+function tryRebase(entry, projectDir, backend, { target }) {
   const wtPath = findWorktreePath(entry, projectDir);
-  const rebaseDir = wtPath || projectDir;
+  const { remote } = backend;
+  const baseRef = remote ? `${remote}/${target}` : target;
+  let rebaseDir = wtPath;
 
   try {
-    safeExec('git', ['fetch', 'origin'], rebaseDir);
+    if (remote) safeExec('git', ['fetch', remote], projectDir);
 
     if (wtPath) {
       // Rebase directly in worktree (branch already checked out)
-      safeExec('git', ['rebase', 'origin/main'], wtPath);
-      try {
-        safeExec('git', ['push', '--force-with-lease', 'origin', entry.branch], wtPath);
-      } catch (pushErr) {
-        // Rebase succeeded but push failed — log for diagnosis
-        db.log('coordinator', 'rebase_push_failed', {
-          branch: entry.branch,
-          error: pushErr.message,
-        });
-        throw pushErr;
+      safeExec('git', ['rebase', baseRef], wtPath);
+      if (remote) {
+        try {
+          safeExec('git', ['push', '--force-with-lease', remote, entry.branch], wtPath);
+        } catch (pushErr) {
+          // Rebase succeeded but push failed — log for diagnosis
+          db.log('coordinator', 'rebase_push_failed', {
+            branch: entry.branch,
+            error: pushErr.message,
+          });
+          throw pushErr;
+        }
       }
     } else {
-      // Fallback: old behavior (will fail if worktree holds the branch)
-      safeExec('git', ['checkout', entry.branch], projectDir);
-      safeExec('git', ['rebase', 'origin/main'], projectDir);
-      safeExec('git', ['push', '--force-with-lease', 'origin', entry.branch], projectDir);
-      safeExec('git', ['checkout', 'main'], projectDir);
+      // No worker checkout holds the branch: rebase a detached copy in the
+      // integration worktree and move the branch, leaving the user's checkout alone
+      const local = git.hasCommit(`refs/heads/${entry.branch}`, projectDir);
+      const before = safeExec('git', ['rev-parse', local ? `refs/heads/${entry.branch}` : `${remote}/${entry.branch}`], projectDir);
+      rebaseDir = git.scratchWorktree(projectDir, 'integration', before);
+      safeExec('git', ['rebase', baseRef], rebaseDir);
+      const after = safeExec('git', ['rev-parse', 'HEAD'], rebaseDir);
+      if (remote) safeExec('git', ['push', '--force-with-lease', remote, `${after}:refs/heads/${entry.branch}`], rebaseDir);
+      if (local) safeExec('git', ['update-ref', `refs/heads/${entry.branch}`, after, before], projectDir);
     }
     return { success: true };
   } catch (e) {
-    try { safeExec('git', ['rebase', '--abort'], rebaseDir); } catch {}
-    if (!wtPath) {
-      try { safeExec('git', ['checkout', 'main'], projectDir); } catch {}
-    }
+    if (rebaseDir) git.abortInProgress(rebaseDir);
     return { success: false, error: e.message };
   }
 }
 
-function runOverlapValidation(entry, projectDir) {
+// The project's build (npm run build when no build_cmd is configured), then the
+// task's own validation: a command, or { build_cmd, test_cmd, lint_cmd }
+function overlapChecks(entry) {
+  const list = [{ name: 'build', cmd: (db.getConfig('build_cmd') || '').trim() || 'npm run build' }];
+  const task = db.getTask(entry.task_id);
+  if (task && task.validation) {
+    let validation;
+    try { validation = JSON.parse(task.validation); } catch { validation = task.validation; }
+    if (typeof validation === 'string' && validation.trim()) {
+      list.push({ name: 'validation', cmd: validation.trim() });
+    } else if (typeof validation === 'object' && validation !== null) {
+      for (const key of checks.CHECK_KEYS) {
+        if (validation[key] && typeof validation[key] === 'string' && validation[key].trim()) {
+          list.push({ name: key.replace(/_cmd$/, ''), cmd: validation[key].trim() });
+        }
+      }
+    }
+  }
+  return list;
+}
+
+async function runOverlapValidation(entry, projectDir, backend) {
   // Only validate when merge_validation config is enabled
   const mergeValidation = db.getConfig('merge_validation');
   if (mergeValidation !== 'true') return null;
@@ -230,55 +423,30 @@ function runOverlapValidation(entry, projectDir) {
   });
 
   const wtPath = findWorktreePath(entry, projectDir);
-  const validationDir = wtPath || projectDir;
-
+  let outcome;
   try {
-    safeExec('git', ['fetch', 'origin'], validationDir);
-
-    if (wtPath) {
-      // Validate directly in worktree (branch already checked out)
-      safeExec('npm', ['run', 'build'], wtPath);
-    } else {
-      // Fallback: old behavior
-      safeExec('git', ['checkout', entry.branch], projectDir);
-      safeExec('npm', ['run', 'build'], projectDir);
-    }
+    if (backend.remote) safeExec('git', ['fetch', backend.remote], projectDir);
 
-    // Run task-specific validation if set
-    const task = db.getTask(entry.task_id);
-    if (task && task.validation) {
-      let validation;
-      try { validation = JSON.parse(task.validation); } catch { validation = task.validation; }
-      if (typeof validation === 'string' && validation.trim()) {
-        const parts = validation.trim().split(/\s+/);
-        safeExec(parts[0], parts.slice(1), validationDir);
-      } else if (typeof validation === 'object' && validation !== null) {
-        // Handle structured validation: { test_cmd, build_cmd, lint_cmd }
-        for (const key of ['build_cmd', 'test_cmd', 'lint_cmd']) {
-          if (validation[key] && typeof validation[key] === 'string') {
-            const parts = validation[key].trim().split(/\s+/);
-            safeExec(parts[0], parts.slice(1), validationDir);
-          }
-        }
-      }
-    }
+    // Validate in the worker's worktree (branch already checked out), else in
+    // a detached copy of the branch in the integration worktree
+    const ref = git.hasCommit(`refs/heads/${entry.branch}`, projectDir) ? entry.branch : `${backend.remote}/${entry.branch}`;
+    const validationDir = wtPath || git.scratchWorktree(projectDir, 'integration', ref);
+    outcome = await checks.runChecks(validationDir, overlapChecks(entry));
+  } catch (e) {
+    outcome = { passed: false, failed: 'checkout', command: null, output: e.message };
+  }
 
-    if (!wtPath) {
-      safeExec('git', ['checkout', 'main'], projectDir);
-    }
+  if (outcome.passed) {
     db.log('coordinator', 'overlap_validation_passed', { merge_id: entry.id, task_id: entry.task_id });
     return { passed: true };
-  } catch (e) {
-    if (!wtPath) {
-      try { safeExec('git', ['checkout', 'main'], projectDir); } catch {}
-    }
-    db.log('coordinator', 'overlap_validation_failed', {
-      merge_id: entry.id,
-      task_id: entry.task_id,
-      error: e.message,
-    });
-    return { passed: false, error: e.message };
   }
+  const error = `${outcome.failed} failed${outcome.command ? ` (${outcome.command})` : ''}: ${outcome.output}`;
+  db.log('coordinator', 'overlap_validation_failed', {
+    merge_id: entry.id,
+    task_id: entry.task_id,
+    error,
+  });
+  return { passed: false, error };
 }
 
 function escalateToAllocator(entry, error, isFunctional) {
@@ -302,76 +470,132 @@ function escalateToAllocator(entry, error, isFunctional) {
   });
 }
 
-function isBranchInWorktree(branch, projectDir) {
-  try {
-    const output = safeExec('git', ['worktree', 'list', '--porcelain'], projectDir);
-    // Porcelain format has "branch refs/heads/<name>" lines
-    return output.includes(`branch refs/heads/${branch}`);
-  } catch {
-    return false;
+function checkRequestCompletion(requestId) {
+  const allMerges = db.getDb().prepare(
+    "SELECT * FROM merge_queue WHERE request_id = ?"
+  ).all(requestId);
+
+  const allMerged = allMerges.every(m => m.status === 'merged');
+  if (allMerged && allMerges.length > 0) {
+    finishIntegration(requestId, `All ${allMerges.length} PR(s) merged successfully`);
   }
 }
 
-function isPrMerged(prUrl, projectDir) {
-  try {
-    const state = safeExec('gh', ['pr', 'view', prUrl, '--json', 'state', '--jq', '.state'], projectDir);
-    return state === 'MERGED';
-  } catch {
-    return false;
-  }
+function completeRequest(requestId, result) {
+  db.updateRequest(requestId, {
+    status: 'completed',
+    completed_at: new Date().toISOString(),
+    result,
+  });
+  // Notify Master-1 so the user learns the request is done
+  db.sendMail('master-1', 'request_completed', {
+    request_id: requestId,
+    result,
+  });
+  db.emitEvent('request_completed', { request_id: requestId, result });
+  db.log('coordinator', 'request_completed', { request_id: requestId });
 }
 
-function tryCleanMerge(entry, projectDir) {
-  // Skip --delete-branch if the branch is checked out in a worktree
-  const skipDeleteBranch = entry.branch && isBranchInWorktree(entry.branch, projectDir);
-  const mergeArgs = ['pr', 'merge', entry.pr_url, '--merge'];
-  if (!skipDeleteBranch) {
-    mergeArgs.push('--delete-branch');
+/**
+ * Every merge of a request has landed. With a check command configured, the
+ * request waits in 'verifying' for the merger to check the integrated target
+ * branch (see verifyRequest); otherwise it completes now. Returns the new status.
+ */
+function finishIntegration(requestId, result) {
+  if (db.getConfig('post_merge_verification') !== 'false' && checks.configuredChecks().length > 0) {
+    db.updateRequest(requestId, { status: 'verifying', result });
+    db.log('coordinator', 'request_verifying', { request_id: requestId });
+    return 'verifying';
   }
+  completeRequest(requestId, result);
+  return 'completed';
+}
 
+// Run the project's checks on the request's work as merged, in .worktrees/verify:
+// at the commit its last merge landed as when the backend reported one (so
+// merges after it can't fail it), else at the target branch tip. A failure
+// fails the request and sends the architect the output, so it can file a fix,
+// unless the previous verification on the branch failed the same check at an
+// ancestor commit: that breakage predates the request, which completes
+// unverified instead of taking the blame.
+async function verifyRequest(req, projectDir) {
+  const target = db.getMergeSettings(req.id).target_branch;
+  const merged = db.getMergesForRequest(req.id).filter(m => m.status === 'merged');
+  let remote = null;
   try {
-    safeExec('gh', mergeArgs, projectDir);
-    return { success: true };
+    remote = (merged.length > 0 ? mergeBackends.backendForEntry(merged[0]) : mergeBackends.configuredBackend()).remote;
+  } catch {}
+  const lastLanded = merged.reduce((latest, m) => (!latest || (m.merged_at || '') > (latest.merged_at || '') ? m : latest), null);
+  const ownCommit = lastLanded && lastLanded.merge_commit;
+  let ref = remote ? `${remote}/${target}` : target;
+
+  let commit = null;
+  let outcome;
+  try {
+    if (remote) git.safeExec('git', ['fetch', remote], projectDir);
+    if (ownCommit && git.hasCommit(ownCommit, projectDir)) ref = ownCommit;
+    db.log('coordinator', 'verification_start', { request_id: req.id, ref });
+    const wtPath = git.scratchWorktree(projectDir, 'verify', ref);
+    commit = git.safeExec('git', ['rev-parse', 'HEAD'], wtPath);
+    outcome = await checks.runChecks(wtPath);
   } catch (e) {
-    // gh pr merge can fail on post-merge cleanup (e.g. branch deletion)
-    // even though the PR was actually merged. Check the real state.
-    if (isPrMerged(entry.pr_url, projectDir)) {
-      db.log('coordinator', 'merge_post_cleanup_warning', {
-        merge_id: entry.id,
-        branch: entry.branch,
-        warning: e.message,
-      });
-      return { success: true };
-    }
-    return { success: false, error: e.message };
+    outcome = { passed: false, failed: 'checkout', command: null, output: e.message };
   }
-}
 
+  const previous = commit ? db.getLastVerification(target) : null;
+  if (commit) db.recordVerification({ request_id: req.id, target_branch: target, commit, passed: outcome.passed, check: outcome.failed });
 
-function checkRequestCompletion(requestId) {
-  const allMerges = db.getDb().prepare(
-    "SELECT * FROM merge_queue WHERE request_id = ?"
-  ).all(requestId);
+  if (outcome.passed) {
+    db.log('coordinator', 'verification_passed', { request_id: req.id, ref, commit });
+    completeRequest(req.id, `${req.result || 'Merged'}; verified on ${target} at ${commit.slice(0, 8)}`);
+    return;
+  }
 
-  const allMerged = allMerges.every(m => m.status === 'merged');
-  if (allMerged && allMerges.length > 0) {
-    const result = `All ${allMerges.length} PR(s) merged successfully`;
-    db.updateRequest(requestId, {
-      status: 'completed',
-      completed_at: new Date().toISOString(),
-      result,
-    });
-    // Notify Master-1 so the user learns the request is done
-    db.sendMail('master-1', 'request_completed', {
-      request_id: requestId,
-      result,
+  if (previous && !previous.passed && previous.check_name === outcome.failed
+      && git.isAncestor(previous.commit_sha, commit, projectDir)) {
+    db.log('coordinator', 'verification_failure_inherited', {
+      request_id: req.id, ref, commit, check: outcome.failed, since: previous.commit_sha, since_request_id: previous.request_id,
     });
-    db.log('coordinator', 'request_completed', { request_id: requestId });
+    completeRequest(req.id, `${req.result || 'Merged'}; not verified: ${outcome.failed} already failed on ${target} `
+      + `at ${previous.commit_sha.slice(0, 8)} (${previous.request_id})`);
+    return;
+  }
+
+  const reason = `Post-merge verification failed on ${target}: ${outcome.failed}${outcome.command ? ` (${outcome.command})` : ''}`;
+  db.log('coordinator', 'verification_failed', { request_id: req.id, ref, commit, check: outcome.failed });
+  db.failRequest(req.id, { reason, actor: 'coordinator' });
+  db.sendMail('architect', 'verification_failed', {
+    request_id: req.id,
+    target_branch: target,
+    commit,
+    check: outcome.failed,
+    command: outcome.command,
+    output: outcome.output,
+  });
+}
+
+// Close unmerged PRs (e.g. for a cancelled request). Returns the URLs closed.
+async function closePullRequests(prUrls, projectDir, requestId) {
+  const closed = [];
+  for (const prUrl of prUrls) {
+    const backend = mergeBackends.backendForUrl(prUrl);
+    if (!backend || !backend.close) {
+      db.log('coordinator', 'pr_close_skipped', { pr_url: prUrl, reason: 'invalid_url' });
+      continue;
+    }
+    try {
+      await backend.close(prUrl, projectDir, `Closed by mac10: request ${requestId} was cancelled`);
+      closed.push(prUrl);
+      db.log('coordinator', 'pr_closed', { pr_url: prUrl, request_id: requestId });
+    } catch (e) {
+      db.log('coordinator', 'pr_close_failed', { pr_url: prUrl, request_id: requestId, error: e.message });
+    }
   }
+  return closed;
 }
 
 function stop() {
   if (mergerIntervalId) { clearInterval(mergerIntervalId); mergerIntervalId = null; }
 }
 
-module.exports = { start, stop, onTaskCompleted, processQueue, attemptMerge };
+module.exports = { start, stop, onTaskCompleted, processQueue, attemptMerge, completeRequest, finishIntegration, closePullRequests };
@@ -0,0 +1,141 @@
+'use strict';
+
+// Prometheus text exposition for GET /metrics.
+// Queue depths, worker states, mail backlog, and task durations are read from
+// the database at scrape time. Merge outcomes and watchdog escalations only
+// exist as events, so they are counted in-process (reset on restart, which
+// Prometheus handles as a counter reset).
+
+const path = require('path');
+const db = require('./db');
+
+// Task duration buckets in seconds: 30s .. 2h
+const DURATION_BUCKETS = [30, 60, 120, 300, 600, 1200, 1800, 3600, 7200];
+
+const COUNTERS = {
+  mac10_merge_attempts_total: {
+    help: 'Merge attempts by the tier that resolved them and their outcome.',
+    labels: ['tier', 'outcome'],
+  },
+  mac10_watchdog_escalations_total: {
+    help: 'Watchdog heartbeat escalations by level.',
+    labels: ['level'],
+  },
+};
+
+const counterValues = new Map(); // name -> Map(labelKey -> { labels, value })
+
+function inc(name, labels = {}, by = 1) {
+  if (!COUNTERS[name]) throw new Error(`Unknown counter: ${name}`);
+  if (!counterValues.has(name)) counterValues.set(name, new Map());
+  const series = counterValues.get(name);
+  const key = COUNTERS[name].labels.map(l => String(labels[l] ?? '')).join('\u0000');
+  const entry = series.get(key) || { labels, value: 0 };
+  entry.value += by;
+  series.set(key, entry);
+}
+
+function reset() {
+  counterValues.clear();
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function family(lines, name, type, help, samples) {
+  lines.push(`# HELP ${name} ${help}`);
+  lines.push(`# TYPE ${name} ${type}`);
+  for (const { suffix = '', labels = {}, value } of samples) {
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+  }
+}
+
+// Every allowed status gets a sample (0 when absent) so series don't vanish
+function statusSamples(rows, statuses, label = 'status') {
+  const counts = new Map(rows.map(r => [r.status, r.n]));
+  return statuses.map(s => ({ labels: { [label]: s }, value: counts.get(s) || 0 }));
+}
+
+function taskDurationHistogram(d) {
+  const rows = d.prepare(`
+    SELECT (julianday(completed_at) - julianday(started_at)) * 86400 AS seconds
+    FROM tasks
+    WHERE status = 'completed' AND started_at IS NOT NULL AND completed_at IS NOT NULL
+  `).all();
+  const counts = DURATION_BUCKETS.map(() => 0);
+  let sum = 0;
+  let count = 0;
+  for (const { seconds } of rows) {
+    if (seconds === null || seconds < 0) continue;
+    sum += seconds;
+    count++;
+    DURATION_BUCKETS.forEach((le, i) => { if (seconds <= le) counts[i]++; });
+  }
+  const samples = DURATION_BUCKETS.map((le, i) => ({ suffix: '_bucket', labels: { le: String(le) }, value: counts[i] }));
+  samples.push({ suffix: '_bucket', labels: { le: '+Inf' }, value: count });
+  samples.push({ suffix: '_sum', value: Math.round(sum * 1000) / 1000 });
+  samples.push({ suffix: '_count', value: count });
+  return samples;
+}
+
+/**
+ * Render all metrics as Prometheus text format (version 0.0.4).
+ * `projectDir` is exposed as a label on mac10_info so dashboards can tell
+ * coordinators apart.
+ */
+function render(projectDir) {
+  const d = db.getDb();
+  const lines = [];
+
+  family(lines, 'mac10_info', 'gauge', 'Coordinator identity.', [{
+    labels: { project: projectDir ? path.basename(projectDir) : '' },
+    value: 1,
+  }]);
+
+  family(lines, 'mac10_paused', 'gauge', '1 while the coordinator is paused.', [
+    { value: db.isPaused() ? 1 : 0 },
+  ]);
+
+  family(lines, 'mac10_requests', 'gauge', 'Requests by status.', statusSamples(
+    d.prepare('SELECT status, COUNT(*) AS n FROM requests GROUP BY status').all(),
+    ['pending', 'triaging', 'executing_tier1', 'decomposed', 'in_progress', 'integrating', 'verifying', 'awaiting_clarification', 'completed', 'failed', 'cancelled'],
+  ));
+
+  family(lines, 'mac10_tasks', 'gauge', 'Tasks by status.', statusSamples(
+    d.prepare('SELECT status, COUNT(*) AS n FROM tasks GROUP BY status').all(),
+    ['pending', 'ready', 'assigned', 'in_progress', 'completed', 'failed', 'blocked', 'cancelled'],
+  ));
+
+  family(lines, 'mac10_merge_queue', 'gauge', 'Merge queue entries by status.', statusSamples(
+    d.prepare('SELECT status, COUNT(*) AS n FROM merge_queue GROUP BY status').all(),
+    ['pending', 'ready', 'merging', 'merged', 'conflict', 'failed'],
+  ));
+
+  family(lines, 'mac10_workers', 'gauge', 'Workers by status.', statusSamples(
+    d.prepare('SELECT status, COUNT(*) AS n FROM workers GROUP BY status').all(),
+    ['idle', 'assigned', 'running', 'busy', 'completed_task', 'resetting'],
+  ));
+
+  family(lines, 'mac10_mail_backlog', 'gauge', 'Unconsumed mail by recipient.',
+    d.prepare('SELECT recipient, COUNT(*) AS n FROM mail WHERE consumed = 0 GROUP BY recipient ORDER BY recipient').all()
+      .map(r => ({ labels: { recipient: r.recipient }, value: r.n })));
+
+  family(lines, 'mac10_task_duration_seconds', 'histogram',
+    'Time from start to completion of completed tasks.', taskDurationHistogram(d));
+
+  for (const [name, def] of Object.entries(COUNTERS)) {
+    const series = counterValues.get(name) || new Map();
+    family(lines, name, 'counter', def.help,
+      [...series.values()].map(({ labels, value }) => ({ labels, value })));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { DURATION_BUCKETS, COUNTERS, inc, reset, render };
@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+  description: 'Add workers.claimed_by so the architect can reserve a worker',
+  up(db, { addColumn }) {
+    addColumn(db, 'workers', 'claimed_by', 'TEXT');
+  },
+};
@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+  description: 'Add tasks.overlap_with for file-overlap tracking',
+  up(db, { addColumn }) {
+    addColumn(db, 'tasks', 'overlap_with', 'TEXT');
+  },
+};
@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+  description: "Allow 'cancelled' as a request and task status",
+  up(db, { addStatusValue }) {
+    addStatusValue(db, 'requests', 'cancelled');
+    addStatusValue(db, 'tasks', 'cancelled');
+  },
+};
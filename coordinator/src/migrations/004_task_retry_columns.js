@@ -0,0 +1,11 @@
+'use strict';
+
+module.exports = {
+  description: 'Add attempt tracking and retry backoff columns to tasks',
+  up(db, { addColumn }) {
+    addColumn(db, 'tasks', 'attempts', 'INTEGER NOT NULL DEFAULT 0');
+    addColumn(db, 'tasks', 'max_attempts', 'INTEGER');
+    addColumn(db, 'tasks', 'retry_after', 'TEXT');
+    addColumn(db, 'tasks', 'last_failure', 'TEXT');
+  },
+};
@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+  description: 'Add requests.paused_at for per-request pause',
+  up(db, { addColumn }) {
+    addColumn(db, 'requests', 'paused_at', 'TEXT');
+  },
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+// Creates the FTS5 indexes and fills them from existing rows. The sync
+// triggers live in schema.sql, which runs right after migrations.
+module.exports = {
+  description: 'Add full-text search indexes over requests, tasks, log, changes, and mail',
+  up(db, { hasTable }) {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS requests_fts USING fts5(id UNINDEXED, description, result);
+      CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(subject, description, files, result, content='tasks', content_rowid='id');
+      CREATE VIRTUAL TABLE IF NOT EXISTS activity_log_fts USING fts5(actor, action, details, content='activity_log', content_rowid='id');
+      CREATE VIRTUAL TABLE IF NOT EXISTS changes_fts USING fts5(description, file_path, function_name, tooltip, content='changes', content_rowid='id');
+      CREATE VIRTUAL TABLE IF NOT EXISTS mail_fts USING fts5(recipient, type, payload, content='mail', content_rowid='id');
+    `);
+    db.exec('DELETE FROM requests_fts');
+    if (hasTable(db, 'requests')) {
+      db.exec('INSERT INTO requests_fts (id, description, result) SELECT id, description, result FROM requests');
+    }
+    for (const source of ['tasks', 'activity_log', 'changes', 'mail']) {
+      if (hasTable(db, source)) db.exec(`INSERT INTO ${source}_fts (${source}_fts) VALUES ('rebuild')`);
+    }
+  },
+};
@@ -0,0 +1,10 @@
+'use strict';
+
+// The usage table itself is new and comes from schema.sql.
+module.exports = {
+  description: 'Add requests.budget_usd and requests.budget_tokens',
+  up(db, { addColumn }) {
+    addColumn(db, 'requests', 'budget_usd', 'REAL');
+    addColumn(db, 'requests', 'budget_tokens', 'INTEGER');
+  },
+};
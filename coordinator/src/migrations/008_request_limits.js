@@ -0,0 +1,14 @@
+'use strict';
+
+module.exports = {
+  description: 'Add per-request limits (max_tasks, max_workers, max_wall_clock_min, max_retries, max_usage_units) and work start/pause tracking',
+  up(db, { addColumn }) {
+    addColumn(db, 'requests', 'max_tasks', 'INTEGER');
+    addColumn(db, 'requests', 'max_workers', 'INTEGER');
+    addColumn(db, 'requests', 'max_wall_clock_min', 'INTEGER');
+    addColumn(db, 'requests', 'max_retries', 'INTEGER');
+    addColumn(db, 'requests', 'max_usage_units', 'INTEGER');
+    addColumn(db, 'requests', 'work_started_at', 'TEXT');
+    addColumn(db, 'requests', 'paused_s', 'INTEGER NOT NULL DEFAULT 0');
+  },
+};
@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+  description: 'Add requests.priority',
+  up(db, { addColumn }) {
+    addColumn(db, 'requests', 'priority', "TEXT NOT NULL DEFAULT 'normal' CHECK (priority IN ('urgent','high','normal','low'))");
+  },
+};
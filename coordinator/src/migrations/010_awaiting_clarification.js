@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+  description: "Allow 'awaiting_clarification' as a request status",
+  up(db, { addStatusValue }) {
+    addStatusValue(db, 'requests', 'awaiting_clarification');
+  },
+};
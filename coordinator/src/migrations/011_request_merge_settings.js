@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+  description: 'Add per-request target branch and merge strategy overrides',
+  up(db, { addColumn }) {
+    addColumn(db, 'requests', 'target_branch', 'TEXT');
+    addColumn(db, 'requests', 'merge_strategy', "TEXT CHECK (merge_strategy IN ('merge','squash','rebase'))");
+  },
+};
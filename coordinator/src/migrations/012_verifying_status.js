@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+  description: "Allow 'verifying' as a request status",
+  up(db, { addStatusValue }) {
+    addStatusValue(db, 'requests', 'verifying');
+  },
+};
@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+  description: 'Add merge_queue.merge_commit (the target commit an entry landed as)',
+  up(db, { addColumn }) {
+    addColumn(db, 'merge_queue', 'merge_commit', 'TEXT');
+  },
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+// Versioned schema migrations. Each file in ./migrations is named
+// NNN_short_name.js and exports up(db, helpers). Applied versions are recorded
+// in schema_version. Databases created before versioning have no record, so
+// every migration must tolerate a schema that already has its change.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_RE = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+function loadMigrations() {
+  const migrations = [];
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const m = file.match(FILE_RE);
+    if (!m) continue;
+    const version = parseInt(m[1], 10);
+    if (migrations.some(x => x.version === version)) {
+      throw new Error(`Duplicate migration version ${version}: ${file}`);
+    }
+    const mod = require(path.join(MIGRATIONS_DIR, file));
+    if (typeof mod.up !== 'function') throw new Error(`Migration ${file} does not export up()`);
+    migrations.push({ version, name: m[2], description: mod.description || '', up: mod.up });
+  }
+  return migrations;
+}
+
+function latestVersion() {
+  const all = loadMigrations();
+  return all.length > 0 ? all[all.length - 1].version : 0;
+}
+
+// --- Helpers passed to migrations ---
+
+function hasTable(db, table) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type='table' AND name = ?").get(table);
+}
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+/** ALTER TABLE ADD COLUMN, skipped when the table is missing or already has it. */
+function addColumn(db, table, column, definition) {
+  if (!hasTable(db, table) || hasColumn(db, table, column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+function getTableSql(db, table) {
+  const row = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name = ?").get(table);
+  return row ? row.sql : null;
+}
+
+// Recreate a table from new DDL, keeping all rows in shared columns.
+// Indexes go with the old table; schema.sql recreates them afterwards.
+// Caller must have foreign_keys OFF (migrate() does this).
+function rebuildTable(db, table, ddl) {
+  const newDdl = ddl.replace(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?("?)\w+\2/i, `CREATE TABLE ${table}__new`);
+  const oldCols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  db.exec(newDdl);
+  const newCols = db.prepare(`PRAGMA table_info(${table}__new)`).all().map(c => c.name);
+  const shared = oldCols.filter(c => newCols.includes(c)).join(', ');
+  db.exec(`INSERT INTO ${table}__new (${shared}) SELECT ${shared} FROM ${table}`);
+  db.exec(`DROP TABLE ${table}`);
+  db.exec(`ALTER TABLE ${table}__new RENAME TO ${table}`);
+}
+
+const STATUS_CHECK_RE = /(CHECK\s*\(\s*status\s+IN\s*\([^)]*?)\)/;
+
+// CHECK constraints can't be altered in place, so the table is rebuilt from its
+// existing DDL with `value` appended to the status list. Skipped when the table
+// is missing or already allows it.
+function addStatusValue(db, table, value) {
+  const ddl = getTableSql(db, table);
+  if (!ddl || ddl.includes(`'${value}'`)) return false;
+  if (!STATUS_CHECK_RE.test(ddl)) throw new Error(`No status CHECK constraint found on ${table}`);
+  rebuildTable(db, table, ddl.replace(STATUS_CHECK_RE, `$1,'${value}')`));
+  return true;
+}
+
+const helpers = { hasTable, hasColumn, addColumn, getTableSql, rebuildTable, addStatusValue };
+
+// --- Version tracking ---
+
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+}
+
+function getApplied(db) {
+  if (!hasTable(db, 'schema_version')) return [];
+  return db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all();
+}
+
+function isFresh(db) {
+  return db.prepare("SELECT COUNT(*) as cnt FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'").get().cnt === 0;
+}
+
+function getStatus(db) {
+  const applied = getApplied(db);
+  const appliedVersions = new Set(applied.map(a => a.version));
+  const all = loadMigrations();
+  const fresh = isFresh(db);
+  return {
+    current_version: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest_version: all.length > 0 ? all[all.length - 1].version : 0,
+    fresh,
+    applied,
+    // A fresh database gets the current schema.sql, so nothing is pending for it
+    pending: fresh ? [] : all.filter(m => !appliedVersions.has(m.version))
+      .map(m => ({ version: m.version, name: m.name, description: m.description })),
+  };
+}
+
+/** Consistent copy of the live database (safe under WAL). */
+function backupDatabase(db, backupDir, label) {
+  fs.mkdirSync(backupDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(backupDir, `mac10-${label}-${stamp}.db`);
+  db.prepare('VACUUM INTO ?').run(file);
+  return file;
+}
+
+/**
+ * Apply pending migrations in version order, each in its own transaction.
+ * Options: dryRun (report only), backupDir (copy the database first when
+ * anything is pending), target (stop after this version; used by tests).
+ * Returns { from_version, to_version, applied, backup_path, dry_run }.
+ */
+function migrate(db, { dryRun = false, backupDir = null, target = Infinity } = {}) {
+  const status = getStatus(db);
+  const all = loadMigrations().filter(m => m.version <= target);
+  const result = { from_version: status.current_version, to_version: status.current_version, applied: [], backup_path: null, dry_run: dryRun };
+
+  if (status.fresh) {
+    // New install: schema.sql is already current — just record every version
+    if (dryRun) return result;
+    ensureVersionTable(db);
+    const stamp = db.prepare('INSERT OR IGNORE INTO schema_version (version, name) VALUES (?, ?)');
+    db.transaction(() => { for (const m of all) stamp.run(m.version, m.name); })();
+    result.to_version = all.length > 0 ? all[all.length - 1].version : 0;
+    return result;
+  }
+
+  const pendingVersions = new Set(status.pending.map(p => p.version));
+  const pending = all.filter(m => pendingVersions.has(m.version));
+  result.applied = pending.map(m => ({ version: m.version, name: m.name }));
+  if (pending.length === 0 || dryRun) {
+    if (dryRun && pending.length > 0) result.to_version = pending[pending.length - 1].version;
+    return result;
+  }
+
+  if (backupDir) result.backup_path = backupDatabase(db, backupDir, `v${status.current_version}-premigrate`);
+  ensureVersionTable(db);
+  const fkWasOn = db.pragma('foreign_keys', { simple: true }) === 1;
+  // Table rebuilds drop and recreate referenced tables
+  db.pragma('foreign_keys = OFF');
+  try {
+    for (const m of pending) {
+      db.transaction(() => {
+        m.up(db, helpers);
+        db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(m.version, m.name);
+      })();
+      result.to_version = m.version;
+    }
+  } finally {
+    if (fkWasOn) db.pragma('foreign_keys = ON');
+  }
+  return result;
+}
+
+module.exports = { loadMigrations, latestVersion, getStatus, migrate, backupDatabase, helpers };
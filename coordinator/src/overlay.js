@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const db = require('./db');
 
 /**
  * Generate per-task CLAUDE.md overlay for a worker.
@@ -23,6 +24,7 @@ function generateOverlay(task, worker, projectDir) {
 }
 
 function buildTaskOverlay(task, worker, projectDir) {
+  const target = db.getMergeSettings(task.request_id).target_branch;
   const lines = [
     '# Current Task',
     '',
@@ -32,6 +34,7 @@ function buildTaskOverlay(task, worker, projectDir) {
     `**Tier:** ${task.tier}`,
     `**Priority:** ${task.priority}`,
     `**Domain:** ${task.domain || 'unset'}`,
+    `**Target branch:** ${target}`,
     '',
     '## Description',
     '',
@@ -106,7 +109,12 @@ function buildTaskOverlay(task, worker, projectDir) {
   lines.push('Use `mac10` CLI for all coordination:');
   lines.push('- `mac10 start-task <worker_id> <task_id>` — Mark task as started');
   lines.push('- `mac10 heartbeat <worker_id>` — Send heartbeat (every 30s during work)');
-  lines.push('- `mac10 complete-task <worker_id> <task_id> <pr_url> <branch>` — Report completion');
+  if (db.getConfig('merge_backend') === 'local') {
+    // No hosting service: the coordinator merges the branch itself
+    lines.push(`- \`mac10 complete-task <worker_id> <task_id> --branch ${worker.branch || `agent-${worker.id}`}\` — Report completion (commit to your branch; do NOT push or open a PR)`);
+  } else {
+    lines.push(`- \`mac10 complete-task <worker_id> <task_id> <pr_url> <branch>\` — Report completion (open the PR against \`${target}\`)`);
+  }
   lines.push('- `mac10 fail-task <worker_id> <task_id> <error>` — Report failure');
   lines.push('');
 
@@ -0,0 +1,173 @@
+'use strict';
+
+// Reusable request templates: .claude/templates/requests/<name>.md
+//
+//   ---
+//   title: Add an API endpoint          (shown in pickers; defaults to the name)
+//   tier: 2                             (optional)
+//   priority: normal                    (optional)
+//   param.method: GET                   (optional default for {{method}})
+//   ---
+//   Add a {{method}} {{path}} endpoint with tests.
+//
+//   ```plan
+//   [{ "key": "impl", "subject": "Add {{method}} {{path}}", "description": "..." }]
+//   ```
+//
+// The body (minus the plan block) becomes the request description. A plan is
+// a create-plan task array; a template that has one skips architect triage.
+// {{param}} placeholders are filled everywhere, including inside plan strings.
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+const NAME_RE = /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/;
+const PARAM_RE = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_-]*)\s*\}\}/g;
+const PLAN_RE = /^```plan[ \t]*\r?\n([\s\S]*?)^```[ \t]*\r?$/m;
+
+function getTemplateDir(projectDir) {
+  return path.join(projectDir, '.claude', 'templates', 'requests');
+}
+
+function parseFrontmatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) return { meta: {}, body: text };
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const idx = line.indexOf(':');
+    if (idx <= 0 || line.trim().startsWith('#')) continue;
+    meta[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+  }
+  return { meta, body: text.slice(match[0].length) };
+}
+
+function collectParams(value, found) {
+  if (typeof value === 'string') {
+    for (const m of value.matchAll(PARAM_RE)) found.add(m[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach(v => collectParams(v, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => collectParams(v, found));
+  }
+  return found;
+}
+
+function fill(value, params) {
+  if (typeof value === 'string') return value.replace(PARAM_RE, (_, name) => params[name]);
+  if (Array.isArray(value)) return value.map(v => fill(v, params));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v, params)]));
+  }
+  return value;
+}
+
+/** Read and parse one template. Throws if it is missing or malformed. */
+function loadTemplate(projectDir, name) {
+  if (typeof name !== 'string' || !NAME_RE.test(name)) throw new Error(`Invalid template name: ${name}`);
+  const file = path.join(getTemplateDir(projectDir), `${name}.md`);
+  if (!fs.existsSync(file)) throw new Error(`Template not found: ${name}`);
+  const { meta, body } = parseFrontmatter(fs.readFileSync(file, 'utf8'));
+
+  let tasks = null;
+  const planMatch = body.match(PLAN_RE);
+  if (planMatch) {
+    try {
+      tasks = JSON.parse(planMatch[1]);
+    } catch (e) {
+      throw new Error(`Template "${name}" has an invalid plan block: ${e.message}`);
+    }
+    if (!Array.isArray(tasks) || tasks.length === 0) throw new Error(`Template "${name}" plan must be a non-empty JSON array`);
+  }
+  const description = (planMatch ? body.replace(PLAN_RE, '') : body).trim();
+  if (!description) throw new Error(`Template "${name}" has no request description`);
+
+  const tier = meta.tier ? parseInt(meta.tier, 10) : null;
+  if (tier !== null && ![1, 2, 3].includes(tier)) throw new Error(`Template "${name}" tier must be 1, 2, or 3`);
+  if (tasks && tier === 1) throw new Error(`Template "${name}" has a plan, so its tier must be 2 or 3`);
+  // Tier 2 is a single task; multi-task plans go through the tier-3 allocator path
+  if (tasks && tier === 2 && tasks.length > 1) throw new Error(`Template "${name}" plan has ${tasks.length} tasks, so its tier must be 3`);
+  const priority = meta.priority || 'normal';
+  if (!db.PRIORITIES.includes(priority)) throw new Error(`Template "${name}" priority must be one of: ${db.PRIORITIES.join(', ')}`);
+
+  const defaults = {};
+  for (const [key, value] of Object.entries(meta)) {
+    if (key.startsWith('param.')) defaults[key.slice('param.'.length)] = value;
+  }
+  const params = [...collectParams([description, tasks], new Set())].map(p => ({
+    name: p,
+    default: defaults[p] !== undefined ? defaults[p] : null,
+  }));
+
+  return { name, title: meta.title || name, tier, priority, description, tasks, params };
+}
+
+/** Every parseable template, sorted by name; broken files are reported with an error. */
+function listTemplates(projectDir) {
+  const dir = getTemplateDir(projectDir);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.md') && NAME_RE.test(f.slice(0, -3)))
+    .sort()
+    .map(f => {
+      const name = f.slice(0, -3);
+      try {
+        const t = loadTemplate(projectDir, name);
+        return { name, title: t.title, tier: t.tier, priority: t.priority, params: t.params, has_plan: t.tasks !== null };
+      } catch (e) {
+        return { name, error: e.message };
+      }
+    });
+}
+
+/**
+ * Fill a template's placeholders. Every parameter without a default must be
+ * given, and unknown parameters are rejected so typos don't pass silently.
+ */
+function renderTemplate(template, given = {}) {
+  const known = new Set(template.params.map(p => p.name));
+  const unknown = Object.keys(given).filter(k => !known.has(k));
+  if (unknown.length > 0) throw new Error(`Unknown template parameter(s) for "${template.name}": ${unknown.join(', ')}`);
+  const values = {};
+  const missing = [];
+  for (const p of template.params) {
+    if (given[p.name] !== undefined && given[p.name] !== null) values[p.name] = String(given[p.name]);
+    else if (p.default !== null) values[p.name] = p.default;
+    else missing.push(p.name);
+  }
+  if (missing.length > 0) throw new Error(`Missing template parameter(s) for "${template.name}": ${missing.join(', ')}`);
+  return {
+    description: fill(template.description, values),
+    tasks: template.tasks ? fill(template.tasks, values) : null,
+  };
+}
+
+/**
+ * Create a request from a template. With a plan, the request is created
+ * already decomposed and its tasks inserted in the same transaction — the
+ * architect is never asked to triage it. Returns { request_id, template, tier, task_ids }.
+ */
+function createFromTemplate(projectDir, name, params = {}, { priority, actor = 'user', targetBranch, mergeStrategy } = {}) {
+  const template = loadTemplate(projectDir, name);
+  const { description, tasks } = renderTemplate(template, params);
+  const requestPriority = priority || template.priority;
+
+  return db.getDb().transaction(() => {
+    if (!tasks) {
+      // No plan: the architect still triages, with the template's tier as a hint
+      const id = db.createRequest(description, { priority: requestPriority, actor, suggestedTier: template.tier, targetBranch, mergeStrategy });
+      db.log(actor, 'request_from_template', { request_id: id, template: name, params });
+      return { request_id: id, template: name, tier: null, task_ids: null };
+    }
+
+    const tier = template.tier || (tasks.length > 1 ? 3 : 2);
+    const id = db.createRequest(description, { priority: requestPriority, actor, triage: false, targetBranch, mergeStrategy });
+    db.updateRequest(id, { tier, status: 'decomposed' });
+    const plan = db.createPlan(id, tasks);
+    db.log(actor, 'request_from_template', { request_id: id, template: name, params, tier, task_ids: plan.task_ids });
+    if (tier === 3) db.sendMail('allocator', 'tasks_ready', { request_id: id });
+    return { request_id: id, template: name, tier, task_ids: plan.task_ids };
+  })();
+}
+
+module.exports = { getTemplateDir, loadTemplate, listTemplates, renderTemplate, createFromTemplate };
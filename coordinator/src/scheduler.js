@@ -0,0 +1,175 @@
+'use strict';
+
+// Recurring requests. Each tick files a request for every schedule whose cron
+// expression has come due. Occurrences that passed while the coordinator was
+// down (or more than schedule_grace_s ago) are not replayed: they are recorded
+// as a missed batch in schedule_runs and reported to Master-1.
+
+const db = require('./db');
+const cron = require('./cron');
+
+let intervalId = null;
+let runHandler = null;
+
+const DEFAULT_GRACE_S = 300;
+// Stop counting missed occurrences past this (an every-minute schedule down for a week)
+const MAX_MISSED_SCAN = 10000;
+
+function toSqlTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function fromSqlTime(text) {
+  return new Date(text.replace(' ', 'T') + 'Z');
+}
+
+function start(handlers = {}) {
+  const intervalMs = parseInt(db.getConfig('scheduler_interval_ms')) || 30000;
+  runHandler = handlers.onScheduleRun || null;
+
+  // Run once right away so runs missed during downtime are reported at boot
+  runTick();
+  intervalId = setInterval(runTick, intervalMs);
+
+  db.log('coordinator', 'scheduler_started', { interval_ms: intervalMs });
+}
+
+function runTick() {
+  try {
+    for (const result of tick()) {
+      if (runHandler) runHandler(result);
+    }
+  } catch (e) {
+    db.log('coordinator', 'scheduler_error', { error: e.message });
+  }
+}
+
+function stop() {
+  if (intervalId) { clearInterval(intervalId); intervalId = null; }
+  runHandler = null;
+}
+
+function getGraceMs() {
+  const n = parseInt(db.getConfig('schedule_grace_s'), 10);
+  return (Number.isNaN(n) ? DEFAULT_GRACE_S : n) * 1000;
+}
+
+/** Validate and store a schedule. Returns the created row. */
+function addSchedule({ cron: expr, description, name, priority = 'normal' }, actor = 'user', now = new Date()) {
+  if (!description || typeof description !== 'string') throw new Error('Schedule description is required');
+  if (!db.PRIORITIES.includes(priority)) throw new Error(`priority must be one of: ${db.PRIORITIES.join(', ')}`);
+  const parsed = cron.parse(expr);
+  const nextRun = cron.next(parsed, now);
+  if (!nextRun) throw new Error(`Cron expression "${parsed.source}" never matches`);
+
+  const id = db.createSchedule({
+    name: name || description.slice(0, 60),
+    cron: parsed.source,
+    description,
+    priority,
+    next_run_at: toSqlTime(nextRun),
+  });
+  const schedule = db.getSchedule(id);
+  db.log(actor, 'schedule_added', { schedule_id: id, name: schedule.name, cron: schedule.cron, next_run_at: schedule.next_run_at });
+  return schedule;
+}
+
+function removeSchedule(id, actor = 'user') {
+  const schedule = db.getSchedule(id);
+  if (!schedule) throw new Error(`Schedule not found: ${id}`);
+  db.deleteSchedule(id);
+  db.log(actor, 'schedule_removed', { schedule_id: id, name: schedule.name });
+  return schedule;
+}
+
+/** Schedules with their most recent runs, for `mac10 schedule list` and the dashboard. */
+function listSchedules(historyLimit = 10) {
+  return db.listSchedules().map(s => ({ ...s, history: db.getScheduleRuns(s.id, historyLimit) }));
+}
+
+/**
+ * Fire everything due at `now`. Returns one summary per schedule handled:
+ * { schedule_id, fired_request_id, missed, next_run_at }.
+ */
+function tick(now = new Date()) {
+  const results = [];
+  for (const schedule of db.getDueSchedules(toSqlTime(now))) {
+    try {
+      results.push(runSchedule(schedule, now));
+    } catch (e) {
+      db.log('coordinator', 'scheduler_error', { schedule_id: schedule.id, error: e.message });
+    }
+  }
+  return results;
+}
+
+function runSchedule(schedule, now) {
+  const parsed = cron.parse(schedule.cron);
+
+  // Walk every occurrence between the stored next run and now
+  const first = fromSqlTime(schedule.next_run_at);
+  let latest = null;
+  let previous = null;
+  let count = 0;
+  let upcoming = first;
+  while (upcoming && upcoming <= now) {
+    if (count >= MAX_MISSED_SCAN) {
+      // Too many to walk: count them all as missed and resume from now
+      latest = null;
+      upcoming = cron.next(parsed, now);
+      break;
+    }
+    previous = latest;
+    latest = upcoming;
+    count++;
+    upcoming = cron.next(parsed, upcoming);
+  }
+
+  const fire = latest !== null && now - latest <= getGraceMs();
+  const missed = fire ? count - 1 : count;
+  const missedUntil = fire ? previous : (latest || now);
+
+  return db.getDb().transaction(() => {
+    if (missed > 0) {
+      const report = {
+        schedule_id: schedule.id,
+        name: schedule.name,
+        runs: missed,
+        from: toSqlTime(first),
+        until: toSqlTime(missedUntil),
+      };
+      db.recordScheduleRun({
+        schedule_id: schedule.id,
+        status: 'missed',
+        scheduled_for: report.from,
+        scheduled_until: report.until,
+        runs: missed,
+      });
+      db.log('coordinator', 'schedule_missed', report);
+      db.sendMail('master-1', 'schedule_missed', report);
+    }
+
+    let requestId = null;
+    if (fire) {
+      const scheduledFor = toSqlTime(latest);
+      try {
+        requestId = db.createRequest(schedule.description, { priority: schedule.priority, actor: 'scheduler' });
+        db.recordScheduleRun({ schedule_id: schedule.id, status: 'fired', scheduled_for: scheduledFor, request_id: requestId });
+        db.log('scheduler', 'schedule_fired', { schedule_id: schedule.id, name: schedule.name, request_id: requestId, scheduled_for: scheduledFor });
+      } catch (e) {
+        db.recordScheduleRun({ schedule_id: schedule.id, status: 'failed', scheduled_for: scheduledFor, error: e.message });
+        db.log('scheduler', 'schedule_failed', { schedule_id: schedule.id, name: schedule.name, error: e.message });
+      }
+    }
+
+    const fields = { next_run_at: upcoming ? toSqlTime(upcoming) : null };
+    if (requestId) {
+      fields.last_run_at = toSqlTime(now);
+      fields.last_request_id = requestId;
+    }
+    db.updateSchedule(schedule.id, fields);
+    return { schedule_id: schedule.id, fired_request_id: requestId, missed, next_run_at: fields.next_run_at };
+  })();
+}
+
+module.exports = { start, stop, tick, addSchedule, removeSchedule, listSchedules, toSqlTime, fromSqlTime };
@@ -1,5 +1,7 @@
 -- mac10 coordinator schema
 -- SQLite WAL mode for concurrent reads, serialized writes
+-- This file is always the CURRENT schema (used as-is for new databases).
+-- Changing an existing table also needs a migration in src/migrations/.
 
 PRAGMA journal_mode = WAL;
 PRAGMA busy_timeout = 5000;
@@ -11,10 +13,23 @@ CREATE TABLE IF NOT EXISTS requests (
   description TEXT NOT NULL,
   tier INTEGER,  -- 1, 2, or 3 (set after triage)
   status TEXT NOT NULL DEFAULT 'pending'
-    CHECK (status IN ('pending','triaging','executing_tier1','decomposed','in_progress','integrating','completed','failed')),
+    CHECK (status IN ('pending','triaging','executing_tier1','decomposed','in_progress','integrating','completed','failed','cancelled','awaiting_clarification','verifying')),
+  priority TEXT NOT NULL DEFAULT 'normal' CHECK (priority IN ('urgent','high','normal','low')),
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at TEXT NOT NULL DEFAULT (datetime('now')),
   completed_at TEXT,
+  paused_at TEXT,  -- set while paused: no promotion, allocation, or merging
+  paused_s INTEGER NOT NULL DEFAULT 0,  -- seconds spent paused after work started
+  work_started_at TEXT,  -- first task assignment (or tier-1 triage); wall-clock counts from here
+  budget_usd REAL,  -- NULL = unlimited; allocation stops once reported cost reaches it
+  budget_tokens INTEGER,  -- NULL = unlimited; same, for total reported tokens
+  max_tasks INTEGER,  -- limits (NULL = unlimited): tasks the request may create,
+  max_workers INTEGER,  -- workers it may hold at once,
+  max_wall_clock_min INTEGER,  -- minutes of unpaused work before the watchdog fails it,
+  max_retries INTEGER,  -- task retries across the whole request,
+  max_usage_units INTEGER,  -- total reported tokens before the watchdog fails it
+  target_branch TEXT,  -- overrides config target_branch for this request's merges
+  merge_strategy TEXT CHECK (merge_strategy IN ('merge','squash','rebase')),  -- overrides config merge_strategy
   result TEXT  -- summary of outcome
 );
 
@@ -31,11 +46,15 @@ CREATE TABLE IF NOT EXISTS tasks (
   depends_on TEXT,  -- JSON array of task IDs
   assigned_to INTEGER REFERENCES workers(id),
   status TEXT NOT NULL DEFAULT 'pending'
-    CHECK (status IN ('pending','ready','assigned','in_progress','completed','failed','blocked')),
+    CHECK (status IN ('pending','ready','assigned','in_progress','completed','failed','blocked','cancelled')),
   pr_url TEXT,
   branch TEXT,
   validation TEXT,  -- JSON: what checks to run
   overlap_with TEXT,  -- JSON array of task IDs sharing files
+  attempts INTEGER NOT NULL DEFAULT 0,  -- times handed to a worker
+  max_attempts INTEGER,  -- NULL = use config task_max_attempts
+  retry_after TEXT,  -- backoff: not re-promoted before this time
+  last_failure TEXT,  -- failure class of the most recent attempt
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at TEXT NOT NULL DEFAULT (datetime('now')),
   started_at TEXT,
@@ -84,6 +103,7 @@ CREATE TABLE IF NOT EXISTS merge_queue (
   priority INTEGER NOT NULL DEFAULT 0,  -- higher = merge first
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   merged_at TEXT,
+  merge_commit TEXT,  -- target commit the entry landed as, when the backend reports it
   error TEXT
 );
 
@@ -96,6 +116,107 @@ CREATE TABLE IF NOT EXISTS activity_log (
   created_at TEXT NOT NULL DEFAULT (datetime('now'))
 );
 
+-- Token/cost usage reported by workers and agents (mac10 report-usage)
+CREATE TABLE IF NOT EXISTS usage (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  request_id TEXT REFERENCES requests(id),
+  task_id INTEGER REFERENCES tasks(id),
+  actor TEXT NOT NULL,  -- 'worker-N', 'architect', 'master-1', ...
+  model TEXT,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cache_read_tokens INTEGER NOT NULL DEFAULT 0,
+  cache_write_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd REAL NOT NULL DEFAULT 0,
+  duration_ms INTEGER NOT NULL DEFAULT 0,  -- wall-clock of the reported session
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Recurring requests (mac10 schedule add); the scheduler loop files a request
+-- each time the cron expression comes due
+CREATE TABLE IF NOT EXISTS schedules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  cron TEXT NOT NULL,  -- 5-field cron, coordinator local time
+  description TEXT NOT NULL,  -- becomes the request description
+  priority TEXT NOT NULL DEFAULT 'normal' CHECK (priority IN ('urgent','high','normal','low')),
+  next_run_at TEXT,  -- UTC; NULL when the expression never matches again
+  last_run_at TEXT,
+  last_request_id TEXT REFERENCES requests(id),
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- One row per fired run, and one per batch of runs missed while the
+-- coordinator was down (runs = how many occurrences the row covers)
+CREATE TABLE IF NOT EXISTS schedule_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  schedule_id INTEGER NOT NULL REFERENCES schedules(id),
+  status TEXT NOT NULL CHECK (status IN ('fired','missed','failed')),
+  scheduled_for TEXT NOT NULL,  -- first occurrence covered
+  scheduled_until TEXT,  -- last occurrence covered (missed batches)
+  runs INTEGER NOT NULL DEFAULT 1,
+  request_id TEXT REFERENCES requests(id),
+  error TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Clarification threads: architect questions and user replies, kept as history
+-- (the mail sent alongside each message is what the agents actually consume)
+CREATE TABLE IF NOT EXISTS clarifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  request_id TEXT NOT NULL REFERENCES requests(id),
+  author TEXT NOT NULL CHECK (author IN ('architect','user')),
+  message TEXT NOT NULL,
+  resume_status TEXT,  -- on the question that parked the request: status to restore on reply
+  read_at TEXT,  -- architect questions: when the user saw it (NULL = unread)
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Lifecycle events (db.emitEvent): tailed by mac10 watch and the dashboard, fanned out to webhooks
+CREATE TABLE IF NOT EXISTS events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event TEXT NOT NULL,
+  request_id TEXT,
+  data TEXT NOT NULL,  -- JSON
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Post-merge verification runs per target branch. A failure the previous run
+-- already saw at an ancestor commit is not blamed on the request checked next
+CREATE TABLE IF NOT EXISTS verifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  request_id TEXT NOT NULL REFERENCES requests(id),
+  target_branch TEXT NOT NULL,
+  commit_sha TEXT NOT NULL,
+  passed INTEGER NOT NULL,
+  check_name TEXT,  -- failing check (build, test, lint), NULL when passed
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Outgoing webhooks (mac10 webhook add) and their persisted delivery queue
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  events TEXT NOT NULL DEFAULT '*',  -- JSON array of event names, or '*' for all
+  secret TEXT,  -- HMAC-SHA256 key for the X-Mac10-Signature header
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id INTEGER NOT NULL REFERENCES webhooks(id),
+  event TEXT NOT NULL,
+  payload TEXT NOT NULL,  -- JSON body, fixed at enqueue time so retries are identical
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','delivered','failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+  response_status INTEGER,  -- HTTP status of the last attempt
+  last_error TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  delivered_at TEXT
+);
+
 -- Config (coordinator settings)
 CREATE TABLE IF NOT EXISTS config (
   key TEXT PRIMARY KEY,
@@ -144,6 +265,70 @@ CREATE INDEX IF NOT EXISTS idx_requests_status ON requests(status);
 CREATE INDEX IF NOT EXISTS idx_tasks_overlap ON tasks(overlap_with) WHERE overlap_with IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_changes_domain ON changes(domain);
 CREATE INDEX IF NOT EXISTS idx_changes_status ON changes(status);
+CREATE INDEX IF NOT EXISTS idx_usage_request ON usage(request_id);
+CREATE INDEX IF NOT EXISTS idx_usage_task ON usage(task_id);
+CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule ON schedule_runs(schedule_id, id);
+CREATE INDEX IF NOT EXISTS idx_clarifications_request ON clarifications(request_id, id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id);
+CREATE INDEX IF NOT EXISTS idx_verifications_target ON verifications(target_branch, id);
+
+-- Full-text search (FTS5). Tables with an INTEGER PRIMARY KEY use external
+-- content indexes; requests (TEXT key, rowid not stable across VACUUM) keeps
+-- its own copy. Triggers keep every index in sync with its source table.
+-- A migration that rebuilds a source table must also rebuild its index.
+CREATE VIRTUAL TABLE IF NOT EXISTS requests_fts USING fts5(id UNINDEXED, description, result);
+CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(subject, description, files, result, content='tasks', content_rowid='id');
+CREATE VIRTUAL TABLE IF NOT EXISTS activity_log_fts USING fts5(actor, action, details, content='activity_log', content_rowid='id');
+CREATE VIRTUAL TABLE IF NOT EXISTS changes_fts USING fts5(description, file_path, function_name, tooltip, content='changes', content_rowid='id');
+CREATE VIRTUAL TABLE IF NOT EXISTS mail_fts USING fts5(recipient, type, payload, content='mail', content_rowid='id');
+
+CREATE TRIGGER IF NOT EXISTS requests_fts_ai AFTER INSERT ON requests BEGIN
+  INSERT INTO requests_fts (id, description, result) VALUES (new.id, new.description, new.result);
+END;
+CREATE TRIGGER IF NOT EXISTS requests_fts_au AFTER UPDATE OF description, result ON requests BEGIN
+  DELETE FROM requests_fts WHERE id = old.id;
+  INSERT INTO requests_fts (id, description, result) VALUES (new.id, new.description, new.result);
+END;
+CREATE TRIGGER IF NOT EXISTS requests_fts_ad AFTER DELETE ON requests BEGIN
+  DELETE FROM requests_fts WHERE id = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS tasks_fts_ai AFTER INSERT ON tasks BEGIN
+  INSERT INTO tasks_fts (rowid, subject, description, files, result) VALUES (new.id, new.subject, new.description, new.files, new.result);
+END;
+CREATE TRIGGER IF NOT EXISTS tasks_fts_au AFTER UPDATE OF subject, description, files, result ON tasks BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, subject, description, files, result) VALUES ('delete', old.id, old.subject, old.description, old.files, old.result);
+  INSERT INTO tasks_fts (rowid, subject, description, files, result) VALUES (new.id, new.subject, new.description, new.files, new.result);
+END;
+CREATE TRIGGER IF NOT EXISTS tasks_fts_ad AFTER DELETE ON tasks BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, subject, description, files, result) VALUES ('delete', old.id, old.subject, old.description, old.files, old.result);
+END;
+
+CREATE TRIGGER IF NOT EXISTS activity_log_fts_ai AFTER INSERT ON activity_log BEGIN
+  INSERT INTO activity_log_fts (rowid, actor, action, details) VALUES (new.id, new.actor, new.action, new.details);
+END;
+CREATE TRIGGER IF NOT EXISTS activity_log_fts_ad AFTER DELETE ON activity_log BEGIN
+  INSERT INTO activity_log_fts (activity_log_fts, rowid, actor, action, details) VALUES ('delete', old.id, old.actor, old.action, old.details);
+END;
+
+CREATE TRIGGER IF NOT EXISTS changes_fts_ai AFTER INSERT ON changes BEGIN
+  INSERT INTO changes_fts (rowid, description, file_path, function_name, tooltip) VALUES (new.id, new.description, new.file_path, new.function_name, new.tooltip);
+END;
+CREATE TRIGGER IF NOT EXISTS changes_fts_au AFTER UPDATE OF description, file_path, function_name, tooltip ON changes BEGIN
+  INSERT INTO changes_fts (changes_fts, rowid, description, file_path, function_name, tooltip) VALUES ('delete', old.id, old.description, old.file_path, old.function_name, old.tooltip);
+  INSERT INTO changes_fts (rowid, description, file_path, function_name, tooltip) VALUES (new.id, new.description, new.file_path, new.function_name, new.tooltip);
+END;
+CREATE TRIGGER IF NOT EXISTS changes_fts_ad AFTER DELETE ON changes BEGIN
+  INSERT INTO changes_fts (changes_fts, rowid, description, file_path, function_name, tooltip) VALUES ('delete', old.id, old.description, old.file_path, old.function_name, old.tooltip);
+END;
+
+CREATE TRIGGER IF NOT EXISTS mail_fts_ai AFTER INSERT ON mail BEGIN
+  INSERT INTO mail_fts (rowid, recipient, type, payload) VALUES (new.id, new.recipient, new.type, new.payload);
+END;
+CREATE TRIGGER IF NOT EXISTS mail_fts_ad AFTER DELETE ON mail BEGIN
+  INSERT INTO mail_fts (mail_fts, rowid, recipient, type, payload) VALUES ('delete', old.id, old.recipient, old.type, old.payload);
+END;
 
 -- Default config
 INSERT OR IGNORE INTO config (key, value) VALUES
@@ -151,6 +336,47 @@ INSERT OR IGNORE INTO config (key, value) VALUES
   ('heartbeat_timeout_s', '60'),
   ('watchdog_interval_ms', '10000'),
   ('allocator_interval_ms', '2000'),
+  ('allocator_mode', 'coordinator'),  -- 'coordinator' (built-in scoring) or 'agent' (notify Master-3)
+  ('allocator_policy', 'default'),
+  ('scheduling_mode', 'priority'),  -- 'priority' (request priority first) or 'fair_share' (weighted interleave)
+  ('fair_share_weights', '{"urgent":8,"high":4,"normal":2,"low":1}'),  -- worker share per request priority
   ('merge_validation', 'true'),
+  ('target_branch', 'main'),  -- branch PRs target and worker branches are rebased onto
+  ('merge_strategy', 'merge'),  -- 'merge', 'squash', or 'rebase'
+  ('merge_commit_template', '{{subject}} ({{request_id}}, task #{{task_id}})'),  -- also {{branch}}, {{pr_url}}
+  ('merge_backend', 'github'),  -- 'github' (gh pr merge) or 'local' (git merge into target_branch, no remote)
+  ('merge_train_size', '0'),  -- test up to this many queued merges together before landing (< 2 = one at a time)
+  ('merger_pass_timeout_ms', '3600000'),  -- a merger pass running longer is taken as hung and the next one starts
+  ('build_cmd', ''),  -- project checks run by the merge train and post-merge verification ('' = skip)
+  ('test_cmd', ''),
+  ('lint_cmd', ''),
+  ('post_merge_verification', 'true'),  -- check the target branch after a request's last merge (needs a check command)
+  ('check_timeout_ms', '600000'),  -- per check command
+  ('gitlab_url', ''),  -- GitLab MR URLs under this host are merged via its API ('' = https://gitlab.com)
+  ('gitlab_token', ''),
+  ('gitea_url', ''),  -- Gitea PR URLs under this host are merged via its API (https, or http to localhost)
+  ('gitea_token', ''),
+  ('forge_timeout_ms', '30000'),  -- per GitLab/Gitea API call
+  ('paused', 'false'),  -- global pause: allocator and merger stand still
+  ('paused_since', ''),  -- when the global pause began; taken off request wall-clock on resume
+  ('snapshot_retention', '24'),  -- hourly DB snapshots kept in .claude/state/backups
+  ('task_max_attempts', '3'),
+  ('retry_backoff_base_s', '30'),  -- first retry delay; doubles per attempt
+  ('retry_backoff_max_s', '600'),
+  ('default_max_tasks', ''),  -- request limits applied at creation ('' = unlimited)
+  ('default_max_workers', ''),
+  ('default_max_wall_clock_min', ''),
+  ('default_max_retries', ''),
+  ('default_max_usage_units', ''),
+  ('scheduler_interval_ms', '30000'),
+  ('schedule_grace_s', '300'),  -- a run overdue by more than this is reported missed, not fired
+  ('webhook_interval_ms', '5000'),
+  ('webhook_max_attempts', '8'),  -- deliveries are marked failed after this many tries
+  ('webhook_backoff_base_s', '30'),  -- first retry delay; doubles per attempt
+  ('webhook_backoff_max_s', '3600'),
+  ('webhook_timeout_ms', '10000'),
+  ('terminal_stream_interval_ms', '1000'),
+  ('terminal_stream_lines', '200'),  -- pane lines captured per worker for the dashboard terminal
+  ('terminal_send_keys', 'false'),  -- 'true' allows typing into worker terminals from the dashboard
   ('project_dir', ''),
   ('coordinator_version', '1.0.0');
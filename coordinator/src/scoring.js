@@ -0,0 +1,158 @@
+'use strict';
+
+// Scoring policies for the in-coordinator allocator.
+// A policy is a set of weights applied to the same signals; higher score = better match.
+
+const PRIORITY_RANK = { urgent: 3, high: 2, normal: 1, low: 0 };
+
+// Worker share per request priority in fair-share mode (config fair_share_weights)
+const DEFAULT_FAIR_SHARE_WEIGHTS = { urgent: 8, high: 4, normal: 2, low: 1 };
+
+const POLICIES = {
+  // Balanced: keep workers in their domain and on files they just touched
+  default: { priority: 100, domain: 10, files: 4, fatigue: 1 },
+  // Stronger affinity: prefer context reuse over spreading load
+  affinity: { priority: 100, domain: 25, files: 10, fatigue: 0.5 },
+  // Plain priority order, lowest worker ID first — no affinity
+  fifo: { priority: 100, domain: 0, files: 0, fatigue: 0 },
+};
+
+function registerPolicy(name, weights) {
+  if (!name || typeof name !== 'string') throw new Error('Policy name must be a non-empty string');
+  for (const key of ['priority', 'domain', 'files', 'fatigue']) {
+    if (typeof weights[key] !== 'number') {
+      throw new Error(`Policy "${name}" is missing numeric weight "${key}"`);
+    }
+  }
+  POLICIES[name] = { ...weights };
+}
+
+function getPolicy(name) {
+  return POLICIES[name] || POLICIES.default;
+}
+
+function parseFiles(files) {
+  if (!files) return [];
+  let list = files;
+  if (typeof files === 'string') {
+    try { list = JSON.parse(files); } catch { list = files.split(','); }
+  }
+  if (!Array.isArray(list)) return [];
+  return list.map(f => String(f).trim().replace(/^\.\//, '')).filter(Boolean);
+}
+
+/**
+ * Score a task/worker pair. `lastTask` is the worker's most recent task (or null).
+ * Returns { score, reasons } so allocations can be logged with their rationale.
+ */
+function scorePair(task, worker, lastTask, weights) {
+  const reasons = {};
+  let score = 0;
+
+  // Request priority dominates task priority: an urgent request's low task
+  // still outranks a normal request's urgent one
+  let priority = PRIORITY_RANK[task.priority] !== undefined ? PRIORITY_RANK[task.priority] : PRIORITY_RANK.normal;
+  if (PRIORITY_RANK[task.request_priority] !== undefined) {
+    priority += PRIORITY_RANK[task.request_priority] * 4;
+    reasons.request_priority = task.request_priority;
+  }
+  score += priority * weights.priority;
+  reasons.priority = priority;
+
+  if (task.domain && worker.domain && task.domain === worker.domain) {
+    score += weights.domain;
+    reasons.domain_match = true;
+  }
+
+  if (lastTask) {
+    const lastFiles = parseFiles(lastTask.files);
+    const shared = parseFiles(task.files).filter(f => lastFiles.includes(f));
+    if (shared.length > 0) {
+      score += shared.length * weights.files;
+      reasons.shared_files = shared.length;
+    }
+  }
+
+  const fatigue = worker.tasks_completed || 0;
+  score -= fatigue * weights.fatigue;
+  if (fatigue > 0) reasons.fatigue = fatigue;
+
+  return { score, reasons };
+}
+
+/**
+ * Greedy best-pair matching. Pure function: same inputs always produce the same plan.
+ * Ties break on lower task ID, then lower worker ID.
+ */
+function planAssignments(tasks, workers, lastTasks, policyName) {
+  const weights = getPolicy(policyName);
+  const candidates = [];
+  for (const task of tasks) {
+    for (const worker of workers) {
+      const { score, reasons } = scorePair(task, worker, lastTasks.get(worker.id) || null, weights);
+      candidates.push({ task, worker, score, reasons });
+    }
+  }
+  candidates.sort((a, b) => (b.score - a.score) || (a.task.id - b.task.id) || (a.worker.id - b.worker.id));
+
+  const usedTasks = new Set();
+  const usedWorkers = new Set();
+  const plan = [];
+  for (const c of candidates) {
+    if (usedTasks.has(c.task.id) || usedWorkers.has(c.worker.id)) continue;
+    usedTasks.add(c.task.id);
+    usedWorkers.add(c.worker.id);
+    plan.push(c);
+  }
+  return plan;
+}
+
+// Higher request priority, then older request, then request ID
+function compareRequests(a, b) {
+  const pa = PRIORITY_RANK[a.request_priority] ?? PRIORITY_RANK.normal;
+  const pb = PRIORITY_RANK[b.request_priority] ?? PRIORITY_RANK.normal;
+  if (pa !== pb) return pb - pa;
+  const ca = a.request_created_at || '';
+  const cb = b.request_created_at || '';
+  if (ca !== cb) return ca < cb ? -1 : 1;
+  return a.request_id < b.request_id ? -1 : a.request_id > b.request_id ? 1 : 0;
+}
+
+/**
+ * Fair-share hand-out order. Repeatedly picks the request whose workers-per-weight
+ * would be lowest after one more assignment, so running work counts against a
+ * request and a big request cannot starve the rest. `tasks` must already be in
+ * per-request order (getReadyTasks); `active` maps request_id -> tasks running.
+ * Pure function; returns at most `slots` tasks.
+ */
+function fairShareOrder(tasks, active, weights = DEFAULT_FAIR_SHARE_WEIGHTS, slots = tasks.length) {
+  const queues = new Map();
+  for (const t of tasks) {
+    if (!queues.has(t.request_id)) queues.set(t.request_id, []);
+    queues.get(t.request_id).push(t);
+  }
+  const running = new Map([...queues.keys()].map(id => [id, active.get(id) || 0]));
+  const weightOf = (t) => (weights[t.request_priority] > 0 ? weights[t.request_priority] : weights.normal > 0 ? weights.normal : 1);
+
+  const order = [];
+  while (order.length < slots && queues.size > 0) {
+    let best = null;
+    for (const [id, queue] of queues) {
+      const head = queue[0];
+      const share = (running.get(id) + 1) / weightOf(head);
+      if (!best || share < best.share || (share === best.share && compareRequests(head, best.head) < 0)) {
+        best = { id, head, share };
+      }
+    }
+    const queue = queues.get(best.id);
+    order.push(queue.shift());
+    running.set(best.id, running.get(best.id) + 1);
+    if (queue.length === 0) queues.delete(best.id);
+  }
+  return order;
+}
+
+module.exports = {
+  POLICIES, PRIORITY_RANK, DEFAULT_FAIR_SHARE_WEIGHTS,
+  registerPolicy, getPolicy, scorePair, planAssignments, fairShareOrder,
+};
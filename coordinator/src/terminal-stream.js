@@ -0,0 +1,157 @@
+'use strict';
+
+// Live worker terminals for the dashboard. WebSocket clients subscribe to a
+// worker; while anyone is watching, its tmux window is captured every
+// terminal_stream_interval_ms and only the difference from the previous
+// capture is sent:
+//
+//   { type: 'terminal_output', worker_id, op: 'reset', lines }        replace the view
+//   { type: 'terminal_output', worker_id, op: 'append', trim, lines } drop `trim` lines from the end, then append
+//   { type: 'terminal_output', worker_id, op: 'unavailable', error }  no tmux window to show
+//
+// Clients keep their own scrollback, so output that scrolls out of the
+// capture window stays visible.
+
+const db = require('./db');
+const tmux = require('./tmux');
+
+// Keys the dashboard may send by name; anything else goes through as literal text
+const SPECIAL_KEYS = ['Enter', 'C-c', 'C-d', 'Escape', 'Tab', 'Up', 'Down'];
+// Below this many matching lines a scroll alignment is a guess; resend instead
+const MIN_OVERLAP = 3;
+
+const streams = new Map(); // worker_id -> { subscribers: Set<ws>, lines: string[] | null }
+let intervalId = null;
+
+function windowName(workerId) {
+  return `worker-${workerId}`;
+}
+
+function captureLines() {
+  return parseInt(db.getConfig('terminal_stream_lines')) || 200;
+}
+
+function splitCapture(text) {
+  return text ? text.replace(/\r/g, '').split('\n') : [];
+}
+
+/**
+ * Describe how to turn the previous capture into the next one. The pane may
+ * have scrolled (lines gone from the top) and its last lines may have been
+ * redrawn (a prompt, a spinner). Returns null when nothing changed.
+ */
+function diffCapture(prev, next) {
+  if (prev.length === next.length && prev.every((line, i) => line === next[i])) return null;
+  let best = { shift: -1, same: 0 };
+  for (let shift = 0; shift < prev.length; shift++) {
+    let same = 0;
+    while (shift + same < prev.length && same < next.length && prev[shift + same] === next[same]) same++;
+    if (same > best.same) best = { shift, same };
+    // Everything after the shift matched: can't do better
+    if (shift + same === prev.length) break;
+  }
+  const remaining = prev.length - best.shift;
+  if (best.shift < 0 || best.same < Math.min(MIN_OVERLAP, remaining, next.length)) {
+    return { op: 'reset', lines: next };
+  }
+  return { op: 'append', trim: remaining - best.same, lines: next.slice(best.same) };
+}
+
+function send(ws, msg) {
+  try { ws.send(JSON.stringify(msg)); } catch {}
+}
+
+function capture(workerId) {
+  if (!tmux.isAvailable()) return { error: 'tmux is not available (workers run in Windows Terminal tabs)' };
+  if (!tmux.hasWindow(windowName(workerId))) return { error: `No tmux window for worker-${workerId}` };
+  return { lines: splitCapture(tmux.capturePane(windowName(workerId), captureLines())) };
+}
+
+/** Start streaming a worker to `ws`, beginning with a full snapshot. */
+function subscribe(ws, workerId) {
+  const id = parseInt(workerId, 10);
+  if (!id || !db.getWorker(id)) {
+    send(ws, { type: 'terminal_output', worker_id: workerId, op: 'unavailable', error: `Unknown worker: ${workerId}` });
+    return false;
+  }
+  let stream = streams.get(id);
+  if (!stream) {
+    stream = { subscribers: new Set(), lines: null };
+    streams.set(id, stream);
+  }
+  stream.subscribers.add(ws);
+  const snap = capture(id);
+  if (snap.error) {
+    send(ws, { type: 'terminal_output', worker_id: id, op: 'unavailable', error: snap.error });
+  } else {
+    stream.lines = snap.lines;
+    send(ws, { type: 'terminal_output', worker_id: id, op: 'reset', lines: snap.lines });
+  }
+  return true;
+}
+
+function unsubscribe(ws, workerId) {
+  const id = parseInt(workerId, 10);
+  const stream = streams.get(id);
+  if (!stream) return;
+  stream.subscribers.delete(ws);
+  if (stream.subscribers.size === 0) streams.delete(id);
+}
+
+function unsubscribeAll(ws) {
+  for (const id of [...streams.keys()]) unsubscribe(ws, id);
+}
+
+/** Capture every watched worker once and push the changes. */
+function tick() {
+  for (const [id, stream] of streams) {
+    const snap = capture(id);
+    let msg;
+    if (snap.error) {
+      if (stream.lines === null) continue; // already reported
+      stream.lines = null;
+      msg = { op: 'unavailable', error: snap.error };
+    } else {
+      const patch = stream.lines === null ? { op: 'reset', lines: snap.lines } : diffCapture(stream.lines, snap.lines);
+      stream.lines = snap.lines;
+      if (!patch) continue;
+      msg = patch;
+    }
+    for (const ws of stream.subscribers) send(ws, { type: 'terminal_output', worker_id: id, ...msg });
+  }
+}
+
+function start() {
+  const intervalMs = parseInt(db.getConfig('terminal_stream_interval_ms')) || 1000;
+  intervalId = setInterval(() => {
+    try {
+      tick();
+    } catch (e) {
+      db.log('coordinator', 'terminal_stream_error', { error: e.message });
+    }
+  }, intervalMs);
+}
+
+function stop() {
+  if (intervalId) { clearInterval(intervalId); intervalId = null; }
+  streams.clear();
+}
+
+/**
+ * Type into a worker's terminal: `text` is sent literally followed by Enter,
+ * `key` is one of SPECIAL_KEYS. Throws on bad input or a missing window.
+ */
+function sendInput(workerId, { text, key } = {}, actor = 'user') {
+  if (db.getConfig('terminal_send_keys') !== 'true') throw new Error('Sending keys to workers is disabled (config terminal_send_keys)');
+  const worker = db.getWorker(workerId);
+  if (!worker) throw new Error(`Unknown worker: ${workerId}`);
+  if (key !== undefined && !SPECIAL_KEYS.includes(key)) throw new Error(`key must be one of: ${SPECIAL_KEYS.join(', ')}`);
+  if (key === undefined && (typeof text !== 'string' || text === '')) throw new Error('text or key is required');
+  if (!tmux.isAvailable() || !tmux.hasWindow(windowName(worker.id))) throw new Error(`No tmux window for worker-${worker.id}`);
+
+  if (key !== undefined) tmux.sendKeyName(windowName(worker.id), key);
+  else tmux.sendLiteral(windowName(worker.id), text);
+  db.log(actor, 'terminal_input', { worker_id: worker.id, key, text: text === undefined ? undefined : text.slice(0, 200) });
+}
+
+module.exports = { SPECIAL_KEYS, diffCapture, subscribe, unsubscribe, unsubscribeAll, tick, start, stop, sendInput };
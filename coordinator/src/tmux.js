@@ -75,6 +75,17 @@ function sendKeys(window, keys) {
   safeExec(['send-keys', '-t', `${SESSION}:${window}`, keys, 'Enter']);
 }
 
+// Type `text` exactly as given (no key-name lookup), then optionally press Enter
+function sendLiteral(window, text, enter = true) {
+  safeExec(['send-keys', '-t', `${SESSION}:${window}`, '-l', text]);
+  if (enter) safeExec(['send-keys', '-t', `${SESSION}:${window}`, 'Enter']);
+}
+
+// Press one named key (e.g. C-c, Escape)
+function sendKeyName(window, key) {
+  safeExec(['send-keys', '-t', `${SESSION}:${window}`, key]);
+}
+
 function isPaneAlive(window) {
   if (!isAvailable()) return false;
   try {
@@ -143,6 +154,8 @@ module.exports = {
   ensureSession,
   createWindow,
   sendKeys,
+  sendLiteral,
+  sendKeyName,
   isPaneAlive,
   getPanePid,
   killWindow,
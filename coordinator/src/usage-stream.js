@@ -0,0 +1,91 @@
+'use strict';
+
+// Per-task usage for one worker session. A session can run several tasks
+// (the worker loop takes follow-ups), but `claude -p` reports cost only once,
+// at the end. Reading its stream-json output instead, each assistant message
+// is charged to the task the worker held when the message first appeared;
+// the session's cost and models come from the final result event, and the
+// cost is shared out in proportion to each task's tokens.
+
+const TOKEN_FIELDS = {
+  input_tokens: 'input_tokens',
+  output_tokens: 'output_tokens',
+  cache_read_input_tokens: 'cache_read_tokens',
+  cache_creation_input_tokens: 'cache_write_tokens',
+};
+
+/**
+ * Returns { needsTask(event), add(event, taskId, now), result, reports(now) }.
+ * Only messages not seen before need the worker's current task looked up
+ * (needsTask). Messages with no current task go to the last task seen, or to
+ * `assignedTaskId` (the task that started the session).
+ */
+function createSessionTracker(assignedTaskId = null) {
+  // Streaming repeats a message's usage per content block: keep the latest per ID
+  const messages = new Map();
+  let lastTask = assignedTaskId;
+  let result = null;
+
+  function needsTask(event) {
+    return !!(event && event.type === 'assistant' && event.message && event.message.usage
+      && !messages.has(event.message.id));
+  }
+
+  function add(event, taskId, now = Date.now()) {
+    if (!event || typeof event !== 'object') return;
+    if (event.type === 'result') {
+      result = event;
+      return;
+    }
+    if (event.type !== 'assistant' || !event.message || !event.message.usage) return;
+    const known = messages.get(event.message.id);
+    if (!known && taskId !== null && taskId !== undefined) lastTask = taskId;
+    messages.set(event.message.id, {
+      task_id: known ? known.task_id : lastTask,
+      usage: event.message.usage,
+      at: known ? known.at : now,
+    });
+  }
+
+  /** One report per task, in the order the tasks came up. */
+  function reports(now = Date.now()) {
+    const byTask = new Map();
+    for (const m of messages.values()) {
+      if (m.task_id === null) continue;
+      if (!byTask.has(m.task_id)) {
+        byTask.set(m.task_id, { input_tokens: 0, output_tokens: 0, cache_read_tokens: 0, cache_write_tokens: 0, first: m.at });
+      }
+      const totals = byTask.get(m.task_id);
+      for (const [from, to] of Object.entries(TOKEN_FIELDS)) totals[to] += Number(m.usage[from]) || 0;
+    }
+    // A session with no assistant messages (or an old CLI) still reports its result
+    if (byTask.size === 0 && result && assignedTaskId !== null) {
+      const u = result.usage || {};
+      const totals = { first: now - (result.duration_ms || 0) };
+      for (const [from, to] of Object.entries(TOKEN_FIELDS)) totals[to] = Number(u[from]) || 0;
+      byTask.set(assignedTaskId, totals);
+    }
+
+    const tokens = t => t.input_tokens + t.output_tokens + t.cache_read_tokens + t.cache_write_tokens;
+    const entries = [...byTask.entries()];
+    const allTokens = entries.reduce((sum, [, t]) => sum + tokens(t), 0);
+    const cost = result && typeof result.total_cost_usd === 'number' ? result.total_cost_usd : 0;
+    const model = result && result.modelUsage ? Object.keys(result.modelUsage).join(',') : undefined;
+    return entries.map(([taskId, t], i) => {
+      const { first, ...totals } = t;
+      // A task runs until the next one's first message, the last until now
+      const until = i + 1 < entries.length ? entries[i + 1][1].first : now;
+      return {
+        task_id: taskId,
+        ...totals,
+        cost_usd: cost * (allTokens > 0 ? tokens(t) / allTokens : 1 / entries.length),
+        duration_ms: Math.max(until - first, 0),
+        model,
+      };
+    });
+  }
+
+  return { needsTask, add, reports, get result() { return result; } };
+}
+
+module.exports = { createSessionTracker };
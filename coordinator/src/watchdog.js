@@ -2,6 +2,9 @@
 
 const db = require('./db');
 const tmux = require('./tmux');
+const backup = require('./backup');
+const metrics = require('./metrics');
+const merger = require('./merger');
 
 let intervalId = null;
 let lastMailPurge = 0;
@@ -16,6 +19,9 @@ const THRESHOLDS = {
   terminate: 180,
 };
 
+// Seconds a worker may keep a cancelled task before its window is killed
+const CANCEL_GRACE_SEC = 60;
+
 function start(projectDir) {
   const intervalMs = parseInt(db.getConfig('watchdog_interval_ms')) || 10000;
 
@@ -38,6 +44,7 @@ function stop() {
 function tick(projectDir) {
   const workers = db.getAllWorkers();
   const now = Date.now();
+  const pauseState = db.getPauseState();
 
   for (const worker of workers) {
     // Skip idle workers and clear their escalation tracking
@@ -62,8 +69,11 @@ function tick(projectDir) {
       if (launchedAgo < THRESHOLDS.warn) continue;
     }
 
-    // Heartbeat freshness check
-    if (worker.last_heartbeat && (worker.status === 'running' || worker.status === 'busy')) {
+    // Heartbeat freshness check — skipped while paused, since workers may
+    // sit waiting without heartbeating
+    if (pauseState.paused || isWorkerRequestPaused(worker, pauseState.paused_requests)) {
+      lastEscalationLevel.delete(worker.id);
+    } else if (worker.last_heartbeat && (worker.status === 'running' || worker.status === 'busy')) {
       const staleSec = (now - new Date(worker.last_heartbeat).getTime()) / 1000;
       escalate(worker, staleSec, projectDir);
     }
@@ -90,12 +100,21 @@ function tick(projectDir) {
   // Orphan task recovery: tasks assigned but worker is idle
   recoverOrphanTasks();
 
+  // Workers that ignored a terminate mail for a cancelled task
+  enforceCancellations();
+
+  // Requests past their wall-clock or retry ceiling
+  enforceRequestLimits();
+
   // Recover stale integrations
   recoverStaleIntegrations(now);
 
-  // Periodic mail + log purge (once per hour)
+  // Periodic snapshot + mail + log purge (once per hour)
   if (now - lastMailPurge > 3600000) {
     lastMailPurge = now;
+    backup.snapshot(projectDir).catch((e) => {
+      db.log('coordinator', 'snapshot_failed', { error: e.message });
+    });
     const purged = db.purgeOldMail(7);
     if (purged > 0) {
       db.log('coordinator', 'mail_purged', { count: purged });
@@ -107,6 +126,16 @@ function tick(projectDir) {
     if (logPurged.changes > 0) {
       db.log('coordinator', 'activity_log_purged', { count: logPurged.changes });
     }
+    const deliveriesPurged = db.purgeOldDeliveries(30);
+    if (deliveriesPurged > 0) {
+      db.log('coordinator', 'webhook_deliveries_purged', { count: deliveriesPurged });
+    }
+    const runsPurged = db.purgeOldScheduleRuns(30);
+    if (runsPurged > 0) {
+      db.log('coordinator', 'schedule_runs_purged', { count: runsPurged });
+    }
+    // Lifecycle events only need to outlive a disconnected `mac10 watch`
+    db.getDb().prepare("DELETE FROM events WHERE created_at < datetime('now', '-30 days')").run();
   }
 }
 
@@ -116,6 +145,7 @@ function escalate(worker, staleSec, projectDir) {
 
   if (staleSec >= THRESHOLDS.terminate) {
     // Level 4: Terminate and reassign (always fires — destructive action)
+    metrics.inc('mac10_watchdog_escalations_total', { level: 'terminate' });
     db.log('coordinator', 'watchdog_terminate', {
       worker_id: worker.id,
       stale_sec: staleSec,
@@ -127,6 +157,7 @@ function escalate(worker, staleSec, projectDir) {
   } else if (staleSec >= THRESHOLDS.triage && prevLevel < 3) {
     // Level 3: Triage — capture output, log for analysis (once per escalation)
     lastEscalationLevel.set(worker.id, 3);
+    metrics.inc('mac10_watchdog_escalations_total', { level: 'triage' });
     const output = tmux.capturePane(windowName, 20);
     db.log('coordinator', 'watchdog_triage', {
       worker_id: worker.id,
@@ -140,6 +171,7 @@ function escalate(worker, staleSec, projectDir) {
   } else if (staleSec >= THRESHOLDS.nudge && prevLevel < 2) {
     // Level 2: Nudge — send reminder (once per escalation)
     lastEscalationLevel.set(worker.id, 2);
+    metrics.inc('mac10_watchdog_escalations_total', { level: 'nudge' });
     db.sendMail(`worker-${worker.id}`, 'nudge', {
       message: 'Heartbeat check — please report status.',
     });
@@ -151,6 +183,7 @@ function escalate(worker, staleSec, projectDir) {
   } else if (staleSec >= THRESHOLDS.warn && prevLevel < 1) {
     // Level 1: Warn — log only (once per escalation)
     lastEscalationLevel.set(worker.id, 1);
+    metrics.inc('mac10_watchdog_escalations_total', { level: 'warn' });
     db.log('coordinator', 'watchdog_warn', {
       worker_id: worker.id,
       stale_sec: staleSec,
@@ -164,17 +197,22 @@ function handleDeath(worker, reason) {
     reason,
     task_id: worker.current_task_id,
   });
+  db.emitEvent('worker_death', { worker_id: worker.id, reason, task_id: worker.current_task_id });
 
-  // If worker had a task, conditionally mark it for reassignment
-  // Uses a single conditional UPDATE to avoid TOCTOU race with worker's complete-task
+  // If worker had a task, count the attempt: it is retried after a backoff,
+  // or failed and escalated once max_attempts is reached. The status check
+  // happens inside recordTaskFailure's transaction, so a racing complete-task wins.
   if (worker.current_task_id) {
-    const result = db.getDb().prepare(
-      "UPDATE tasks SET status='ready', assigned_to=NULL, updated_at=datetime('now') WHERE id=? AND status NOT IN ('completed','failed')"
-    ).run(worker.current_task_id);
-    if (result.changes > 0) {
+    const outcome = db.recordTaskFailure(worker.current_task_id, {
+      kind: reason === 'heartbeat_timeout' ? 'heartbeat_timeout' : 'worker_crash',
+      error: `worker-${worker.id} died (${reason})`,
+    });
+    if (outcome && outcome.retrying) {
       db.log('coordinator', 'task_reassigned', {
         task_id: worker.current_task_id,
         reason: `worker-${worker.id} died (${reason})`,
+        attempt: outcome.attempts,
+        retry_in_sec: outcome.retry_in_sec,
       });
     }
   }
@@ -187,6 +225,12 @@ function handleDeath(worker, reason) {
   });
 }
 
+function isWorkerRequestPaused(worker, pausedRequests) {
+  if (!worker.current_task_id || pausedRequests.length === 0) return false;
+  const task = db.getTask(worker.current_task_id);
+  return !!(task && pausedRequests.includes(task.request_id));
+}
+
 function checkWorkerFatigue() {
   // Workers with 6+ completed tasks need a context reset
   const fatigued = db.getDb().prepare(
@@ -240,6 +284,37 @@ function recoverOrphanTasks() {
   }
 }
 
+function enforceCancellations() {
+  const holdouts = db.getDb().prepare(`
+    SELECT w.id, w.current_task_id FROM workers w
+    JOIN tasks t ON w.current_task_id = t.id
+    WHERE t.status = 'cancelled'
+      AND t.updated_at < datetime('now', '-' || ? || ' seconds')
+  `).all(CANCEL_GRACE_SEC);
+
+  for (const worker of holdouts) {
+    tmux.killWindow(`worker-${worker.id}`);
+    db.updateWorker(worker.id, { status: 'idle', current_task_id: null, pid: null });
+    db.log('coordinator', 'cancelled_worker_killed', {
+      worker_id: worker.id,
+      task_id: worker.current_task_id,
+    });
+  }
+}
+
+// Fail requests that hit a hard limit. Their unfinished tasks are cancelled,
+// so running workers get a terminate mail and enforceCancellations() follows up.
+function enforceRequestLimits() {
+  for (const breach of db.findLimitBreaches()) {
+    db.log('coordinator', 'request_limit_exceeded', breach);
+    try {
+      db.failRequest(breach.request_id, { reason: breach.reason, actor: 'watchdog' });
+    } catch (e) {
+      db.log('coordinator', 'request_limit_fail_error', { request_id: breach.request_id, error: e.message });
+    }
+  }
+}
+
 function recoverStaleIntegrations(now) {
   const integratingRequests = db.getDb().prepare(
     "SELECT * FROM requests WHERE status = 'integrating'"
@@ -254,15 +329,7 @@ function recoverStaleIntegrations(now) {
     if (merges.length === 0) {
       const integratingAge = (now - new Date(req.updated_at).getTime()) / 1000;
       if (integratingAge > 900) { // 15 minutes
-        db.updateRequest(req.id, {
-          status: 'completed',
-          completed_at: new Date().toISOString(),
-          result: 'Completed (no PRs to merge)',
-        });
-        db.sendMail('master-1', 'request_completed', {
-          request_id: req.id,
-          result: 'Completed (no PRs to merge)',
-        });
+        merger.completeRequest(req.id, 'Completed (no PRs to merge)');
         db.log('coordinator', 'stale_integration_recovered', {
           request_id: req.id,
           reason: 'no_merge_entries_timeout',
@@ -294,17 +361,12 @@ function recoverStaleIntegrations(now) {
     const allMerged = freshMerges.every(m => m.status === 'merged');
 
     if (allMerged) {
-      // Case 2: All merges succeeded → mark request completed
-      const result = `All ${freshMerges.length} PR(s) merged successfully`;
-      db.updateRequest(req.id, {
-        status: 'completed',
-        completed_at: new Date().toISOString(),
-        result,
-      });
-      db.sendMail('master-1', 'request_completed', { request_id: req.id, result });
+      // Case 2: All merges succeeded → complete, or verify first if configured
+      const status = merger.finishIntegration(req.id, `All ${freshMerges.length} PR(s) merged successfully`);
       db.log('coordinator', 'stale_integration_recovered', {
         request_id: req.id,
         reason: 'all_merged',
+        status,
       });
     } else {
       // Case 3: All resolved but some failed/conflict → mark request failed
@@ -322,6 +384,7 @@ function recoverStaleIntegrations(now) {
         request_id: req.id,
         error: details,
       });
+      db.emitEvent('request_failed', { request_id: req.id, error: `Merge failures: ${details}` });
       db.log('coordinator', 'stale_integration_recovered', {
         request_id: req.id,
         reason: 'merge_failures',
@@ -331,4 +394,4 @@ function recoverStaleIntegrations(now) {
   }
 }
 
-module.exports = { start, stop, tick, THRESHOLDS };
+module.exports = { start, stop, tick, enforceRequestLimits, THRESHOLDS, CANCEL_GRACE_SEC };
@@ -7,7 +7,13 @@ const path = require('path');
 const fs = require('fs');
 const { spawn } = require('child_process');
 const db = require('./db');
+const merger = require('./merger');
+const metrics = require('./metrics');
+const scheduler = require('./scheduler');
+const webhooks = require('./webhooks');
+const requestTemplates = require('./request-templates');
 const instanceRegistry = require('./instance-registry');
+const terminalStream = require('./terminal-stream');
 
 const REPO_RE = /^(https?:\/\/github\.com\/)?[a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+(\.git)?$/;
 const SAFE_PATH_RE = /^(?:\/|[A-Za-z]:[\\/])[a-zA-Z0-9._\\/: -]+$/;
@@ -18,10 +24,23 @@ let setupProcess = null;
 let broadcastIntervalId = null;
 let pingIntervalId = null;
 
+// Dashboards served from loopback on any port (other mac10 GUI tabs)
+const LOCAL_ORIGIN_RE = /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+// Browsers always send Origin; no header means a non-browser client
+function isDashboardOrigin(origin, host) {
+  if (!origin || LOCAL_ORIGIN_RE.test(origin)) return true;
+  try { return new URL(origin).host === host; } catch { return false; }
+}
+
 function start(projectDir, port = 3100, scriptDir = null) {
   const app = express();
   server = http.createServer(app);
-  wss = new WebSocket.Server({ server });
+  // Another site open in the browser must not stream or type into worker terminals
+  wss = new WebSocket.Server({
+    server,
+    verifyClient: ({ origin, req }) => isDashboardOrigin(origin, req.headers.host),
+  });
   wss.on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
       // Handled by server.on('error') — suppress duplicate
@@ -40,7 +59,7 @@ function start(projectDir, port = 3100, scriptDir = null) {
   // CORS -- allow cross-port requests from other mac10 GUI tabs
   app.use((req, res, next) => {
     const origin = req.headers.origin;
-    if (origin && /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin)) {
+    if (origin && LOCAL_ORIGIN_RE.test(origin)) {
       res.setHeader('Access-Control-Allow-Origin', origin);
       res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
       res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
@@ -54,6 +73,15 @@ function start(projectDir, port = 3100, scriptDir = null) {
   app.use(express.static(guiDir));
   app.use(express.json());
 
+  // Prometheus scrape endpoint
+  app.get('/metrics', (req, res) => {
+    try {
+      res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render(projectDir));
+    } catch (e) {
+      res.status(500).type('text/plain').send(`# metrics error: ${e.message}\n`);
+    }
+  });
+
   // API endpoints
   app.get('/api/status', (req, res) => {
     try {
@@ -61,7 +89,7 @@ function start(projectDir, port = 3100, scriptDir = null) {
       const workers = db.getAllWorkers();
       const tasks = db.listTasks();
       const logs = db.getLog(20);
-      res.json({ requests, workers, tasks, logs });
+      res.json({ requests, workers, tasks, logs, ...db.getPauseState() });
     } catch (e) {
       res.status(500).json({ error: e.message });
     }
@@ -79,13 +107,153 @@ function start(projectDir, port = 3100, scriptDir = null) {
     try {
       const request = db.getRequest(req.params.id);
       if (!request) return res.status(404).json({ error: 'Not found' });
-      const tasks = db.listTasks({ request_id: req.params.id });
-      res.json({ ...request, tasks });
+      const { by_task, by_actor } = db.getUsageBreakdown(req.params.id);
+      const tasks = db.listTasks({ request_id: req.params.id })
+        .map(t => ({ ...t, usage: by_task[t.id] || null }));
+      res.json({
+        ...request,
+        tasks,
+        usage: { ...db.getUsageTotals({ request_id: req.params.id }), by_actor },
+        budget: db.getBudgetState(req.params.id),
+        limits: db.getLimitState(req.params.id),
+        clarifications: db.getClarifications(req.params.id),
+        merges: db.getMergesForRequest(req.params.id),
+        merge_settings: db.getMergeSettings(req.params.id),
+        overlaps: db.getOverlapsForRequest(req.params.id),
+        timeline: db.getRequestTimeline(req.params.id),
+      });
     } catch (e) {
       res.status(500).json({ error: e.message });
     }
   });
 
+  // Pause/resume the whole coordinator, or one request when request_id is given
+  for (const action of ['pause', 'resume']) {
+    app.post(`/api/${action}`, (req, res) => {
+      try {
+        const { request_id } = req.body || {};
+        if (request_id !== undefined && typeof request_id !== 'string') {
+          return res.status(400).json({ ok: false, error: 'request_id must be a string' });
+        }
+        if (request_id && !db.getRequest(request_id)) return res.status(404).json({ ok: false, error: 'Not found' });
+        let state;
+        try {
+          state = db.setPaused(request_id || null, action === 'pause', 'gui');
+        } catch (e) {
+          return res.status(409).json({ ok: false, error: e.message });
+        }
+        res.json({ ok: true, request_id: request_id || null, ...state });
+        broadcast({ type: 'pause_changed', ...state });
+      } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+      }
+    });
+  }
+
+  // Body: { message } — the user's answer to the architect's open question
+  app.post('/api/requests/:id/clarify', (req, res) => {
+    try {
+      const { message } = req.body || {};
+      if (typeof message !== 'string' || !message.trim()) {
+        return res.status(400).json({ ok: false, error: 'message is required' });
+      }
+      if (!db.getRequest(req.params.id)) return res.status(404).json({ ok: false, error: 'Not found' });
+      const reply = db.replyClarification(req.params.id, message.trim(), 'gui');
+      res.json({ ok: true, ...reply });
+      broadcast({ type: 'clarification_changed', request_id: req.params.id });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.post('/api/requests/:id/clarifications/read', (req, res) => {
+    try {
+      if (!db.getRequest(req.params.id)) return res.status(404).json({ ok: false, error: 'Not found' });
+      const marked = db.markClarificationsRead(req.params.id);
+      res.json({ ok: true, marked });
+      if (marked > 0) broadcast({ type: 'clarification_changed', request_id: req.params.id });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.post('/api/requests/:id/cancel', async (req, res) => {
+    try {
+      const { reason, close_prs } = req.body || {};
+      if (reason !== undefined && typeof reason !== 'string') {
+        return res.status(400).json({ ok: false, error: 'reason must be a string' });
+      }
+      if (!db.getRequest(req.params.id)) return res.status(404).json({ ok: false, error: 'Not found' });
+      let summary;
+      try {
+        summary = db.cancelRequest(req.params.id, { reason, actor: 'gui' });
+      } catch (e) {
+        return res.status(409).json({ ok: false, error: e.message });
+      }
+      let closedPrs = [];
+      if (close_prs === true && summary.pr_urls.length > 0) {
+        closedPrs = await merger.closePullRequests(summary.pr_urls, db.getConfig('project_dir') || projectDir, summary.request_id);
+      }
+      res.json({ ok: true, ...summary, closed_prs: closedPrs });
+      broadcast({ type: 'request_cancelled', request_id: summary.request_id });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.post('/api/requests/:id/priority', (req, res) => {
+    try {
+      const { priority } = req.body || {};
+      if (!db.PRIORITIES.includes(priority)) {
+        return res.status(400).json({ ok: false, error: `priority must be one of: ${db.PRIORITIES.join(', ')}` });
+      }
+      if (!db.getRequest(req.params.id)) return res.status(404).json({ ok: false, error: 'Not found' });
+      const updated = db.setRequestPriority(req.params.id, priority, 'gui');
+      res.json({ ok: true, request_id: updated.id, priority: updated.priority });
+      broadcast({ type: 'priority_changed', request_id: updated.id });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Body: { budget_usd?, budget_tokens? } — null clears, omitted leaves unchanged
+  app.post('/api/requests/:id/budget', (req, res) => {
+    try {
+      if (!db.getRequest(req.params.id)) return res.status(404).json({ ok: false, error: 'Not found' });
+      const { budget_usd, budget_tokens } = req.body || {};
+      let budget;
+      try {
+        budget = db.setBudget(req.params.id, { budget_usd, budget_tokens }, 'gui');
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e.message });
+      }
+      res.json({ ok: true, request_id: req.params.id, ...budget });
+      broadcast({ type: 'budget_changed', request_id: req.params.id });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Body: any of max_tasks, max_workers, max_wall_clock_min, max_retries, max_usage_units (null clears)
+  app.post('/api/requests/:id/limits', (req, res) => {
+    try {
+      if (!db.getRequest(req.params.id)) return res.status(404).json({ ok: false, error: 'Not found' });
+      const body = req.body || {};
+      const limits = {};
+      for (const f of db.LIMIT_FIELDS) limits[f] = body[f];
+      let state;
+      try {
+        state = db.setLimits(req.params.id, limits, 'gui');
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e.message });
+      }
+      res.json({ ok: true, request_id: req.params.id, ...state });
+      broadcast({ type: 'limits_changed', request_id: req.params.id });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
   app.get('/api/workers', (req, res) => {
     try {
       res.json(db.getAllWorkers());
@@ -94,6 +262,28 @@ function start(projectDir, port = 3100, scriptDir = null) {
     }
   });
 
+  // Type into a worker's terminal: { text } (sent with Enter) or { key } (e.g. "C-c")
+  app.post('/api/workers/:id/keys', (req, res) => {
+    try {
+      if (db.getConfig('terminal_send_keys') !== 'true') {
+        return res.status(403).json({ ok: false, error: 'Sending keys to workers is disabled (config terminal_send_keys)' });
+      }
+      if (!isDashboardOrigin(req.headers.origin, req.headers.host)) {
+        return res.status(403).json({ ok: false, error: 'Origin not allowed' });
+      }
+      if (!db.getWorker(req.params.id)) return res.status(404).json({ ok: false, error: 'Not found' });
+      const { text, key } = req.body || {};
+      try {
+        terminalStream.sendInput(req.params.id, { text, key }, 'gui');
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e.message });
+      }
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
   app.get('/api/tasks', (req, res) => {
     try {
       res.json(db.listTasks(req.query));
@@ -102,6 +292,16 @@ function start(projectDir, port = 3100, scriptDir = null) {
     }
   });
 
+  app.get('/api/tasks/:id', (req, res) => {
+    try {
+      const task = db.getTask(parseInt(req.params.id, 10));
+      if (!task) return res.status(404).json({ error: 'Not found' });
+      res.json(task);
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
   app.get('/api/log', (req, res) => {
     try {
       const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
@@ -111,13 +311,58 @@ function start(projectDir, port = 3100, scriptDir = null) {
     }
   });
 
+  // Full-text search: ?q=<text>[&kind=request|task|log|change|mail][&days=N][&limit=N]
+  app.get('/api/search', (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) return res.status(400).json({ error: 'q is required' });
+    const kind = req.query.kind || undefined;
+    if (kind && !db.SEARCH_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${db.SEARCH_KINDS.join(', ')}` });
+    }
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : undefined;
+    if (days !== undefined && !(days > 0)) return res.status(400).json({ error: 'days must be a positive integer' });
+    try {
+      const results = db.search(q, { kinds: kind ? [kind] : undefined, limit: req.query.limit, days });
+      res.json({ query: q, results });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.get('/api/templates', (req, res) => {
+    try {
+      res.json({ templates: requestTemplates.listTemplates(projectDir) });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Body: { description, priority? } or { template, params?, priority? }
   app.post('/api/request', (req, res) => {
     try {
-      const { description } = req.body;
+      const { description, priority, template, params } = req.body;
+      if (template !== undefined) {
+        if (priority && !db.PRIORITIES.includes(priority)) {
+          return res.status(400).json({ ok: false, error: `priority must be one of: ${db.PRIORITIES.join(', ')}` });
+        }
+        let created;
+        try {
+          created = requestTemplates.createFromTemplate(projectDir, template, params || {}, { priority: priority || undefined, actor: 'gui' });
+        } catch (e) {
+          // Unknown template, missing/unknown params, or a plan the DB rejects
+          return res.status(400).json({ ok: false, error: e.message });
+        }
+        res.json({ ok: true, ...created });
+        broadcast({ type: 'request_created', request_id: created.request_id });
+        return;
+      }
       if (!description || typeof description !== 'string') {
         return res.status(400).json({ ok: false, error: 'description is required and must be a string' });
       }
-      const id = db.createRequest(description);
+      if (priority !== undefined && !db.PRIORITIES.includes(priority)) {
+        return res.status(400).json({ ok: false, error: `priority must be one of: ${db.PRIORITIES.join(', ')}` });
+      }
+      const id = db.createRequest(description, { priority });
       res.json({ ok: true, request_id: id });
       broadcast({ type: 'request_created', request_id: id });
     } catch (e) {
@@ -125,6 +370,107 @@ function start(projectDir, port = 3100, scriptDir = null) {
     }
   });
 
+  // --- Schedule endpoints ---
+
+  app.get('/api/schedules', (req, res) => {
+    try {
+      res.json({ schedules: scheduler.listSchedules() });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Body: { cron, description, name?, priority? }
+  app.post('/api/schedules', (req, res) => {
+    let schedule;
+    try {
+      const { cron, description, name, priority } = req.body || {};
+      schedule = scheduler.addSchedule({ cron, description, name: name || undefined, priority: priority || undefined }, 'gui');
+    } catch (e) {
+      // Everything addSchedule rejects is bad input (cron syntax, priority, description)
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    res.json({ ok: true, schedule });
+    broadcast({ type: 'schedule_changed', schedule_id: schedule.id });
+  });
+
+  app.delete('/api/schedules/:id', (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (!id) return res.status(400).json({ ok: false, error: 'Invalid schedule id' });
+      if (!db.getSchedule(id)) return res.status(404).json({ ok: false, error: 'Schedule not found' });
+      scheduler.removeSchedule(id, 'gui');
+      res.json({ ok: true });
+      broadcast({ type: 'schedule_changed', schedule_id: id });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // --- Webhook endpoints ---
+
+  app.get('/api/webhooks', (req, res) => {
+    try {
+      res.json({ webhooks: db.listWebhooks(), events: db.LIFECYCLE_EVENTS });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Body: { url, events?: string[] | '*', secret? }
+  app.post('/api/webhooks', (req, res) => {
+    let webhook;
+    try {
+      const { url, events, secret } = req.body || {};
+      webhook = webhooks.addWebhook({ url, events, secret: secret || undefined }, 'gui');
+    } catch (e) {
+      // addWebhook only rejects bad input (URL scheme, unknown event names)
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    res.json({ ok: true, webhook });
+    broadcast({ type: 'webhook_changed', webhook_id: webhook.id });
+  });
+
+  app.delete('/api/webhooks/:id', (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (!id) return res.status(400).json({ ok: false, error: 'Invalid webhook id' });
+      if (!db.getWebhook(id)) return res.status(404).json({ ok: false, error: 'Webhook not found' });
+      webhooks.removeWebhook(id, 'gui');
+      res.json({ ok: true });
+      broadcast({ type: 'webhook_changed', webhook_id: id });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Query: ?webhook_id=&status=&limit=
+  app.get('/api/webhooks/deliveries', (req, res) => {
+    try {
+      const deliveries = db.listDeliveries({
+        webhook_id: parseInt(req.query.webhook_id) || undefined,
+        status: req.query.status || undefined,
+        limit: Math.min(parseInt(req.query.limit) || 50, 500),
+      });
+      res.json({ deliveries });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.post('/api/webhooks/deliveries/:id/redeliver', (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (!id) return res.status(400).json({ ok: false, error: 'Invalid delivery id' });
+      if (!db.redeliver(id)) return res.status(404).json({ ok: false, error: 'No undelivered delivery with that id' });
+      db.log('gui', 'webhook_redeliver', { delivery_id: id });
+      res.json({ ok: true });
+      broadcast({ type: 'webhook_delivery', delivery_id: id, outcome: 'pending' });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
   // --- Setup endpoints ---
 
   app.get('/api/config', (req, res) => {
@@ -660,6 +1006,15 @@ function start(projectDir, port = 3100, scriptDir = null) {
     ws.on('pong', () => { ws.isAlive = true; });
     ws.on('error', () => {}); // prevent unhandled error crashes
 
+    // Clients opt in to live worker terminals; everything else is broadcast
+    ws.on('message', (raw) => {
+      let msg;
+      try { msg = JSON.parse(raw); } catch { return; }
+      if (msg.type === 'terminal_subscribe') terminalStream.subscribe(ws, msg.worker_id);
+      else if (msg.type === 'terminal_unsubscribe') terminalStream.unsubscribe(ws, msg.worker_id);
+    });
+    ws.on('close', () => terminalStream.unsubscribeAll(ws));
+
     // Send initial state
     try {
       ws.send(JSON.stringify({
@@ -668,12 +1023,15 @@ function start(projectDir, port = 3100, scriptDir = null) {
           requests: db.listRequests(),
           workers: db.getAllWorkers(),
           tasks: db.listTasks(),
+          ...db.getPauseState(),
         },
       }));
     } catch {}
   });
 
-  // Periodic broadcast of state
+  // Periodic broadcast of state, plus any lifecycle events since the last tick
+  // (emitted by the CLI server, merger, and watchdog, so they are picked up here)
+  let lastEventId = db.getLastEventId();
   broadcastIntervalId = setInterval(() => {
     broadcast({
       type: 'state',
@@ -681,10 +1039,17 @@ function start(projectDir, port = 3100, scriptDir = null) {
         requests: db.listRequests(),
         workers: db.getAllWorkers(),
         tasks: db.listTasks(),
+        ...db.getPauseState(),
       },
     });
+    for (const ev of db.getEvents(lastEventId)) {
+      broadcast({ type: 'lifecycle_event', event: ev });
+      lastEventId = ev.id;
+    }
   }, 2000);
 
+  terminalStream.start();
+
   // Ping/pong to detect and terminate stale WebSocket connections
   pingIntervalId = setInterval(() => {
     if (!wss) return;
@@ -724,6 +1089,7 @@ function broadcast(data) {
 function stop() {
   if (broadcastIntervalId) { clearInterval(broadcastIntervalId); broadcastIntervalId = null; }
   if (pingIntervalId) { clearInterval(pingIntervalId); pingIntervalId = null; }
+  terminalStream.stop();
   if (setupProcess) {
     try { setupProcess.kill(); } catch {}
     setupProcess = null;
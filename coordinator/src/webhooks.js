@@ -0,0 +1,117 @@
+'use strict';
+
+// Outgoing webhooks. Events are queued in webhook_deliveries by db.emitEvent()
+// in the same transaction as the change that caused them; this loop POSTs
+// them and retries failures with exponential backoff, so a receiver that is
+// down (or a coordinator restart) loses nothing.
+//
+// Each POST carries the JSON body stored at emit time plus:
+//   X-Mac10-Event:     event name
+//   X-Mac10-Delivery:  delivery id (stable across retries, for de-duplication)
+//   X-Mac10-Signature: sha256=<hex HMAC of the raw body> (only when a secret is set)
+
+const crypto = require('crypto');
+const db = require('./db');
+
+let intervalId = null;
+let delivering = false;
+let deliveryHandler = null;
+
+function start(handlers = {}) {
+  const intervalMs = parseInt(db.getConfig('webhook_interval_ms')) || 5000;
+  deliveryHandler = handlers.onDelivery || null;
+  intervalId = setInterval(runTick, intervalMs);
+  db.log('coordinator', 'webhooks_started', { interval_ms: intervalMs });
+}
+
+async function runTick() {
+  try {
+    const results = await deliverDue();
+    if (deliveryHandler) for (const r of results) deliveryHandler(r);
+  } catch (e) {
+    db.log('coordinator', 'webhook_error', { error: e.message });
+  }
+}
+
+function stop() {
+  if (intervalId) { clearInterval(intervalId); intervalId = null; }
+  deliveryHandler = null;
+}
+
+/** Validate and register a webhook. Returns the listed row (secret omitted). */
+function addWebhook({ url, events, secret }, actor = 'user') {
+  const id = db.createWebhook({ url, events, secret });
+  const hook = db.listWebhooks().find(w => w.id === id);
+  db.log(actor, 'webhook_added', { webhook_id: id, url: hook.url, events: hook.events });
+  return hook;
+}
+
+function removeWebhook(id, actor = 'user') {
+  const hook = db.getWebhook(id);
+  if (!hook) throw new Error(`Webhook not found: ${id}`);
+  db.deleteWebhook(id);
+  db.log(actor, 'webhook_removed', { webhook_id: id, url: hook.url });
+  return hook;
+}
+
+function sign(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+async function post(delivery) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'mac10-webhooks',
+    'X-Mac10-Event': delivery.event,
+    'X-Mac10-Delivery': String(delivery.id),
+  };
+  if (delivery.secret) headers['X-Mac10-Signature'] = sign(delivery.secret, delivery.payload);
+  const timeoutMs = parseInt(db.getConfig('webhook_timeout_ms')) || 10000;
+  try {
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body: delivery.payload,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    // Drain the body so the connection can be reused
+    await res.arrayBuffer().catch(() => {});
+    if (res.ok) return { ok: true, response_status: res.status };
+    return { ok: false, response_status: res.status, error: `HTTP ${res.status}` };
+  } catch (e) {
+    const error = e.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : (e.cause && e.cause.message) || e.message;
+    return { ok: false, response_status: null, error };
+  }
+}
+
+/**
+ * Attempt every due delivery once, one at a time. Returns
+ * [{ delivery_id, webhook_id, event, outcome }] where outcome is
+ * delivered / retrying / failed. Overlapping calls return [] immediately.
+ * Deliveries of a webhook removed while the loop runs are dropped.
+ */
+async function deliverDue() {
+  if (delivering) return [];
+  delivering = true;
+  try {
+    const results = [];
+    for (const delivery of db.getDueDeliveries()) {
+      if (!db.getWebhook(delivery.webhook_id)) continue;
+      const attempt = await post(delivery);
+      let outcome;
+      try {
+        outcome = db.recordDeliveryAttempt(delivery.id, attempt);
+      } catch (e) {
+        // Removed during the POST; one bad row must not end the tick
+        db.log('coordinator', 'webhook_error', { delivery_id: delivery.id, webhook_id: delivery.webhook_id, error: e.message });
+        continue;
+      }
+      results.push({ delivery_id: delivery.id, webhook_id: delivery.webhook_id, event: delivery.event, outcome });
+    }
+    return results;
+  } finally {
+    delivering = false;
+  }
+}
+
+module.exports = { start, stop, deliverDue, addWebhook, removeWebhook, sign };
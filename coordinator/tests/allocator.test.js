@@ -8,6 +8,7 @@ const os = require('os');
 
 const db = require('../src/db');
 const allocator = require('../src/allocator');
+const scoring = require('../src/scoring');
 
 let tmpDir;
 
@@ -23,7 +24,11 @@ afterEach(() => {
   fs.rmSync(tmpDir, { recursive: true, force: true });
 });
 
-describe('Allocator tick (thin notifier)', () => {
+describe('Allocator tick (agent mode, thin notifier)', () => {
+  beforeEach(() => {
+    db.setConfig('allocator_mode', 'agent');
+  });
+
   it('should promote pending tasks to ready', () => {
     db.registerWorker(1, '/wt-1', 'agent-1');
     const reqId = db.createRequest('Test feature');
@@ -95,6 +100,133 @@ describe('Allocator tick (thin notifier)', () => {
   });
 });
 
+describe('Allocator tick (coordinator mode)', () => {
+  it('should default to coordinator mode', () => {
+    assert.strictEqual(allocator.getMode(), 'coordinator');
+  });
+
+  it('should assign ready tasks to idle workers without mailing the allocator agent', () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    const reqId = db.createRequest('Test');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Task', description: 'Desc' });
+    db.checkMail('allocator');
+
+    allocator.tick();
+
+    const task = db.getTask(taskId);
+    assert.strictEqual(task.status, 'assigned');
+    assert.strictEqual(task.assigned_to, 1);
+    assert.strictEqual(task.attempts, 1);
+    assert.strictEqual(db.getWorker(1).status, 'assigned');
+    assert.strictEqual(db.getWorker(1).current_task_id, taskId);
+
+    const workerMail = db.checkMail('worker-1');
+    assert.strictEqual(workerMail[0].type, 'task_assigned');
+    assert.strictEqual(db.checkMail('allocator').length, 0);
+  });
+
+  it('should prefer the worker whose domain matches the task', () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    db.registerWorker(2, '/wt-2', 'agent-2');
+    db.updateWorker(1, { domain: 'frontend' });
+    db.updateWorker(2, { domain: 'backend' });
+    const reqId = db.createRequest('Test');
+    const taskId = db.createTask({ request_id: reqId, subject: 'API', description: 'Desc', domain: 'backend' });
+
+    allocator.tick();
+
+    assert.strictEqual(db.getTask(taskId).assigned_to, 2);
+    assert.strictEqual(db.getWorker(1).status, 'idle');
+  });
+
+  it('should prefer the worker whose last task shared files', () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    db.registerWorker(2, '/wt-2', 'agent-2');
+    const reqId = db.createRequest('Test');
+    const prev = db.createTask({ request_id: reqId, subject: 'Prev', description: 'Desc', files: ['src/auth.js'] });
+    db.updateTask(prev, { status: 'completed', assigned_to: 2, completed_at: new Date().toISOString() });
+    const taskId = db.createTask({ request_id: reqId, subject: 'Next', description: 'Desc', files: ['src/auth.js'] });
+
+    allocator.tick();
+
+    assert.strictEqual(db.getTask(taskId).assigned_to, 2);
+  });
+
+  it('should skip claimed workers', () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    db.claimWorker(1, 'architect');
+    const reqId = db.createRequest('Test');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Task', description: 'Desc' });
+
+    allocator.tick();
+
+    assert.strictEqual(db.getTask(taskId).status, 'ready');
+    assert.strictEqual(db.getTask(taskId).assigned_to, null);
+  });
+
+  it('should revert the assignment when the spawn handler fails', () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    const reqId = db.createRequest('Test');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Task', description: 'Desc' });
+    db.updateTask(taskId, { status: 'ready' });
+
+    const result = allocator.assignTaskToWorker(taskId, 1, () => { throw new Error('tmux gone'); });
+    assert.strictEqual(result.ok, false);
+    assert.match(result.error, /tmux gone/);
+    assert.strictEqual(db.getTask(taskId).status, 'ready');
+    assert.strictEqual(db.getTask(taskId).attempts, 0);
+    assert.strictEqual(db.getWorker(1).status, 'idle');
+  });
+});
+
+describe('Scoring policies', () => {
+  const task = (id, extra = {}) => ({ id, priority: 'normal', domain: null, files: null, ...extra });
+  const worker = (id, extra = {}) => ({ id, domain: null, tasks_completed: 0, ...extra });
+
+  it('should give urgent tasks the first pick of workers', () => {
+    const plan = scoring.planAssignments(
+      [task(1, { domain: 'ui' }), task(2, { priority: 'urgent' })],
+      [worker(1, { domain: 'ui' })],
+      new Map(),
+      'default'
+    );
+    assert.strictEqual(plan.length, 1);
+    assert.strictEqual(plan[0].task.id, 2);
+  });
+
+  it('should penalize fatigued workers', () => {
+    const plan = scoring.planAssignments(
+      [task(1)],
+      [worker(1, { tasks_completed: 5 }), worker(2, { tasks_completed: 1 })],
+      new Map(),
+      'default'
+    );
+    assert.strictEqual(plan[0].worker.id, 2);
+  });
+
+  it('should be deterministic on ties (lowest task, then worker ID)', () => {
+    const plan = scoring.planAssignments([task(2), task(1)], [worker(3), worker(2)], new Map(), 'default');
+    assert.deepStrictEqual(plan.map(p => [p.task.id, p.worker.id]), [[1, 2], [2, 3]]);
+  });
+
+  it('should ignore affinity under the fifo policy', () => {
+    const plan = scoring.planAssignments(
+      [task(1, { domain: 'api' })],
+      [worker(1), worker(2, { domain: 'api' })],
+      new Map(),
+      'fifo'
+    );
+    assert.strictEqual(plan[0].worker.id, 1);
+  });
+
+  it('should accept custom policies and fall back to default for unknown names', () => {
+    scoring.registerPolicy('domain-only', { priority: 0, domain: 1, files: 0, fatigue: 0 });
+    assert.strictEqual(scoring.getPolicy('domain-only').domain, 1);
+    assert.strictEqual(scoring.getPolicy('nope'), scoring.POLICIES.default);
+    assert.throws(() => scoring.registerPolicy('bad', { priority: 1 }), /missing numeric weight/);
+  });
+});
+
 describe('Worker claim/release', () => {
   it('should claim and release workers', () => {
     db.registerWorker(1, '/wt-1', 'agent-1');
@@ -153,3 +285,109 @@ describe('Request completion tracking', () => {
     assert.strictEqual(result.completed, 2);
   });
 });
+
+describe('Pause / resume', () => {
+  it('should neither promote nor assign while the coordinator is paused', () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    const reqId = db.createRequest('Test');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Task', description: 'Desc' });
+
+    db.setPaused(null, true);
+    allocator.tick();
+    assert.strictEqual(db.getTask(taskId).status, 'pending');
+
+    db.setPaused(null, false);
+    allocator.tick();
+    assert.strictEqual(db.getTask(taskId).status, 'assigned');
+  });
+
+  it('should hold back only the paused request', () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    db.registerWorker(2, '/wt-2', 'agent-2');
+    const pausedReq = db.createRequest('Paused');
+    const activeReq = db.createRequest('Active');
+    const pausedTask = db.createTask({ request_id: pausedReq, subject: 'P', description: 'Desc', priority: 'urgent' });
+    const activeTask = db.createTask({ request_id: activeReq, subject: 'A', description: 'Desc' });
+
+    db.setPaused(pausedReq, true);
+    allocator.tick();
+    assert.strictEqual(db.getTask(pausedTask).status, 'pending');
+    assert.strictEqual(db.getTask(activeTask).status, 'assigned');
+    assert.deepStrictEqual(db.getPauseState(), { paused: false, paused_requests: [pausedReq] });
+  });
+
+  it('should refuse manual assignment of a paused request\'s task', () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    const reqId = db.createRequest('Test');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Task', description: 'Desc' });
+    db.updateTask(taskId, { status: 'ready' });
+    db.setPaused(reqId, true);
+
+    const result = allocator.assignTaskToWorker(taskId, 1, null);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.reason, 'paused');
+  });
+});
+
+describe('Request priority and fair share', () => {
+  const rt = (id, requestId, requestPriority, createdAt) => ({
+    id, request_id: requestId, request_priority: requestPriority, request_created_at: createdAt, priority: 'normal',
+  });
+
+  function bigAndFix() {
+    const big = db.createRequest('30-task refactor');
+    for (let i = 0; i < 6; i++) db.createTask({ request_id: big, subject: `R${i}`, description: 'd', priority: 'high' });
+    const fix = db.createRequest('Fix login typo', { priority: 'urgent' });
+    const fixTask = db.createTask({ request_id: fix, subject: 'Fix', description: 'd' });
+    db.checkAndPromoteTasks();
+    return { big, fix, fixTask };
+  }
+
+  it('should order ready tasks by request priority before task priority', () => {
+    const { fix, fixTask } = bigAndFix();
+    const ready = db.getReadyTasks();
+    assert.strictEqual(ready[0].id, fixTask);
+    assert.strictEqual(ready[0].request_priority, 'urgent');
+    assert.strictEqual(db.getRequest(fix).priority, 'urgent');
+    assert.throws(() => db.createRequest('x', { priority: 'asap' }), /priority must be one of/);
+  });
+
+  it('should hand an urgent request the only idle worker in priority mode', () => {
+    const { fixTask } = bigAndFix();
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    const assigned = allocator.allocate(db.getReadyTasks(), db.getIdleWorkers());
+    assert.deepStrictEqual(assigned, [{ task_id: fixTask, worker_id: 1 }]);
+  });
+
+  it('should interleave requests by weight in fair-share order', () => {
+    const tasks = [
+      ...[1, 2, 3, 4].map(i => rt(i, 'req-big', 'normal', '2026-01-01 00:00:00')),
+      ...[5, 6].map(i => rt(i, 'req-hot', 'high', '2026-01-02 00:00:00')),
+    ];
+    // high weighs 4, normal 2: the high request gets both of its tasks out first
+    assert.deepStrictEqual(scoring.fairShareOrder(tasks, new Map(), undefined, 4).map(t => t.id), [5, 6, 1, 2]);
+
+    // Running work counts: the busy request waits until the other catches up (ties go to the older request)
+    const even = [
+      ...[1, 2, 3].map(i => rt(i, 'req-a', 'normal', '2026-01-01 00:00:00')),
+      ...[4, 5, 6].map(i => rt(i, 'req-b', 'normal', '2026-01-02 00:00:00')),
+    ];
+    const order = scoring.fairShareOrder(even, new Map([['req-a', 2]]), { normal: 1 }, 4);
+    assert.deepStrictEqual(order.map(t => t.id), [4, 5, 1, 6]);
+  });
+
+  it('should spread workers across requests in fair-share mode', () => {
+    db.setConfig('scheduling_mode', 'fair_share');
+    db.setConfig('fair_share_weights', '{"urgent":1,"high":1,"normal":1,"low":1}');
+    const { big, fix } = bigAndFix();
+    const other = db.createRequest('Another normal request');
+    db.createTask({ request_id: other, subject: 'O', description: 'd' });
+    db.checkAndPromoteTasks();
+    for (let i = 1; i <= 3; i++) db.registerWorker(i, `/wt-${i}`, `agent-${i}`);
+
+    const assigned = allocator.allocate(db.getReadyTasks(), db.getIdleWorkers());
+    const byRequest = assigned.map(a => db.getTask(a.task_id).request_id).sort();
+    assert.deepStrictEqual(byRequest, [big, fix, other].sort());
+    assert.strictEqual(allocator.orderReadyTasks(db.getReadyTasks()).length, 5);
+  });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+const backup = require('../src/backup');
+const cliServer = require('../src/cli-server');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-backup-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Backups', () => {
+  it('should copy the live database and refuse to overwrite', async () => {
+    const reqId = db.createRequest('Keep me');
+    const dest = path.join(tmpDir, 'copy.db');
+
+    const result = await backup.backupTo(dest);
+    assert.strictEqual(result.path, dest);
+    assert.ok(result.bytes > 0);
+
+    const Database = require('better-sqlite3');
+    const copy = new Database(dest, { readonly: true });
+    assert.strictEqual(copy.prepare('SELECT description FROM requests WHERE id = ?').get(reqId).description, 'Keep me');
+    copy.close();
+
+    await assert.rejects(backup.backupTo(dest), /Refusing to overwrite/);
+  });
+
+  it('should rotate snapshots beyond the retention count', async () => {
+    db.setConfig('snapshot_retention', '2');
+    const manual = await backup.backupTo(backup.defaultBackupPath(tmpDir));
+    for (let i = 0; i < 3; i++) {
+      await backup.snapshot(tmpDir);
+      await sleep(5); // distinct timestamps
+    }
+
+    const names = backup.listBackups(tmpDir).map(b => b.name);
+    assert.strictEqual(names.filter(n => n.startsWith(backup.SNAPSHOT_PREFIX)).length, 2);
+    assert.ok(names.includes(path.basename(manual.path)), 'manual backups are never pruned');
+    assert.ok(db.getLog(10).some(l => l.action === 'snapshot_created'));
+  });
+});
+
+describe('Restore', () => {
+  it('should replace the database and keep a copy of the previous one', async () => {
+    const kept = db.createRequest('Before snapshot');
+    const snap = await backup.snapshot(tmpDir);
+    const lost = db.createRequest('After snapshot');
+    db.close();
+
+    const result = await backup.restore(tmpDir, path.basename(snap.path));
+    assert.ok(fs.existsSync(result.previous_copy));
+
+    db.init(tmpDir);
+    assert.ok(db.getRequest(kept));
+    assert.strictEqual(db.getRequest(lost), undefined);
+  });
+
+  it('should reject files that are not mac10 databases', async () => {
+    db.close();
+    const bogus = path.join(tmpDir, 'bogus.db');
+    fs.writeFileSync(bogus, 'definitely not sqlite');
+    await assert.rejects(backup.restore(tmpDir, bogus), /Invalid snapshot/);
+    await assert.rejects(backup.restore(tmpDir, 'missing.db'), /Snapshot not found/);
+    db.init(tmpDir);
+  });
+
+  it('should refuse while the coordinator is live', async () => {
+    const snap = await backup.snapshot(tmpDir);
+    cliServer.start(tmpDir, { onTaskCompleted: () => {} });
+    try {
+      await sleep(100);
+      assert.strictEqual(await backup.isCoordinatorLive(tmpDir), true);
+      await assert.rejects(backup.restore(tmpDir, snap.path), /Coordinator is running/);
+    } finally {
+      cliServer.stop();
+    }
+    await sleep(50);
+    assert.strictEqual(await backup.isCoordinatorLive(tmpDir), false);
+  });
+});
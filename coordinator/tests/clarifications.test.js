@@ -0,0 +1,99 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-clarify-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function unread(requestId) {
+  return db.listRequests().find(r => r.id === requestId).unread_clarifications;
+}
+
+describe('Clarification threads', () => {
+  it('should park the request until the user answers', () => {
+    const reqId = db.createRequest('Add login page');
+    db.updateRequest(reqId, { status: 'triaging' });
+    db.checkMail('architect');
+
+    db.askClarification(reqId, 'OAuth or passwords?');
+    assert.strictEqual(db.getRequest(reqId).status, 'awaiting_clarification');
+    assert.strictEqual(unread(reqId), 1);
+    const ask = db.checkMail('master-1').find(m => m.type === 'clarification_ask');
+    assert.strictEqual(ask.payload.question, 'OAuth or passwords?');
+
+    // A follow-up question keeps the original status to return to
+    db.askClarification(reqId, 'Which providers?');
+    assert.strictEqual(unread(reqId), 2);
+
+    const reply = db.replyClarification(reqId, 'OAuth, Google only');
+    assert.strictEqual(reply.status, 'triaging');
+    assert.strictEqual(db.getRequest(reqId).status, 'triaging');
+    assert.strictEqual(unread(reqId), 0);
+    const [answer] = db.checkMail('architect');
+    assert.strictEqual(answer.type, 'clarification_reply');
+    assert.strictEqual(answer.payload.message, 'OAuth, Google only');
+
+    const thread = db.getClarifications(reqId);
+    assert.deepStrictEqual(thread.map(c => c.author), ['architect', 'architect', 'user']);
+    assert.ok(thread.every(c => c.author === 'user' || c.read_at));
+  });
+
+  it('should hold later status changes until the question is answered', () => {
+    const reqId = db.createRequest('Add login page');
+    db.askClarification(reqId, 'OAuth or passwords?');
+    // Triage and integration move on meanwhile; the request stays parked
+    db.updateRequest(reqId, { status: 'decomposed', tier: 2 });
+    db.updateRequest(reqId, { status: 'integrating' });
+    assert.strictEqual(db.getRequest(reqId).status, 'awaiting_clarification');
+    assert.strictEqual(db.getRequest(reqId).tier, 2);
+    assert.strictEqual(db.replyClarification(reqId, 'OAuth').status, 'integrating');
+    assert.strictEqual(db.getRequest(reqId).status, 'integrating');
+
+    // Once answered, status writes apply again; finishing always does
+    db.updateRequest(reqId, { status: 'verifying' });
+    assert.strictEqual(db.getRequest(reqId).status, 'verifying');
+    db.askClarification(reqId, 'Keep the old page?');
+    db.failRequest(reqId, { reason: 'Gave up', actor: 'user' });
+    assert.strictEqual(db.getRequest(reqId).status, 'failed');
+  });
+
+  it('should mark questions read without answering them', () => {
+    const reqId = db.createRequest('Add login page');
+    db.askClarification(reqId, 'OAuth or passwords?');
+    assert.strictEqual(db.markClarificationsRead(reqId), 1);
+    assert.strictEqual(unread(reqId), 0);
+    assert.strictEqual(db.getRequest(reqId).status, 'awaiting_clarification');
+  });
+
+  it('should reject questions on finished or unknown requests', () => {
+    const reqId = db.createRequest('Add login page');
+    db.updateRequest(reqId, { status: 'completed' });
+    assert.throws(() => db.askClarification(reqId, 'Still there?'), /already completed/);
+    assert.throws(() => db.askClarification('req-nope', 'Hello?'), /Request not found/);
+    assert.throws(() => db.replyClarification('req-nope', 'Hi'), /Request not found/);
+    assert.strictEqual(db.getClarifications(reqId).length, 0);
+  });
+
+  it('should let a parked request be cancelled', () => {
+    const reqId = db.createRequest('Add login page');
+    db.askClarification(reqId, 'OAuth or passwords?');
+    db.cancelRequest(reqId, { reason: 'Not needed' });
+    assert.strictEqual(db.getRequest(reqId).status, 'cancelled');
+  });
+});
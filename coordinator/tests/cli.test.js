@@ -109,6 +109,14 @@ describe('CLI Server', () => {
     const req = db.getRequest(reqResult.request_id);
     assert.strictEqual(req.tier, 1);
     assert.strictEqual(req.status, 'executing_tier1');
+
+    const done = await sendCommand('tier1-complete', { request_id: reqResult.request_id, result: 'Fixed the typo' });
+    assert.strictEqual(done.ok, true);
+    assert.strictEqual(db.getRequest(reqResult.request_id).status, 'completed');
+    assert.ok(db.getRequest(reqResult.request_id).completed_at);
+    const mail = db.checkMail('master-1').find(m => m.type === 'request_completed');
+    assert.deepStrictEqual(mail.payload, { request_id: reqResult.request_id, result: 'Fixed the typo' });
+    assert.strictEqual(db.getEvents(0, { events: ['request_completed'] }).length, 1);
   });
 
   it('should create tasks', async () => {
@@ -127,6 +135,76 @@ describe('CLI Server', () => {
     assert.strictEqual(task.status, 'ready'); // no deps → auto-ready
   });
 
+  it('should reject create-task with dangling dependencies', async () => {
+    const reqResult = await sendCommand('request', { description: 'Feature' });
+    const result = await sendCommand('create-task', {
+      request_id: reqResult.request_id,
+      subject: 'Depends on ghost',
+      description: 'Desc',
+      depends_on: [4242],
+    });
+    assert.ok(result.error);
+    assert.match(result.error, /does not exist/);
+    assert.strictEqual(db.listTasks({ request_id: reqResult.request_id }).length, 0);
+  });
+
+  it('should validate a plan', async () => {
+    const reqResult = await sendCommand('request', { description: 'Feature' });
+    const t1 = await sendCommand('create-task', { request_id: reqResult.request_id, subject: 'A', description: 'D' });
+    await sendCommand('create-task', { request_id: reqResult.request_id, subject: 'B', description: 'D', depends_on: [t1.task_id] });
+
+    const result = await sendCommand('validate-plan', { request_id: reqResult.request_id });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.task_count, 2);
+
+    const missing = await sendCommand('validate-plan', { request_id: 'req-nope' });
+    assert.strictEqual(missing.ok, false);
+  });
+
+  it('should create a plan atomically with key-based dependencies', async () => {
+    const reqResult = await sendCommand('request', { description: 'Feature' });
+    const result = await sendCommand('create-plan', {
+      request_id: reqResult.request_id,
+      tasks: [
+        { key: 'ui', subject: 'UI', description: 'D', files: ['src/app.js'], depends_on: ['api'] },
+        { key: 'api', subject: 'API', description: 'D', files: ['src/api.js', 'src/app.js'] },
+      ],
+    });
+    assert.strictEqual(result.ok, true);
+    const ui = db.getTask(result.task_ids.ui);
+    const api = db.getTask(result.task_ids.api);
+    assert.ok(api.id < ui.id); // dependencies inserted first
+    assert.strictEqual(api.status, 'ready');
+    assert.strictEqual(ui.status, 'pending');
+    assert.deepStrictEqual(JSON.parse(ui.depends_on), [api.id]);
+    assert.deepStrictEqual(JSON.parse(ui.overlap_with), [api.id]);
+    assert.deepStrictEqual(JSON.parse(api.overlap_with), [ui.id]);
+    assert.strictEqual(result.overlaps.length, 1);
+  });
+
+  it('should insert nothing when any part of a plan is invalid', async () => {
+    const reqResult = await sendCommand('request', { description: 'Feature' });
+    const cyclic = await sendCommand('create-plan', {
+      request_id: reqResult.request_id,
+      tasks: [
+        { key: 'a', subject: 'A', description: 'D', depends_on: ['b'] },
+        { key: 'b', subject: 'B', description: 'D', depends_on: ['a'] },
+      ],
+    });
+    assert.match(cyclic.error, /cycle/);
+
+    const danglingDep = await sendCommand('create-plan', {
+      request_id: reqResult.request_id,
+      tasks: [
+        { key: 'a', subject: 'A', description: 'D' },
+        { key: 'b', subject: 'B', description: 'D', depends_on: ['a', 777] },
+      ],
+    });
+    assert.match(danglingDep.error, /task #777 does not exist/);
+    assert.strictEqual(db.listTasks({ request_id: reqResult.request_id }).length, 0);
+  });
+
   it('should handle worker task lifecycle', async () => {
     db.registerWorker(1, '/wt-1', 'agent-1');
     const reqId = db.createRequest('Feature');
@@ -161,6 +239,303 @@ describe('CLI Server', () => {
     assert.strictEqual(db.getWorker(1).status, 'completed_task');
   });
 
+  it('should queue branch-only completions for the local merge backend', async () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    db.registerWorker(2, '/wt-2', 'agent-2');
+    const reqId = db.createRequest('Feature');
+    const t1 = db.createTask({ request_id: reqId, subject: 'A', description: 'A' });
+    const t2 = db.createTask({ request_id: reqId, subject: 'B', description: 'B' });
+
+    // With GitHub, a branch without a PR has nothing to merge
+    let result = await sendCommand('complete-task', { worker_id: '1', task_id: t1, pr_url: '', branch: 'agent-1' });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(db.getMergesForRequest(reqId).length, 0);
+
+    db.setConfig('merge_backend', 'local');
+    result = await sendCommand('complete-task', { worker_id: '2', task_id: t2, pr_url: '', branch: 'agent-2' });
+    assert.strictEqual(result.ok, true);
+    const merges = db.getMergesForRequest(reqId);
+    assert.strictEqual(merges.length, 1);
+    assert.strictEqual(merges[0].branch, 'agent-2');
+    assert.strictEqual(merges[0].pr_url, '');
+  });
+
+  it('should reject PR URLs that no merge backend owns', async () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    const reqId = db.createRequest('Feature');
+    const taskId = db.createTask({ request_id: reqId, subject: 'A', description: 'A' });
+    const mr = 'https://git.example.com/team/app/-/merge_requests/3';
+
+    let result = await sendCommand('complete-task', { worker_id: '1', task_id: taskId, pr_url: mr, branch: 'agent-1' });
+    assert.strictEqual(result.ok, false);
+    assert.match(result.error, /Unrecognized PR URL/);
+    assert.notStrictEqual(db.getTask(taskId).status, 'completed');
+
+    db.setConfig('gitlab_url', 'https://git.example.com');
+    result = await sendCommand('complete-task', { worker_id: '1', task_id: taskId, pr_url: mr, branch: 'agent-1' });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(db.getMergesForRequest(reqId)[0].pr_url, mr);
+  });
+
+  it('should cancel a request and flag the worker on heartbeat', async () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    const reqId = db.createRequest('Feature');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Work', description: 'Do it' });
+    db.updateTask(taskId, { status: 'in_progress', assigned_to: 1 });
+    db.updateWorker(1, { status: 'busy', current_task_id: taskId });
+
+    let result = await sendCommand('heartbeat', { worker_id: '1' });
+    assert.strictEqual(result.cancelled, false);
+
+    result = await sendCommand('cancel', { request_id: reqId, reason: 'Changed plans' });
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(result.cancelled_tasks, [taskId]);
+    assert.deepStrictEqual(result.closed_prs, []);
+
+    result = await sendCommand('heartbeat', { worker_id: '1' });
+    assert.strictEqual(result.cancelled, true);
+
+    // Late completion is ignored — the task stays cancelled
+    result = await sendCommand('complete-task', { worker_id: '1', task_id: String(taskId), result: 'done anyway' });
+    assert.strictEqual(db.getTask(taskId).status, 'cancelled');
+
+    result = await sendCommand('cancel', { request_id: reqId });
+    assert.ok(result.error && result.error.includes('already cancelled'));
+  });
+
+  it('should retry failed tasks and reject unknown failure kinds', async () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    const reqId = db.createRequest('Feature');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Work', description: 'Do it' });
+    db.updateTask(taskId, { status: 'in_progress', assigned_to: 1, attempts: 1 });
+    db.updateWorker(1, { status: 'busy', current_task_id: taskId });
+
+    let result = await sendCommand('fail-task', { worker_id: '1', task_id: taskId, error: 'boom', kind: 'bogus' });
+    assert.strictEqual(result.ok, false);
+
+    result = await sendCommand('fail-task', { worker_id: '1', task_id: taskId, error: 'boom' });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.retrying, true);
+    assert.strictEqual(result.kind, 'agent_error');
+    assert.strictEqual(db.getTask(taskId).status, 'pending');
+    assert.strictEqual(db.getWorker(1).status, 'idle');
+  });
+
+  it('should pause and resume the coordinator and single requests', async () => {
+    const reqId = db.createRequest('Feature');
+
+    let result = await sendCommand('pause', {});
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.paused, true);
+
+    result = await sendCommand('pause', { request_id: reqId });
+    assert.deepStrictEqual(result.paused_requests, [reqId]);
+
+    result = await sendCommand('status', {});
+    assert.strictEqual(result.paused, true);
+    assert.ok(result.requests.find(r => r.id === reqId).paused_at);
+
+    result = await sendCommand('resume', {});
+    assert.strictEqual(result.paused, false);
+    assert.deepStrictEqual(result.paused_requests, [reqId]);
+
+    result = await sendCommand('resume', { request_id: reqId });
+    assert.deepStrictEqual(result.paused_requests, []);
+
+    result = await sendCommand('pause', { request_id: 'req-missing' });
+    assert.ok(result.error);
+  });
+
+  it('should write a backup through the socket', async () => {
+    const dest = path.join(tmpDir, 'manual.db');
+    let result = await sendCommand('backup', { path: dest });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.path, dest);
+    assert.ok(fs.existsSync(dest));
+
+    result = await sendCommand('backup', { path: dest });
+    assert.strictEqual(result.ok, false);
+    assert.match(result.error, /Refusing to overwrite/);
+  });
+
+  it('should record usage and set budgets', async () => {
+    const reqId = db.createRequest('Budgeted');
+    const taskId = db.createTask({ request_id: reqId, subject: 'T1', description: 'D1' });
+
+    let result = await sendCommand('set-budget', { request_id: reqId, budget_usd: 2 });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.budget_usd, 2);
+
+    result = await sendCommand('report-usage', { task_id: taskId, worker_id: '1', input_tokens: 10, cost_usd: 2.5 });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.request_id, reqId);
+    assert.strictEqual(result.budget.exceeded, true);
+    assert.strictEqual(db.getUsageTotals({ actor: 'worker-1' }).reports, 1);
+
+    result = await sendCommand('report-usage', { cost_usd: 1, actor: 'architect' });
+    assert.match(result.error, /task_id or request_id is required/);
+  });
+
+  it('should create prioritized requests and change priority', async () => {
+    let result = await sendCommand('request', { description: 'Hot path', priority: 'high' });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(db.getRequest(result.request_id).priority, 'high');
+
+    result = await sendCommand('set-priority', { request_id: result.request_id, priority: 'low' });
+    assert.strictEqual(result.priority, 'low');
+
+    result = await sendCommand('fix', { description: 'Broken build' });
+    assert.strictEqual(db.getRequest(result.request_id).priority, 'urgent');
+
+    result = await sendCommand('request', { description: 'Bad', priority: 'whenever' });
+    assert.match(result.error, /priority must be one of/);
+  });
+
+  it('should store per-request merge settings over the config defaults', async () => {
+    let result = await sendCommand('request', { description: 'Hotfix', target_branch: 'release/2.1', merge_strategy: 'squash' });
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(db.getMergeSettings(result.request_id), {
+      target_branch: 'release/2.1',
+      merge_strategy: 'squash',
+      commit_template: '{{subject}} ({{request_id}}, task #{{task_id}})',
+    });
+
+    db.setConfig('target_branch', 'develop');
+    result = await sendCommand('request', { description: 'Feature' });
+    assert.strictEqual(db.getMergeSettings(result.request_id).target_branch, 'develop');
+    assert.strictEqual(db.getMergeSettings(result.request_id).merge_strategy, 'merge');
+
+    result = await sendCommand('request', { description: 'Bad', merge_strategy: 'octopus' });
+    assert.match(result.error, /merge strategy must be one of/);
+    result = await sendCommand('request', { description: 'Bad', target_branch: '--force' });
+    assert.match(result.error, /Invalid target branch/);
+    for (const bad of ['release.lock', 'feature/', 'a//b', 'v1.', 'a..b']) {
+      assert.throws(() => db.createRequest('Bad', { targetBranch: bad }), /Invalid target branch/, bad);
+    }
+    assert.throws(() => db.setConfig('merge_strategy', 'octopus'), /merge strategy must be one of/);
+    assert.throws(() => db.setConfig('target_branch', 'main.lock'), /Invalid target branch/);
+    assert.strictEqual(db.getMergeSettings(null).target_branch, 'develop');
+  });
+
+  it('should create requests from templates', async () => {
+    const dir = path.join(tmpDir, '.claude', 'templates', 'requests');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'bump.md'), '---\ntitle: Bump\n---\nUpgrade {{package}}\n');
+
+    let result = await sendCommand('list-templates', {});
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(result.templates.map(t => t.name), ['bump']);
+
+    result = await sendCommand('request-template', { template: 'bump', params: { package: 'ws' }, priority: 'high' });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(db.getRequest(result.request_id).description, 'Upgrade ws');
+
+    result = await sendCommand('request-template', { template: 'bump' });
+    assert.match(result.error, /Missing template parameter/);
+  });
+
+  it('should add, list, and remove schedules', async () => {
+    let result = await sendCommand('schedule-add', { cron: '0 3 * * *', description: 'Nightly flaky-test sweep', priority: 'low' });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.schedule.name, 'Nightly flaky-test sweep');
+    assert.ok(result.schedule.next_run_at);
+    const id = result.schedule.id;
+
+    result = await sendCommand('schedule-list', {});
+    assert.strictEqual(result.schedules.length, 1);
+    assert.strictEqual(result.schedules[0].priority, 'low');
+    assert.deepStrictEqual(result.schedules[0].history, []);
+
+    result = await sendCommand('schedule-add', { cron: '0 3 * *', description: 'Bad' });
+    assert.match(result.error, /expected 5 fields/);
+
+    result = await sendCommand('schedule-remove', { schedule_id: id });
+    assert.strictEqual(result.ok, true);
+    result = await sendCommand('schedule-remove', { schedule_id: id });
+    assert.match(result.error, /Schedule not found/);
+  });
+
+  it('should long-poll lifecycle events for mac10 watch', async () => {
+    const reqId = db.createRequest('Add login page');
+    let result = await sendCommand('watch', {});
+    assert.deepStrictEqual(result.events, []);
+    const start = result.last_id;
+    assert.ok(start > 0);
+
+    // Answered as soon as the clarification arrives, not at the timeout
+    const pending = sendCommand('watch', { since_id: start, events: 'clarification_asked,request_failed', timeout: 4000 });
+    setTimeout(() => {
+      db.createRequest('Unrelated');
+      sendCommand('ask-clarification', { request_id: reqId, question: 'OAuth or passwords?' });
+    }, 100);
+    result = await pending;
+    assert.strictEqual(result.events.length, 1);
+    assert.strictEqual(result.events[0].event, 'clarification_asked');
+    assert.strictEqual(result.events[0].data.question, 'OAuth or passwords?');
+    assert.strictEqual(result.events[0].data.description, 'Add login page');
+
+    // Timing out skips past events the filter ignored
+    result = await sendCommand('watch', { since_id: result.last_id, events: 'request_failed', timeout: 100 });
+    assert.deepStrictEqual(result.events, []);
+    assert.strictEqual(result.last_id, db.getLastEventId());
+
+    result = await sendCommand('watch', { since_id: 0, events: 'request_done' });
+    assert.match(result.error, /Unknown event/);
+  });
+
+  it('should keep a clarification thread through ask-clarification and clarify', async () => {
+    const reqId = db.createRequest('Add login page');
+    let result = await sendCommand('ask-clarification', { request_id: reqId, question: 'OAuth or passwords?' });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(db.getRequest(reqId).status, 'awaiting_clarification');
+
+    result = await sendCommand('clarify', { request_id: reqId, message: 'OAuth' });
+    assert.strictEqual(result.status, 'pending');
+
+    result = await sendCommand('clarifications', { request_id: reqId });
+    assert.deepStrictEqual(result.clarifications.map(c => c.message), ['OAuth or passwords?', 'OAuth']);
+    result = await sendCommand('clarify', { request_id: 'req-nope', message: 'Hi' });
+    assert.match(result.error, /Request not found/);
+  });
+
+  it('should add, list, and remove webhooks', async () => {
+    let result = await sendCommand('webhook-add', { url: 'https://hooks.example.com/mac10', events: 'request_completed,merge_failed', secret: 's3cret' });
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(result.webhook.events, ['request_completed', 'merge_failed']);
+    assert.strictEqual(result.webhook.has_secret, true);
+    assert.strictEqual(result.webhook.secret, undefined);
+    const id = result.webhook.id;
+
+    result = await sendCommand('webhook-add', { url: 'https://hooks.example.com', events: 'request_done' });
+    assert.match(result.error, /Unknown webhook event/);
+    result = await sendCommand('webhook-add', { url: 'file:///etc/passwd' });
+    assert.match(result.error, /must be http\(s\)/);
+
+    db.emitEvent('merge_failed', { merge_id: 1 });
+    result = await sendCommand('webhook-list', {});
+    assert.strictEqual(result.webhooks.length, 1);
+    assert.strictEqual(result.webhooks[0].pending, 1);
+    result = await sendCommand('webhook-deliveries', { webhook_id: id });
+    assert.strictEqual(result.deliveries[0].event, 'merge_failed');
+
+    result = await sendCommand('webhook-remove', { webhook_id: id });
+    assert.strictEqual(result.ok, true);
+    result = await sendCommand('webhook-remove', { webhook_id: id });
+    assert.match(result.error, /Webhook not found/);
+  });
+
+  it('should search through the socket', async () => {
+    const reqId = db.createRequest('Speed up the thumbnail cache');
+
+    let result = await sendCommand('search', { query: 'thumbnail', kind: 'request' });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.results.length, 1);
+    assert.strictEqual(result.results[0].id, reqId);
+
+    result = await sendCommand('search', { query: 'thumbnail', kind: 'nope' });
+    assert.match(result.error, /Unknown search kind/);
+  });
+
   it('should handle inbox', async () => {
     db.sendMail('architect', 'test_msg', { data: 'hello' });
 
@@ -0,0 +1,65 @@
+'use strict';
+
+// Throwaway git project for the merge tests. initRepo(dir) makes `dir` a repo
+// on branch main with one commit (app.txt = "one"), ignoring .claude/ and
+// .worktrees/; the other helpers then work in it. Worker n commits on branch
+// agent-<n> in the worktree .worktrees/wt-<n>, registered with the coordinator
+// db, which the caller has already initialised.
+
+const path = require('path');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+const db = require('../../src/db');
+
+let repoDir;
+
+function git(args, cwd = repoDir) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+}
+
+function initRepo(dir) {
+  repoDir = dir;
+  git(['init', '-q', '-b', 'main']);
+  git(['config', 'user.email', 'mac10@example.com']);
+  git(['config', 'user.name', 'mac10']);
+  fs.writeFileSync(path.join(dir, '.gitignore'), '.claude/\n.worktrees/\n');
+  fs.writeFileSync(path.join(dir, 'app.txt'), 'one\n');
+  git(['add', '.']);
+  git(['commit', '-qm', 'Initial']);
+}
+
+// Commit `text` to `file` in worker n's worktree; returns the worktree path
+function workerCommit(n, file, text) {
+  const wt = path.join(repoDir, '.worktrees', `wt-${n}`);
+  if (!fs.existsSync(wt)) git(['worktree', 'add', '-q', '-b', `agent-${n}`, wt, 'main']);
+  fs.writeFileSync(path.join(wt, file), text);
+  git(['add', file], wt);
+  git(['commit', '-qm', `Change ${file}`], wt);
+  db.registerWorker(n, wt, `agent-${n}`);
+  return wt;
+}
+
+// A completed task of the request on agent-<n>, queued for merging
+function queueTask(reqId, n) {
+  const taskId = db.createTask({ request_id: reqId, subject: `T${n}`, description: 'D' });
+  db.updateTask(taskId, { status: 'completed', assigned_to: n, branch: `agent-${n}` });
+  db.enqueueMerge({ request_id: reqId, task_id: taskId, pr_url: '', branch: `agent-${n}` });
+  return taskId;
+}
+
+// Worker n commits `file` and its task is queued for merging; returns the task id
+function queueWork(reqId, n, file, text = `from worker ${n}\n`) {
+  workerCommit(n, file, text);
+  return queueTask(reqId, n);
+}
+
+// A new integrating request whose one task (worker n) adds `file`; returns its id
+function requestWithWork(file, n = 1) {
+  const reqId = db.createRequest('Feature');
+  db.updateRequest(reqId, { status: 'integrating' });
+  queueWork(reqId, n, file, 'new\n');
+  return reqId;
+}
+
+module.exports = { git, initRepo, workerCommit, queueTask, queueWork, requestWithWork };
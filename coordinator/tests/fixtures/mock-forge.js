@@ -0,0 +1,78 @@
+'use strict';
+
+// Stand-in GitLab/Gitea API for tests/forge-backends.test.js. createMockForge()
+// resolves with a server listening on a free loopback port that serves:
+//   GitLab  /api/v4/projects/:project/merge_requests/:iid[/merge|/notes]  (token "gl-token")
+//   Gitea   /api/v1/repos/:owner/:repo/pulls/:n[/merge], /issues/:n/comments  (token "gt-token")
+//   GET /__requests  every request received so far
+// Merge request/PR number 2 always fails to merge. A merge of number n lands
+// as commit mergeSha(n).
+
+const http = require('http');
+
+function mergeSha(n) {
+  return String(n).padStart(40, 'a');
+}
+
+function send(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+function gitlab(req, res, body, { merged, closed }) {
+  const m = req.url.match(/^\/api\/v4\/projects\/([^/]+)\/merge_requests\/(\d+)(\/merge|\/notes)?$/);
+  if (!m) return send(res, 404, { message: '404 Not Found' });
+  if (req.headers['private-token'] !== 'gl-token') return send(res, 401, { message: '401 Unauthorized' });
+  const key = `gl:${decodeURIComponent(m[1])}!${m[2]}`;
+  if (m[3] === '/merge' && req.method === 'PUT') {
+    if (m[2] === '2') return send(res, 406, { message: 'Branch cannot be merged' });
+    if (merged.has(key)) return send(res, 405, { message: '405 Method Not Allowed' });
+    merged.add(key);
+    return send(res, 200, { state: 'merged', merge_commit_sha: mergeSha(m[2]) });
+  }
+  if (m[3] === '/notes' && req.method === 'POST') return send(res, 201, { body: body.body });
+  if (!m[3] && req.method === 'PUT' && body.state_event === 'close') closed.add(key);
+  return send(res, 200, {
+    state: merged.has(key) ? 'merged' : closed.has(key) ? 'closed' : 'opened',
+    merge_commit_sha: merged.has(key) ? mergeSha(m[2]) : null,
+  });
+}
+
+function gitea(req, res, body, { merged, closed }) {
+  const m = req.url.match(/^\/api\/v1\/repos\/([^/]+)\/([^/]+)\/(pulls|issues)\/(\d+)(\/merge|\/comments)?$/);
+  if (!m) return send(res, 404, { message: 'not found' });
+  if (req.headers.authorization !== 'token gt-token') return send(res, 401, { message: 'token is required' });
+  const key = `gt:${m[1]}/${m[2]}#${m[4]}`;
+  if (m[5] === '/merge' && req.method === 'POST') {
+    if (m[4] === '2') return send(res, 405, { message: 'Please try again later' });
+    merged.add(key);
+    return send(res, 200);
+  }
+  if (m[5] === '/comments' && req.method === 'POST') return send(res, 201, { body: body.body });
+  if (req.method === 'PATCH' && body.state === 'closed') closed.add(key);
+  return send(res, 200, {
+    merged: merged.has(key),
+    merge_commit_sha: merged.has(key) ? mergeSha(m[4]) : null,
+    state: closed.has(key) ? 'closed' : 'open',
+  });
+}
+
+function createMockForge() {
+  const requests = [];
+  const state = { merged: new Set(), closed: new Set() };
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (d) => { raw += d; });
+    req.on('end', () => {
+      if (req.url === '/__requests') return send(res, 200, requests);
+      const body = raw ? JSON.parse(raw) : {};
+      requests.push({ method: req.method, url: req.url, body });
+      if (req.url.startsWith('/api/v4/')) return gitlab(req, res, body, state);
+      if (req.url.startsWith('/api/v1/')) return gitea(req, res, body, state);
+      send(res, 404, { message: 'not found' });
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+module.exports = { createMockForge, mergeSha };
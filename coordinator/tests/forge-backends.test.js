@@ -0,0 +1,161 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+const merger = require('../src/merger');
+const mergeBackends = require('../src/merge-backends');
+const { createMockForge, mergeSha } = require('./fixtures/mock-forge');
+
+let tmpDir;
+let forge;
+let base;
+let giteaBase; // same server under another host name, so the two hosts don't overlap
+
+before(async () => {
+  forge = await createMockForge();
+  const { port } = forge.address();
+  base = `http://127.0.0.1:${port}`;
+  giteaBase = `http://localhost:${port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => forge.close(resolve));
+});
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-forge-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+  db.setConfig('gitlab_url', base);
+  db.setConfig('gitlab_token', 'gl-token');
+  db.setConfig('gitea_url', giteaBase);
+  db.setConfig('gitea_token', 'gt-token');
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function received(prefix) {
+  const res = await fetch(`${base}/__requests`);
+  return (await res.json()).filter(r => r.url.startsWith(prefix));
+}
+
+function queueEntry(prUrl, branch = 'agent-1') {
+  const reqId = db.createRequest('Feature');
+  const taskId = db.createTask({ request_id: reqId, subject: 'T', description: 'D' });
+  db.updateTask(taskId, { status: 'completed' });
+  db.updateRequest(reqId, { status: 'integrating' });
+  db.enqueueMerge({ request_id: reqId, task_id: taskId, pr_url: prUrl, branch });
+  return { reqId, entry: db.getNextMerge() };
+}
+
+describe('Hosted merge backend URLs', () => {
+  it('should only accept MR/PR URLs under the configured hosts', () => {
+    const gitlabMr = `${base}/group/sub/app/-/merge_requests/7`;
+    const giteaPr = `${giteaBase}/owner/app/pulls/7`;
+    assert.strictEqual(mergeBackends.backendForUrl(gitlabMr).name, 'gitlab');
+    assert.deepStrictEqual(
+      mergeBackends.BACKENDS.gitlab.parseUrl(gitlabMr),
+      { base, project: 'group/sub/app', iid: '7' }
+    );
+    assert.strictEqual(mergeBackends.backendForUrl(giteaPr).name, 'gitea');
+    assert.strictEqual(mergeBackends.backendForUrl('https://gitlab.example.com/g/app/-/merge_requests/7'), null);
+
+    // Tokens only travel over plain http to this machine
+    db.setConfig('gitlab_url', 'http://gitlab.example.com');
+    assert.strictEqual(mergeBackends.backendForUrl('http://gitlab.example.com/g/app/-/merge_requests/7'), null);
+    db.setConfig('gitlab_url', 'https://gitlab.example.com');
+    assert.strictEqual(mergeBackends.backendForUrl('https://gitlab.example.com/g/app/-/merge_requests/7').name, 'gitlab');
+    db.setConfig('gitlab_url', base);
+    assert.strictEqual(mergeBackends.backendForUrl(`${base}/app/-/merge_requests/7`), null);
+    assert.strictEqual(mergeBackends.backendForUrl(`${base}/g/app/-/merge_requests/7; rm -rf /`), null);
+
+    db.setConfig('gitlab_url', '');
+    db.setConfig('gitea_url', '');
+    assert.strictEqual(mergeBackends.backendForUrl('https://gitlab.com/g/app/-/merge_requests/1').name, 'gitlab');
+    assert.strictEqual(mergeBackends.backendForUrl(giteaPr), null);
+  });
+});
+
+describe('GitLab merge backend', () => {
+  it('should merge through the API and complete the request', async () => {
+    const { reqId } = queueEntry(`${base}/group/app/-/merge_requests/1`);
+    await merger.processQueue(tmpDir);
+
+    assert.strictEqual(db.getMergesForRequest(reqId)[0].status, 'merged');
+    assert.strictEqual(db.getMergesForRequest(reqId)[0].merge_commit, mergeSha(1));
+    assert.strictEqual(db.getRequest(reqId).status, 'completed');
+    const [mergeCall] = (await received('/api/v4/')).filter(r => r.url.endsWith('/merge'));
+    assert.strictEqual(mergeCall.method, 'PUT');
+    assert.strictEqual(mergeCall.url, '/api/v4/projects/group%2Fapp/merge_requests/1/merge');
+    assert.strictEqual(mergeCall.body.should_remove_source_branch, true);
+    assert.strictEqual(mergeCall.body.squash, false);
+    assert.match(mergeCall.body.merge_commit_message, new RegExp(`^T \\(${reqId}, task #\\d+\\)$`));
+  });
+
+  it('should squash with the templated message when the request asks for it', async () => {
+    db.setConfig('merge_commit_template', '{{request_id}}: {{subject}}');
+    const reqId = db.createRequest('Feature', { mergeStrategy: 'squash' });
+    const taskId = db.createTask({ request_id: reqId, subject: 'Add login', description: 'D' });
+    db.enqueueMerge({ request_id: reqId, task_id: taskId, pr_url: `${base}/group/app/-/merge_requests/4`, branch: 'agent-4' });
+    const entry = db.getNextMerge();
+    assert.deepStrictEqual(await merger.attemptMerge(entry, tmpDir), { success: true, tier: 1, commit: mergeSha(4) });
+
+    const [mergeCall] = (await received('/api/v4/')).filter(r => r.url.endsWith('/4/merge'));
+    assert.strictEqual(mergeCall.body.squash, true);
+    assert.strictEqual(mergeCall.body.squash_commit_message, `${reqId}: Add login`);
+  });
+
+  it('should report the API error when the merge is refused', async () => {
+    const { entry } = queueEntry(`${base}/group/app/-/merge_requests/2`);
+    const settings = mergeBackends.mergeSettings(entry);
+    const result = await mergeBackends.BACKENDS.gitlab.merge(entry, tmpDir, settings);
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /406: Branch cannot be merged/);
+
+    db.setConfig('gitlab_token', '');
+    assert.match((await mergeBackends.BACKENDS.gitlab.merge(entry, tmpDir, settings)).error, /gitlab_token is not set/);
+  });
+
+  it('should report the landed commit of an MR that was already merged', async () => {
+    const { entry } = queueEntry(`${base}/group/app/-/merge_requests/5`);
+    const settings = mergeBackends.mergeSettings(entry);
+    assert.deepStrictEqual(await mergeBackends.BACKENDS.gitlab.merge(entry, tmpDir, settings), { success: true, commit: mergeSha(5) });
+    // Merging again is refused; the MR's own state says it landed
+    assert.deepStrictEqual(await mergeBackends.BACKENDS.gitlab.merge(entry, tmpDir, settings), { success: true, commit: mergeSha(5) });
+    assert.match(db.getLog(10).find(l => l.action === 'merge_post_cleanup_warning').details, /405/);
+  });
+});
+
+describe('Gitea merge backend', () => {
+  it('should merge through the API', async () => {
+    const { entry } = queueEntry(`${giteaBase}/owner/app/pulls/1`);
+    assert.deepStrictEqual(await merger.attemptMerge(entry, tmpDir), { success: true, tier: 1, commit: mergeSha(1) });
+    assert.strictEqual(await mergeBackends.BACKENDS.gitea.isMerged(entry), true);
+    const [mergeCall] = (await received('/api/v1/')).filter(r => r.url.endsWith('/merge'));
+    assert.strictEqual(mergeCall.url, '/api/v1/repos/owner/app/pulls/1/merge');
+    assert.deepStrictEqual(mergeCall.body, {
+      Do: 'merge',
+      MergeTitleField: `T (${entry.request_id}, task #${entry.task_id})`,
+      delete_branch_after_merge: true,
+    });
+  });
+
+  it('should close PRs of cancelled requests with a comment', async () => {
+    const url = `${giteaBase}/owner/app/pulls/3`;
+    assert.deepStrictEqual(await merger.closePullRequests([url], tmpDir, 'req-x'), [url]);
+    const calls = (await received('/api/v1/repos/owner/app/')).filter(r => r.url.endsWith('/3') || r.url.endsWith('/3/comments'));
+    assert.deepStrictEqual(calls.map(c => `${c.method} ${c.url}`), [
+      'POST /api/v1/repos/owner/app/issues/3/comments',
+      'PATCH /api/v1/repos/owner/app/pulls/3',
+    ]);
+    assert.match(calls[0].body.body, /request req-x was cancelled/);
+  });
+});
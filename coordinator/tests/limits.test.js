@@ -0,0 +1,209 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+const allocator = require('../src/allocator');
+const watchdog = require('../src/watchdog');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-limits-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function backdateStart(requestId, minutes) {
+  const startedAt = new Date(Date.now() - minutes * 60000).toISOString();
+  db.getDb().prepare('UPDATE requests SET work_started_at = ? WHERE id = ?').run(startedAt, requestId);
+}
+
+describe('Request limits', () => {
+  it('should apply configured defaults to new requests', () => {
+    db.setConfig('default_max_workers', '2');
+    const reqId = db.createRequest('Defaults');
+    const state = db.getLimitState(reqId);
+    assert.strictEqual(state.max_workers, 2);
+    assert.strictEqual(state.max_tasks, null);
+  });
+
+  it('should reject tasks and plans beyond max_tasks', () => {
+    const reqId = db.createRequest('Small');
+    db.setLimits(reqId, { max_tasks: 2 });
+    db.createTask({ request_id: reqId, subject: 'A', description: 'a' });
+    assert.throws(
+      () => db.createPlan(reqId, [{ key: 'b', subject: 'B', description: 'b' }, { key: 'c', subject: 'C', description: 'c' }]),
+      /limited to 2 tasks \(has 1, adding 2\)/
+    );
+    assert.strictEqual(db.listTasks({ request_id: reqId }).length, 1);
+    db.createTask({ request_id: reqId, subject: 'B', description: 'b' });
+    assert.throws(() => db.createTask({ request_id: reqId, subject: 'C', description: 'c' }), /limited to 2 tasks/);
+  });
+
+  it('should cap concurrent workers per request', () => {
+    const reqId = db.createRequest('Wide');
+    db.setLimits(reqId, { max_workers: 1 });
+    const t1 = db.createTask({ request_id: reqId, subject: 'A', description: 'a' });
+    const t2 = db.createTask({ request_id: reqId, subject: 'B', description: 'b' });
+    db.checkAndPromoteTasks();
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    db.registerWorker(2, '/wt-2', 'agent-2');
+
+    assert.strictEqual(allocator.assignTaskToWorker(t1, 1, null).ok, true);
+    assert.deepStrictEqual(db.getReadyTasks(), []);
+    assert.deepStrictEqual(allocator.assignTaskToWorker(t2, 2, null), { ok: false, reason: 'worker_limit' });
+
+    db.updateTask(t1, { status: 'completed' });
+    assert.deepStrictEqual(db.getReadyTasks().map(t => t.id), [t2]);
+  });
+
+  it('should stop allocating and fail the request once wall-clock runs out', () => {
+    const reqId = db.createRequest('Slow');
+    const taskId = db.createTask({ request_id: reqId, subject: 'A', description: 'a' });
+    db.checkAndPromoteTasks();
+    db.setLimits(reqId, { max_wall_clock_min: 30 });
+    backdateStart(reqId, 45);
+    db.registerWorker(1, '/wt-1', 'agent-1');
+
+    assert.deepStrictEqual(db.getReadyTasks(), []);
+    assert.deepStrictEqual(allocator.assignTaskToWorker(taskId, 1, null), { ok: false, reason: 'wall_clock_limit' });
+
+    // Paused requests are not failed for wall-clock
+    db.setPaused(reqId, true);
+    assert.deepStrictEqual(db.findLimitBreaches(), []);
+    db.setPaused(reqId, false);
+
+    db.checkMail('master-1');
+    watchdog.enforceRequestLimits();
+    const req = db.getRequest(reqId);
+    assert.strictEqual(req.status, 'failed');
+    assert.match(req.result, /Wall-clock limit reached: running 45 min \(max 30\)/);
+    assert.strictEqual(db.getTask(taskId).status, 'cancelled');
+    const mail = db.checkMail('master-1');
+    assert.strictEqual(mail[0].type, 'request_failed');
+    assert.match(mail[0].payload.reason, /Wall-clock/);
+  });
+
+  it('should count wall-clock from the first assignment, excluding paused time', () => {
+    const reqId = db.createRequest('Queued');
+    const taskId = db.createTask({ request_id: reqId, subject: 'A', description: 'a' });
+    db.checkAndPromoteTasks();
+    db.setLimits(reqId, { max_wall_clock_min: 30 });
+    db.getDb().prepare("UPDATE requests SET created_at = datetime('now', '-2 hours') WHERE id = ?").run(reqId);
+
+    // Time waiting in the queue does not count
+    assert.strictEqual(db.getLimitState(reqId).elapsed_min, 0);
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    assert.ok(allocator.assignTaskToWorker(taskId, 1, null).ok);
+    assert.ok(db.getRequest(reqId).work_started_at);
+
+    // 45.5 min since the start, the last 20 of them paused
+    backdateStart(reqId, 45.5);
+    db.updateRequest(reqId, { paused_at: new Date(Date.now() - 20 * 60000).toISOString() });
+    assert.strictEqual(db.getLimitState(reqId).elapsed_min, 25);
+    db.setPaused(reqId, false);
+    assert.strictEqual(db.getRequest(reqId).paused_s, 1200);
+    assert.strictEqual(db.getLimitState(reqId).elapsed_min, 25);
+    assert.deepStrictEqual(db.findLimitBreaches(), []);
+  });
+
+  it('should not count a global pause against wall-clock', () => {
+    const reqId = db.createRequest('Waits out a pause');
+    const taskId = db.createTask({ request_id: reqId, subject: 'A', description: 'a' });
+    db.checkAndPromoteTasks();
+    db.setLimits(reqId, { max_wall_clock_min: 30 });
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    assert.ok(allocator.assignTaskToWorker(taskId, 1, null).ok);
+
+    // Started 50 min ago; the coordinator has been paused for the last 45
+    backdateStart(reqId, 50);
+    db.setPaused(null, true);
+    db.setConfig('paused_since', new Date(Date.now() - 45 * 60000).toISOString());
+    db.setPaused(null, false);
+
+    assert.strictEqual(Math.round(db.getRequest(reqId).paused_s / 60), 45);
+    assert.strictEqual(db.getLimitState(reqId).elapsed_min, 5);
+    watchdog.enforceRequestLimits();
+    assert.strictEqual(db.getRequest(reqId).status, 'pending');
+    assert.strictEqual(db.getConfig('paused_since'), '');
+  });
+
+  it('should stop allocating and fail the request once usage units run out', () => {
+    const reqId = db.createRequest('Hungry');
+    const t1 = db.createTask({ request_id: reqId, subject: 'A', description: 'a' });
+    const t2 = db.createTask({ request_id: reqId, subject: 'B', description: 'b' });
+    db.checkAndPromoteTasks();
+    db.setLimits(reqId, { max_usage_units: 1000 });
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    db.registerWorker(2, '/wt-2', 'agent-2');
+    assert.ok(allocator.assignTaskToWorker(t1, 1, null).ok);
+
+    db.recordUsage({ task_id: t1, actor: 'worker-1', input_tokens: 400, output_tokens: 200 });
+    assert.deepStrictEqual(db.findLimitBreaches(), []);
+    db.recordUsage({ task_id: t1, actor: 'worker-1', output_tokens: 100, cache_read_tokens: 300 });
+    const state = db.getLimitState(reqId);
+    assert.strictEqual(state.usage_units, 1000);
+    assert.deepStrictEqual(state.reached, ['max_usage_units']);
+    assert.deepStrictEqual(allocator.assignTaskToWorker(t2, 2, null), { ok: false, reason: 'usage_limit' });
+
+    db.checkMail('master-1');
+    watchdog.enforceRequestLimits();
+    const req = db.getRequest(reqId);
+    assert.strictEqual(req.status, 'failed');
+    assert.match(req.result, /Usage limit reached: 1000 usage units \(tokens\) reported \(max 1000\)/);
+    const mail = db.checkMail('master-1');
+    assert.strictEqual(mail[0].type, 'request_failed');
+    assert.match(mail[0].payload.reason, /Usage limit/);
+  });
+
+  it('should withhold retries beyond max_retries and fail the request', () => {
+    const reqId = db.createRequest('Flaky');
+    const t1 = db.createTask({ request_id: reqId, subject: 'A', description: 'a' });
+    const t2 = db.createTask({ request_id: reqId, subject: 'B', description: 'b' });
+    db.setLimits(reqId, { max_retries: 1 });
+    db.setConfig('retry_backoff_base_s', '0');
+    db.checkAndPromoteTasks();
+    db.registerWorker(1, '/wt-1', 'agent-1');
+
+    // First failure + retry uses the single allowed retry
+    assert.ok(allocator.assignTaskToWorker(t1, 1, null).ok);
+    db.recordTaskFailure(t1, { kind: 'agent_error', error: 'boom' });
+    db.updateWorker(1, { status: 'idle', current_task_id: null });
+    db.checkAndPromoteTasks();
+    assert.ok(allocator.assignTaskToWorker(t1, 1, null).ok);
+    assert.deepStrictEqual(db.findLimitBreaches(), []);
+
+    // Second failure: no retries left — fresh tasks still allocate, the retry does not
+    db.recordTaskFailure(t1, { kind: 'agent_error', error: 'boom again' });
+    db.updateWorker(1, { status: 'idle', current_task_id: null });
+    db.checkAndPromoteTasks();
+    assert.deepStrictEqual(db.getReadyTasks().map(t => t.id), [t2]);
+    assert.deepStrictEqual(allocator.assignTaskToWorker(t1, 1, null), { ok: false, reason: 'retry_limit' });
+
+    const [breach] = db.findLimitBreaches();
+    assert.strictEqual(breach.limit, 'max_retries');
+    watchdog.enforceRequestLimits();
+    assert.strictEqual(db.getRequest(reqId).status, 'failed');
+    assert.match(db.getRequest(reqId).result, /Retry limit reached/);
+  });
+
+  it('should validate limit values', () => {
+    const reqId = db.createRequest('Validate');
+    assert.throws(() => db.setLimits(reqId, { max_workers: 0 }), /max_workers must be an integer >= 1/);
+    assert.throws(() => db.setLimits(reqId, { max_retries: -1 }), /max_retries must be an integer >= 0/);
+    assert.throws(() => db.setLimits(reqId, { max_usage_units: 0 }), /max_usage_units must be an integer >= 1/);
+    assert.throws(() => db.setLimits(reqId, {}), /Nothing to set/);
+    assert.strictEqual(db.setLimits(reqId, { max_retries: 0 }).max_retries, 0);
+    assert.strictEqual(db.setLimits(reqId, { max_retries: null }).max_retries, null);
+  });
+});
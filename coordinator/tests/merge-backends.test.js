@@ -0,0 +1,215 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+const merger = require('../src/merger');
+const mergeBackends = require('../src/merge-backends');
+const { git, initRepo, workerCommit, queueTask } = require('./fixtures/git-repo');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-local-merge-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+  db.setConfig('merge_backend', 'local');
+
+  initRepo(tmpDir);
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('Merge backend selection', () => {
+  it('should route entries by PR URL, and branch-only entries to the local backend', () => {
+    assert.strictEqual(mergeBackends.backendForEntry({ pr_url: 'https://github.com/o/r/pull/1' }).name, 'github');
+    assert.strictEqual(mergeBackends.backendForEntry({ pr_url: '', branch: 'agent-1' }).name, 'local');
+    assert.throws(() => mergeBackends.backendForEntry({ pr_url: 'https://example.com/o/r/pull/1' }), /Invalid PR URL/);
+    assert.throws(() => mergeBackends.getBackend('svn'), /Unknown merge backend "svn"/);
+    assert.strictEqual(mergeBackends.configuredBackend().name, 'local');
+  });
+});
+
+describe('Local merge backend', () => {
+  it('should merge worker branches into main with a merge commit and complete the request', async () => {
+    const reqId = db.createRequest('Feature');
+    db.updateRequest(reqId, { status: 'integrating' });
+    workerCommit(1, 'feature.txt', 'new\n');
+    queueTask(reqId, 1);
+
+    await merger.processQueue(tmpDir);
+
+    const merge = db.getMergesForRequest(reqId)[0];
+    assert.strictEqual(merge.status, 'merged', merge.error);
+    assert.strictEqual(db.getRequest(reqId).status, 'completed');
+    assert.strictEqual(git(['log', '-1', '--format=%s', 'main']), `T1 (${reqId}, task #${merge.task_id})`);
+    assert.strictEqual(git(['rev-list', '--count', '--merges', 'main']), '1');
+    // main is checked out in the project: its files follow the merge
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'feature.txt'), 'utf8'), 'new\n');
+    assert.strictEqual(git(['status', '--porcelain']), '');
+  });
+
+  it('should move the branch ref when main is not checked out anywhere', async () => {
+    git(['checkout', '-q', '-b', 'scratch']);
+    const reqId = db.createRequest('Feature');
+    workerCommit(1, 'feature.txt', 'new\n');
+    queueTask(reqId, 1);
+
+    await merger.processQueue(tmpDir);
+
+    assert.strictEqual(db.getMergesForRequest(reqId)[0].status, 'merged');
+    assert.strictEqual(git(['show', 'main:feature.txt']), 'new');
+    assert.strictEqual(git(['rev-parse', '--abbrev-ref', 'HEAD']), 'scratch');
+  });
+
+  it('should report conflicts and leave the target branch untouched', async () => {
+    const reqId = db.createRequest('Feature');
+    workerCommit(1, 'app.txt', 'from worker 1\n');
+    workerCommit(2, 'app.txt', 'from worker 2\n');
+    queueTask(reqId, 1);
+    const t2 = queueTask(reqId, 2);
+
+    await merger.processQueue(tmpDir);
+    const before = git(['rev-parse', 'main']);
+    await merger.processQueue(tmpDir);
+
+    const second = db.getMergesForRequest(reqId).find(m => m.task_id === t2);
+    assert.strictEqual(second.status, 'conflict');
+    assert.match(second.error, /app\.txt/);
+    assert.strictEqual(git(['rev-parse', 'main']), before);
+    assert.strictEqual(git(['status', '--porcelain'], path.join(tmpDir, '.worktrees', 'wt-2')), '');
+    assert.strictEqual(db.checkMail('allocator').find(m => m.type === 'merge_failed').payload.task_id, t2);
+  });
+
+  it('should rebase in the integration worktree once the worker worktree is gone', async () => {
+    const reqId = db.createRequest('Feature');
+    workerCommit(2, 'app.txt', 'two\n');
+    workerCommit(2, 'feature.txt', 'new\n');
+    // main took the first commit as a hotfix and moved on, so a plain merge conflicts
+    git(['cherry-pick', '-x', 'agent-2~1']);
+    fs.writeFileSync(path.join(tmpDir, 'app.txt'), 'three\n');
+    git(['commit', '-qam', 'Three']);
+    git(['worktree', 'remove', '--force', path.join(tmpDir, '.worktrees', 'wt-2')]);
+    queueTask(reqId, 2);
+    // The user's uncommitted edit would block checking the branch out here
+    fs.writeFileSync(path.join(tmpDir, 'app.txt'), 'mine\n');
+
+    await merger.processQueue(tmpDir);
+
+    const merge = db.getMergesForRequest(reqId)[0];
+    assert.strictEqual(merge.status, 'merged', merge.error);
+    assert.deepStrictEqual(git(['log', '--format=%s', 'agent-2']).split('\n'), ['Change feature.txt', 'Three', 'Change app.txt', 'Initial']);
+    assert.strictEqual(git(['show', 'main:feature.txt']), 'new');
+    assert.strictEqual(git(['rev-parse', '--abbrev-ref', 'HEAD']), 'main');
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'app.txt'), 'utf8'), 'mine\n');
+  });
+
+  it('should run the checks on a branch that overlaps merged work before merging it', async () => {
+    const check = path.join(tmpDir, '.claude', 'check.js');
+    fs.writeFileSync(check, "if (require('fs').existsSync('broken.txt')) { console.error('broken.txt breaks the build'); process.exit(1); }\n");
+    db.setConfig('build_cmd', `node ${check}`);
+    db.setConfig('post_merge_verification', 'false');
+    const reqId = db.createRequest('Feature');
+    workerCommit(1, 'feature.txt', 'new\n');
+    workerCommit(2, 'broken.txt', 'oops\n');
+    const t1 = queueTask(reqId, 1);
+    const t2 = queueTask(reqId, 2);
+    db.updateTask(t2, { overlap_with: JSON.stringify([t1]) });
+    await merger.processQueue(tmpDir);
+
+    // The checks run as child processes without blocking the event loop
+    let timerFired = false;
+    setTimeout(() => { timerFired = true; }, 0);
+    assert.strictEqual(await merger.processQueue(tmpDir).then(() => timerFired), true);
+
+    const second = db.getMergesForRequest(reqId).find(m => m.task_id === t2);
+    assert.strictEqual(second.status, 'failed');
+    assert.strictEqual(second.error, `functional_conflict: build failed (node ${check}): broken.txt breaks the build`);
+    assert.throws(() => git(['show', 'main:broken.txt']), /does not exist/);
+    assert.strictEqual(db.checkMail('allocator').find(m => m.type === 'functional_conflict').payload.task_id, t2);
+  });
+
+  it('should squash into one templated commit when configured', async () => {
+    db.setConfig('merge_strategy', 'squash');
+    db.setConfig('merge_commit_template', '[{{request_id}}] {{subject}} from {{branch}}');
+    const reqId = db.createRequest('Feature');
+    const wt = workerCommit(1, 'feature.txt', 'new\n');
+    fs.writeFileSync(path.join(wt, 'more.txt'), 'more\n');
+    git(['add', 'more.txt'], wt);
+    git(['commit', '-qm', 'More'], wt);
+    queueTask(reqId, 1);
+
+    await merger.processQueue(tmpDir);
+
+    assert.strictEqual(db.getMergesForRequest(reqId)[0].status, 'merged');
+    assert.strictEqual(git(['log', '-1', '--format=%s', 'main']), `[${reqId}] T1 from agent-1`);
+    assert.strictEqual(git(['rev-list', '--count', 'main']), '2');
+    assert.strictEqual(git(['show', 'main:more.txt']), 'more');
+  });
+
+  it('should recognise squashed and rebased landings as merged', async () => {
+    db.setConfig('merge_strategy', 'squash');
+    const reqId = db.createRequest('Feature');
+    const wt = workerCommit(1, 'feature.txt', 'new\n');
+    fs.writeFileSync(path.join(wt, 'more.txt'), 'more\n');
+    git(['add', 'more.txt'], wt);
+    git(['commit', '-qm', 'More'], wt);
+    queueTask(reqId, 1);
+    await merger.processQueue(tmpDir);
+    const landed = git(['rev-parse', 'main']);
+
+    // A retry of the landed entry (as after a crash mid-pass) merges nothing
+    const entry = db.getMergesForRequest(reqId)[0];
+    assert.strictEqual(entry.merge_commit, landed);
+    const settings = mergeBackends.mergeSettings(entry);
+    assert.strictEqual(mergeBackends.BACKENDS.local.isMerged(entry, tmpDir, settings), true);
+    assert.deepStrictEqual(mergeBackends.BACKENDS.local.merge(entry, tmpDir, settings), { success: true, commit: landed });
+    assert.strictEqual(git(['rev-parse', 'main']), landed);
+
+    // Without a recorded commit, commits replayed onto the target still count
+    workerCommit(2, 'other.txt', 'other\n');
+    git(['cherry-pick', '-x', 'agent-2']);
+    const rebased = { ...entry, branch: 'agent-2', merge_commit: null };
+    assert.strictEqual(mergeBackends.BACKENDS.local.isMerged(rebased, tmpDir, settings), true);
+    assert.strictEqual(mergeBackends.BACKENDS.local.isMerged({ ...rebased, branch: 'agent-1' }, tmpDir, settings), false);
+  });
+
+  it('should rebase onto the target branch the request names', async () => {
+    git(['branch', 'develop']);
+    const reqId = db.createRequest('Feature', { targetBranch: 'develop', mergeStrategy: 'rebase' });
+    workerCommit(1, 'feature.txt', 'new\n');
+    queueTask(reqId, 1);
+    // develop moves on after the worker branched
+    git(['checkout', '-q', 'develop']);
+    fs.writeFileSync(path.join(tmpDir, 'other.txt'), 'other\n');
+    git(['add', 'other.txt']);
+    git(['commit', '-qm', 'Other']);
+    const mainBefore = git(['rev-parse', 'main']);
+
+    await merger.processQueue(tmpDir);
+
+    assert.strictEqual(db.getMergesForRequest(reqId)[0].status, 'merged');
+    assert.strictEqual(git(['rev-list', '--count', '--merges', 'develop']), '0');
+    assert.deepStrictEqual(git(['log', '--format=%s', 'develop']).split('\n'), ['Change feature.txt', 'Other', 'Initial']);
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'feature.txt'), 'utf8'), 'new\n');
+    assert.strictEqual(git(['rev-parse', 'main']), mainBefore);
+  });
+
+  it('should treat an already-merged branch as merged', async () => {
+    const reqId = db.createRequest('Feature');
+    workerCommit(1, 'feature.txt', 'new\n');
+    git(['merge', '-q', '--ff-only', 'agent-1']);
+    queueTask(reqId, 1);
+
+    await merger.processQueue(tmpDir);
+    assert.strictEqual(db.getMergesForRequest(reqId)[0].status, 'merged');
+    assert.strictEqual(git(['rev-list', '--count', '--merges', 'main']), '0');
+  });
+});
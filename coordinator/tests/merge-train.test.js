@@ -0,0 +1,143 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+const merger = require('../src/merger');
+const mergeGit = require('../src/merge-backends/git');
+const { git, initRepo, queueWork } = require('./fixtures/git-repo');
+
+let tmpDir;
+let runsFile;
+
+function statusOf(taskId) {
+  return db.getDb().prepare('SELECT status FROM merge_queue WHERE task_id = ?').get(taskId).status;
+}
+
+function checkRuns() {
+  return fs.existsSync(runsFile) ? fs.readFileSync(runsFile, 'utf8').trim().split('\n').length : 0;
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-train-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+  db.setConfig('merge_backend', 'local');
+  db.setConfig('merge_train_size', '4');
+
+  // The "test suite": fails whenever a file named broken.txt is present
+  runsFile = path.join(tmpDir, '.claude', 'check-runs');
+  const check = path.join(tmpDir, '.claude', 'check.js');
+  fs.writeFileSync(check, [
+    `require('fs').appendFileSync(${JSON.stringify(runsFile)}, 'run\\n');`,
+    `if (require('fs').existsSync('broken.txt')) { console.error('broken.txt breaks the build'); process.exit(1); }`,
+  ].join('\n'));
+  db.setConfig('test_cmd', `node ${check}`);
+
+  initRepo(tmpDir);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('Merge train', () => {
+  it('should test queued entries together once and land them all when green', async () => {
+    const reqId = db.createRequest('Feature');
+    const tasks = [1, 2, 3].map(n => queueWork(reqId, n, `f${n}.txt`));
+
+    // The checks run as child processes without blocking the event loop
+    let timerFired = false;
+    setTimeout(() => { timerFired = true; }, 0);
+    assert.strictEqual(await merger.processQueue(tmpDir).then(() => timerFired), true);
+
+    assert.deepStrictEqual(tasks.map(statusOf), ['merged', 'merged', 'merged']);
+    assert.strictEqual(checkRuns(), 1);
+    // The same checks then verify the request on main
+    assert.strictEqual(db.getRequest(reqId).status, 'verifying');
+    await merger.processQueue(tmpDir);
+    assert.strictEqual(db.getRequest(reqId).status, 'completed');
+    assert.strictEqual(checkRuns(), 2);
+    for (const n of [1, 2, 3]) assert.strictEqual(git(['show', `main:f${n}.txt`]), `from worker ${n}`);
+    assert.strictEqual(db.getLog(50).filter(l => l.action === 'merge_train_done').length, 1);
+  });
+
+  it('should bisect a red train, land the entries before the culprit, and requeue the rest', async () => {
+    const reqId = db.createRequest('Feature');
+    const [t1, t2, t3, t4] = [
+      queueWork(reqId, 1, 'f1.txt'),
+      queueWork(reqId, 2, 'f2.txt'),
+      queueWork(reqId, 3, 'broken.txt'),
+      queueWork(reqId, 4, 'f4.txt'),
+    ];
+
+    await merger.processQueue(tmpDir);
+
+    // Full stack, then prefixes of 2 and 3
+    assert.strictEqual(checkRuns(), 3);
+    assert.deepStrictEqual([t1, t2, t3, t4].map(statusOf), ['merged', 'merged', 'failed', 'pending']);
+    const failed = db.getMergesForRequest(reqId).find(m => m.task_id === t3);
+    assert.match(failed.error, /^functional_conflict: Merge train: test failed once this was stacked on main after 2 other entries/);
+    assert.match(failed.error, /broken\.txt breaks the build/);
+    const mail = db.checkMail('allocator').find(m => m.type === 'functional_conflict');
+    assert.strictEqual(mail.payload.task_id, t3);
+    assert.throws(() => git(['show', 'main:broken.txt']));
+
+    // A lone entry is merged on its own, without running the checks
+    await merger.processQueue(tmpDir);
+    assert.strictEqual(statusOf(t4), 'merged');
+    assert.strictEqual(checkRuns(), 3);
+  });
+
+  it('should requeue the train when bisecting fails part-way', async () => {
+    const reqId = db.createRequest('Feature');
+    const [t1, t2, t3] = [
+      queueWork(reqId, 1, 'f1.txt'),
+      queueWork(reqId, 2, 'broken.txt'),
+      queueWork(reqId, 3, 'f3.txt'),
+    ];
+    const safeExec = mergeGit.safeExec;
+    mock.method(mergeGit, 'safeExec', (file, args, cwd) => {
+      if (args[0] === 'checkout') throw new Error('checkout failed');
+      return safeExec(file, args, cwd);
+    });
+
+    await merger.processQueue(tmpDir);
+
+    // Nothing is left 'merging'; the head then merges on its own
+    assert.deepStrictEqual([t1, t2, t3].map(statusOf), ['merged', 'pending', 'pending']);
+    assert.match(db.getLog(50).find(l => l.action === 'merge_train_error').details, /checkout failed/);
+  });
+
+  it('should merge entries that conflict with the stack on their own', async () => {
+    const reqId = db.createRequest('Feature');
+    const t1 = queueWork(reqId, 1, 'app.txt', 'worker 1\n');
+    const t2 = queueWork(reqId, 2, 'app.txt', 'worker 2\n');
+    const t3 = queueWork(reqId, 3, 'f3.txt');
+
+    await merger.processQueue(tmpDir);
+
+    assert.strictEqual(statusOf(t1), 'merged');
+    assert.strictEqual(statusOf(t3), 'merged');
+    assert.strictEqual(statusOf(t2), 'conflict');
+    assert.strictEqual(checkRuns(), 1);
+    const done = JSON.parse(db.getLog(50).find(l => l.action === 'merge_train_done').details);
+    assert.strictEqual(done.landed.length, 2);
+    assert.strictEqual(done.unstacked.length, 1);
+  });
+
+  it('should merge one at a time when no checks are configured', async () => {
+    db.setConfig('test_cmd', '');
+    const reqId = db.createRequest('Feature');
+    const [t1, t2] = [queueWork(reqId, 1, 'f1.txt'), queueWork(reqId, 2, 'f2.txt')];
+
+    await merger.processQueue(tmpDir);
+    assert.deepStrictEqual([t1, t2].map(statusOf), ['merged', 'pending']);
+  });
+});
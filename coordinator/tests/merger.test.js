@@ -77,6 +77,33 @@ describe('Merge queue', () => {
   });
 });
 
+describe('Paused merging', () => {
+  it('should skip queued merges of paused requests', () => {
+    const paused = db.createRequest('Paused');
+    const active = db.createRequest('Active');
+    const t1 = db.createTask({ request_id: paused, subject: 'T1', description: 'D1' });
+    const t2 = db.createTask({ request_id: active, subject: 'T2', description: 'D2' });
+    db.enqueueMerge({ request_id: paused, task_id: t1, pr_url: 'https://gh/pr/1', branch: 'agent-1', priority: 10 });
+    db.enqueueMerge({ request_id: active, task_id: t2, pr_url: 'https://gh/pr/2', branch: 'agent-2' });
+
+    db.setPaused(paused, true);
+    assert.strictEqual(db.getNextMerge().task_id, t2);
+    db.setPaused(paused, false);
+    assert.strictEqual(db.getNextMerge().task_id, t1);
+  });
+
+  it('should not touch the queue while the coordinator is paused', async () => {
+    const merger = require('../src/merger');
+    const reqId = db.createRequest('Feature');
+    const t1 = db.createTask({ request_id: reqId, subject: 'T1', description: 'D1' });
+    db.enqueueMerge({ request_id: reqId, task_id: t1, pr_url: 'https://gh/pr/1', branch: 'agent-1' });
+
+    db.setPaused(null, true);
+    await merger.processQueue(tmpDir);
+    assert.strictEqual(db.getNextMerge().status, 'pending');
+  });
+});
+
 describe('Request completion tracking', () => {
   it('should detect when all tasks for a request are completed', () => {
     const reqId = db.createRequest('Feature');
@@ -0,0 +1,103 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+const metrics = require('../src/metrics');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-metrics-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+  metrics.reset();
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Parse exposition text into { 'name{labels}': value }
+function samples(text) {
+  const out = {};
+  for (const line of text.split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+    const idx = line.lastIndexOf(' ');
+    out[line.slice(0, idx)] = Number(line.slice(idx + 1));
+  }
+  return out;
+}
+
+describe('Prometheus metrics', () => {
+  it('should report queue depths, worker states, and mail backlog', () => {
+    const reqId = db.createRequest('Metrics');
+    const t1 = db.createTask({ request_id: reqId, subject: 'A', description: 'a' });
+    db.createTask({ request_id: reqId, subject: 'B', description: 'b' });
+    db.updateTask(t1, { status: 'ready' });
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    db.registerWorker(2, '/wt-2', 'agent-2');
+    db.updateWorker(2, { status: 'busy' });
+    db.enqueueMerge({ request_id: reqId, task_id: t1, pr_url: 'https://github.com/o/r/pull/1', branch: 'agent-1' });
+    db.checkMail('architect');
+    db.sendMail('worker-1', 'nudge', {});
+    db.sendMail('worker-1', 'nudge', {});
+
+    const text = metrics.render(tmpDir);
+    assert.match(text, /# TYPE mac10_tasks gauge/);
+    const s = samples(text);
+    assert.strictEqual(s['mac10_tasks{status="ready"}'], 1);
+    assert.strictEqual(s['mac10_tasks{status="pending"}'], 1);
+    assert.strictEqual(s['mac10_tasks{status="failed"}'], 0);
+    assert.strictEqual(s['mac10_merge_queue{status="pending"}'], 1);
+    assert.strictEqual(s['mac10_workers{status="idle"}'], 1);
+    assert.strictEqual(s['mac10_workers{status="busy"}'], 1);
+    assert.strictEqual(s['mac10_mail_backlog{recipient="worker-1"}'], 2);
+    assert.strictEqual(s['mac10_mail_backlog{recipient="architect"}'], undefined);
+    assert.strictEqual(s[`mac10_info{project="${path.basename(tmpDir)}"}`], 1);
+    assert.strictEqual(s['mac10_paused'], 0);
+  });
+
+  it('should build a cumulative task duration histogram', () => {
+    const reqId = db.createRequest('Durations');
+    for (const [minutes, status] of [[0.4, 'completed'], [4, 'completed'], [90, 'completed'], [1, 'in_progress']]) {
+      const id = db.createTask({ request_id: reqId, subject: 'T', description: 'd' });
+      const start = new Date(Date.now() - minutes * 60000).toISOString();
+      db.updateTask(id, { status, started_at: start, completed_at: status === 'completed' ? new Date().toISOString() : null });
+    }
+
+    const s = samples(metrics.render(tmpDir));
+    assert.strictEqual(s['mac10_task_duration_seconds_bucket{le="30"}'], 1);
+    assert.strictEqual(s['mac10_task_duration_seconds_bucket{le="300"}'], 2);
+    assert.strictEqual(s['mac10_task_duration_seconds_bucket{le="3600"}'], 2);
+    assert.strictEqual(s['mac10_task_duration_seconds_bucket{le="7200"}'], 3);
+    assert.strictEqual(s['mac10_task_duration_seconds_bucket{le="+Inf"}'], 3);
+    assert.strictEqual(s['mac10_task_duration_seconds_count'], 3);
+    assert.ok(Math.abs(s['mac10_task_duration_seconds_sum'] - (24 + 240 + 5400)) < 5);
+  });
+
+  it('should count merge outcomes and escalations by label', () => {
+    metrics.inc('mac10_merge_attempts_total', { tier: 1, outcome: 'merged' });
+    metrics.inc('mac10_merge_attempts_total', { tier: 1, outcome: 'merged' });
+    metrics.inc('mac10_merge_attempts_total', { tier: 3, outcome: 'conflict' });
+    metrics.inc('mac10_watchdog_escalations_total', { level: 'nudge' });
+
+    const text = metrics.render(tmpDir);
+    assert.match(text, /# TYPE mac10_merge_attempts_total counter/);
+    const s = samples(text);
+    assert.strictEqual(s['mac10_merge_attempts_total{tier="1",outcome="merged"}'], 2);
+    assert.strictEqual(s['mac10_merge_attempts_total{tier="3",outcome="conflict"}'], 1);
+    assert.strictEqual(s['mac10_watchdog_escalations_total{level="nudge"}'], 1);
+    assert.throws(() => metrics.inc('mac10_nope_total'), /Unknown counter/);
+  });
+
+  it('should escape label values', () => {
+    db.sendMail('weird "box"\\path', 'x', {});
+    assert.match(metrics.render(tmpDir), /mac10_mail_backlog\{recipient="weird \\"box\\"\\\\path"\} 1/);
+  });
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const Database = require('better-sqlite3');
+
+const db = require('../src/db');
+const migrator = require('../src/migrator');
+
+const FIXTURE_V0 = fs.readFileSync(path.join(__dirname, 'fixtures', 'schema-v0.sql'), 'utf8');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-migrate-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function dbPath(dir) {
+  return path.join(dir, '.claude', 'state', 'mac10.db');
+}
+
+// Version-0 database with a little of everything in it
+function createFixture(dir) {
+  const d = new Database(dbPath(dir));
+  d.exec(FIXTURE_V0);
+  d.prepare("INSERT INTO requests (id, description, status) VALUES ('req-old', 'Old request', 'in_progress')").run();
+  d.prepare("INSERT INTO tasks (request_id, subject, description, status) VALUES ('req-old', 'Old task', 'd', 'ready')").run();
+  d.prepare("INSERT INTO workers (id, status) VALUES (1, 'idle')").run();
+  d.prepare("INSERT INTO mail (recipient, type, payload) VALUES ('architect', 'hello', '{}')").run();
+  return d;
+}
+
+// Column shape per table, order-insensitive (ALTER TABLE appends columns)
+function describeSchema(d) {
+  const tables = d.prepare(
+    "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+  ).all().map(t => t.name);
+  const shape = {};
+  for (const t of tables) {
+    shape[t] = d.prepare(`PRAGMA table_info(${t})`).all()
+      .map(c => `${c.name} ${c.type} ${c.notnull} ${c.dflt_value} ${c.pk}`)
+      .sort();
+  }
+  shape.indexes = d.prepare(
+    "SELECT name FROM sqlite_master WHERE type='index' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+  ).all().map(i => i.name);
+  return shape;
+}
+
+function freshSchema() {
+  const freshDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-fresh-'));
+  try {
+    db.init(freshDir);
+    return describeSchema(db.getDb());
+  } finally {
+    db.close();
+    fs.rmSync(freshDir, { recursive: true, force: true });
+  }
+}
+
+describe('Migration files', () => {
+  it('should be numbered consecutively from 1', () => {
+    const versions = migrator.loadMigrations().map(m => m.version);
+    assert.ok(versions.length > 0);
+    assert.deepStrictEqual(versions, versions.map((_, i) => i + 1));
+  });
+});
+
+describe('Fresh databases', () => {
+  it('should record every migration without running any or taking a backup', () => {
+    db.init(tmpDir);
+    const status = migrator.getStatus(db.getDb());
+    assert.strictEqual(status.current_version, migrator.latestVersion());
+    assert.strictEqual(status.pending.length, 0);
+    assert.ok(!fs.existsSync(db.getBackupDir(tmpDir)));
+  });
+});
+
+describe('Upgrading from historical versions', () => {
+  const expected = freshSchema();
+  const latest = migrator.latestVersion();
+
+  for (let version = 0; version <= latest; version++) {
+    it(`should upgrade a version ${version} database to the latest schema`, () => {
+      const fixture = createFixture(tmpDir);
+      if (version > 0) migrator.migrate(fixture, { target: version });
+      fixture.close();
+
+      db.init(tmpDir);
+      const d = db.getDb();
+      assert.deepStrictEqual(describeSchema(d), expected);
+      assert.strictEqual(migrator.getStatus(d).current_version, latest);
+
+      // Data survived, and the upgraded tables accept current states
+      assert.strictEqual(db.getRequest('req-old').description, 'Old request');
+      assert.strictEqual(db.listTasks({ request_id: 'req-old' }).length, 1);
+      assert.strictEqual(db.checkMail('architect').length, 1);
+      assert.deepStrictEqual(db.search('old', { kinds: ['request', 'task'] }).map(h => h.kind).sort(), ['request', 'task']);
+      db.updateRequest('req-old', { status: 'awaiting_clarification' });
+      const summary = db.cancelRequest('req-old');
+      assert.strictEqual(summary.cancelled_tasks.length, 1);
+      assert.strictEqual(d.pragma('foreign_keys', { simple: true }), 1);
+      assert.deepStrictEqual(d.pragma('foreign_key_check'), []);
+    });
+  }
+
+  it('should adopt untracked databases that were hand-migrated before versioning', () => {
+    const fixture = createFixture(tmpDir);
+    // What the old ad-hoc init() left behind: columns present, no schema_version
+    fixture.exec('ALTER TABLE workers ADD COLUMN claimed_by TEXT');
+    fixture.exec('ALTER TABLE tasks ADD COLUMN overlap_with TEXT');
+    fixture.close();
+
+    db.init(tmpDir);
+    assert.deepStrictEqual(describeSchema(db.getDb()), expected);
+    assert.strictEqual(migrator.getStatus(db.getDb()).current_version, latest);
+  });
+
+  it('should back up the database before migrating', () => {
+    createFixture(tmpDir).close();
+    db.init(tmpDir);
+
+    const backups = fs.readdirSync(db.getBackupDir(tmpDir));
+    assert.strictEqual(backups.length, 1);
+    assert.match(backups[0], /^mac10-v0-premigrate-.*\.db$/);
+    const copy = new Database(path.join(db.getBackupDir(tmpDir), backups[0]), { readonly: true });
+    try {
+      assert.strictEqual(copy.prepare('SELECT COUNT(*) as cnt FROM requests').get().cnt, 1);
+      assert.ok(!copy.prepare("SELECT 1 FROM sqlite_master WHERE name = 'schema_version'").get());
+    } finally {
+      copy.close();
+    }
+    assert.ok(db.getLog(10).some(l => l.action === 'schema_migrated'));
+  });
+});
+
+describe('Dry run and status', () => {
+  it('should report pending migrations without changing anything', () => {
+    const fixture = createFixture(tmpDir);
+    const before = describeSchema(fixture);
+
+    const status = migrator.getStatus(fixture);
+    assert.strictEqual(status.current_version, 0);
+    assert.strictEqual(status.pending.length, migrator.latestVersion());
+
+    const result = migrator.migrate(fixture, { dryRun: true, backupDir: path.join(tmpDir, 'backups') });
+    assert.strictEqual(result.dry_run, true);
+    assert.strictEqual(result.applied.length, migrator.latestVersion());
+    assert.strictEqual(result.to_version, migrator.latestVersion());
+    assert.deepStrictEqual(describeSchema(fixture), before);
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'backups')));
+    fixture.close();
+  });
+
+  it('should roll back a failing migration and leave its version unrecorded', () => {
+    const fixture = createFixture(tmpDir);
+    migrator.migrate(fixture, { target: 2 });
+    fixture.exec('DROP TABLE tasks');
+    fixture.exec("CREATE TABLE tasks (id INTEGER PRIMARY KEY, status TEXT)");
+
+    assert.throws(() => migrator.migrate(fixture), /No status CHECK constraint/);
+    const status = migrator.getStatus(fixture);
+    assert.strictEqual(status.current_version, 2);
+    assert.ok(fixture.prepare("SELECT 1 FROM sqlite_master WHERE name = 'requests'").get());
+    fixture.close();
+  });
+});
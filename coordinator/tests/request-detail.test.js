@@ -0,0 +1,43 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-detail-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('Request timeline', () => {
+  it('should collect log entries for the request, its tasks, and its merges', () => {
+    const reqId = db.createRequest('Add login page');
+    const otherId = db.createRequest('Unrelated');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Impl', description: 'd' });
+    db.enqueueMerge({ request_id: reqId, task_id: taskId, pr_url: 'https://github.com/o/r/pull/1', branch: 'agent-1' });
+    const [merge] = db.getMergesForRequest(reqId);
+
+    db.log('allocator', 'task_assigned', { task_id: taskId, worker_id: 1 });
+    db.log('coordinator', 'merge_success', { merge_id: merge.id, branch: 'agent-1' });
+    db.log('coordinator', 'unrelated', { task_id: taskId + 100 });
+    db.getDb().prepare("INSERT INTO activity_log (actor, action, details) VALUES ('legacy', 'raw', 'not json')").run();
+
+    const actions = db.getRequestTimeline(reqId).map(e => e.action);
+    assert.deepStrictEqual(actions, ['request_created', 'task_created', 'task_assigned', 'merge_success']);
+    assert.deepStrictEqual(db.getRequestTimeline(otherId).map(e => e.action), ['request_created']);
+    // The newest entries are kept when limited, still oldest first
+    assert.deepStrictEqual(db.getRequestTimeline(reqId, 2).map(e => e.action), ['task_assigned', 'merge_success']);
+  });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+const requestTemplates = require('../src/request-templates');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-templates-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeTemplate(name, text) {
+  const dir = requestTemplates.getTemplateDir(tmpDir);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${name}.md`), text);
+}
+
+const BUMP = [
+  '---',
+  'title: Bump a dependency',
+  'priority: low',
+  'param.version: latest',
+  '---',
+  'Upgrade {{package}} to {{ version }} and fix what breaks.',
+].join('\n');
+
+const ENDPOINT = [
+  '---',
+  'title: Add endpoint',
+  'tier: 3',
+  '---',
+  'Add {{path}} with tests.',
+  '',
+  '```plan',
+  '[',
+  '  { "key": "impl", "subject": "Implement {{path}}", "description": "Handler for {{path}}" },',
+  '  { "key": "tests", "subject": "Test {{path}}", "description": "Cover \\"{{path}}\\"", "depends_on": ["impl"] }',
+  ']',
+  '```',
+].join('\r\n');
+
+describe('Request templates', () => {
+  it('should list templates with their parameters and defaults', () => {
+    writeTemplate('bump', BUMP);
+    writeTemplate('endpoint', ENDPOINT);
+    writeTemplate('broken', '---\ntier: 1\n---\nDo it\n```plan\n[{"key":"a","subject":"s","description":"d"}]\n```\n');
+    writeTemplate('crowded', '---\ntier: 2\n---\nDo it\n```plan\n[{"key":"a","subject":"s","description":"d"},{"key":"b","subject":"t","description":"e"}]\n```\n');
+
+    const list = requestTemplates.listTemplates(tmpDir);
+    assert.deepStrictEqual(list.map(t => t.name), ['broken', 'bump', 'crowded', 'endpoint']);
+    assert.match(list[0].error, /tier must be 2 or 3/);
+    assert.deepStrictEqual(list[1].params, [{ name: 'package', default: null }, { name: 'version', default: 'latest' }]);
+    assert.strictEqual(list[1].has_plan, false);
+    assert.match(list[2].error, /plan has 2 tasks, so its tier must be 3/);
+    assert.strictEqual(list[3].has_plan, true);
+    assert.strictEqual(list[3].tier, 3);
+  });
+
+  it('should require parameters without defaults and reject unknown ones', () => {
+    writeTemplate('bump', BUMP);
+    const template = requestTemplates.loadTemplate(tmpDir, 'bump');
+    assert.throws(() => requestTemplates.renderTemplate(template, {}), /Missing template parameter\(s\) for "bump": package/);
+    assert.throws(() => requestTemplates.renderTemplate(template, { package: 'ws', verison: '9' }), /Unknown template parameter\(s\) for "bump": verison/);
+    assert.strictEqual(
+      requestTemplates.renderTemplate(template, { package: 'ws' }).description,
+      'Upgrade ws to latest and fix what breaks.'
+    );
+    assert.throws(() => requestTemplates.loadTemplate(tmpDir, '../secrets'), /Invalid template name/);
+    assert.throws(() => requestTemplates.loadTemplate(tmpDir, 'missing'), /Template not found/);
+  });
+
+  it('should send templates without a plan to the architect', () => {
+    writeTemplate('bump', BUMP);
+    const result = requestTemplates.createFromTemplate(tmpDir, 'bump', { package: 'express', version: '5' });
+    const req = db.getRequest(result.request_id);
+    assert.strictEqual(req.description, 'Upgrade express to 5 and fix what breaks.');
+    assert.strictEqual(req.status, 'pending');
+    assert.strictEqual(req.priority, 'low');
+    const mail = db.checkMail('architect');
+    assert.strictEqual(mail.length, 1);
+    assert.strictEqual(mail[0].type, 'new_request');
+  });
+
+  it('should create planned requests already decomposed, skipping triage', () => {
+    writeTemplate('endpoint', ENDPOINT);
+    const result = requestTemplates.createFromTemplate(tmpDir, 'endpoint', { path: 'GET /api/users' }, { priority: 'high' });
+    assert.strictEqual(result.tier, 3);
+
+    const req = db.getRequest(result.request_id);
+    assert.strictEqual(req.status, 'decomposed');
+    assert.strictEqual(req.tier, 3);
+    assert.strictEqual(req.priority, 'high');
+    assert.strictEqual(db.checkMail('architect').length, 0);
+    assert.strictEqual(db.checkMail('allocator')[0].type, 'tasks_ready');
+
+    const tests = db.getTask(result.task_ids.tests);
+    assert.strictEqual(tests.description, 'Cover "GET /api/users"');
+    assert.deepStrictEqual(JSON.parse(tests.depends_on), [result.task_ids.impl]);
+    assert.strictEqual(tests.status, 'pending');
+    assert.strictEqual(db.getTask(result.task_ids.impl).status, 'ready');
+  });
+
+  it('should parse the templates that setup.sh installs', () => {
+    const shipped = path.join(__dirname, '..', '..', 'templates', 'requests');
+    for (const f of fs.readdirSync(shipped)) writeTemplate(f.replace(/\.md$/, ''), fs.readFileSync(path.join(shipped, f), 'utf8'));
+    const list = requestTemplates.listTemplates(tmpDir);
+    assert.ok(list.length > 0);
+    for (const t of list) assert.strictEqual(t.error, undefined, `${t.name}: ${t.error}`);
+  });
+
+  it('should create nothing when the plan is rejected', () => {
+    writeTemplate('endpoint', ENDPOINT);
+    db.setConfig('default_max_tasks', '1');
+    assert.throws(
+      () => requestTemplates.createFromTemplate(tmpDir, 'endpoint', { path: '/x' }),
+      /limited to 1 tasks/
+    );
+    assert.strictEqual(db.listRequests().length, 0);
+  });
+});
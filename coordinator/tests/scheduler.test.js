@@ -0,0 +1,143 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+const cron = require('../src/cron');
+const scheduler = require('../src/scheduler');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-scheduler-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Local time, like cron itself (2026-10-19 is a Monday)
+function at(day, hour, minute = 0) {
+  return new Date(2026, 9, day, hour, minute);
+}
+
+describe('Cron expressions', () => {
+  it('should find the next matching minute', () => {
+    assert.deepStrictEqual(cron.next('*/15 * * * *', at(19, 10, 7)), at(19, 10, 15));
+    assert.deepStrictEqual(cron.next('*/15 * * * *', at(19, 10, 15)), at(19, 10, 30));
+    assert.deepStrictEqual(cron.next('0 9 * * 1', at(21, 12)), at(26, 9));
+    assert.deepStrictEqual(cron.next('30 2 1 * *', at(19, 0)), new Date(2026, 10, 1, 2, 30));
+  });
+
+  it('should accept names, macros, ranges, and 7 as Sunday', () => {
+    assert.deepStrictEqual(cron.next('0 9 * * mon-fri', at(23, 10)), at(26, 9));
+    assert.deepStrictEqual(cron.next('0 0 * * 7', at(19, 0)), at(25, 0));
+    assert.deepStrictEqual(cron.next('@daily', at(19, 23, 59)), at(20, 0));
+    assert.deepStrictEqual(cron.next('0 0 1 jan *', at(19, 0)), new Date(2027, 0, 1, 0, 0));
+  });
+
+  it('should match either day field when both are restricted', () => {
+    // The 13th, or any Friday — whichever comes first
+    assert.deepStrictEqual(cron.next('0 0 13 * 5', at(19, 0)), at(23, 0));
+    assert.deepStrictEqual(cron.next('0 0 13 * 5', at(31, 0)), new Date(2026, 10, 6, 0, 0));
+  });
+
+  it('should reject malformed expressions and report impossible ones', () => {
+    assert.throws(() => cron.parse('0 3 * *'), /expected 5 fields/);
+    assert.throws(() => cron.parse('60 * * * *'), /minute 60 out of range/);
+    assert.throws(() => cron.parse('*/0 * * * *'), /bad step/);
+    assert.throws(() => cron.parse('0 0 * * funday'), /bad day-of-week value/);
+    assert.strictEqual(cron.next('0 0 30 2 *', at(19, 0)), null);
+  });
+});
+
+describe('Scheduler', () => {
+  it('should store the next run when a schedule is added', () => {
+    const s = scheduler.addSchedule({ cron: '0 3 * * *', description: 'Nightly sweep', priority: 'low' }, 'user', at(19, 8));
+    assert.strictEqual(s.next_run_at, scheduler.toSqlTime(at(20, 3)));
+    assert.strictEqual(s.name, 'Nightly sweep');
+    assert.throws(() => scheduler.addSchedule({ cron: '0 0 30 2 *', description: 'Never' }), /never matches/);
+    assert.throws(() => scheduler.addSchedule({ cron: '0 3 * * *', description: 'x', priority: 'asap' }), /priority must be one of/);
+  });
+
+  it('should file a request when a schedule comes due', () => {
+    const s = scheduler.addSchedule({ cron: '0 9 * * 1', description: 'Update dependencies', priority: 'high' }, 'user', at(19, 8));
+
+    assert.deepStrictEqual(scheduler.tick(at(19, 8, 59)), []);
+
+    const [result] = scheduler.tick(at(19, 9, 0));
+    assert.strictEqual(result.missed, 0);
+    const req = db.getRequest(result.fired_request_id);
+    assert.strictEqual(req.description, 'Update dependencies');
+    assert.strictEqual(req.priority, 'high');
+
+    const [listed] = scheduler.listSchedules();
+    assert.strictEqual(listed.id, s.id);
+    assert.strictEqual(listed.next_run_at, scheduler.toSqlTime(at(26, 9)));
+    assert.strictEqual(listed.last_request_id, req.id);
+    assert.strictEqual(listed.history.length, 1);
+    assert.strictEqual(listed.history[0].status, 'fired');
+
+    // Already handled: nothing fires twice
+    assert.deepStrictEqual(scheduler.tick(at(19, 9, 1)), []);
+  });
+
+  it('should report runs missed while the coordinator was down', () => {
+    const s = scheduler.addSchedule({ cron: '0 * * * *', description: 'Hourly sweep' }, 'user', at(19, 8, 30));
+
+    // Down from 08:30 to 13:01: 09..12 were missed, 13:00 is within grace and fires
+    const [result] = scheduler.tick(at(19, 13, 1));
+    assert.strictEqual(result.missed, 4);
+    assert.ok(result.fired_request_id);
+
+    const runs = db.getScheduleRuns(s.id);
+    const missed = runs.find(r => r.status === 'missed');
+    assert.strictEqual(missed.runs, 4);
+    assert.strictEqual(missed.scheduled_for, scheduler.toSqlTime(at(19, 9)));
+    assert.strictEqual(missed.scheduled_until, scheduler.toSqlTime(at(19, 12)));
+
+    const mail = db.checkMail('master-1').filter(m => m.type === 'schedule_missed');
+    assert.strictEqual(mail.length, 1);
+    assert.strictEqual(mail[0].payload.runs, 4);
+    assert.strictEqual(db.getSchedule(s.id).next_run_at, scheduler.toSqlTime(at(19, 14)));
+  });
+
+  it('should not fire a run that is past the grace period', () => {
+    db.setConfig('schedule_grace_s', '300');
+    const s = scheduler.addSchedule({ cron: '0 * * * *', description: 'Hourly sweep' }, 'user', at(19, 8, 30));
+
+    const [result] = scheduler.tick(at(19, 9, 30));
+    assert.strictEqual(result.fired_request_id, null);
+    assert.strictEqual(result.missed, 1);
+    assert.strictEqual(db.listRequests().length, 0);
+    assert.strictEqual(scheduler.listSchedules()[0].missed_runs, 1);
+    assert.strictEqual(db.getSchedule(s.id).next_run_at, scheduler.toSqlTime(at(19, 10)));
+  });
+
+  it('should delete history with the schedule', () => {
+    const s = scheduler.addSchedule({ cron: '@hourly', description: 'Sweep' }, 'user', at(19, 8, 30));
+    scheduler.tick(at(19, 9));
+    scheduler.removeSchedule(s.id);
+    assert.strictEqual(db.getSchedule(s.id), undefined);
+    assert.strictEqual(db.getScheduleRuns(s.id).length, 0);
+    assert.throws(() => scheduler.removeSchedule(s.id), /Schedule not found/);
+  });
+
+  it('should purge run history after the retention period', () => {
+    const s = scheduler.addSchedule({ cron: '@hourly', description: 'Sweep' }, 'user', at(19, 8, 30));
+    scheduler.tick(at(19, 9));
+    scheduler.tick(at(19, 10));
+    const [recent, old] = db.getScheduleRuns(s.id).map(r => r.id);
+    db.getDb().prepare("UPDATE schedule_runs SET created_at = '2020-01-01 00:00:00' WHERE id = ?").run(old);
+
+    assert.strictEqual(db.purgeOldScheduleRuns(30), 1);
+    assert.deepStrictEqual(db.getScheduleRuns(s.id).map(r => r.id), [recent]);
+  });
+});
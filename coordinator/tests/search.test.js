@@ -0,0 +1,89 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-search-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('Full-text search', () => {
+  it('should find matches across requests, tasks, log, changes, and mail', () => {
+    const reqId = db.createRequest('Fix the login redirect loop');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Break redirect loop', description: 'Guard the callback', files: ['src/auth.js'] });
+    db.log('worker-1', 'note', { request_id: reqId, message: 'redirect loop reproduced' });
+    db.createChange({ description: 'Redirect guard added', file_path: 'src/auth.js' });
+
+    const hits = db.search('redirect');
+    const kinds = new Set(hits.map(h => h.kind));
+    for (const kind of ['request', 'task', 'log', 'change', 'mail']) {
+      assert.ok(kinds.has(kind), `expected a ${kind} hit`);
+    }
+
+    const task = hits.find(h => h.kind === 'task');
+    assert.strictEqual(task.id, taskId);
+    assert.strictEqual(task.request_id, reqId);
+    assert.match(task.snippet, /\[redirect\]/i);
+
+    // Log and mail hits carry the request they belong to
+    assert.strictEqual(hits.find(h => h.kind === 'log' && h.title === 'worker-1: note').request_id, reqId);
+    assert.strictEqual(hits.find(h => h.kind === 'mail').request_id, reqId);
+  });
+
+  it('should treat punctuation as literal text and support prefix terms', () => {
+    const reqId = db.createRequest('Refactor helpers');
+    db.createTask({ request_id: reqId, subject: 'Split utils', description: 'Touches lib/auth.js only', files: ['lib/auth.js'] });
+
+    assert.strictEqual(db.search('auth.js', { kinds: ['task'] }).length, 1);
+    assert.strictEqual(db.search('refact*', { kinds: ['request'] }).length, 1);
+    assert.strictEqual(db.search('refact', { kinds: ['request'] }).length, 0);
+    assert.doesNotThrow(() => db.search('"unbalanced OR ( NEAR'));
+    assert.deepStrictEqual(db.search('*** ()'), []);
+    assert.strictEqual(db.toFtsQuery('say "hi" now*'), '"say" """hi""" "now"*');
+  });
+
+  it('should filter by kind and recency and honour the limit', () => {
+    for (let i = 0; i < 5; i++) db.createRequest(`Widget variant ${i}`);
+    const old = db.createRequest('Widget from last year');
+    db.getDb().prepare("UPDATE requests SET created_at = datetime('now', '-400 days') WHERE id = ?").run(old);
+
+    assert.ok(db.search('widget').some(h => h.kind !== 'request'));
+    assert.strictEqual(db.search('widget', { kinds: ['request'] }).length, 6);
+    const recent = db.search('widget', { kinds: ['request'], days: 30 });
+    assert.strictEqual(recent.length, 5);
+    assert.ok(!recent.some(h => h.id === old));
+    assert.strictEqual(db.search('widget', { limit: 2 }).length, 2);
+    assert.throws(() => db.search('widget', { kinds: ['bogus'] }), /Unknown search kind/);
+  });
+
+  it('should keep the index in sync with updates and deletes', () => {
+    const reqId = db.createRequest('Initial wording');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Draft', description: 'first pass' });
+
+    db.updateRequest(reqId, { result: 'Shipped the zebra feature' });
+    db.updateTask(taskId, { description: 'second pass with giraffes' });
+    assert.strictEqual(db.search('zebra', { kinds: ['request'] }).length, 1);
+    assert.strictEqual(db.search('giraffes', { kinds: ['task'] }).length, 1);
+    assert.strictEqual(db.search('first', { kinds: ['task'] }).length, 0);
+
+    db.sendMail('architect', 'ping', { text: 'ostrich' });
+    db.checkMail('architect');
+    db.getDb().prepare("UPDATE mail SET created_at = datetime('now', '-10 days')").run();
+    db.purgeOldMail(7);
+    assert.strictEqual(db.search('ostrich', { kinds: ['mail'] }).length, 0);
+  });
+});
@@ -29,62 +29,52 @@ describe('Merger input validation', () => {
   // Import the module to test attemptMerge's validation
   const merger = require('../src/merger');
 
-  it('should reject branch names with shell metacharacters', () => {
+  it('should reject branch names with shell metacharacters', async () => {
     const reqId = db.createRequest('Test');
     const taskId = db.createTask({ request_id: reqId, subject: 'T1', description: 'D1' });
     db.enqueueMerge({ request_id: reqId, task_id: taskId, pr_url: 'https://github.com/org/repo/pull/1', branch: 'main; rm -rf /' });
 
     const entry = db.getNextMerge();
-    assert.throws(() => {
-      merger.attemptMerge(entry, tmpDir);
-    }, /Invalid branch name/);
+    await assert.rejects(() => merger.attemptMerge(entry, tmpDir), /Invalid branch name/);
   });
 
-  it('should reject branch names with backticks', () => {
+  it('should reject branch names with backticks', async () => {
     const reqId = db.createRequest('Test');
     const taskId = db.createTask({ request_id: reqId, subject: 'T1', description: 'D1' });
     db.enqueueMerge({ request_id: reqId, task_id: taskId, pr_url: 'https://github.com/org/repo/pull/1', branch: '`whoami`' });
 
     const entry = db.getNextMerge();
-    assert.throws(() => {
-      merger.attemptMerge(entry, tmpDir);
-    }, /Invalid branch name/);
+    await assert.rejects(() => merger.attemptMerge(entry, tmpDir), /Invalid branch name/);
   });
 
-  it('should reject branch names with $() subshell', () => {
+  it('should reject branch names with $() subshell', async () => {
     const reqId = db.createRequest('Test');
     const taskId = db.createTask({ request_id: reqId, subject: 'T1', description: 'D1' });
     db.enqueueMerge({ request_id: reqId, task_id: taskId, pr_url: 'https://github.com/org/repo/pull/1', branch: 'feat-$(id)' });
 
     const entry = db.getNextMerge();
-    assert.throws(() => {
-      merger.attemptMerge(entry, tmpDir);
-    }, /Invalid branch name/);
+    await assert.rejects(() => merger.attemptMerge(entry, tmpDir), /Invalid branch name/);
   });
 
-  it('should reject malformed PR URLs', () => {
+  it('should reject malformed PR URLs', async () => {
     const reqId = db.createRequest('Test');
     const taskId = db.createTask({ request_id: reqId, subject: 'T1', description: 'D1' });
     db.enqueueMerge({ request_id: reqId, task_id: taskId, pr_url: 'https://evil.com/exploit', branch: 'agent-1' });
 
     const entry = db.getNextMerge();
-    assert.throws(() => {
-      merger.attemptMerge(entry, tmpDir);
-    }, /Invalid PR URL/);
+    await assert.rejects(() => merger.attemptMerge(entry, tmpDir), /Invalid PR URL/);
   });
 
-  it('should reject PR URLs with embedded commands', () => {
+  it('should reject PR URLs with embedded commands', async () => {
     const reqId = db.createRequest('Test');
     const taskId = db.createTask({ request_id: reqId, subject: 'T1', description: 'D1' });
     db.enqueueMerge({ request_id: reqId, task_id: taskId, pr_url: 'https://github.com/org/repo/pull/1"; rm -rf /', branch: 'agent-1' });
 
     const entry = db.getNextMerge();
-    assert.throws(() => {
-      merger.attemptMerge(entry, tmpDir);
-    }, /Invalid PR URL/);
+    await assert.rejects(() => merger.attemptMerge(entry, tmpDir), /Invalid PR URL/);
   });
 
-  it('should accept valid branch names', () => {
+  it('should accept valid branch names', async () => {
     const reqId = db.createRequest('Test');
     const taskId = db.createTask({ request_id: reqId, subject: 'T1', description: 'D1' });
     db.enqueueMerge({ request_id: reqId, task_id: taskId, pr_url: 'https://github.com/org/repo/pull/42', branch: 'feature/add-auth-v2.0' });
@@ -93,7 +83,7 @@ describe('Merger input validation', () => {
     // attemptMerge will try all tiers. Important: it should NOT throw a validation error.
     // In a test env without git, it may succeed via tryAIResolve (creates a fix task) or
     // fail at tier 4 with "Needs reimplementation" — either way, no validation error.
-    const result = merger.attemptMerge(entry, tmpDir);
+    const result = await merger.attemptMerge(entry, tmpDir);
     // Validation passed if we got here without an "Invalid branch" throw
     assert.ok(!result.error || !result.error.includes('Invalid branch'));
   });
@@ -117,6 +117,87 @@ describe('Task state machine', () => {
   });
 });
 
+describe('Dependency graph validation', () => {
+  it('should reject dependencies on nonexistent tasks', () => {
+    const reqId = db.createRequest('Feature');
+    assert.throws(() => {
+      db.createTask({ request_id: reqId, subject: 'T', description: 'D', depends_on: [999] });
+    }, /task #999 does not exist/);
+  });
+
+  it('should reject dependencies on tasks from another request', () => {
+    const reqA = db.createRequest('A');
+    const reqB = db.createRequest('B');
+    const tA = db.createTask({ request_id: reqA, subject: 'A1', description: 'D' });
+    assert.throws(() => {
+      db.createTask({ request_id: reqB, subject: 'B1', description: 'D', depends_on: [tA] });
+    }, /belongs to another request/);
+  });
+
+  it('should normalize string depends_on values', () => {
+    const reqId = db.createRequest('Feature');
+    const t1 = db.createTask({ request_id: reqId, subject: 'T1', description: 'D' });
+    const t2 = db.createTask({ request_id: reqId, subject: 'T2', description: 'D', depends_on: `#${t1}` });
+    assert.strictEqual(db.getTask(t2).depends_on, JSON.stringify([t1]));
+    assert.throws(() => db.normalizeDependsOn(['abc']), /Invalid depends_on entry/);
+  });
+
+  it('should detect cycles in the request graph', () => {
+    const reqId = db.createRequest('Feature');
+    const t1 = db.createTask({ request_id: reqId, subject: 'T1', description: 'D' });
+    const t2 = db.createTask({ request_id: reqId, subject: 'T2', description: 'D', depends_on: [t1] });
+    // Close the loop behind createTask's back (e.g. a hand-edited row)
+    db.updateTask(t1, { depends_on: JSON.stringify([t2]) });
+
+    const report = db.validatePlan(reqId);
+    assert.strictEqual(report.valid, false);
+    assert.match(report.errors[0].error, /dependency cycle/);
+
+    // New tasks may not hang off a cycle either
+    assert.throws(() => {
+      db.createTask({ request_id: reqId, subject: 'T3', description: 'D', depends_on: [t2] });
+    }, /dependency cycle/);
+  });
+
+  it('should report a valid plan', () => {
+    const reqId = db.createRequest('Feature');
+    const t1 = db.createTask({ request_id: reqId, subject: 'T1', description: 'D' });
+    db.createTask({ request_id: reqId, subject: 'T2', description: 'D', depends_on: [t1] });
+    const report = db.validatePlan(reqId);
+    assert.strictEqual(report.valid, true);
+    assert.strictEqual(report.task_count, 2);
+    assert.deepStrictEqual(report.errors, []);
+  });
+
+  it('should find cycles with the graph helper', () => {
+    const graph = new Map([[1, [2]], [2, [3]], [3, [1]], [4, []]]);
+    assert.deepStrictEqual(db.findDependencyCycle(graph), [1, 2, 3, 1]);
+    assert.strictEqual(db.findDependencyCycle(new Map([[1, [2]], [2, []]])), null);
+  });
+
+  it('should block tasks whose upstream dependency failed', () => {
+    const reqId = db.createRequest('Feature');
+    const t1 = db.createTask({ request_id: reqId, subject: 'T1', description: 'D' });
+    const t2 = db.createTask({ request_id: reqId, subject: 'T2', description: 'D', depends_on: [t1] });
+    const t3 = db.createTask({ request_id: reqId, subject: 'T3', description: 'D', depends_on: [t2] });
+    db.updateTask(t1, { status: 'failed' });
+    db.checkMail('architect');
+
+    db.checkAndPromoteTasks();
+    const task2 = db.getTask(t2);
+    assert.strictEqual(task2.status, 'blocked');
+    assert.match(task2.result, new RegExp(`#${t1} \\(failed\\)`));
+
+    // Blocking propagates downstream on the next pass
+    db.checkAndPromoteTasks();
+    assert.strictEqual(db.getTask(t3).status, 'blocked');
+
+    const mail = db.checkMail('architect').filter(m => m.type === 'task_blocked');
+    assert.strictEqual(mail.length, 2);
+    assert.strictEqual(mail[0].payload.task_id, t2);
+  });
+});
+
 describe('Worker state machine', () => {
   it('should register and track workers', () => {
     db.registerWorker(1, '/path/to/wt-1', 'agent-1');
@@ -218,3 +299,140 @@ describe('Config', () => {
     assert.strictEqual(db.getConfig('heartbeat_timeout_s'), '60');
   });
 });
+
+describe('Request cancellation', () => {
+  it('should cancel open tasks and tell busy workers to terminate', () => {
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    const reqId = db.createRequest('Cancel me');
+    const t1 = db.createTask({ request_id: reqId, subject: 'Running', description: 'd' });
+    const t2 = db.createTask({ request_id: reqId, subject: 'Waiting', description: 'd', depends_on: [t1] });
+    const t3 = db.createTask({ request_id: reqId, subject: 'Done', description: 'd' });
+    db.updateTask(t1, { status: 'in_progress', assigned_to: 1 });
+    db.updateWorker(1, { status: 'busy', current_task_id: t1 });
+    db.updateTask(t3, { status: 'completed' });
+    db.updateRequest(reqId, { status: 'in_progress' });
+
+    const summary = db.cancelRequest(reqId, { reason: 'No longer needed' });
+    assert.strictEqual(summary.previous_status, 'in_progress');
+    assert.deepStrictEqual(summary.cancelled_tasks, [t1, t2]);
+    assert.deepStrictEqual(summary.terminated_workers, [1]);
+
+    assert.strictEqual(db.getRequest(reqId).status, 'cancelled');
+    assert.strictEqual(db.getTask(t1).status, 'cancelled');
+    assert.strictEqual(db.getTask(t2).status, 'cancelled');
+    assert.strictEqual(db.getTask(t3).status, 'completed');
+
+    const mail = db.checkMail('worker-1');
+    assert.strictEqual(mail.length, 1);
+    assert.strictEqual(mail[0].type, 'terminate');
+    assert.strictEqual(mail[0].payload.task_id, t1);
+    assert.ok(db.checkMail('architect').some(m => m.type === 'request_cancelled'));
+  });
+
+  it('should drop queued merges and report unmerged PRs', () => {
+    const reqId = db.createRequest('Cancel merges');
+    const t1 = db.createTask({ request_id: reqId, subject: 'A', description: 'd' });
+    const t2 = db.createTask({ request_id: reqId, subject: 'B', description: 'd' });
+    db.updateTask(t1, { status: 'completed', pr_url: 'https://github.com/org/repo/pull/1' });
+    db.updateTask(t2, { status: 'completed', pr_url: 'https://github.com/org/repo/pull/2' });
+    db.enqueueMerge({ request_id: reqId, task_id: t1, pr_url: 'https://github.com/org/repo/pull/1', branch: 'agent-1' });
+    db.enqueueMerge({ request_id: reqId, task_id: t2, pr_url: 'https://github.com/org/repo/pull/2', branch: 'agent-2' });
+    db.getDb().prepare("UPDATE merge_queue SET status = 'merged' WHERE task_id = ?").run(t2);
+    db.updateRequest(reqId, { status: 'integrating' });
+
+    const summary = db.cancelRequest(reqId);
+    assert.strictEqual(summary.removed_merges, 1);
+    assert.strictEqual(summary.in_flight_merges, 0);
+    assert.deepStrictEqual(summary.pr_urls, ['https://github.com/org/repo/pull/1']);
+    const remaining = db.getDb().prepare('SELECT status FROM merge_queue WHERE request_id = ?').all(reqId);
+    assert.deepStrictEqual(remaining.map(r => r.status), ['merged']);
+  });
+
+  it('should refuse to cancel finished requests', () => {
+    const reqId = db.createRequest('Already done');
+    db.updateRequest(reqId, { status: 'completed' });
+    assert.throws(() => db.cancelRequest(reqId), /already completed/);
+    assert.throws(() => db.cancelRequest('req-missing'), /not found/);
+  });
+
+  it('should upgrade databases whose status checks predate cancellation', () => {
+    db.close();
+    const Database = require('better-sqlite3');
+    const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-legacy-'));
+    try {
+      const schema = fs.readFileSync(path.join(__dirname, '..', 'src', 'schema.sql'), 'utf8');
+      fs.mkdirSync(path.join(legacyDir, '.claude', 'state'), { recursive: true });
+      const legacy = new Database(path.join(legacyDir, '.claude', 'state', 'mac10.db'));
+      legacy.exec(schema.replace(/,'cancelled'/g, ''));
+      legacy.prepare("INSERT INTO requests (id, description) VALUES ('req-old', 'Old request')").run();
+      legacy.prepare("INSERT INTO tasks (request_id, subject, description) VALUES ('req-old', 'Old task', 'd')").run();
+      legacy.close();
+
+      db.init(legacyDir);
+      const summary = db.cancelRequest('req-old');
+      assert.strictEqual(summary.cancelled_tasks.length, 1);
+      assert.strictEqual(db.getRequest('req-old').status, 'cancelled');
+    } finally {
+      db.close();
+      fs.rmSync(legacyDir, { recursive: true, force: true });
+      db.init(tmpDir);
+    }
+  });
+});
+
+describe('Task retry and failure classification', () => {
+  it('should back off exponentially up to the cap', () => {
+    db.setConfig('retry_backoff_base_s', '10');
+    db.setConfig('retry_backoff_max_s', '35');
+    assert.strictEqual(db.getRetryDelaySec(1), 10);
+    assert.strictEqual(db.getRetryDelaySec(2), 20);
+    assert.strictEqual(db.getRetryDelaySec(3), 35);
+  });
+
+  it('should hold a failed task pending until its backoff expires', () => {
+    const reqId = db.createRequest('Flaky');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Flaky', description: 'd' });
+    db.updateTask(taskId, { status: 'in_progress', assigned_to: null, attempts: 1 });
+
+    const outcome = db.recordTaskFailure(taskId, { kind: 'worker_crash', error: 'pane died' });
+    assert.strictEqual(outcome.retrying, true);
+    assert.strictEqual(outcome.retry_in_sec, 30);
+    let task = db.getTask(taskId);
+    assert.strictEqual(task.status, 'pending');
+    assert.strictEqual(task.last_failure, 'worker_crash');
+
+    db.checkAndPromoteTasks();
+    assert.strictEqual(db.getTask(taskId).status, 'pending');
+
+    db.getDb().prepare("UPDATE tasks SET retry_after = datetime('now', '-1 seconds') WHERE id = ?").run(taskId);
+    db.checkAndPromoteTasks();
+    assert.strictEqual(db.getTask(taskId).status, 'ready');
+  });
+
+  it('should fail and escalate after the last attempt', () => {
+    const reqId = db.createRequest('Doomed');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Doomed', description: 'd', max_attempts: 2 });
+    db.updateTask(taskId, { status: 'in_progress', attempts: 2 });
+
+    const outcome = db.recordTaskFailure(taskId, { kind: 'validation_failure', error: 'tests fail' });
+    assert.strictEqual(outcome.retrying, false);
+    assert.strictEqual(outcome.attempts, 2);
+    assert.strictEqual(db.getTask(taskId).status, 'failed');
+
+    const mail = db.checkMail('architect');
+    const escalated = mail.find(m => m.type === 'task_escalated');
+    assert.ok(escalated);
+    assert.strictEqual(escalated.payload.kind, 'validation_failure');
+    assert.strictEqual(escalated.payload.max_attempts, 2);
+  });
+
+  it('should ignore failures for finished tasks and reject unknown kinds', () => {
+    const reqId = db.createRequest('Done');
+    const taskId = db.createTask({ request_id: reqId, subject: 'Done', description: 'd' });
+    db.updateTask(taskId, { status: 'completed' });
+    assert.strictEqual(db.recordTaskFailure(taskId, { kind: 'heartbeat_timeout' }), null);
+    assert.strictEqual(db.getTask(taskId).status, 'completed');
+    assert.throws(() => db.recordTaskFailure(taskId, { kind: 'gremlins' }), /Unknown failure kind/);
+    assert.throws(() => db.createTask({ request_id: reqId, subject: 'x', description: 'd', max_attempts: 0 }), /max_attempts/);
+  });
+});
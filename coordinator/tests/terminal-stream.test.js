@@ -0,0 +1,128 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+const tmux = require('../src/tmux');
+const terminalStream = require('../src/terminal-stream');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-terminal-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+});
+
+afterEach(() => {
+  terminalStream.stop();
+  mock.restoreAll();
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function fakeWs() {
+  return { sent: [], send(text) { this.sent.push(JSON.parse(text)); } };
+}
+
+// Pretend worker-1 has a tmux window whose pane shows `pane.text`
+function fakePane(pane) {
+  mock.method(tmux, 'isAvailable', () => true);
+  mock.method(tmux, 'hasWindow', (name) => name === 'worker-1');
+  mock.method(tmux, 'capturePane', () => pane.text);
+  mock.method(tmux, 'sendLiteral', () => {});
+  mock.method(tmux, 'sendKeyName', () => {});
+}
+
+describe('Terminal capture diff', () => {
+  it('should report nothing when the pane is unchanged', () => {
+    assert.strictEqual(terminalStream.diffCapture(['a', 'b'], ['a', 'b']), null);
+  });
+
+  it('should append new output, following the pane as it scrolls', () => {
+    assert.deepStrictEqual(
+      terminalStream.diffCapture(['a', 'b', 'c', 'd'], ['a', 'b', 'c', 'd', 'e']),
+      { op: 'append', trim: 0, lines: ['e'] }
+    );
+    assert.deepStrictEqual(
+      terminalStream.diffCapture(['a', 'b', 'c', 'd', 'e'], ['c', 'd', 'e', 'f', 'g']),
+      { op: 'append', trim: 0, lines: ['f', 'g'] }
+    );
+  });
+
+  it('should replace redrawn trailing lines', () => {
+    assert.deepStrictEqual(
+      terminalStream.diffCapture(['a', 'b', 'c', '> fix'], ['a', 'b', 'c', '> fix the', 'bug']),
+      { op: 'append', trim: 1, lines: ['> fix the', 'bug'] }
+    );
+  });
+
+  it('should resend everything when the screen was cleared', () => {
+    assert.deepStrictEqual(
+      terminalStream.diffCapture(['a', 'b', 'c', 'd'], ['x', 'y']),
+      { op: 'reset', lines: ['x', 'y'] }
+    );
+    assert.deepStrictEqual(terminalStream.diffCapture([], ['x']), { op: 'reset', lines: ['x'] });
+  });
+});
+
+describe('Terminal streaming', () => {
+  it('should send a snapshot on subscribe and only changes afterwards', () => {
+    db.registerWorker(1, '/tmp/wt-1', 'agent-1');
+    const pane = { text: 'one\ntwo\nthree' };
+    fakePane(pane);
+    const ws = fakeWs();
+
+    assert.strictEqual(terminalStream.subscribe(ws, '1'), true);
+    assert.deepStrictEqual(ws.sent, [{ type: 'terminal_output', worker_id: 1, op: 'reset', lines: ['one', 'two', 'three'] }]);
+
+    terminalStream.tick();
+    assert.strictEqual(ws.sent.length, 1);
+
+    pane.text = 'one\ntwo\nthree\nfour';
+    terminalStream.tick();
+    assert.deepStrictEqual(ws.sent[1], { type: 'terminal_output', worker_id: 1, op: 'append', trim: 0, lines: ['four'] });
+
+    terminalStream.unsubscribe(ws, 1);
+    pane.text = 'five';
+    terminalStream.tick();
+    assert.strictEqual(ws.sent.length, 2);
+  });
+
+  it('should report workers with no window to watch', () => {
+    db.registerWorker(2, '/tmp/wt-2', 'agent-2');
+    fakePane({ text: '' });
+    const ws = fakeWs();
+
+    terminalStream.subscribe(ws, 2);
+    assert.strictEqual(ws.sent[0].op, 'unavailable');
+    assert.match(ws.sent[0].error, /No tmux window for worker-2/);
+
+    assert.strictEqual(terminalStream.subscribe(ws, 9), false);
+    assert.match(ws.sent[1].error, /Unknown worker: 9/);
+  });
+
+  it('should send keys only when allowed and well-formed', () => {
+    db.registerWorker(1, '/tmp/wt-1', 'agent-1');
+    fakePane({ text: '' });
+
+    assert.throws(() => terminalStream.sendInput(1, { text: 'ls' }), /disabled/);
+    db.setConfig('terminal_send_keys', 'true');
+    terminalStream.sendInput(1, { text: 'git status' });
+    assert.deepStrictEqual(tmux.sendLiteral.mock.calls[0].arguments, ['worker-1', 'git status']);
+    terminalStream.sendInput(1, { key: 'C-c' });
+    assert.deepStrictEqual(tmux.sendKeyName.mock.calls[0].arguments, ['worker-1', 'C-c']);
+
+    assert.throws(() => terminalStream.sendInput(1, { key: 'C-z' }), /key must be one of/);
+    assert.throws(() => terminalStream.sendInput(1, {}), /text or key is required/);
+    assert.throws(() => terminalStream.sendInput(3, { text: 'ls' }), /Unknown worker/);
+
+    db.setConfig('terminal_send_keys', 'false');
+    assert.throws(() => terminalStream.sendInput(1, { text: 'ls' }), /disabled/);
+    assert.strictEqual(tmux.sendLiteral.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+const allocator = require('../src/allocator');
+const { createSessionTracker } = require('../src/usage-stream');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-usage-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('Usage accounting', () => {
+  it('should attribute task usage to its request and aggregate per task and actor', () => {
+    const reqId = db.createRequest('Count tokens');
+    const t1 = db.createTask({ request_id: reqId, subject: 'A', description: 'a' });
+    const t2 = db.createTask({ request_id: reqId, subject: 'B', description: 'b' });
+
+    const rec = db.recordUsage({ task_id: t1, actor: 'worker-1', model: 'opus', input_tokens: 100, output_tokens: 50, cache_read_tokens: 1000, cost_usd: 0.25, duration_ms: 60000 });
+    assert.strictEqual(rec.request_id, reqId);
+    db.recordUsage({ task_id: t1, actor: 'worker-1', output_tokens: 10, cost_usd: 0.05 });
+    db.recordUsage({ task_id: t2, actor: 'worker-2', input_tokens: 5, cost_usd: 0.1 });
+    db.recordUsage({ request_id: reqId, actor: 'architect', input_tokens: 20, cost_usd: 0.4 });
+
+    const totals = db.getUsageTotals({ request_id: reqId });
+    assert.strictEqual(totals.reports, 4);
+    assert.strictEqual(totals.total_tokens, 1185);
+    assert.ok(Math.abs(totals.cost_usd - 0.8) < 1e-9);
+    assert.strictEqual(totals.duration_ms, 60000);
+
+    const { by_task, by_actor } = db.getUsageBreakdown(reqId);
+    assert.strictEqual(by_task[t1].reports, 2);
+    assert.strictEqual(by_task[t1].output_tokens, 60);
+    assert.strictEqual(by_task[t2].total_tokens, 5);
+    assert.deepStrictEqual(by_actor.map(a => a.actor), ['architect', 'worker-1', 'worker-2']);
+
+    const listed = db.listRequests().find(r => r.id === reqId);
+    assert.ok(Math.abs(listed.cost_usd - 0.8) < 1e-9);
+    assert.strictEqual(listed.total_tokens, 1185);
+  });
+
+  it('should reject bad reports', () => {
+    const reqId = db.createRequest('Validate');
+    const taskId = db.createTask({ request_id: reqId, subject: 'A', description: 'a' });
+    const other = db.createRequest('Other');
+
+    assert.throws(() => db.recordUsage({ actor: 'worker-1', cost_usd: 1 }), /task_id or request_id is required/);
+    assert.throws(() => db.recordUsage({ task_id: 999, actor: 'worker-1' }), /Task not found/);
+    assert.throws(() => db.recordUsage({ task_id: taskId, request_id: other, actor: 'worker-1' }), /belongs to/);
+    assert.throws(() => db.recordUsage({ task_id: taskId }), /actor is required/);
+    assert.throws(() => db.recordUsage({ task_id: taskId, actor: 'worker-1', input_tokens: -5 }), /non-negative/);
+    assert.strictEqual(db.getUsageTotals().reports, 0);
+  });
+});
+
+describe('Request budgets', () => {
+  it('should stop allocation and mail master-1 once when a budget is reached', () => {
+    const reqId = db.createRequest('Expensive');
+    const t1 = db.createTask({ request_id: reqId, subject: 'A', description: 'a' });
+    db.createTask({ request_id: reqId, subject: 'B', description: 'b' });
+    db.checkAndPromoteTasks();
+    db.registerWorker(1, '/wt-1', 'agent-1');
+    db.checkMail('master-1');
+
+    db.setBudget(reqId, { budget_usd: 1 });
+    let rec = db.recordUsage({ task_id: t1, actor: 'worker-1', cost_usd: 0.6 });
+    assert.strictEqual(rec.budget.exceeded, false);
+    assert.strictEqual(db.getReadyTasks().length, 2);
+
+    rec = db.recordUsage({ task_id: t1, actor: 'worker-1', cost_usd: 0.5 });
+    assert.strictEqual(rec.budget.exceeded, true);
+    assert.deepStrictEqual(rec.budget.exceeded_by, ['cost']);
+    db.recordUsage({ task_id: t1, actor: 'worker-1', cost_usd: 0.1 });
+
+    const mail = db.checkMail('master-1');
+    assert.strictEqual(mail.length, 1);
+    assert.strictEqual(mail[0].type, 'budget_exceeded');
+    assert.strictEqual(mail[0].payload.request_id, reqId);
+
+    assert.strictEqual(db.getReadyTasks().length, 0);
+    const readyTask = db.listTasks({ request_id: reqId, status: 'ready' })[0];
+    assert.deepStrictEqual(allocator.assignTaskToWorker(readyTask.id, 1, null), { ok: false, reason: 'over_budget' });
+
+    // Raising the budget lets allocation continue
+    db.setBudget(reqId, { budget_usd: 5 });
+    assert.strictEqual(db.isOverBudget(reqId), false);
+    assert.strictEqual(db.getReadyTasks().length, 2);
+  });
+
+  it('should enforce token budgets and allow clearing them', () => {
+    const reqId = db.createRequest('Chatty');
+    const t1 = db.createTask({ request_id: reqId, subject: 'A', description: 'a' });
+    db.checkAndPromoteTasks();
+
+    const state = db.setBudget(reqId, { budget_tokens: 1000 });
+    assert.strictEqual(state.budget_tokens, 1000);
+    assert.strictEqual(state.budget_usd, null);
+    db.recordUsage({ task_id: t1, actor: 'worker-1', input_tokens: 400, cache_read_tokens: 600 });
+    assert.strictEqual(db.isOverBudget(reqId), true);
+    assert.strictEqual(db.getReadyTasks().length, 0);
+
+    db.setBudget(reqId, { budget_tokens: null });
+    assert.strictEqual(db.isOverBudget(reqId), false);
+    assert.throws(() => db.setBudget(reqId, { budget_usd: -1 }), /positive number/);
+    assert.throws(() => db.setBudget(reqId, {}), /Nothing to set/);
+    assert.throws(() => db.setBudget('req-missing', { budget_usd: 1 }), /Request not found/);
+  });
+});
+
+describe('Session usage stream', () => {
+  function assistant(id, usage) {
+    return { type: 'assistant', message: { id, usage } };
+  }
+
+  it('should charge each message to the task running when it appeared', () => {
+    const tracker = createSessionTracker(7);
+    const events = [
+      [assistant('m1', { input_tokens: 100, output_tokens: 10 }), 7, 0],
+      // Repeated per content block: counted once, for the task it started under
+      [assistant('m1', { input_tokens: 100, output_tokens: 30 }), null, 5],
+      [assistant('m2', { input_tokens: 20, cache_read_input_tokens: 80 }), null, 10],
+      [assistant('m3', { input_tokens: 50, cache_creation_input_tokens: 150, output_tokens: 30 }), 8, 40],
+      [{ type: 'result', total_cost_usd: 1.2, duration_ms: 60000, modelUsage: { 'claude-opus': {} } }, null, 60],
+    ];
+    for (const [event, taskId, at] of events) tracker.add(event, taskId, at);
+    assert.strictEqual(tracker.needsTask(assistant('m3', {})), false);
+
+    const [first, second] = tracker.reports(60);
+    assert.deepStrictEqual(
+      { ...first, cost_usd: undefined },
+      { task_id: 7, input_tokens: 120, output_tokens: 30, cache_read_tokens: 80, cache_write_tokens: 0, cost_usd: undefined, duration_ms: 40, model: 'claude-opus' }
+    );
+    assert.strictEqual(second.task_id, 8);
+    assert.strictEqual(second.duration_ms, 20);
+    assert.ok(Math.abs(first.cost_usd - 0.6) < 1e-9);
+    assert.ok(Math.abs(second.cost_usd - 0.6) < 1e-9);
+  });
+
+  it('should fall back to the result totals for the assigned task', () => {
+    const tracker = createSessionTracker(3);
+    tracker.add({ type: 'result', total_cost_usd: 0.5, duration_ms: 1000, usage: { input_tokens: 9, output_tokens: 1 } }, null, 2000);
+    const [report] = tracker.reports(2000);
+    assert.strictEqual(report.task_id, 3);
+    assert.strictEqual(report.input_tokens, 9);
+    assert.strictEqual(report.cost_usd, 0.5);
+    assert.strictEqual(report.duration_ms, 1000);
+    assert.deepStrictEqual(createSessionTracker(null).reports(), []);
+  });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const db = require('../src/db');
+const merger = require('../src/merger');
+const checks = require('../src/checks');
+const { git, initRepo, requestWithWork } = require('./fixtures/git-repo');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-verify-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+  db.setConfig('merge_backend', 'local');
+
+  const check = path.join(tmpDir, '.claude', 'check.js');
+  fs.writeFileSync(check, "if (require('fs').existsSync('broken.txt')) { console.error('broken.txt breaks the build'); process.exit(1); }\n");
+  db.setConfig('build_cmd', `node ${check}`);
+
+  initRepo(tmpDir);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('Post-merge verification', () => {
+  it('should verify the merged target branch before completing the request', async () => {
+    const reqId = requestWithWork('feature.txt');
+
+    await merger.processQueue(tmpDir);
+    assert.strictEqual(db.getRequest(reqId).status, 'verifying');
+    assert.strictEqual(db.checkMail('master-1').filter(m => m.type === 'request_completed').length, 0);
+
+    await merger.processQueue(tmpDir);
+    const req = db.getRequest(reqId);
+    assert.strictEqual(req.status, 'completed');
+    assert.match(req.result, new RegExp(`^All 1 PR\\(s\\) merged successfully; verified on main at ${git(['rev-parse', '--short=8', 'main'])}$`));
+    assert.strictEqual(git(['show', 'HEAD:feature.txt'], path.join(tmpDir, '.worktrees', 'verify')), 'new');
+  });
+
+  it('should fail the request and send the architect the output when a check fails', async () => {
+    const reqId = requestWithWork('broken.txt');
+
+    await merger.processQueue(tmpDir);
+    await merger.processQueue(tmpDir);
+
+    const req = db.getRequest(reqId);
+    assert.strictEqual(req.status, 'failed');
+    assert.match(req.result, /^Post-merge verification failed on main: build \(node .*check\.js\)$/);
+    const mail = db.checkMail('architect').find(m => m.type === 'verification_failed');
+    assert.strictEqual(mail.payload.request_id, reqId);
+    assert.strictEqual(mail.payload.check, 'build');
+    assert.strictEqual(mail.payload.commit, git(['rev-parse', 'main']));
+    assert.match(mail.payload.output, /broken\.txt breaks the build/);
+    assert.ok(db.checkMail('master-1').some(m => m.type === 'request_failed'));
+  });
+
+  it('should check the request at its own merge commit, not later work on the branch', async () => {
+    const reqId = requestWithWork('feature.txt');
+    await merger.processQueue(tmpDir);
+    const own = db.getMergesForRequest(reqId)[0].merge_commit;
+    assert.strictEqual(own, git(['rev-parse', 'main']));
+
+    // Someone else breaks main before the verification runs
+    fs.writeFileSync(path.join(tmpDir, 'broken.txt'), 'oops\n');
+    git(['add', 'broken.txt']);
+    git(['commit', '-qm', 'Break main']);
+
+    await merger.processQueue(tmpDir);
+    const req = db.getRequest(reqId);
+    assert.strictEqual(req.status, 'completed');
+    assert.match(req.result, new RegExp(`verified on main at ${own.slice(0, 8)}$`));
+  });
+
+  it('should not blame a request for a failure main already had', async () => {
+    const culprit = requestWithWork('broken.txt', 1);
+    await merger.processQueue(tmpDir);
+    await merger.processQueue(tmpDir);
+    assert.strictEqual(db.getRequest(culprit).status, 'failed');
+    const brokenAt = git(['rev-parse', 'main']);
+    db.checkMail('architect');
+
+    const innocent = requestWithWork('feature.txt', 2);
+    await merger.processQueue(tmpDir);
+    await merger.processQueue(tmpDir);
+    const req = db.getRequest(innocent);
+    assert.strictEqual(req.status, 'completed');
+    assert.match(req.result, new RegExp(`; not verified: build already failed on main at ${brokenAt.slice(0, 8)} \\(${culprit}\\)$`));
+    assert.strictEqual(db.checkMail('architect').filter(m => m.type === 'verification_failed').length, 0);
+  });
+
+  it('should complete right away when verification is off or nothing is configured', async () => {
+    db.setConfig('post_merge_verification', 'false');
+    const reqId = requestWithWork('broken.txt');
+    await merger.processQueue(tmpDir);
+    assert.strictEqual(db.getRequest(reqId).status, 'completed');
+
+    db.setConfig('post_merge_verification', 'true');
+    db.setConfig('build_cmd', '');
+    assert.strictEqual(merger.finishIntegration(db.createRequest('Other'), 'Merged'), 'completed');
+  });
+
+  it('should leave paused requests waiting in verifying', async () => {
+    const reqId = requestWithWork('feature.txt');
+    await merger.processQueue(tmpDir);
+    db.setPaused(reqId, true);
+    await merger.processQueue(tmpDir);
+    assert.strictEqual(db.getRequest(reqId).status, 'verifying');
+  });
+
+  it('should give up on a hung pass and let the next one run', async () => {
+    const reqId = requestWithWork('feature.txt');
+    await merger.processQueue(tmpDir);
+    db.setConfig('merger_pass_timeout_ms', '50');
+
+    // A check that never settles holds the pass; the next one waits it out
+    const hang = mock.method(checks, 'runChecks', () => new Promise(() => {}));
+    merger.processQueue(tmpDir);
+    await merger.processQueue(tmpDir);
+    assert.strictEqual(hang.mock.callCount(), 1);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    hang.mock.restore();
+    await merger.processQueue(tmpDir);
+    assert.strictEqual(db.getRequest(reqId).status, 'completed');
+    assert.ok(db.getLog(20).some(l => l.action === 'merger_processing_timeout'));
+  });
+});
@@ -0,0 +1,198 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const crypto = require('crypto');
+
+const db = require('../src/db');
+const webhooks = require('../src/webhooks');
+
+let tmpDir;
+let receiver;
+let received;
+let replyStatus;
+
+beforeEach(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac10-webhooks-'));
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'state'), { recursive: true });
+  db.init(tmpDir);
+
+  // Stand-in receiver: records each POST and answers with replyStatus
+  received = [];
+  replyStatus = 200;
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(replyStatus);
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+});
+
+afterEach(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function receiverUrl() {
+  return `http://127.0.0.1:${receiver.address().port}/hook`;
+}
+
+// Make every pending delivery due now instead of after its backoff
+function makeDue() {
+  db.getDb().prepare("UPDATE webhook_deliveries SET next_attempt_at = datetime('now', '-1 seconds')").run();
+}
+
+describe('Webhooks', () => {
+  it('should queue events only for subscribed, enabled webhooks', () => {
+    const all = webhooks.addWebhook({ url: receiverUrl() }).id;
+    const merges = webhooks.addWebhook({ url: receiverUrl(), events: ['merge_failed'] }).id;
+    const off = webhooks.addWebhook({ url: receiverUrl() }).id;
+    db.setWebhookEnabled(off, false);
+
+    const reqId = db.createRequest('Add login page');
+    db.emitEvent('merge_failed', { request_id: reqId, merge_id: 7 });
+
+    assert.deepStrictEqual(db.listDeliveries({ webhook_id: all }).map(d => d.event), ['merge_failed', 'request_created']);
+    assert.deepStrictEqual(db.listDeliveries({ webhook_id: merges }).map(d => d.event), ['merge_failed']);
+    assert.strictEqual(db.listDeliveries({ webhook_id: off }).length, 0);
+    assert.throws(() => db.emitEvent('request_exploded', {}), /Unknown lifecycle event/);
+    assert.throws(() => webhooks.addWebhook({ url: 'ftp://example.com' }), /must be http\(s\)/);
+  });
+
+  it('should POST the payload with an HMAC signature', async () => {
+    const hook = webhooks.addWebhook({ url: receiverUrl(), secret: 'shh' });
+    const reqId = db.createRequest('Add login page');
+    db.updateRequest(reqId, { status: 'completed' });
+    db.emitEvent('request_completed', { request_id: reqId, result: 'All 2 PR(s) merged successfully' });
+
+    const results = await webhooks.deliverDue();
+    assert.deepStrictEqual(results.map(r => r.outcome), ['delivered', 'delivered']);
+    assert.strictEqual(received.length, 2);
+
+    const { headers, body } = received[1];
+    assert.strictEqual(headers['x-mac10-event'], 'request_completed');
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'shh').update(body).digest('hex');
+    assert.strictEqual(headers['x-mac10-signature'], expected);
+    const payload = JSON.parse(body);
+    assert.strictEqual(payload.event, 'request_completed');
+    assert.strictEqual(payload.data.request_id, reqId);
+    assert.strictEqual(payload.data.description, 'Add login page');
+
+    const [listed] = db.listWebhooks();
+    assert.strictEqual(listed.id, hook.id);
+    assert.strictEqual(listed.delivered, 2);
+    assert.strictEqual(listed.secret, undefined);
+  });
+
+  it('should retry failed deliveries with backoff, then give up', async () => {
+    db.setConfig('webhook_max_attempts', '3');
+    webhooks.addWebhook({ url: receiverUrl(), events: ['worker_death'] });
+    db.emitEvent('worker_death', { worker_id: 2, reason: 'heartbeat_timeout' });
+    replyStatus = 503;
+
+    assert.strictEqual((await webhooks.deliverDue())[0].outcome, 'retrying');
+    let [d] = db.listDeliveries();
+    assert.strictEqual(d.attempts, 1);
+    assert.strictEqual(d.response_status, 503);
+    assert.strictEqual(d.last_error, 'HTTP 503');
+    // Backing off: not due again yet
+    assert.deepStrictEqual(await webhooks.deliverDue(), []);
+    assert.strictEqual(db.getWebhookRetryDelaySec(1), 30);
+    assert.strictEqual(db.getWebhookRetryDelaySec(2), 60);
+    assert.strictEqual(db.getWebhookRetryDelaySec(20), 3600);
+
+    makeDue();
+    assert.strictEqual((await webhooks.deliverDue())[0].outcome, 'retrying');
+    makeDue();
+    assert.strictEqual((await webhooks.deliverDue())[0].outcome, 'failed');
+    [d] = db.listDeliveries();
+    assert.strictEqual(d.status, 'failed');
+    assert.strictEqual(d.attempts, 3);
+    assert.strictEqual(received.length, 3);
+
+    // A manual redeliver puts it back in the queue
+    replyStatus = 204;
+    assert.strictEqual(db.redeliver(d.id), true);
+    assert.strictEqual((await webhooks.deliverDue())[0].outcome, 'delivered');
+    assert.strictEqual(db.redeliver(d.id), false);
+  });
+
+  it('should record connection errors and keep the queue across restarts', async () => {
+    const url = receiverUrl();
+    await new Promise(resolve => receiver.close(resolve));
+    receiver = http.createServer();
+    webhooks.addWebhook({ url });
+    db.emitEvent('functional_conflict', { merge_id: 3, branch: 'agent-1' });
+
+    assert.strictEqual((await webhooks.deliverDue())[0].outcome, 'retrying');
+    const [d] = db.listDeliveries();
+    assert.strictEqual(d.status, 'pending');
+    assert.ok(d.last_error);
+    assert.strictEqual(d.response_status, null);
+
+    // Still queued after the coordinator reopens the database
+    db.close();
+    db.init(tmpDir);
+    assert.strictEqual(db.listDeliveries({ status: 'pending' }).length, 1);
+  });
+
+  it('should record every lifecycle event, with or without webhooks', () => {
+    const reqId = db.createRequest('Add login page');
+    const failedId = db.emitEvent('request_failed', { request_id: reqId, reason: 'Retry limit reached' });
+    db.emitEvent('worker_death', { worker_id: 1, reason: 'pid_dead' });
+
+    assert.deepStrictEqual(db.getEvents(0).map(e => e.event), ['request_created', 'request_failed', 'worker_death']);
+    const [failed] = db.getEvents(0, { events: ['request_failed'] });
+    assert.strictEqual(failed.id, failedId);
+    assert.strictEqual(failed.request_id, reqId);
+    assert.strictEqual(failed.data.description, 'Add login page');
+    assert.deepStrictEqual(db.getEvents(failedId).map(e => e.event), ['worker_death']);
+    assert.strictEqual(db.getLastEventId(), failedId + 1);
+    assert.strictEqual(db.listDeliveries().length, 0);
+  });
+
+  it('should keep delivering when a webhook is removed mid-tick', async () => {
+    const removed = webhooks.addWebhook({ url: receiverUrl() });
+    const kept = webhooks.addWebhook({ url: receiverUrl(), events: ['worker_death'] });
+    db.createRequest('Add login page');
+    db.emitEvent('worker_death', { worker_id: 2, reason: 'heartbeat_timeout' });
+    // The first POST removes its own webhook before the attempt is recorded
+    receiver.once('request', () => webhooks.removeWebhook(removed.id));
+
+    const results = await webhooks.deliverDue();
+    assert.deepStrictEqual(results.map(r => [r.webhook_id, r.event, r.outcome]), [[kept.id, 'worker_death', 'delivered']]);
+    assert.strictEqual(received.length, 2);
+    assert.deepStrictEqual(db.listDeliveries().map(d => d.webhook_id), [kept.id]);
+  });
+
+  it('should delete the delivery log with the webhook', () => {
+    const hook = webhooks.addWebhook({ url: receiverUrl() });
+    db.createRequest('Add login page');
+    webhooks.removeWebhook(hook.id);
+    assert.strictEqual(db.listDeliveries().length, 0);
+    assert.throws(() => webhooks.removeWebhook(hook.id), /Webhook not found/);
+  });
+
+  it('should purge finished deliveries after the retention period', () => {
+    webhooks.addWebhook({ url: receiverUrl() });
+    for (const title of ['Old delivered', 'Old failed', 'Old pending', 'Recent delivered']) db.createRequest(title);
+    const [recent, oldPending, oldFailed, oldDelivered] = db.listDeliveries().map(d => d.id);
+    const set = db.getDb().prepare('UPDATE webhook_deliveries SET status = ?, created_at = ? WHERE id = ?');
+    set.run('delivered', '2020-01-01 00:00:00', oldDelivered);
+    set.run('failed', '2020-01-01 00:00:00', oldFailed);
+    set.run('pending', '2020-01-01 00:00:00', oldPending);
+    db.getDb().prepare("UPDATE webhook_deliveries SET status = 'delivered' WHERE id = ?").run(recent);
+
+    assert.strictEqual(db.purgeOldDeliveries(30), 2);
+    assert.deepStrictEqual(db.listDeliveries().map(d => d.id), [recent, oldPending]);
+  });
+});
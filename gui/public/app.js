@@ -2,6 +2,7 @@
   'use strict';
 
   const MAX_RECONNECT_DELAY = 30000;
+  const CANCELLABLE_STATUSES = ['pending', 'triaging', 'executing_tier1', 'decomposed', 'in_progress', 'integrating', 'verifying', 'awaiting_clarification'];
 
   // --- Cached DOM helper ---
   const _escapeDiv = document.createElement('div');
@@ -33,6 +34,11 @@
       gitPushing: false,
       changes: [],
       changesDomainFilter: '',
+      schedules: [],
+      templates: [],
+      webhooks: [],
+      webhookDeliveries: [],
+      notify: loadNotifyPrefs(projectDir || String(port)),
     };
   }
 
@@ -58,6 +64,8 @@
       if (tab.reconnectTimer) { clearTimeout(tab.reconnectTimer); tab.reconnectTimer = null; }
       renderTabBar();
       if (tab.id === activeTabId) updateConnectionIndicator(true);
+      // Subscriptions don't survive a reconnect
+      if (terminalView && terminalView.tab === tab) subscribeTerminal();
     };
 
     tab.ws.onerror = (err) => {
@@ -78,8 +86,27 @@
         if (msg.type === 'init' || msg.type === 'state') {
           tab.state = msg.data;
           if (tab.id === activeTabId) renderState(msg.data);
-        } else if (msg.type === 'request_created') {
+        } else if (msg.type === 'request_created' || msg.type === 'request_cancelled' || msg.type === 'pause_changed') {
           if (tab.id === activeTabId) fetchTabStatus(tab);
+        } else if (msg.type === 'schedule_changed') {
+          if (tab.id === activeTabId) {
+            fetchTabSchedules(tab);
+            fetchTabStatus(tab);
+          }
+        } else if (msg.type === 'lifecycle_event') {
+          notifyEvent(tab, msg.event);
+          if (msg.event.event === 'clarification_asked' && tab.id === activeTabId) refreshOpenRequest(msg.event.request_id);
+        } else if (msg.type === 'clarification_changed') {
+          if (tab.id === activeTabId) {
+            fetchTabStatus(tab);
+            refreshOpenRequest(msg.request_id);
+          }
+        } else if (msg.type === 'webhook_changed' || msg.type === 'webhook_delivery') {
+          if (tab.id === activeTabId) fetchTabWebhooks(tab);
+        } else if (msg.type === 'terminal_output') {
+          if (terminalView && terminalView.tab === tab && String(msg.worker_id) === String(terminalView.workerId)) {
+            applyTerminalOutput(msg);
+          }
         } else if (msg.type === 'setup_log') {
           if (tab.id === activeTabId) appendSetupLog(msg.line);
         } else if (msg.type === 'setup_complete') {
@@ -129,6 +156,7 @@
       el.innerHTML =
         `<span class="tab-dot ${tab.connected ? 'connected' : 'disconnected'}" aria-label="${tab.connected ? 'Connected' : 'Disconnected'}"></span>` +
         `<span class="tab-name">${escapeHtml(tab.name)}</span>` +
+        (tab.notify.muted ? '<span class="tab-muted" title="Notifications muted" aria-label="Notifications muted">&#128263;</span>' : '') +
         `<button class="tab-close" title="Close tab" aria-label="Close ${escapeHtml(tab.name)} tab">&times;</button>`;
       el.querySelector('.tab-name').addEventListener('click', () => switchTab(id));
       el.querySelector('.tab-dot').addEventListener('click', () => switchTab(id));
@@ -143,6 +171,7 @@
     if (!tabs.has(tabId)) return;
     activeTabId = tabId;
     const tab = tabs.get(tabId);
+    closeTerminal();
     renderTabBar();
     updateConnectionIndicator(tab.connected);
     // Re-render all panels from cached state
@@ -151,6 +180,11 @@
     fetchTabPresets(tab);
     fetchTabStatus(tab);
     fetchTabChanges(tab);
+    fetchTabSchedules(tab);
+    fetchTabTemplates(tab);
+    fetchTabWebhooks(tab);
+    // Deep links (#request/<id>, #task/<id>) resolve against the active project
+    if (location.hash) showDetailFromHash();
   }
 
   function addTab(port, name, projectDir) {
@@ -225,6 +259,7 @@
   // --- Render functions (unchanged logic, operate on active tab data) ---
 
   function renderState(data) {
+    renderPauseState(data);
     renderWorkers(data.workers || []);
     renderRequests(data.requests || []);
     renderTasks(data.tasks || []);
@@ -242,6 +277,7 @@
         <span class="worker-status badge-${w.status}">${w.status}</span>
         ${w.domain ? `<div style="font-size:11px;color:#8b949e;margin-top:4px">${escapeHtml(w.domain)}</div>` : ''}
         ${w.current_task_id ? `<div style="font-size:11px;color:#58a6ff;margin-top:2px">Task #${w.current_task_id}</div>` : ''}
+        <button class="worker-terminal-btn" data-worker-id="${w.id}" title="Watch this worker's terminal">Terminal</button>
       </div>
     `).join('');
   }
@@ -253,36 +289,228 @@
       return;
     }
     el.innerHTML = requests.slice(0, 20).map(r => `
-      <div class="request-item">
+      <div class="request-item" data-request-id="${escapeHtml(r.id)}">
         <span class="req-id">${r.id}</span>
         <span class="worker-status badge-${r.status}">${r.status}</span>
         ${r.tier ? `<span style="font-size:11px;color:#d29922"> T${r.tier}</span>` : ''}
+        ${r.priority && r.priority !== 'normal' ? `<span class="req-priority req-priority-${r.priority}">${r.priority}</span>` : ''}
+        ${r.paused_at ? '<span class="req-paused">paused</span>' : ''}
+        ${r.unread_clarifications > 0 ? `<a class="req-unread" href="#request/${encodeURIComponent(r.id)}" title="Unread clarification question(s)">${r.unread_clarifications} new question${r.unread_clarifications > 1 ? 's' : ''}</a>` : ''}
+        ${renderSpend(r)}
+        ${CANCELLABLE_STATUSES.includes(r.status) ? `
+          <button class="req-action-btn req-cancel-btn" data-request-id="${escapeHtml(r.id)}">Cancel</button>
+          <button class="req-action-btn req-pause-btn" data-request-id="${escapeHtml(r.id)}" data-action="${r.paused_at ? 'resume' : 'pause'}">${r.paused_at ? 'Resume' : 'Pause'}</button>` : ''}
         <div class="req-desc">${escapeHtml(r.description).slice(0, 100)}</div>
       </div>
     `).join('');
   }
 
+  function formatTokens(n) {
+    if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+    if (n >= 1e3) return `${Math.round(n / 1e3)}k`;
+    return String(n || 0);
+  }
+
+  // "$1.20 / $5.00" plus a token count; red once a budget is reached
+  function renderSpend(r) {
+    const hasBudget = r.budget_usd != null || r.budget_tokens != null;
+    if (!r.cost_usd && !r.total_tokens && !hasBudget) return '';
+    const over = (r.budget_usd != null && r.cost_usd >= r.budget_usd) ||
+      (r.budget_tokens != null && r.total_tokens >= r.budget_tokens);
+    const cost = `$${(r.cost_usd || 0).toFixed(2)}${r.budget_usd != null ? ` / $${r.budget_usd.toFixed(2)}` : ''}`;
+    const tokens = `${formatTokens(r.total_tokens)}${r.budget_tokens != null ? ` / ${formatTokens(r.budget_tokens)}` : ''} tok`;
+    return `<span class="req-spend${over ? ' over-budget' : ''}" title="${over ? 'Budget reached — allocation stopped' : 'Reported usage'}">${cost} · ${tokens}</span>`;
+  }
+
+  function postPause(tab, action, requestId) {
+    return tabFetch(tab, `/api/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(requestId ? { request_id: requestId } : {}),
+    }).then(r => r.json()).then(data => {
+      if (!data.ok) alert(`${action} failed: ${data.error}`);
+      fetchTabStatus(tab);
+    });
+  }
+
+  function renderPauseState(data) {
+    const btn = document.getElementById('pause-btn');
+    const paused = !!data.paused;
+    btn.classList.toggle('paused', paused);
+    btn.textContent = paused ? 'Paused — Resume' : 'Pause';
+    btn.setAttribute('aria-pressed', String(paused));
+  }
+
+  // --- Desktop notifications (per project tab, saved in localStorage) ---
+
+  const NOTIFY_KINDS = [
+    { event: 'clarification_asked', label: 'Clarification requests' },
+    { event: 'request_completed', label: 'Completed requests' },
+    { event: 'request_failed', label: 'Failed requests' },
+  ];
+
+  function loadNotifyPrefs(key) {
+    const defaults = { key, muted: false, clarification_asked: true, request_completed: true, request_failed: true };
+    try {
+      return { ...defaults, ...JSON.parse(localStorage.getItem('mac10_notify:' + key) || '{}'), key };
+    } catch {
+      return defaults;
+    }
+  }
+
+  function saveNotifyPrefs(prefs) {
+    try { localStorage.setItem('mac10_notify:' + prefs.key, JSON.stringify(prefs)); } catch {}
+  }
+
+  function notifyEvent(tab, ev) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    if (tab.notify.muted || !tab.notify[ev.event]) return;
+    const d = ev.data || {};
+    const titles = {
+      clarification_asked: 'Clarification needed',
+      request_completed: 'Request completed',
+      request_failed: 'Request failed',
+    };
+    const detail = ev.event === 'clarification_asked' ? d.question
+      : ev.event === 'request_failed' ? (d.reason || d.error)
+        : d.result;
+    const n = new Notification(`${titles[ev.event]} — ${tab.name}`, {
+      body: [d.description, detail].filter(Boolean).join('\n'),
+      tag: `mac10-${tab.port}-${ev.id}`,
+    });
+    n.onclick = () => {
+      window.focus();
+      switchTab(tab.id);
+      if (d.request_id) location.hash = `request/${d.request_id}`;
+      n.close();
+    };
+  }
+
+  const notifyMenu = document.getElementById('notify-menu');
+  const notifyBtn = document.getElementById('notify-btn');
+
+  function renderNotifyMenu(tab) {
+    const supported = 'Notification' in window;
+    const permission = supported ? Notification.permission : 'unsupported';
+    let html = `<div class="settings-panel-title">Notify — ${escapeHtml(tab.name)}</div>`;
+    if (permission === 'default') {
+      html += '<div class="settings-panel-item" data-notify-action="enable"><span class="settings-icon">&#128276;</span> Enable desktop notifications</div>';
+    } else if (permission !== 'granted') {
+      html += `<div class="notify-blocked">${permission === 'denied' ? 'Blocked by the browser — allow notifications for this site' : 'Not supported by this browser'}</div>`;
+    }
+    html += `<label class="settings-panel-item"><input type="checkbox" data-notify-key="muted"${tab.notify.muted ? ' checked' : ''}> Mute this project</label>`;
+    for (const k of NOTIFY_KINDS) {
+      html += `<label class="settings-panel-item notify-kind"><input type="checkbox" data-notify-key="${k.event}"${tab.notify[k.event] ? ' checked' : ''}${tab.notify.muted ? ' disabled' : ''}> ${k.label}</label>`;
+    }
+    notifyMenu.innerHTML = html;
+  }
+
+  function closeNotifyMenu() {
+    notifyMenu.style.display = 'none';
+    notifyBtn.setAttribute('aria-expanded', 'false');
+  }
+
+  notifyBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const tab = activeTab();
+    if (!tab || notifyMenu.style.display !== 'none') return closeNotifyMenu();
+    renderNotifyMenu(tab);
+    const rect = notifyBtn.getBoundingClientRect();
+    notifyMenu.style.top = (rect.bottom + 4) + 'px';
+    notifyMenu.style.left = Math.max(8, rect.right - 240) + 'px';
+    notifyMenu.style.display = '';
+    notifyBtn.setAttribute('aria-expanded', 'true');
+  });
+
+  notifyMenu.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const tab = activeTab();
+    if (!tab) return;
+    if (e.target.closest('[data-notify-action="enable"]')) {
+      Notification.requestPermission().then(() => renderNotifyMenu(tab));
+    }
+  });
+
+  notifyMenu.addEventListener('change', (e) => {
+    const tab = activeTab();
+    const key = e.target.dataset.notifyKey;
+    if (!tab || !key) return;
+    tab.notify[key] = e.target.checked;
+    saveNotifyPrefs(tab.notify);
+    renderNotifyMenu(tab);
+    renderTabBar();
+  });
+
+  document.addEventListener('click', closeNotifyMenu);
+
+  document.getElementById('pause-btn').addEventListener('click', () => {
+    const tab = activeTab();
+    if (!tab) return;
+    const action = tab.state && tab.state.paused ? 'resume' : 'pause';
+    postPause(tab, action).catch(err => console.error('Pause toggle failed:', err));
+  });
+
+  document.getElementById('requests-list').addEventListener('click', (e) => {
+    const pauseBtn = e.target.closest('.req-pause-btn');
+    if (pauseBtn) {
+      const tab = activeTab();
+      if (!tab) return;
+      pauseBtn.disabled = true;
+      postPause(tab, pauseBtn.dataset.action, pauseBtn.dataset.requestId)
+        .catch(err => console.error('Request pause failed:', err));
+      return;
+    }
+    const btn = e.target.closest('.req-cancel-btn');
+    if (!btn) {
+      const item = e.target.closest('.request-item');
+      if (item && !e.target.closest('a, button')) location.hash = `request/${item.dataset.requestId}`;
+      return;
+    }
+    const tab = activeTab();
+    if (!tab) return;
+    const requestId = btn.dataset.requestId;
+    if (!confirm(`Cancel ${requestId}? Running workers will be stopped.`)) return;
+    btn.disabled = true;
+    tabFetch(tab, `/api/requests/${encodeURIComponent(requestId)}/cancel`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason: 'Cancelled from dashboard' }),
+    }).then(r => r.json()).then(data => {
+      if (!data.ok) alert('Cancel failed: ' + data.error);
+      fetchTabStatus(tab);
+    }).catch(err => {
+      btn.disabled = false;
+      console.error('Request cancel failed:', err);
+    });
+  });
+
   function renderTasks(tasks) {
     const el = document.getElementById('tasks-list');
-    const active = tasks.filter(t => t.status !== 'completed');
+    const active = tasks.filter(t => t.status !== 'completed' && t.status !== 'cancelled');
     if (active.length === 0) {
       el.innerHTML = '<div style="color:#8b949e;font-size:13px">No active tasks</div>';
       return;
     }
     el.innerHTML = active.slice(0, 30).map(t => `
-      <div class="task-item">
+      <div class="task-item" data-task-id="${t.id}">
         <span style="color:#58a6ff">#${t.id}</span>
         <span class="worker-status badge-${t.status}">${t.status}</span>
         <div class="task-subject">${escapeHtml(t.subject)}</div>
         <div class="task-meta">
           ${t.domain ? `[${escapeHtml(t.domain)}]` : ''} T${t.tier}
           ${t.assigned_to ? `&rarr; worker-${escapeHtml(String(t.assigned_to))}` : ''}
+          ${t.last_failure ? `<span style="color:#d29922">${escapeHtml(t.last_failure)} on attempt ${t.attempts}</span>` : ''}
           ${t.pr_url ? renderPrLink(t.pr_url) : ''}
         </div>
       </div>
     `).join('');
   }
 
+  document.getElementById('tasks-list').addEventListener('click', (e) => {
+    const item = e.target.closest('.task-item');
+    if (item && !e.target.closest('a, button')) location.hash = `task/${item.dataset.taskId}`;
+  });
+
   function renderLog(logs) {
     const el = document.getElementById('log-list');
     el.innerHTML = logs.slice().reverse().slice(0, 50).map(l => `
@@ -660,20 +888,83 @@
 
   // --- Submit request ---
 
+  // --- Request templates ---
+
+  const templateSelect = document.getElementById('request-template');
+  const templateParams = document.getElementById('template-params');
+
+  function fetchTabTemplates(tab) {
+    tabFetch(tab, '/api/templates')
+      .then(r => r.json())
+      .then(data => {
+        tab.templates = (data.templates || []).filter(t => !t.error);
+        if (tab.id === activeTabId) renderTemplateOptions(tab.templates);
+      })
+      .catch(err => console.error('Templates fetch failed:', err));
+  }
+
+  function renderTemplateOptions(templates) {
+    const current = templateSelect.value;
+    templateSelect.innerHTML = '<option value="">No template</option>' + templates.map(t =>
+      `<option value="${escapeHtml(t.name)}">${escapeHtml(t.title)}${t.has_plan ? ' (planned)' : ''}</option>`
+    ).join('');
+    templateSelect.value = templates.some(t => t.name === current) ? current : '';
+    renderTemplateParams();
+  }
+
+  // A template replaces the free-text description with one input per parameter
+  function renderTemplateParams() {
+    const tab = activeTab();
+    const template = tab && templateSelect.value ? tab.templates.find(t => t.name === templateSelect.value) : null;
+    document.getElementById('request-input').style.display = template ? 'none' : '';
+    templateParams.style.display = template ? '' : 'none';
+    templateParams.innerHTML = template ? template.params.map(p => `
+      <input type="text" data-param="${escapeHtml(p.name)}" placeholder="${escapeHtml(p.name)}"
+        value="${escapeHtml(p.default || '')}" aria-label="Template parameter ${escapeHtml(p.name)}" />
+    `).join('') : '';
+    if (template) document.getElementById('request-priority').value = template.priority;
+  }
+
+  templateSelect.addEventListener('change', renderTemplateParams);
+
+  templateParams.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') document.getElementById('request-btn').click();
+  });
+
+  function resetRequestForm() {
+    document.getElementById('request-input').value = '';
+    document.getElementById('request-priority').value = 'normal';
+    templateSelect.value = '';
+    renderTemplateParams();
+  }
+
   document.getElementById('request-btn').addEventListener('click', () => {
     const tab = activeTab();
     if (!tab) return;
     const input = document.getElementById('request-input');
-    const desc = input.value.trim();
-    if (!desc) return;
+    const priority = document.getElementById('request-priority');
+    let body;
+    if (templateSelect.value) {
+      const params = {};
+      templateParams.querySelectorAll('input[data-param]').forEach(el => {
+        if (el.value.trim()) params[el.dataset.param] = el.value.trim();
+      });
+      body = { template: templateSelect.value, params, priority: priority.value };
+    } else {
+      const desc = input.value.trim();
+      if (!desc) return;
+      body = { description: desc, priority: priority.value };
+    }
     tabFetch(tab, '/api/request', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ description: desc }),
+      body: JSON.stringify(body),
     }).then(r => r.json()).then(data => {
       if (data.ok) {
-        input.value = '';
+        resetRequestForm();
         fetchTabStatus(tab);
+      } else {
+        alert('Request failed: ' + data.error);
       }
     }).catch(err => console.error('Request submit failed:', err));
   });
@@ -682,6 +973,514 @@
     if (e.key === 'Enter') document.getElementById('request-btn').click();
   });
 
+  // --- Search ---
+
+  // Snippets come back with [brackets] around matched terms; escape first, then highlight
+  function renderSnippet(snippet) {
+    return escapeHtml(snippet || '').replace(/\[([^\[\]]*)\]/g, '<mark>$1</mark>');
+  }
+
+  // Requests and tasks link to their own detail view; other hits link to the owning request
+  function searchHitHref(hit) {
+    if (hit.kind === 'request') return `#request/${encodeURIComponent(hit.id)}`;
+    if (hit.kind === 'task') return `#task/${hit.id}`;
+    if (hit.request_id) return `#request/${encodeURIComponent(hit.request_id)}`;
+    return null;
+  }
+
+  function renderSearchResults(data) {
+    const el = document.getElementById('search-results');
+    el.style.display = '';
+    if (data.error) {
+      el.innerHTML = `<div style="color:#f85149;font-size:13px">${escapeHtml(data.error)}</div>`;
+      return;
+    }
+    if (data.results.length === 0) {
+      el.innerHTML = '<div style="color:#8b949e;font-size:13px">No matches</div>';
+      return;
+    }
+    el.innerHTML = data.results.map(hit => {
+      const href = searchHitHref(hit);
+      const tag = href ? 'a' : 'div';
+      return `
+        <${tag} class="search-hit"${href ? ` href="${escapeHtml(href)}"` : ''}>
+          <span class="hit-kind">${escapeHtml(hit.kind)}</span>
+          <span class="hit-title">${escapeHtml(String(hit.kind === 'request' ? hit.id : '#' + hit.id))}</span>
+          ${escapeHtml((hit.title || '').slice(0, 100))}
+          <span class="hit-time">${escapeHtml(hit.created_at)}</span>
+          <div class="hit-snippet">${renderSnippet(hit.snippet)}</div>
+        </${tag}>`;
+    }).join('');
+  }
+
+  document.getElementById('search-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const tab = activeTab();
+    if (!tab) return;
+    const q = document.getElementById('search-input').value.trim();
+    if (!q) {
+      document.getElementById('search-results').style.display = 'none';
+      return;
+    }
+    const params = new URLSearchParams({ q });
+    const kind = document.getElementById('search-kind').value;
+    if (kind) params.set('kind', kind);
+    tabFetch(tab, `/api/search?${params}`)
+      .then(r => r.json())
+      .then(renderSearchResults)
+      .catch(err => console.error('Search failed:', err));
+  });
+
+  // --- Request / task detail view (hash routes: #request/<id>, #task/<id>) ---
+
+  const detailModal = document.getElementById('detail-modal');
+
+  function detailRow(label, value) {
+    if (value === null || value === undefined || value === '') return '';
+    return `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(String(value))}</dd>`;
+  }
+
+  function renderRequestDetail(r) {
+    const mergeByTask = latestMergeByTask(r.merges || []);
+    const tasks = (r.tasks || []).map(t => {
+      const merge = mergeByTask.get(t.id);
+      return `
+      <div class="task-item" data-task-id="${t.id}">
+        <span style="color:#58a6ff">#${t.id}</span>
+        <span class="worker-status badge-${t.status}">${t.status}</span>
+        ${t.assigned_to ? `<span class="task-worker">worker-${t.assigned_to}</span>` : ''}
+        ${t.pr_url ? renderPrLink(t.pr_url) : ''}
+        ${merge ? `<span class="merge-state merge-${merge.status}" title="${escapeHtml(merge.error || '')}">merge: ${merge.status}</span>` : ''}
+        ${t.usage ? `<span class="req-spend">$${t.usage.cost_usd.toFixed(2)} · ${formatTokens(t.usage.total_tokens)} tok</span>` : ''}
+        <div class="task-subject">${escapeHtml(t.subject)}</div>
+      </div>`;
+    }).join('');
+    const usage = r.usage || {};
+    const mergeSettings = r.merge_settings || {};
+    const byActor = (usage.by_actor || []).map(a =>
+      `${escapeHtml(a.actor)}: $${a.cost_usd.toFixed(2)}, ${formatTokens(a.total_tokens)} tok`).join('; ');
+    return `
+      <h3>${escapeHtml(r.id)} <span class="worker-status badge-${r.status}">${r.status}</span></h3>
+      <dl>
+        ${detailRow('Description', r.description)}
+        <dt>Priority</dt><dd>
+          <select class="detail-priority" data-request-id="${escapeHtml(r.id)}">
+            ${['urgent', 'high', 'normal', 'low'].map(p => `<option value="${p}"${p === r.priority ? ' selected' : ''}>${p}</option>`).join('')}
+          </select>
+        </dd>
+        ${detailRow('Tier', r.tier)}
+        ${detailRow('Target branch', mergeSettings.target_branch)}
+        ${detailRow('Merge strategy', mergeSettings.merge_strategy)}
+        ${detailRow('Created', r.created_at)}
+        ${detailRow('Completed', r.completed_at)}
+        ${detailRow('Result', r.result)}
+      </dl>
+      <h4>Usage <button class="req-action-btn detail-budget-btn" data-request-id="${escapeHtml(r.id)}">Set budget</button></h4>
+      <dl>
+        <dt>Spend</dt><dd>${r.budget ? renderSpend(r.budget) : ''}</dd>
+        ${detailRow('Wall-clock', usage.duration_ms ? `${Math.round(usage.duration_ms / 60000)} min` : null)}
+        ${detailRow('Tokens', usage.reports ? `in ${usage.input_tokens}, out ${usage.output_tokens}, cache read ${usage.cache_read_tokens}, cache write ${usage.cache_write_tokens}` : null)}
+        ${byActor ? `<dt>By agent</dt><dd>${byActor}</dd>` : ''}
+      </dl>
+      ${r.limits ? renderLimits(r.limits) : ''}
+      ${renderClarifications(r)}
+      <h4>Tasks (${(r.tasks || []).length})</h4>
+      ${(r.tasks || []).length > 0 ? renderTaskGraph(r.tasks, mergeByTask, r.overlaps || []) : ''}
+      ${tasks || '<div style="color:#8b949e;font-size:13px">No tasks yet</div>'}
+      ${renderTimeline(r.timeline || [])}`;
+  }
+
+  function latestMergeByTask(merges) {
+    const byTask = new Map();
+    for (const m of merges) byTask.set(m.task_id, m); // ordered by id, so the last one wins
+    return byTask;
+  }
+
+  // --- Task dependency graph (SVG) ---
+
+  const DAG = { nodeW: 190, nodeH: 50, gapX: 56, gapY: 16, pad: 12 };
+  const DAG_STATUS_COLORS = {
+    pending: '#6e7681', ready: '#58a6ff', assigned: '#58a6ff', in_progress: '#d29922',
+    completed: '#3fb950', failed: '#f85149', blocked: '#bc8cff', cancelled: '#484f58',
+  };
+  const OVERLAP_COLORS = { critical: '#f85149', high: '#d29922', low: '#8b949e' };
+
+  function parseIdList(value) {
+    if (!value) return [];
+    try {
+      const list = JSON.parse(value);
+      return Array.isArray(list) ? list.map(Number) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Column = longest dependency chain leading to the task; rows keep id order
+  function layoutTaskGraph(tasks) {
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    const deps = new Map(tasks.map(t => [t.id, parseIdList(t.depends_on).filter(id => byId.has(id))]));
+    const depth = new Map();
+    const visit = (id, stack) => {
+      if (depth.has(id)) return depth.get(id);
+      if (stack.has(id)) return 0; // cycles are rejected on create; don't hang if one slips in
+      stack.add(id);
+      const d = deps.get(id).reduce((max, dep) => Math.max(max, visit(dep, stack) + 1), 0);
+      stack.delete(id);
+      depth.set(id, d);
+      return d;
+    };
+    const columns = [];
+    for (const t of [...tasks].sort((a, b) => a.id - b.id)) {
+      const d = visit(t.id, new Set());
+      (columns[d] = columns[d] || []).push(t.id);
+    }
+    const pos = new Map();
+    columns.forEach((ids, col) => ids.forEach((id, row) => pos.set(id, {
+      x: DAG.pad + col * (DAG.nodeW + DAG.gapX),
+      y: DAG.pad + row * (DAG.nodeH + DAG.gapY),
+    })));
+    const rows = Math.max(...columns.map(c => (c ? c.length : 0)));
+    return {
+      pos,
+      deps,
+      width: DAG.pad * 2 + columns.length * DAG.nodeW + (columns.length - 1) * DAG.gapX,
+      height: DAG.pad * 2 + rows * DAG.nodeH + (rows - 1) * DAG.gapY,
+    };
+  }
+
+  function truncate(text, max) {
+    return text.length > max ? text.slice(0, max - 1) + '…' : text;
+  }
+
+  function renderTaskGraph(tasks, mergeByTask, overlaps) {
+    const { pos, deps, width, height } = layoutTaskGraph(tasks);
+    const edges = [];
+    for (const [id, parents] of deps) {
+      const to = pos.get(id);
+      for (const parent of parents) {
+        const from = pos.get(parent);
+        const x1 = from.x + DAG.nodeW;
+        const y1 = from.y + DAG.nodeH / 2;
+        const x2 = to.x - 2;
+        const y2 = to.y + DAG.nodeH / 2;
+        const mid = (x1 + x2) / 2;
+        edges.push(`<path class="dag-edge" d="M${x1},${y1} C${mid},${y1} ${mid},${y2} ${x2},${y2}" marker-end="url(#dag-arrow)"/>`);
+      }
+    }
+    // Overlaps bow out to the left so they don't hide dependency edges
+    for (const o of overlaps) {
+      const a = pos.get(o.task_a);
+      const b = pos.get(o.task_b);
+      if (!a || !b) continue;
+      const y1 = a.y + DAG.nodeH / 2;
+      const y2 = b.y + DAG.nodeH / 2;
+      const bow = Math.min(a.x, b.x) - DAG.gapX / 2 + 8;
+      edges.push(`<path class="dag-overlap" stroke="${OVERLAP_COLORS[o.severity] || '#8b949e'}" d="M${a.x},${y1} C${bow},${y1} ${bow},${y2} ${b.x},${y2}">` +
+        `<title>Overlap (${escapeHtml(o.severity)}): ${escapeHtml(o.shared_files.join(', '))}</title></path>`);
+    }
+    const nodes = tasks.map(t => {
+      const p = pos.get(t.id);
+      const color = DAG_STATUS_COLORS[t.status] || '#6e7681';
+      const merge = mergeByTask.get(t.id);
+      const meta = [t.status, t.assigned_to ? `worker-${t.assigned_to}` : null, merge ? `merge: ${merge.status}` : (t.pr_url ? 'PR open' : null)]
+        .filter(Boolean).join(' · ');
+      return `
+        <g class="dag-node" data-task-id="${t.id}" transform="translate(${p.x},${p.y})">
+          <title>#${t.id} ${escapeHtml(t.subject)}</title>
+          <rect width="${DAG.nodeW}" height="${DAG.nodeH}" rx="6" stroke="${color}"/>
+          <rect width="4" height="${DAG.nodeH}" rx="2" fill="${color}"/>
+          <text x="12" y="20" class="dag-title">#${t.id} ${escapeHtml(truncate(t.subject, 22))}</text>
+          <text x="12" y="38" class="dag-meta" fill="${color}">${escapeHtml(truncate(meta, 30))}</text>
+        </g>`;
+    }).join('');
+    return `
+      <div class="dag-wrap">
+        <svg class="dag" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Task dependency graph">
+          <defs><marker id="dag-arrow" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="7" markerHeight="7" orient="auto"><path d="M0,0 L8,4 L0,8 z" fill="#6e7681"/></marker></defs>
+          ${edges.join('')}
+          ${nodes}
+        </svg>
+      </div>
+      ${overlaps.length > 0 ? '<div class="dag-legend">Dashed lines: tasks touching the same files (hover for the list)</div>' : ''}`;
+  }
+
+  // --- Request timeline (activity_log entries for the request, its tasks, and merges) ---
+
+  function summarizeDetails(details) {
+    let obj;
+    try { obj = JSON.parse(details || '{}'); } catch { return details || ''; }
+    return Object.entries(obj)
+      .filter(([k, v]) => k !== 'request_id' && v !== null && v !== undefined && v !== '')
+      .map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`)
+      .join(' ');
+  }
+
+  function renderTimeline(entries) {
+    if (entries.length === 0) return '';
+    return `
+      <h4>Timeline (${entries.length})</h4>
+      <div class="timeline">
+        ${entries.map(e => `
+          <div class="timeline-entry">
+            <span class="timeline-time">${escapeHtml(e.created_at)}</span>
+            <span class="timeline-actor">${escapeHtml(e.actor)}</span>
+            <span class="timeline-action">${escapeHtml(e.action)}</span>
+            <span class="timeline-details">${escapeHtml(truncate(summarizeDetails(e.details), 160))}</span>
+          </div>`).join('')}
+      </div>`;
+  }
+
+  function renderClarifications(r) {
+    const thread = r.clarifications || [];
+    if (thread.length === 0 && r.status !== 'awaiting_clarification') return '';
+    const messages = thread.map(c => `
+      <div class="clarify-msg clarify-${c.author}${c.author === 'architect' && !c.read_at ? ' clarify-unread' : ''}">
+        <div class="clarify-meta">${c.author === 'architect' ? 'Architect' : 'You'} · ${escapeHtml(c.created_at)}</div>
+        <div class="clarify-text">${escapeHtml(c.message)}</div>
+      </div>`).join('');
+    const open = ['completed', 'failed', 'cancelled'].includes(r.status) ? '' : `
+      <form class="clarify-form" data-request-id="${escapeHtml(r.id)}">
+        <textarea class="clarify-input" rows="2" placeholder="${r.status === 'awaiting_clarification' ? 'Answer the architect...' : 'Add context for the architect...'}" aria-label="Clarification reply"></textarea>
+        <button type="submit" class="clarify-send-btn">Send</button>
+      </form>`;
+    return `<h4>Clarifications${r.status === 'awaiting_clarification' ? ' <span class="clarify-waiting">waiting on you</span>' : ''}</h4>
+      <div class="clarify-thread">${messages}</div>${open}`;
+  }
+
+  // Re-render the detail view if it is showing this request
+  function refreshOpenRequest(requestId) {
+    if (detailModal.style.display !== 'none' && location.hash === `#request/${encodeURIComponent(requestId)}`) {
+      showDetailFromHash();
+    }
+  }
+
+  function renderLimits(l) {
+    const row = (label, used, max, unit = '') => {
+      if (max === null) return '';
+      const reached = used >= max;
+      return `<dt>${label}</dt><dd${reached ? ' style="color:#f85149"' : ''}>${used} / ${max}${unit}</dd>`;
+    };
+    const rows = row('Tasks', l.tasks, l.max_tasks) +
+      row('Workers', l.active_workers, l.max_workers) +
+      row('Wall-clock', l.elapsed_min, l.max_wall_clock_min, ' min') +
+      row('Retries', l.retries, l.max_retries) +
+      row('Usage', l.usage_units, l.max_usage_units, ' units');
+    return rows ? `<h4>Limits</h4><dl>${rows}</dl>` : '';
+  }
+
+  function renderTaskDetail(t) {
+    return `
+      <h3>Task #${t.id} <span class="worker-status badge-${t.status}">${t.status}</span></h3>
+      <dl>
+        <dt>Request</dt><dd><a href="#request/${encodeURIComponent(t.request_id)}" style="color:#58a6ff">${escapeHtml(t.request_id)}</a></dd>
+        ${detailRow('Subject', t.subject)}
+        ${detailRow('Description', t.description)}
+        ${detailRow('Domain', t.domain)}
+        ${detailRow('Files', t.files)}
+        ${detailRow('Worker', t.assigned_to ? `worker-${t.assigned_to}` : null)}
+        ${detailRow('Attempts', t.attempts)}
+        ${detailRow('Last failure', t.last_failure)}
+        ${detailRow('Result', t.result)}
+      </dl>
+      ${t.pr_url ? renderPrLink(t.pr_url) : ''}`;
+  }
+
+  function showDetailFromHash() {
+    const match = /^#(request|task)\/(.+)$/.exec(location.hash);
+    if (!match) {
+      detailModal.style.display = 'none';
+      return;
+    }
+    const tab = activeTab();
+    if (!tab) return;
+    const [, kind, id] = match;
+    const path = kind === 'request' ? `/api/requests/${id}` : `/api/tasks/${id}`;
+    const body = document.getElementById('detail-body');
+    tabFetch(tab, path)
+      .then(r => r.json())
+      .then(data => {
+        body.innerHTML = data.error
+          ? `<div style="color:#f85149">${escapeHtml(data.error)}</div>`
+          : (kind === 'request' ? renderRequestDetail(data) : renderTaskDetail(data));
+        detailModal.style.display = '';
+        // Opening the thread counts as reading it
+        if (kind === 'request' && (data.clarifications || []).some(c => c.author === 'architect' && !c.read_at)) {
+          tabFetch(tab, `/api/requests/${encodeURIComponent(id)}/clarifications/read`, { method: 'POST' })
+            .catch(err => console.error('Mark read failed:', err));
+        }
+      })
+      .catch(err => console.error('Detail fetch failed:', err));
+  }
+
+  function promptBudget(requestId) {
+    const tab = activeTab();
+    if (!tab) return;
+    const input = prompt(`Budget for ${requestId} in USD (empty for no limit):`);
+    if (input === null) return;
+    const value = input.trim() === '' ? null : Number(input);
+    if (value !== null && !(value > 0)) return alert('Enter a positive amount');
+    tabFetch(tab, `/api/requests/${encodeURIComponent(requestId)}/budget`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ budget_usd: value }),
+    }).then(r => r.json()).then(data => {
+      if (!data.ok) alert('Budget update failed: ' + data.error);
+      showDetailFromHash();
+      fetchTabStatus(tab);
+    }).catch(err => console.error('Budget update failed:', err));
+  }
+
+  function closeDetail() {
+    detailModal.style.display = 'none';
+    if (location.hash) history.replaceState(null, '', location.pathname + location.search);
+  }
+
+  detailModal.addEventListener('change', (e) => {
+    const select = e.target.closest('.detail-priority');
+    const tab = activeTab();
+    if (!select || !tab) return;
+    tabFetch(tab, `/api/requests/${encodeURIComponent(select.dataset.requestId)}/priority`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ priority: select.value }),
+    }).then(r => r.json()).then(data => {
+      if (!data.ok) alert('Priority update failed: ' + data.error);
+      fetchTabStatus(tab);
+    }).catch(err => console.error('Priority update failed:', err));
+  });
+
+  detailModal.addEventListener('submit', (e) => {
+    const form = e.target.closest('.clarify-form');
+    const tab = activeTab();
+    if (!form || !tab) return;
+    e.preventDefault();
+    const input = form.querySelector('.clarify-input');
+    const message = input.value.trim();
+    if (!message) return;
+    const btn = form.querySelector('.clarify-send-btn');
+    btn.disabled = true;
+    tabFetch(tab, `/api/requests/${encodeURIComponent(form.dataset.requestId)}/clarify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message }),
+    }).then(r => r.json()).then(data => {
+      btn.disabled = false;
+      if (!data.ok) return alert('Reply failed: ' + data.error);
+      showDetailFromHash();
+      fetchTabStatus(tab);
+    }).catch(err => {
+      btn.disabled = false;
+      console.error('Clarification reply failed:', err);
+    });
+  });
+
+  window.addEventListener('hashchange', showDetailFromHash);
+  document.getElementById('detail-close-btn').addEventListener('click', closeDetail);
+  detailModal.addEventListener('click', (e) => {
+    if (e.target === detailModal) return closeDetail();
+    const budgetBtn = e.target.closest('.detail-budget-btn');
+    if (budgetBtn) return promptBudget(budgetBtn.dataset.requestId);
+    if (e.target.closest('a[href]')) return;
+    const item = e.target.closest('.task-item[data-task-id], .dag-node[data-task-id]');
+    if (item) location.hash = `task/${item.dataset.taskId}`;
+  });
+
+  // --- Worker terminal (live tmux pane over the tab's WebSocket) ---
+  const TERMINAL_MAX_LINES = 2000;
+  const terminalModal = document.getElementById('terminal-modal');
+  const terminalOutput = document.getElementById('terminal-output');
+  const terminalStatus = document.getElementById('terminal-status');
+  let terminalView = null; // { tab, workerId, lines }
+
+  function sendTabMessage(tab, msg) {
+    if (tab.ws && tab.ws.readyState === WebSocket.OPEN) tab.ws.send(JSON.stringify(msg));
+  }
+
+  function subscribeTerminal() {
+    sendTabMessage(terminalView.tab, { type: 'terminal_subscribe', worker_id: terminalView.workerId });
+  }
+
+  function openTerminal(tab, workerId) {
+    closeTerminal();
+    terminalView = { tab, workerId, lines: [] };
+    document.getElementById('terminal-title').textContent = `Worker ${workerId}`;
+    terminalOutput.textContent = '';
+    terminalStatus.textContent = 'Connecting...';
+    terminalModal.style.display = '';
+    subscribeTerminal();
+  }
+
+  function closeTerminal() {
+    if (!terminalView) return;
+    sendTabMessage(terminalView.tab, { type: 'terminal_unsubscribe', worker_id: terminalView.workerId });
+    terminalView = null;
+    terminalModal.style.display = 'none';
+  }
+
+  // The server sends the whole pane once, then only what changed
+  function applyTerminalOutput(msg) {
+    if (msg.op === 'unavailable') {
+      terminalStatus.textContent = msg.error;
+      return;
+    }
+    const view = terminalView;
+    if (msg.op === 'reset') view.lines = msg.lines.slice();
+    else view.lines.splice(view.lines.length - msg.trim, msg.trim, ...msg.lines);
+    if (view.lines.length > TERMINAL_MAX_LINES) view.lines.splice(0, view.lines.length - TERMINAL_MAX_LINES);
+    terminalStatus.textContent = 'Live';
+
+    const atBottom = terminalOutput.scrollTop + terminalOutput.clientHeight >= terminalOutput.scrollHeight - 4;
+    terminalOutput.textContent = view.lines.join('\n');
+    if (atBottom) terminalOutput.scrollTop = terminalOutput.scrollHeight;
+  }
+
+  function sendTerminalKeys(body, description) {
+    const view = terminalView;
+    if (!view || !confirm(`Send ${description} to worker ${view.workerId}? The agent running there will receive it as input.`)) return Promise.resolve(false);
+    return tabFetch(view.tab, `/api/workers/${view.workerId}/keys`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }).then(r => r.json()).then(data => {
+      if (!data.ok) alert('Send failed: ' + data.error);
+      return data.ok;
+    }).catch(err => {
+      console.error('Send keys failed:', err);
+      return false;
+    });
+  }
+
+  document.getElementById('workers-list').addEventListener('click', (e) => {
+    const btn = e.target.closest('.worker-terminal-btn');
+    const tab = activeTab();
+    if (btn && tab) openTerminal(tab, btn.dataset.workerId);
+  });
+
+  document.getElementById('terminal-input-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = document.getElementById('terminal-input');
+    const text = input.value;
+    if (!text) return;
+    sendTerminalKeys({ text }, `"${text}" + Enter`).then(ok => { if (ok) input.value = ''; });
+  });
+
+  document.getElementById('terminal-ctrlc-btn').addEventListener('click', () => sendTerminalKeys({ key: 'C-c' }, 'Ctrl-C'));
+
+  document.getElementById('terminal-popout-btn').addEventListener('click', () => {
+    const view = terminalView;
+    if (!view) return;
+    window.open(
+      `${location.protocol}//${location.hostname}:${view.tab.port}/popout.html?panel=terminal&worker=${encodeURIComponent(view.workerId)}`,
+      `mac10_terminal_${view.tab.port}_${view.workerId}`,
+      'width=820,height=560,left=' + (window.screenX + 50) + ',top=' + (window.screenY + 50) + ',resizable=yes'
+    );
+  });
+
+  document.getElementById('terminal-close-btn').addEventListener('click', closeTerminal);
+  terminalModal.addEventListener('click', (e) => {
+    if (e.target === terminalModal) closeTerminal();
+  });
+
   // --- Settings panel (right-click on panel header) ---
   const settingsPanel = document.getElementById('settings-panel');
 
@@ -939,13 +1738,187 @@
     renderChanges(tab);
   });
 
+  // --- Schedules ---
+
+  function fetchTabSchedules(tab) {
+    tabFetch(tab, '/api/schedules')
+      .then(r => r.json())
+      .then(data => {
+        tab.schedules = data.schedules || [];
+        if (tab.id === activeTabId) renderSchedules(tab.schedules);
+      })
+      .catch(err => console.error('Schedules fetch failed:', err));
+  }
+
+  function renderScheduleRun(run) {
+    if (run.status === 'missed') {
+      const span = run.runs > 1 ? `${run.runs} runs, ${run.scheduled_for} – ${run.scheduled_until}` : run.scheduled_for;
+      return `<div class="schedule-run run-missed">missed ${escapeHtml(span)}</div>`;
+    }
+    if (run.status === 'failed') {
+      return `<div class="schedule-run run-failed">${escapeHtml(run.scheduled_for)} failed: ${escapeHtml(run.error || '')}</div>`;
+    }
+    return `<div class="schedule-run">${escapeHtml(run.scheduled_for)} → <a href="#request/${encodeURIComponent(run.request_id)}">${escapeHtml(run.request_id)}</a></div>`;
+  }
+
+  function renderSchedules(schedules) {
+    const el = document.getElementById('schedules-list');
+    if (schedules.length === 0) {
+      el.innerHTML = '<div style="color:#8b949e;font-size:13px">No schedules</div>';
+      return;
+    }
+    el.innerHTML = schedules.map(s => `
+      <div class="schedule-item">
+        <button class="req-action-btn schedule-remove-btn" data-schedule-id="${s.id}">Remove</button>
+        <span class="schedule-name">#${s.id} ${escapeHtml(s.name)}</span>
+        <code class="schedule-cron">${escapeHtml(s.cron)}</code>
+        ${s.priority !== 'normal' ? `<span class="req-priority req-priority-${s.priority}">${s.priority}</span>` : ''}
+        ${s.missed_runs > 0 ? `<span class="schedule-missed">${s.missed_runs} missed</span>` : ''}
+        <div class="schedule-next">Next run: ${s.next_run_at ? escapeHtml(s.next_run_at) + ' UTC' : 'never'}</div>
+        ${s.history.length > 0 ? `<div class="schedule-history">${s.history.map(renderScheduleRun).join('')}</div>` : ''}
+      </div>
+    `).join('');
+  }
+
+  document.getElementById('schedule-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const tab = activeTab();
+    if (!tab) return;
+    const cronInput = document.getElementById('schedule-cron');
+    const descInput = document.getElementById('schedule-desc');
+    const priority = document.getElementById('schedule-priority');
+    const errEl = document.getElementById('schedule-error');
+    if (!cronInput.value.trim() || !descInput.value.trim()) return;
+    tabFetch(tab, '/api/schedules', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ cron: cronInput.value.trim(), description: descInput.value.trim(), priority: priority.value }),
+    }).then(r => r.json()).then(data => {
+      if (!data.ok) {
+        errEl.textContent = data.error || 'Could not add schedule';
+        errEl.style.display = '';
+        return;
+      }
+      errEl.style.display = 'none';
+      cronInput.value = '';
+      descInput.value = '';
+      priority.value = 'normal';
+      fetchTabSchedules(tab);
+    }).catch(err => console.error('Schedule add failed:', err));
+  });
+
+  document.getElementById('schedules-list').addEventListener('click', (e) => {
+    const btn = e.target.closest('.schedule-remove-btn');
+    if (!btn) return;
+    const tab = activeTab();
+    if (!tab || !confirm(`Remove schedule #${btn.dataset.scheduleId}?`)) return;
+    tabFetch(tab, `/api/schedules/${btn.dataset.scheduleId}`, { method: 'DELETE' })
+      .then(() => fetchTabSchedules(tab))
+      .catch(err => console.error('Schedule remove failed:', err));
+  });
+
+  // --- Webhooks ---
+
+  function fetchTabWebhooks(tab) {
+    Promise.all([
+      tabFetch(tab, '/api/webhooks').then(r => r.json()),
+      tabFetch(tab, '/api/webhooks/deliveries?limit=30').then(r => r.json()),
+    ]).then(([hooks, log]) => {
+      tab.webhooks = hooks.webhooks || [];
+      tab.webhookDeliveries = log.deliveries || [];
+      if (tab.id === activeTabId) renderWebhooks(tab);
+    }).catch(err => console.error('Webhooks fetch failed:', err));
+  }
+
+  function renderWebhooks(tab) {
+    const listEl = document.getElementById('webhooks-list');
+    if (tab.webhooks.length === 0) {
+      listEl.innerHTML = '<div style="color:#8b949e;font-size:13px">No webhooks</div>';
+    } else {
+      listEl.innerHTML = tab.webhooks.map(w => `
+        <div class="webhook-item">
+          <button class="req-action-btn webhook-remove-btn" data-webhook-id="${w.id}">Remove</button>
+          <span class="webhook-url">#${w.id} ${escapeHtml(w.url)}</span>
+          ${w.has_secret ? '<span class="webhook-signed">signed</span>' : ''}
+          <div class="webhook-events">${w.events === '*' ? 'All events' : w.events.map(escapeHtml).join(', ')}</div>
+          <div class="webhook-counts">${w.delivered} delivered · ${w.pending} pending · <span class="${w.failed > 0 ? 'webhook-failed' : ''}">${w.failed} failed</span></div>
+        </div>
+      `).join('');
+    }
+
+    const logEl = document.getElementById('webhook-deliveries');
+    if (tab.webhookDeliveries.length === 0) {
+      logEl.innerHTML = '<div style="color:#8b949e;font-size:13px">No deliveries yet</div>';
+      return;
+    }
+    logEl.innerHTML = tab.webhookDeliveries.map(d => `
+      <div class="webhook-delivery delivery-${d.status}">
+        <span class="delivery-time">${escapeHtml(d.created_at)}</span>
+        <span class="delivery-event">#${d.id} ${escapeHtml(d.event)} → hook #${d.webhook_id}</span>
+        <span class="delivery-status">${d.status}${d.response_status ? ` (HTTP ${d.response_status})` : ''}, ${d.attempts} attempt(s)</span>
+        ${d.status !== 'delivered' ? `<button class="req-action-btn webhook-redeliver-btn" data-delivery-id="${d.id}">Retry now</button>` : ''}
+        ${d.last_error && d.status !== 'delivered' ? `<div class="delivery-error">${escapeHtml(d.last_error)}${d.status === 'pending' ? ` — next attempt ${escapeHtml(d.next_attempt_at)} UTC` : ''}</div>` : ''}
+      </div>
+    `).join('');
+  }
+
+  document.getElementById('webhook-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const tab = activeTab();
+    if (!tab) return;
+    const urlInput = document.getElementById('webhook-url');
+    const eventsInput = document.getElementById('webhook-events');
+    const secretInput = document.getElementById('webhook-secret');
+    const errEl = document.getElementById('webhook-error');
+    if (!urlInput.value.trim()) return;
+    const events = eventsInput.value.split(',').map(s => s.trim()).filter(Boolean);
+    tabFetch(tab, '/api/webhooks', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: urlInput.value.trim(), events: events.length > 0 ? events : '*', secret: secretInput.value }),
+    }).then(r => r.json()).then(data => {
+      if (!data.ok) {
+        errEl.textContent = data.error || 'Could not add webhook';
+        errEl.style.display = '';
+        return;
+      }
+      errEl.style.display = 'none';
+      urlInput.value = '';
+      eventsInput.value = '';
+      secretInput.value = '';
+      fetchTabWebhooks(tab);
+    }).catch(err => console.error('Webhook add failed:', err));
+  });
+
+  document.getElementById('webhooks-panel').addEventListener('click', (e) => {
+    const tab = activeTab();
+    if (!tab) return;
+    const removeBtn = e.target.closest('.webhook-remove-btn');
+    if (removeBtn) {
+      if (!confirm(`Remove webhook #${removeBtn.dataset.webhookId} and its delivery log?`)) return;
+      tabFetch(tab, `/api/webhooks/${removeBtn.dataset.webhookId}`, { method: 'DELETE' })
+        .then(() => fetchTabWebhooks(tab))
+        .catch(err => console.error('Webhook remove failed:', err));
+      return;
+    }
+    const retryBtn = e.target.closest('.webhook-redeliver-btn');
+    if (retryBtn) {
+      tabFetch(tab, `/api/webhooks/deliveries/${retryBtn.dataset.deliveryId}/redeliver`, { method: 'POST' })
+        .then(() => fetchTabWebhooks(tab))
+        .catch(err => console.error('Webhook redeliver failed:', err));
+    }
+  });
+
   // --- Keyboard shortcuts ---
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
       if (modal.style.display !== 'none') {
         modal.style.display = 'none';
       }
+      if (detailModal.style.display !== 'none') closeDetail();
+      closeTerminal();
       closeSettingsPanel();
+      closeNotifyMenu();
     }
   });
 
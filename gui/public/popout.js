@@ -9,6 +9,7 @@
     requests: { title: 'Requests', render: renderRequests },
     tasks: { title: 'Tasks', render: renderTasks },
     log: { title: 'Activity Log', render: renderLog },
+    terminal: { title: 'Worker ' + params.get('worker'), render: function() {}, stream: true },
   };
 
   const config = PANELS[panel];
@@ -39,6 +40,9 @@
       document.getElementById('status-text').textContent = 'Connected';
       reconnectDelay = 1000;
       if (reconnectTimer) { clearTimeout(reconnectTimer); reconnectTimer = null; }
+      if (config.stream) {
+        ws.send(JSON.stringify({ type: 'terminal_subscribe', worker_id: params.get('worker') }));
+      }
     };
 
     ws.onclose = function() {
@@ -53,6 +57,8 @@
         var msg = JSON.parse(event.data);
         if (msg.type === 'init' || msg.type === 'state') {
           config.render(msg.data);
+        } else if (msg.type === 'terminal_output' && config.stream) {
+          renderTerminal(msg);
         }
       } catch (e) { console.error('WS parse error:', e); }
     };
@@ -146,6 +152,27 @@
     }).join('');
   }
 
+  // Live pane of one worker: a full snapshot first, then only what changed
+  var TERMINAL_MAX_LINES = 2000;
+  var terminalLines = [];
+
+  function renderTerminal(msg) {
+    var el = document.getElementById('popout-panel');
+    if (!el.firstChild) el.innerHTML = '<pre class="terminal-output" style="height:calc(100vh - 110px)"></pre>';
+    var pre = el.firstChild;
+    if (msg.op === 'unavailable') {
+      document.getElementById('status-text').textContent = msg.error;
+      return;
+    }
+    if (msg.op === 'reset') terminalLines = msg.lines.slice();
+    else terminalLines = terminalLines.slice(0, terminalLines.length - msg.trim).concat(msg.lines);
+    if (terminalLines.length > TERMINAL_MAX_LINES) terminalLines = terminalLines.slice(-TERMINAL_MAX_LINES);
+
+    var atBottom = pre.scrollTop + pre.clientHeight >= pre.scrollHeight - 4;
+    pre.textContent = terminalLines.join('\n');
+    if (atBottom) pre.scrollTop = pre.scrollHeight;
+  }
+
   function renderLog(data) {
     var el = document.getElementById('popout-panel');
     var logs = data.logs || [];
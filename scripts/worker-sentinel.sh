@@ -32,19 +32,36 @@ while true; do
 
   # Check if we got a task_assigned message
   if echo "$MSGS" | grep -q "task_assigned"; then
-    echo "[sentinel-$WORKER_ID] Task received, syncing..."
+    TASK_ID=$(echo "$MSGS" | grep -o '"task_id": *[0-9]*' | head -1 | grep -o '[0-9]*$' || true)
+    echo "[sentinel-$WORKER_ID] Task ${TASK_ID:-?} received, syncing..."
 
-    # Sync with latest main
+    # Sync with the request's target branch (local ref when there is no remote copy)
+    TARGET=$(echo "$MSGS" | grep -o '"target_branch": *"[^"]*"' | head -1 | sed 's/.*"\([^"]*\)"$/\1/' || true)
+    TARGET=${TARGET:-main}
     git fetch origin 2>/dev/null || true
-    git rebase origin/main 2>/dev/null || {
+    BASE="origin/$TARGET"
+    git rev-parse --verify -q "$BASE" >/dev/null || BASE="$TARGET"
+    git rebase "$BASE" 2>/dev/null || {
       git rebase --abort 2>/dev/null || true
-      git reset --hard origin/main 2>/dev/null || true
+      git reset --hard "$BASE" 2>/dev/null || true
     }
 
     # Launch Claude worker (unset CLAUDECODE to allow nested session in tmux)
     echo "[sentinel-$WORKER_ID] Launching claude..."
     unset CLAUDECODE
-    claude --model opus --dangerously-skip-permissions -p "/worker-loop" 2>&1 || true
+    # The session may run follow-up tasks: usage-stream charges each message to
+    # the task running at the time and prints the final result for tmux
+    STARTED=$SECONDS
+    set +e
+    claude --model opus --dangerously-skip-permissions -p "/worker-loop" --output-format stream-json --verbose |
+      mac10 usage-stream "$WORKER_ID" ${TASK_ID:+--task "$TASK_ID"}
+    STREAM_STATUS=${PIPESTATUS[1]}
+    set -e
+
+    # Fall back to wall-clock only if the stream was unusable
+    if [ "$STREAM_STATUS" -ne 0 ] && [ -n "$TASK_ID" ]; then
+      mac10 report-usage "$TASK_ID" --worker "$WORKER_ID" --duration-ms "$(( (SECONDS - STARTED) * 1000 ))" 2>/dev/null || true
+    fi
 
     # Reset worker status to idle after Claude exits
     echo "[sentinel-$WORKER_ID] Claude exited, resetting to idle..."
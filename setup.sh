@@ -133,6 +133,13 @@ for f in "$SCRIPT_DIR/templates/agents/"*.md; do
   [ -f "$dest" ] || cp "$f" "$dest"
 done
 
+# Request templates (mac10 request --template) — only copy if not already present
+mkdir -p "$CLAUDE_DIR/templates/requests"
+for f in "$SCRIPT_DIR/templates/requests/"*.md; do
+  dest="$CLAUDE_DIR/templates/requests/$(basename "$f")"
+  [ -f "$dest" ] || cp "$f" "$dest"
+done
+
 # Knowledge templates (don't overwrite existing)
 for f in "$SCRIPT_DIR/templates/knowledge/"*.md; do
   dest="$CLAUDE_DIR/knowledge/$(basename "$f")"